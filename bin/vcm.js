@@ -0,0 +1,583 @@
+#!/usr/bin/env node
+// ==============================================================================
+// vcm CLI
+// ==============================================================================
+// Headless version of the current-file toggle for CI and for teammates who don't
+// use VS Code. Reads and writes the same .vcm/shared and .vcm/private mirrors (and
+// the named layers' .vcm/<layer> mirrors) as the extension, through the same core
+// modules (no vscode dependency).
+//
+//   vcm strip  [paths]   commented -> clean (mirror is created/updated first)
+//   vcm inject [paths]   clean -> commented (--private also injects private comments)
+//   vcm status [paths]   exit 1 if any source and its mirror disagree
+//   vcm sync   [paths]   update mirrors from the sources, like saving in the editor
+//   vcm reviews [paths]  exit 1 if any review note is still unresolved (pre-merge check)
+//   vcm precommit        git pre-commit hook: fail if staged sources aren't clean
+//                        (--fix or VCM_AUTOFIX=1 strips and re-stages them instead)
+//   vcm merge-driver %O %A %B
+//                        git merge driver for .vcm.json mirrors (three-way, per comment)
+//
+// Paths are files or directories relative to the repo root. Directories (and no
+// paths at all) expand to every mirrored file under them. Naming a file that has
+// no mirror yet lets strip/sync create one, the same as toggling it in the editor.
+
+const fs = require("fs/promises");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const {
+  createVCMStore,
+  createDetectors,
+  parseDocComs,
+  stripComments,
+  stripVisibleStores,
+  generateCommentedVersion,
+  injectMissingPrivateComments,
+  findOrphanedComments,
+  mergeSharedTextCleanMode,
+  syncMirrors,
+  getCommentText,
+  isCheckedForCommit,
+  findCommitViolations,
+  mergeVCMPayloads,
+  upgradeVCMPayload,
+  VCMSchemaError,
+  readGitAuthor,
+  isReview,
+  isResolvedReview,
+} = require("../src/core");
+const { reorderCommentFields } = require("../src/vcm/utils_copycode/buildVCMPayload");
+const { nodeFs } = require("../src/fs/nodeFs");
+
+const store = createVCMStore(nodeFs);
+
+const USAGE = `Usage: vcm <strip|inject|status|sync|reviews> [paths...] [--root <dir>] [--private]
+       vcm precommit [--fix] [--root <dir>]
+       vcm merge-driver <base> <ours> <theirs>
+
+  strip      Remove mirrored comments from source files (clean mode)
+  inject     Insert mirrored comments into source files (commented mode)
+  status     Report sources that disagree with their mirrors (exit 1 if any)
+  sync       Update mirrors from the current source files
+  reviews    List unresolved review notes (exit 1 if any)
+  precommit  Fail if staged sources contain comments (run from a git pre-commit hook)
+  merge-driver
+             Merge three versions of a .vcm.json mirror into <ours> (git merge driver;
+             exit 1 and conflict markers when both sides edited the same comment)
+
+Options:
+  --root <dir>   Repository root containing .vcm (default: current directory)
+  --private      inject: also insert private comments
+  --fix          precommit: strip offending comments and re-stage instead of failing
+                 (same as setting VCM_AUTOFIX=1)
+  -h, --help     Show this help`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const args = { command: null, paths: [], root: process.cwd(), private: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h" || arg === "--help") {
+      args.help = true;
+    } else if (arg === "--private") {
+      args.private = true;
+    } else if (arg === "--fix") {
+      args.fix = true;
+    } else if (arg === "--root") {
+      if (!argv[i + 1]) throw new UsageError("--root needs a directory");
+      args.root = path.resolve(argv[++i]);
+    } else if (arg.startsWith("-")) {
+      throw new UsageError(`Unknown option ${arg}`);
+    } else if (!args.command) {
+      args.command = arg;
+    } else {
+      args.paths.push(arg);
+    }
+  }
+  return args;
+}
+
+// Minimal stand-in for the vscode.TextDocument fields the core reads
+function createDoc(absPath, text) {
+  return { uri: { fsPath: absPath, path: absPath.split(path.sep).join("/") }, getText: () => text };
+}
+
+// Mirror payloads minus lastModified, so a no-op sync compares equal
+function sameComments(a, b) {
+  const normalize = (comments) => JSON.stringify(comments.map(c => reorderCommentFields(c)));
+  return normalize(a) === normalize(b);
+}
+
+function createCLI({ root, includePrivate = false, fix = false, log = console.log }) {
+  const vcmDir = path.join(root, ".vcm", "shared");
+  const vcmPrivateDir = path.join(root, ".vcm", "private");
+  const vcmBaseDir = path.join(root, ".vcm");
+  const toRelative = (absPath) => path.relative(root, absPath).split(path.sep).join("/");
+
+  const { detectInitialMode, detectPrivateVisibility, detectLayerVisibility } = createDetectors({
+    readSharedVCM: store.readSharedVCM,
+    vcmDir,
+    readPrivateVCM: store.readPrivateVCM,
+    vcmPrivateDir,
+    parseDocComs,
+    asRelativePath: (uri) => toRelative(uri.fsPath),
+    vcmFileExists: store.vcmFileExists,
+    readLayerVCM: store.readLayerVCM,
+  });
+
+  // Named comment layers: whatever .vcm/<layer> directories exist, listed once per run
+  let layerNamesPromise = null;
+  const getLayerNames = () => {
+    if (!layerNamesPromise) layerNamesPromise = store.listLayerNames(vcmBaseDir);
+    return layerNamesPromise;
+  };
+  const layerDir = (layer) => store.getLayerDir(vcmBaseDir, layer);
+  async function readLayers(relativePath) {
+    const layers = {};
+    for (const layer of await getLayerNames()) layers[layer] = await store.readLayerVCM(relativePath, layerDir(layer), layer);
+    return layers;
+  }
+
+  // Resolve CLI path arguments to { relativePath, explicit } entries
+  async function resolveTargets(paths) {
+    const mirrorDirs = [vcmDir, vcmPrivateDir, ...(await getLayerNames()).map(layerDir)];
+    const mirrored = [...new Set((await Promise.all(mirrorDirs.map(dir => store.listVCMFiles(dir)))).flat())].sort();
+    if (paths.length === 0) return mirrored.map(relativePath => ({ relativePath, explicit: false }));
+
+    const targets = new Map();
+    for (const p of paths) {
+      const absPath = path.resolve(root, p);
+      const relativePath = toRelative(absPath);
+      if (relativePath.startsWith("..")) throw new UsageError(`${p} is outside ${root}`);
+
+      const stat = await fs.stat(absPath).catch(() => null);
+      if (stat && stat.isDirectory()) {
+        const prefix = relativePath ? relativePath + "/" : "";
+        for (const m of mirrored.filter(m => m.startsWith(prefix))) {
+          if (!targets.has(m)) targets.set(m, { relativePath: m, explicit: false });
+        }
+      } else {
+        targets.set(relativePath, { relativePath, explicit: true });
+      }
+    }
+    return [...targets.values()];
+  }
+
+  async function loadFile(relativePath) {
+    const absPath = path.join(root, relativePath);
+    const text = await fs.readFile(absPath, "utf8");
+    const doc = createDoc(absPath, text);
+    const isCommented = await detectInitialMode(doc);
+    const privateVisible = await detectPrivateVisibility(doc, relativePath);
+    const layersVisible = {};
+    for (const layer of await getLayerNames()) {
+      layersVisible[layer] = await detectLayerVisibility(doc, relativePath, layerDir(layer), layer);
+    }
+    return { absPath, text, doc, isCommented, privateVisible, layersVisible };
+  }
+
+  // git identity stamped on new comments, read once per run
+  let authorPromise = null;
+  const getAuthor = () => {
+    if (!authorPromise) authorPromise = readGitAuthor(root);
+    return authorPromise;
+  };
+
+  // What saveVCM would write for this file, without writing it
+  async function computeSync(relativePath, file, flags = {}) {
+    const layers = Object.entries(await readLayers(relativePath)).map(([name, comments]) => ({
+      name,
+      comments,
+      visible: file.layersVisible?.[name] === true,
+    }));
+    return syncMirrors({
+      text: file.text,
+      filePath: file.doc.uri.path,
+      sharedVCMComments: await store.readSharedVCM(relativePath, vcmDir),
+      privateVCMComments: await store.readPrivateVCM(relativePath, vcmPrivateDir),
+      isCommented: file.isCommented,
+      privateVisible: file.privateVisible,
+      author: await getAuthor(),
+      layers,
+      ...flags,
+    });
+  }
+
+  async function writeSync(relativePath, result) {
+    await store.writeSharedVCM(relativePath, result.shared, vcmDir);
+    if (result.private) await store.writePrivateVCM(relativePath, result.private, vcmPrivateDir);
+    for (const [layer, comments] of Object.entries(result.layers || {})) {
+      if (comments) await store.writeLayerVCM(relativePath, comments, layerDir(layer), layer);
+    }
+  }
+
+  const visibleLayers = (file) => Object.keys(file.layersVisible || {}).filter(layer => file.layersVisible[layer]);
+
+  // Mirror first (so nothing typed since the last save is lost), then strip
+  // layers: { shared, private, named } - named = the named layers to strip
+  async function stripFile(relativePath, file, layers) {
+    await writeSync(relativePath, await computeSync(relativePath, file));
+    const sharedComments = await store.readSharedVCM(relativePath, vcmDir);
+    const privateComments = await store.readPrivateVCM(relativePath, vcmPrivateDir);
+    const namedComments = await readLayers(relativePath);
+
+    // Named layers and private first, the same pass as the editor toggle (their matching relies on line indices)
+    const stripped = stripVisibleStores(
+      file.text,
+      file.doc.uri.path,
+      { shared: sharedComments, private: privateComments, layers: namedComments },
+      { private: layers.private, layers: layers.named }
+    );
+    let newText = stripped.text;
+    const { contextComments } = stripped;
+    if (layers.shared) {
+      newText = stripComments(newText, file.doc.uri.path, sharedComments, { contextComments });
+    }
+
+    await fs.writeFile(file.absPath, newText, "utf8");
+    return newText;
+  }
+
+  async function hasMirror(relativePath) {
+    for (const dir of [vcmDir, vcmPrivateDir, ...(await getLayerNames()).map(layerDir)]) {
+      if (await store.vcmFileExists(dir, relativePath)) return true;
+    }
+    return false;
+  }
+
+  const commands = {
+    async sync(relativePath, { explicit }) {
+      if (!explicit && !(await hasMirror(relativePath))) return true;
+      const file = await loadFile(relativePath);
+      await writeSync(relativePath, await computeSync(relativePath, file));
+      log(`synced   ${relativePath}`);
+      return true;
+    },
+
+    async strip(relativePath) {
+      const file = await loadFile(relativePath);
+      const named = visibleLayers(file);
+      if (!file.isCommented && !file.privateVisible && named.length === 0) {
+        log(`clean    ${relativePath}`);
+        return true;
+      }
+
+      await stripFile(relativePath, file, { shared: file.isCommented, private: file.privateVisible, named });
+      log(`stripped ${relativePath}`);
+      return true;
+    },
+
+    async inject(relativePath) {
+      if (!(await hasMirror(relativePath))) {
+        log(`skipped  ${relativePath} (no mirror)`);
+        return true;
+      }
+
+      const file = await loadFile(relativePath);
+      const injectPrivate = includePrivate && !file.privateVisible;
+      if (file.isCommented && !injectPrivate) {
+        log(`commented ${relativePath}`);
+        return true;
+      }
+
+      let newText = file.text;
+      if (!file.isCommented) {
+        // Same as toggling to commented mode: clean-mode text becomes regular comment text
+        newText = await generateCommentedVersion(newText, file.doc.uri.path, relativePath, store.readSharedVCM, vcmDir);
+        const sharedComments = await store.readSharedVCM(relativePath, vcmDir);
+        await store.writeSharedVCM(relativePath, mergeSharedTextCleanMode(sharedComments), vcmDir);
+      }
+      if (injectPrivate) {
+        const privateComments = await store.readPrivateVCM(relativePath, vcmPrivateDir);
+        newText = injectMissingPrivateComments(newText, file.doc.uri.path, privateComments);
+      }
+
+      await fs.writeFile(file.absPath, newText, "utf8");
+      const injected = { ...file, text: newText, doc: createDoc(file.absPath, newText), isCommented: true };
+      injected.privateVisible = file.privateVisible || injectPrivate;
+      await writeSync(relativePath, await computeSync(relativePath, injected, {
+        wasJustInjected: !file.isCommented,
+        wasJustInjectedPrivate: injectPrivate,
+      }));
+      log(`injected ${relativePath}`);
+      return true;
+    },
+
+    async status(relativePath, { explicit }) {
+      if (!(await hasMirror(relativePath))) {
+        log(`untracked ${relativePath}`);
+        return !explicit;
+      }
+
+      let file;
+      try {
+        file = await loadFile(relativePath);
+      } catch {
+        log(`missing  ${relativePath} (mirror has no source file)`);
+        return false;
+      }
+
+      const problems = [];
+      const result = await computeSync(relativePath, file);
+      const sharedComments = await store.readSharedVCM(relativePath, vcmDir);
+      const privateComments = await store.readPrivateVCM(relativePath, vcmPrivateDir);
+      if (!sameComments(result.shared, sharedComments)) problems.push("shared mirror out of date");
+      if (result.private && !sameComments(result.private, privateComments)) problems.push("private mirror out of date");
+      const namedComments = await readLayers(relativePath);
+      for (const [layer, comments] of Object.entries(result.layers)) {
+        if (comments && !sameComments(comments, namedComments[layer])) problems.push(`${layer} mirror out of date`);
+      }
+
+      const lost = findOrphanedComments(file.text, file.doc.uri.path, [...sharedComments, ...privateComments, ...Object.values(namedComments).flat()])
+        .filter(o => !o.placed);
+      if (lost.length > 0) problems.push(`${lost.length} orphaned comment(s)`);
+
+      const mode = file.isCommented ? "commented" : "clean";
+      if (problems.length === 0) {
+        log(`ok       ${relativePath} (${mode})`);
+        return true;
+      }
+      log(`FAIL     ${relativePath} (${mode}): ${problems.join(", ")}`);
+      return false;
+    },
+
+    // Reads the mirrors only: works on any checkout, whatever mode its sources are in
+    async reviews(relativePath) {
+      const notes = [
+        ...(await store.readSharedVCM(relativePath, vcmDir)).map(c => [c, "shared"]),
+        ...(await store.readPrivateVCM(relativePath, vcmPrivateDir)).map(c => [c, "private"]),
+        ...Object.entries(await readLayers(relativePath)).flatMap(([layer, comments]) => comments.map(c => [c, layer])),
+      ].filter(([c]) => isReview(c));
+      if (notes.length === 0) return true;
+
+      const open = notes.filter(([c]) => !isResolvedReview(c));
+      if (open.length === 0) {
+        log(`ok       ${relativePath} (${notes.length} resolved review note(s))`);
+        return true;
+      }
+      log(`FAIL     ${relativePath}: ${open.length} unresolved review note(s)`);
+      for (const [c, layer] of open) {
+        const label = (getCommentText(c).split("\n")[0] || "").trim().slice(0, 60);
+        log(`           ${relativePath}  ${label}  [${layer}]`);
+      }
+      return false;
+    },
+  };
+
+  // ---------------------------------------------------------------------------
+  // precommit: check the staged version of every staged source file
+  // ---------------------------------------------------------------------------
+  const git = (...args) =>
+    execFileSync("git", args, { cwd: root, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"], maxBuffer: 256 * 1024 * 1024 });
+
+  async function checkStaged(relativePath, text) {
+    const doc = createDoc(path.join(root, relativePath), text);
+    const violations = findCommitViolations({
+      text,
+      filePath: doc.uri.path,
+      sharedComments: await store.readSharedVCM(relativePath, vcmDir),
+      privateComments: await store.readPrivateVCM(relativePath, vcmPrivateDir),
+      layerComments: await readLayers(relativePath),
+    });
+    return { doc, violations, isCommented: await detectInitialMode(doc) };
+  }
+
+  function hasViolations(violations) {
+    return ["shared", "private", "layers", "unmirrored"].some(kind => violations[kind].length > 0);
+  }
+
+  function reportViolations(relativePath, { violations, isCommented }) {
+    const parts = [];
+    if (violations.shared.length) {
+      parts.push(`${violations.shared.length} shared comment(s) visible${isCommented ? " (commented mode)" : ""}`);
+    }
+    if (violations.private.length) parts.push(`${violations.private.length} private comment(s) visible`);
+    if (violations.layers.length) parts.push(`${violations.layers.length} layer comment(s) visible`);
+    if (violations.unmirrored.length) parts.push(`${violations.unmirrored.length} comment(s) not in .vcm`);
+    log(`FAIL     ${relativePath}: ${parts.join(", ")}`);
+
+    const all = [
+      ...violations.shared.map(c => [c, "shared"]),
+      ...violations.private.map(c => [c, "private"]),
+      ...violations.layers.map(({ layer, comment }) => [comment, layer]),
+      ...violations.unmirrored.map(c => [c, "not mirrored"]),
+    ];
+    for (const [c, kind] of all) {
+      const idx = c.type === "block" ? c.block?.[0]?.commentedLineIndex : c.commentedLineIndex;
+      const label = (getCommentText(c).split("\n")[0] || "").trim().slice(0, 60);
+      log(`           ${relativePath}:${(idx ?? 0) + 1}  ${label}  [${kind}]`);
+    }
+  }
+
+  async function precommit() {
+    const staged = git("diff", "--cached", "--name-only", "--diff-filter=ACMR", "-z")
+      .split("\0")
+      .filter(p => p && isCheckedForCommit(p));
+
+    let ok = true;
+    for (const relativePath of staged) {
+      const stagedText = git("show", `:${relativePath}`);
+      const check = await checkStaged(relativePath, stagedText);
+      const { violations } = check;
+      if (!hasViolations(violations)) continue;
+
+      if (!fix) {
+        reportViolations(relativePath, check);
+        ok = false;
+        continue;
+      }
+
+      // Only fix what we can re-stage wholesale: the working copy must be exactly what is staged
+      const absPath = path.join(root, relativePath);
+      const workingText = await fs.readFile(absPath, "utf8").catch(() => null);
+      if (workingText !== stagedText) {
+        reportViolations(relativePath, check);
+        log(`           not fixed: ${relativePath} has unstaged changes`);
+        ok = false;
+        continue;
+      }
+
+      const named = [...new Set(violations.layers.map(v => v.layer))];
+      const layersVisible = Object.fromEntries(named.map(layer => [layer, true]));
+      const file = { absPath, text: stagedText, doc: check.doc, isCommented: check.isCommented, privateVisible: violations.private.length > 0, layersVisible };
+      const cleanText = await stripFile(relativePath, file, { shared: true, private: true, named });
+      const recheck = await checkStaged(relativePath, cleanText);
+      git("add", "--", relativePath);
+      // Every mirror stripFile wrote holds comments just taken out of the source: stage them with it
+      for (const dir of [vcmDir, vcmPrivateDir, ...(await getLayerNames()).map(layerDir)]) {
+        try {
+          git("add", "--", path.relative(root, path.join(dir, `${relativePath}.vcm.json`)));
+        } catch {
+          // Ignored by git (e.g. .vcm/private) or never written - nothing to stage
+        }
+      }
+
+      if (hasViolations(recheck.violations)) {
+        reportViolations(relativePath, recheck);
+        ok = false;
+      } else {
+        log(`fixed    ${relativePath}`);
+      }
+    }
+
+    if (!ok) {
+      log("");
+      log("vcm: commit blocked - sources must be committed in clean mode (comments live in .vcm/).");
+      log("     Toggle the files to clean mode, or run `vcm precommit --fix` (VCM_AUTOFIX=1) to strip them.");
+    }
+    return ok;
+  }
+
+  // ---------------------------------------------------------------------------
+  // merge-driver: git runs `vcm merge-driver %O %A %B`, the result goes into %A
+  // ---------------------------------------------------------------------------
+  async function mergeDriver(paths) {
+    if (paths.length !== 3) throw new UsageError("merge-driver needs <base> <ours> <theirs>");
+    const [basePath, oursPath, theirsPath] = paths.map(p => path.resolve(root, p));
+    const read = async (filePath) => {
+      const text = await fs.readFile(filePath, "utf8").catch(() => "");
+      return text.trim() ? JSON.parse(text) : null;
+    };
+
+    const mergeLines = (reason) => {
+      try {
+        execFileSync("git", ["merge-file", "-L", "ours", "-L", "base", "-L", "theirs", oursPath, basePath, theirsPath], { stdio: "ignore" });
+        return true;
+      } catch {
+        log(`vcm: ${reason} - merged line by line, resolve the conflicts by hand`);
+        return false;
+      }
+    };
+
+    let versions;
+    try {
+      versions = await Promise.all([basePath, oursPath, theirsPath].map(read));
+    } catch {
+      // Not JSON (e.g. already holds conflict markers): fall back to git's line merge
+      return mergeLines("mirror is not valid JSON");
+    }
+
+    // Merge on the current schema; a newer side's fields would be dropped, so leave it to git
+    try {
+      versions = versions.map(v => (v && typeof v === "object" ? upgradeVCMPayload(v, path.basename(oursPath)).payload : v));
+    } catch (err) {
+      if (!(err instanceof VCMSchemaError)) throw err;
+      log(`vcm: ${err.message}`);
+      return mergeLines("mirror comes from a newer version of VCM");
+    }
+
+    const [base, ours, theirs] = versions;
+    const result = mergeVCMPayloads({ base, ours, theirs });
+    await fs.writeFile(oursPath, result.text, "utf8");
+
+    const file = ours?.file || theirs?.file || path.basename(oursPath);
+    for (const conflict of result.conflicts) {
+      const label = (getCommentText(conflict.ours).split("\n")[0] || "").trim().slice(0, 60);
+      log(`CONFLICT ${file}: both sides edited  ${label}`);
+    }
+    return result.conflicts.length === 0;
+  }
+
+  async function run(command, paths) {
+    if (command === "merge-driver") return mergeDriver(paths);
+    if (command === "precommit") return precommit();
+    if (!commands[command]) throw new UsageError(`Unknown command ${command}`);
+
+    // Mirrors from a newer version are refused file by file; say so up front.
+    // Older ones are upgraded in memory and only rewritten when a command writes them anyway
+    if (command !== "status" && command !== "reviews") {
+      for (const dir of [vcmDir, vcmPrivateDir, ...(await getLayerNames()).map(layerDir)]) {
+        const { newer } = await store.checkVCMFiles(dir);
+        for (const err of newer) log(`warning  ${err.message}`);
+      }
+    }
+    let ok = true;
+    for (const target of await resolveTargets(paths)) {
+      try {
+        if (!(await commands[command](target.relativePath, target))) ok = false;
+      } catch (err) {
+        log(`error    ${target.relativePath}: ${err?.message || String(err)}`);
+        ok = false;
+      }
+    }
+    return ok;
+  }
+
+  return { run };
+}
+
+async function main(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+    if (args.help) {
+      console.log(USAGE);
+      return 0;
+    }
+    if (!args.command) throw new UsageError("Missing command");
+    const cli = createCLI({
+      root: args.root,
+      includePrivate: args.private,
+      fix: args.fix || process.env.VCM_AUTOFIX === "1",
+    });
+    return (await cli.run(args.command, args.paths)) ? 0 : 1;
+  } catch (err) {
+    if (err instanceof UsageError) {
+      console.error(`vcm: ${err.message}\n\n${USAGE}`);
+      return 2;
+    }
+    throw err;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => process.exit(code),
+    (err) => {
+      console.error(`vcm: ${err?.message || String(err)}`);
+      process.exit(2);
+    }
+  );
+}
+
+module.exports = { createCLI, main };
@@ -0,0 +1,174 @@
+// ==============================================================================
+// VCM core
+// ==============================================================================
+// Everything needed to parse, strip, inject and mirror comments, with no
+// dependency on the vscode module. The extension (vcm.js), the CLI (bin/vcm.js)
+// and the tests (test/) all build on this. Mirror I/O goes through a filesystem
+// adapter: src/fs/vscodeFs.js in the extension, src/fs/nodeFs.js everywhere else.
+
+const { parseDocComs, addPrimaryAnchors } = require("../vcm/utils_copycode/parseDocComs");
+const { injectComments, stripComments, resolveCommentPlacements } = require("../helpers_subroutines/injectExtractComments");
+const { injectMissingPrivateComments } = require("../helpers_subroutines/injectMissingPrivateComments");
+const { stripVisibleStores } = require("../helpers_subroutines/stripVisibleStores");
+const { generateCommentedVersion } = require("../helpers_subroutines/generateCommentedVersion");
+const { createDetectors } = require("../helpers_subroutines/detectModes");
+const { findOrphanedComments, reattachComment, reanchorFuzzyMatches } = require("../helpers_subroutines/orphanedComments");
+const { verifyRoundTrip } = require("../helpers_subroutines/verifyRoundTrip");
+const { locateComment } = require("../helpers_subroutines/locateComment");
+const { replaceCommentText } = require("../helpers_subroutines/replaceCommentText");
+const { searchComments, buildCommentMatcher } = require("../helpers_subroutines/searchComments");
+const { mapHiddenComments, findHiddenCommentsAtLine, formatCommentPreview, buildVirtualCommentLines } = require("../helpers_subroutines/hiddenComments");
+const { isCheckedForCommit, findCommitViolations } = require("../helpers_subroutines/precommitCheck");
+const { mergeIntoVCMs } = require("../vcm/helpers_subroutines/mergeIntoVCMs");
+const { mergeVCMPayloads } = require("../vcm/helpers_subroutines/mergeVCMPayloads");
+const { syncMirrors } = require("../vcm/helpers_subroutines/syncMirrors");
+const { applyAnchorEdits } = require("../vcm/helpers_subroutines/applyAnchorEdits");
+const { createAnchorEditTracker } = require("../helpers_subroutines/anchorEditTracker");
+const { createVCMWriters } = require("../vcm/helpers_subroutines/createVCMFiles");
+const { createVCMReaders } = require("../vcm/utils_copycode/readBothVCMs");
+const { createVCMFileExists } = require("../vcm/utils_copycode/vcmFileExists");
+const { createVCMLister } = require("../vcm/utils_copycode/listVCMFiles");
+const { createVCMPaths } = require("../vcm/utils_copycode/getVCMPaths");
+const { createMirrorMover } = require("../vcm/helpers_subroutines/moveMirrors");
+const { createMirrorArchiver } = require("../vcm/helpers_subroutines/archiveMirrors");
+const { createVCMChecker } = require("../vcm/helpers_subroutines/checkVCMFiles");
+const {
+  createWorkspaceCommentLister,
+  matchesCommentFilter,
+  summarizeComment,
+  DEFAULT_COMMENT_FILTER,
+} = require("../vcm/helpers_subroutines/listWorkspaceComments");
+const { generateCommentId, deriveCommentId, ensureCommentIds, correlateCommentIds } = require("../utils_copycode/commentIds");
+const { formatGitAuthor, readGitAuthor, describeAuthorship } = require("../utils_copycode/commentAuthorship");
+const { addReply, deleteReply, setThreadResolved, hasThread, mergeThreads } = require("../utils_copycode/commentThreads");
+const {
+  DEFAULT_HISTORY_LIMIT,
+  restoreCommentRevision,
+  revisionText,
+} = require("../utils_copycode/commentHistory");
+const {
+  isReview,
+  isResolvedReview,
+  markReview,
+  unmarkReview,
+  setReviewResolved,
+  collectReviews,
+} = require("../utils_copycode/reviewComments");
+const {
+  SHARED_LAYER,
+  PRIVATE_LAYER,
+  isValidLayerName,
+  normalizeLayerNames,
+  layerOf,
+  assertLayerStore,
+  moveCommentToLayer,
+} = require("../utils_copycode/commentLayers");
+const { findMovedFiles } = require("../helpers_subroutines/findMovedFiles");
+const { buildVCMPayload } = require("../vcm/utils_copycode/buildVCMPayload");
+const { CURRENT_SCHEMA_VERSION, VCMSchemaError, upgradeVCMPayload } = require("../vcm/utils_copycode/vcmSchema");
+const { mergeSharedTextCleanMode } = require("../utils_copycode/mergeTextCleanMode");
+const { getCommentFlagsAtLine } = require("../utils_copycode/commentFlagsAtLine");
+const { buildContextKey } = require("../utils_copycode/buildContextKey");
+const { getCommentText } = require("../utils_copycode/getCommentText");
+const { isSameComment } = require("../utils_copycode/isSameComment");
+const { isAlwaysShow } = require("../utils_copycode/isAlwaysShow");
+const { isFrozen } = require("../utils_copycode/isFrozen");
+
+/**
+ * All mirror read/write helpers bound to one filesystem adapter.
+ * @param {Object} fs - VCM filesystem adapter (vscodeFs or nodeFs)
+ * @returns {Object} { readSharedVCM, readPrivateVCM, readLayerVCM, readBothVCMs, writeSharedVCM,
+ *                     writePrivateVCM, writeLayerVCM, vcmFileExists, listVCMFiles, getVCMPaths,
+ *                     getLayerDir, listLayerNames, moveMirrors,
+ *                     transferMirror, deleteMirror, archiveMirrors, listArchivedMirrors,
+ *                     restoreArchivedMirror, deleteArchivedMirror, checkVCMFiles,
+ *                     listWorkspaceComments }
+ */
+function createVCMStore(fs) {
+  return {
+    ...createVCMReaders(fs),
+    ...createVCMWriters(fs),
+    ...createVCMFileExists(fs),
+    ...createVCMLister(fs),
+    ...createVCMPaths(fs),
+    ...createMirrorMover(fs),
+    ...createMirrorArchiver(fs),
+    ...createVCMChecker(fs),
+    ...createWorkspaceCommentLister(fs),
+  };
+}
+
+module.exports = {
+  createVCMStore,
+  createDetectors,
+  parseDocComs,
+  addPrimaryAnchors,
+  injectComments,
+  stripComments,
+  stripVisibleStores,
+  resolveCommentPlacements,
+  injectMissingPrivateComments,
+  generateCommentedVersion,
+  mergeIntoVCMs,
+  mergeVCMPayloads,
+  mergeSharedTextCleanMode,
+  syncMirrors,
+  applyAnchorEdits,
+  createAnchorEditTracker,
+  findOrphanedComments,
+  reattachComment,
+  reanchorFuzzyMatches,
+  verifyRoundTrip,
+  mapHiddenComments,
+  findHiddenCommentsAtLine,
+  formatCommentPreview,
+  buildVirtualCommentLines,
+  locateComment,
+  replaceCommentText,
+  searchComments,
+  buildCommentMatcher,
+  matchesCommentFilter,
+  summarizeComment,
+  DEFAULT_COMMENT_FILTER,
+  isCheckedForCommit,
+  findCommitViolations,
+  findMovedFiles,
+  buildVCMPayload,
+  CURRENT_SCHEMA_VERSION,
+  VCMSchemaError,
+  upgradeVCMPayload,
+  getCommentFlagsAtLine,
+  buildContextKey,
+  getCommentText,
+  isSameComment,
+  generateCommentId,
+  deriveCommentId,
+  ensureCommentIds,
+  correlateCommentIds,
+  formatGitAuthor,
+  readGitAuthor,
+  describeAuthorship,
+  DEFAULT_HISTORY_LIMIT,
+  restoreCommentRevision,
+  revisionText,
+  addReply,
+  deleteReply,
+  setThreadResolved,
+  hasThread,
+  mergeThreads,
+  isReview,
+  isResolvedReview,
+  markReview,
+  unmarkReview,
+  setReviewResolved,
+  collectReviews,
+  SHARED_LAYER,
+  PRIVATE_LAYER,
+  isValidLayerName,
+  normalizeLayerNames,
+  layerOf,
+  assertLayerStore,
+  moveCommentToLayer,
+  isAlwaysShow,
+  isFrozen,
+};
@@ -0,0 +1,41 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// ===========================================================================
+// VCM filesystem adapter: Node fs (CLI and tests)
+// ===========================================================================
+// Same interface as vscodeFs (see src/fs/vscodeFs.js); paths are plain strings.
+
+const nodeFs = {
+  join(base, ...segments) {
+    return path.join(base, ...segments);
+  },
+
+  async readFile(filePath) {
+    return fs.readFile(filePath, "utf8");
+  },
+
+  async writeFile(filePath, text) {
+    await fs.writeFile(filePath, text, "utf8");
+  },
+
+  async stat(filePath) {
+    const stat = await fs.stat(filePath);
+    return { isDirectory: stat.isDirectory() };
+  },
+
+  async createDirectory(dirPath) {
+    await fs.mkdir(dirPath, { recursive: true });
+  },
+
+  async delete(filePath) {
+    await fs.rm(filePath, { recursive: true });
+  },
+
+  async readDirectory(dirPath) {
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    return entries.map(entry => [entry.name, entry.isDirectory()]);
+  },
+};
+
+module.exports = { nodeFs };
@@ -0,0 +1,50 @@
+const vscode = require("vscode");
+
+// ===========================================================================
+// VCM filesystem adapter: VS Code workspace.fs
+// ===========================================================================
+// Every module that touches .vcm files goes through this interface instead of
+// calling vscode.workspace.fs directly, so the same code runs headless with
+// nodeFs (CLI, tests). Paths are opaque to callers: build them with join().
+//
+//   join(base, ...segments)  -> path
+//   readFile(path)           -> Promise<string>      (rejects if missing)
+//   writeFile(path, text)    -> Promise<void>
+//   stat(path)               -> Promise<{ isDirectory }> (rejects if missing)
+//   createDirectory(path)    -> Promise<void>        (recursive, ok if exists)
+//   delete(path)             -> Promise<void>        (rejects if missing)
+//   readDirectory(path)      -> Promise<[name, isDirectory][]>
+
+const vscodeFs = {
+  join(base, ...segments) {
+    return vscode.Uri.joinPath(base, ...segments);
+  },
+
+  async readFile(uri) {
+    return (await vscode.workspace.fs.readFile(uri)).toString();
+  },
+
+  async writeFile(uri, text) {
+    await vscode.workspace.fs.writeFile(uri, Buffer.from(text, "utf8"));
+  },
+
+  async stat(uri) {
+    const stat = await vscode.workspace.fs.stat(uri);
+    return { isDirectory: (stat.type & vscode.FileType.Directory) !== 0 };
+  },
+
+  async createDirectory(uri) {
+    await vscode.workspace.fs.createDirectory(uri);
+  },
+
+  async delete(uri) {
+    await vscode.workspace.fs.delete(uri);
+  },
+
+  async readDirectory(uri) {
+    const entries = await vscode.workspace.fs.readDirectory(uri);
+    return entries.map(([name, type]) => [name, type === vscode.FileType.Directory]);
+  },
+};
+
+module.exports = { vscodeFs };
@@ -0,0 +1,165 @@
+// ==============================================================================
+// Anchor edit tracker (clean mode)
+// ==============================================================================
+// In clean mode the comments live only in the VCM, so when the user deletes or
+// moves a code line nothing in the document tells us which comments went with it.
+// This tracker keeps a line snapshot per open document and, for every edit,
+// records which whole lines disappeared and which appeared. saveVCM takes the
+// collected edits (once, when it computes the save; a save that is never written
+// gives them back) and lets applyAnchorEdits decide: a line that vanished and
+// came back elsewhere was moved; a line that vanished for good was deleted.
+//
+// A removal with no matching insertion yet is not "for good" straight away: a cut,
+// an (auto)save and then the paste is still a move. Unmatched removals stay pending
+// across saves until the move window expires (then they are handed out as deletions)
+// or the document closes (then they are dropped and their comments stay orphaned).
+//
+// Only line-count-changing edits are recorded. Typing inside a line changes its
+// hash but is an edit, not a deletion, so those comments are left alone.
+
+// Build a multiset (Map<text, count>) of the non-blank trimmed lines in a slice
+function countLines(lines) {
+  const counts = new Map();
+  for (const line of lines) {
+    const key = line.trim();
+    if (!key) continue;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+// Lines in `a` that are not in `b` (multiset difference), capped at `limit`
+function subtractLines(a, b, limit) {
+  const result = [];
+  for (const [key, count] of a) {
+    const extra = count - (b.get(key) || 0);
+    for (let i = 0; i < extra && result.length < limit; i++) result.push(key);
+  }
+  return result;
+}
+
+// How long a removed line waits for its paste before it counts as deleted
+const DEFAULT_MOVE_WINDOW_MS = 5 * 60 * 1000;
+
+/**
+ * @param {Object} options - { moveWindowMs, now } (now() -> ms, for tests)
+ */
+function createAnchorEditTracker({ moveWindowMs = DEFAULT_MOVE_WINDOW_MS, now = Date.now } = {}) {
+  const snapshots = new Map(); // fsPath -> string[] (last known lines)
+  const pending = new Map();   // fsPath -> { removed: [{ key, at }], inserted: Map<text, count> }
+
+  function snapshot(doc) {
+    snapshots.set(doc.uri.fsPath, doc.getText().split("\n"));
+  }
+
+  function addCounts(target, keys) {
+    for (const key of keys) target.set(key, (target.get(key) || 0) + 1);
+  }
+
+  /**
+   * Record the lines removed/inserted by a text document change.
+   * The snapshot is always refreshed; lines are only recorded when `track` is true
+   * (i.e. the file is in clean mode and the edit came from the user, not from VCM).
+   * @param {vscode.TextDocumentChangeEvent} e - Change event
+   * @param {Object} options - { track: boolean }
+   */
+  function recordChange(e, { track }) {
+    const doc = e.document;
+    const key = doc.uri.fsPath;
+    const oldLines = snapshots.get(key);
+    const newLines = doc.getText().split("\n");
+    snapshots.set(key, newLines);
+
+    if (!track || !oldLines || e.contentChanges.length === 0) return;
+
+    // Affected window in the old document, and the same window shifted in the new one
+    const startLine = Math.min(...e.contentChanges.map(c => c.range.start.line));
+    const endLine = Math.max(...e.contentChanges.map(c => c.range.end.line));
+    const delta = newLines.length - oldLines.length;
+    if (delta === 0) return; // Edits within lines only
+
+    const oldSlice = countLines(oldLines.slice(startLine, endLine + 1));
+    const newSlice = countLines(newLines.slice(startLine, endLine + 1 + delta));
+
+    if (!pending.has(key)) pending.set(key, { removed: [], inserted: new Map() });
+    const entry = pending.get(key);
+    const at = now();
+    if (delta < 0) entry.removed.push(...subtractLines(oldSlice, newSlice, -delta).map(line => ({ key: line, at })));
+    else addCounts(entry.inserted, subtractLines(newSlice, oldSlice, delta));
+  }
+
+  // Split the pending removals: matched by an insertion (moved) or past the move
+  // window (deleted) are ready; the rest keep waiting for their paste
+  function settle(entry) {
+    const unmatched = new Map(entry.inserted);
+    const ready = new Map();
+    const waiting = [];
+    const time = now();
+    for (const removal of entry.removed) {
+      if (unmatched.get(removal.key) > 0) {
+        unmatched.set(removal.key, unmatched.get(removal.key) - 1);
+        addCounts(ready, [removal.key]);
+      } else if (time - removal.at >= moveWindowMs) {
+        addCounts(ready, [removal.key]);
+      } else {
+        waiting.push(removal);
+      }
+    }
+    return { ready, waiting };
+  }
+
+  /**
+   * The edits a save would apply now, without consuming them.
+   * @param {string} fsPath - Document fsPath
+   * @returns {{ removed: Map<string, number>, inserted: Map<string, number> } | null}
+   */
+  function peekAnchorEdits(fsPath) {
+    const entry = pending.get(fsPath);
+    if (!entry) return null;
+    const { ready } = settle(entry);
+    return ready.size === 0 ? null : { removed: ready, inserted: new Map(entry.inserted) };
+  }
+
+  /**
+   * Return and clear the edits that are ready for a file: moved lines, and removed
+   * lines whose move window has expired. Removals still waiting for a paste stay
+   * pending for the next call.
+   * @param {string} fsPath - Document fsPath
+   * @returns {{ removed: Map<string, number>, inserted: Map<string, number> } | null}
+   */
+  function takeAnchorEdits(fsPath) {
+    const entry = pending.get(fsPath);
+    if (!entry) return null;
+    const { ready, waiting } = settle(entry);
+    if (waiting.length > 0) pending.set(fsPath, { removed: waiting, inserted: new Map() });
+    else pending.delete(fsPath);
+    return ready.size === 0 ? null : { removed: ready, inserted: entry.inserted };
+  }
+
+  /**
+   * Give back edits taken for a save that was never written. They are ready again,
+   * ahead of anything recorded since, for the next takeAnchorEdits.
+   * @param {string} fsPath - Document fsPath
+   * @param {{ removed: Map<string, number>, inserted: Map<string, number> } | null} edits - From takeAnchorEdits
+   */
+  function restoreAnchorEdits(fsPath, edits) {
+    if (!edits) return;
+    if (!pending.has(fsPath)) pending.set(fsPath, { removed: [], inserted: new Map() });
+    const entry = pending.get(fsPath);
+    const restored = [];
+    for (const [key, count] of edits.removed) {
+      for (let i = 0; i < count; i++) restored.push({ key, at: -Infinity });
+    }
+    entry.removed.unshift(...restored);
+    for (const [key, count] of edits.inserted) entry.inserted.set(key, (entry.inserted.get(key) || 0) + count);
+  }
+
+  function forget(fsPath) {
+    snapshots.delete(fsPath);
+    pending.delete(fsPath);
+  }
+
+  return { snapshot, recordChange, peekAnchorEdits, takeAnchorEdits, restoreAnchorEdits, forget };
+}
+
+module.exports = { createAnchorEditTracker, DEFAULT_MOVE_WINDOW_MS };
@@ -21,7 +21,8 @@ async function commentedModeBehavior({
   readVCM,
   writeVCM,
   vcmDir,
-  injectFn = injectComments
+  injectFn = injectComments,
+  injectOptions = {}
 }) {
   let newText;
   try {
@@ -29,15 +30,17 @@ async function commentedModeBehavior({
     const mergedComments = mergeSharedTextCleanMode(existingComments);
     await writeVCM(relativePath, mergedComments, vcmDir);
     if (injectFn !== injectComments) {
-      newText = await injectFn(text, doc.uri.path, mergedComments);
+      newText = await injectFn(text, doc.uri.path, mergedComments, injectOptions);
     } else {
-      newText = await generateCommentedVersion(text, doc.uri.path, relativePath, readVCM, vcmDir);
+      newText = await generateCommentedVersion(text, doc.uri.path, relativePath, readVCM, vcmDir, injectOptions);
     }
   } catch {
     await saveVCM(doc, true);
     const comments = await readVCM(relativePath, vcmDir);
     const cleanText = stripComments(text, doc.uri.path, comments, { contextComments: comments });
-    newText = injectFn(cleanText, doc.uri.path, comments);
+    newText = injectFn === injectComments
+      ? injectComments(cleanText, doc.uri.path, comments, true, false, injectOptions)
+      : injectFn(cleanText, doc.uri.path, comments, injectOptions);
   }
   return newText;
 }
@@ -1,6 +1,7 @@
 const { buildContextKey } = require("../utils_copycode/buildContextKey");
 const { getCommentText } = require("../utils_copycode/getCommentText");
-const { isAlwaysShow } = require("./alwaysShow");
+const { isAlwaysShow } = require("../utils_copycode/isAlwaysShow");
+const { isResolvedReview } = require("../utils_copycode/reviewComments");
 
 function createDetectors({
   readSharedVCM,
@@ -8,8 +9,9 @@ function createDetectors({
   readPrivateVCM,
   vcmPrivateDir,
   parseDocComs,
-  vscode,
+  asRelativePath, // (uri) => workspace-relative path (vscode.workspace.asRelativePath in the extension)
   vcmFileExists,
+  readLayerVCM = null, // (relativePath, layerDir, layer) => records of a named layer (see commentLayers.js)
 }) {
 
   // SHARED MODE DETECTION: clean vs commented
@@ -19,7 +21,7 @@ function createDetectors({
     const storedMode = typeof opts.storedMode === "boolean" ? opts.storedMode : undefined;
 
     // get file path relative to workspace root e.g. src/file.ts instead of full file:///...)
-    const relativePath = vscode.workspace.asRelativePath(doc.uri);
+    const relativePath = asRelativePath(doc.uri);
 
     try {
       const sharedVCMExists = await vcmFileExists(vcmDir, relativePath);
@@ -33,8 +35,9 @@ function createDetectors({
 
       const sharedComments = await readSharedVCM(relativePath, vcmDir);
 
-      // Toggleable shared = shared comments that are NOT alwaysShow.
-      const toggleableShared = sharedComments.filter((c) => !isAlwaysShow(c));
+      // Toggleable shared = shared comments that are NOT alwaysShow (nor resolved review
+      // notes, which are absent in both modes).
+      const toggleableShared = sharedComments.filter((c) => !isAlwaysShow(c) && !isResolvedReview(c));
 
       // All shared are alwaysShow → clean vs commented is visually identical.
       // Pick a stable default (isCommented = false → clean mode).
@@ -116,45 +119,62 @@ function createDetectors({
         return false;
       }
 
-      // Extract current comments from document (only need to check if ONE exists)
-      const text = doc.getText();
-      const docComments = parseDocComs(text, doc.uri.path);
+      return isFirstCommentVisible(doc, privateComments);
+    } catch (error) {
+      // On failure, err on the side of NOT hiding anything.
+      // Treat private as visible so no "hide private" operation runs based on bad detection.
+      return true;
+    }
+  }
 
-      // Only check the first private comment for efficiency (if one is visible, they all should be)
-      const firstPrivate = privateComments[0];
-      const firstPrivateKey = buildContextKey(firstPrivate);
-      const firstPrivateText = getCommentText(firstPrivate);
+  // Same detection for a named layer (.vcm/<layer>); same FALLBACK caveat
+  async function detectLayerVisibility(doc, relativePath, layerDir, layer) {
+    try {
+      if (!readLayerVCM || !(await vcmFileExists(layerDir, relativePath))) return false;
+      const layerComments = await readLayerVCM(relativePath, layerDir, layer);
+      if (!layerComments || layerComments.length === 0) return false;
+      return isFirstCommentVisible(doc, layerComments);
+    } catch (error) {
+      return true; // Same as private: never hide based on bad detection
+    }
+  }
 
-      // Check if the first private comment exists in current document
-      for (const current of docComments) {
-        const currentKey = buildContextKey(current);
+  function isFirstCommentVisible(doc, storeComments) {
+    // Extract current comments from document (only need to check if ONE exists)
+    const text = doc.getText();
+    const docComments = parseDocComs(text, doc.uri.path);
 
-        // Match by key (exact anchor match)
-        if (currentKey === firstPrivateKey) {
-          return true; // Found the first private comment in the document
-        }
+    // Only check the first comment for efficiency (if one is visible, they all should be)
+    const firstPrivate = storeComments[0];
+    const firstPrivateKey = buildContextKey(firstPrivate);
+    const firstPrivateText = getCommentText(firstPrivate);
 
-        // Match by text (in case anchor changed)
-        if (firstPrivateText) {
-          const currentText = getCommentText(current);
-          if (currentText === firstPrivateText) {
-            return true; // Found the first private comment by text match
-          }
-        }
+    // Check if the first comment exists in current document
+    for (const current of docComments) {
+      const currentKey = buildContextKey(current);
+
+      // Match by key (exact anchor match)
+      if (currentKey === firstPrivateKey) {
+        return true; // Found the first comment in the document
       }
 
-      // First private comment not found in document
-      return false;
-    } catch (error) {
-      // On failure, err on the side of NOT hiding anything.
-      // Treat private as visible so no "hide private" operation runs based on bad detection.
-      return true;
+      // Match by text (in case anchor changed)
+      if (firstPrivateText) {
+        const currentText = getCommentText(current);
+        if (currentText === firstPrivateText) {
+          return true; // Found the first comment by text match
+        }
+      }
     }
+
+    // First comment not found in document
+    return false;
   }
 
   return {
     detectInitialMode,
     detectPrivateVisibility,
+    detectLayerVisibility,
   };
 }
 
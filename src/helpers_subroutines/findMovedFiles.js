@@ -0,0 +1,84 @@
+const { hashLine } = require("../utils_copycode/hash");
+const { isolateCodeLine } = require("../utils_copycode/lineUtils");
+const { getCommentMarkersForFile } = require("../utils_copycode/commentMarkers");
+
+// ==============================================================================
+// Moved-file detection
+// ==============================================================================
+// Renames made outside the editor (git mv, git pull, a terminal mv) leave a mirror
+// whose source no longer exists and a source with no mirror. Pair them up by
+// content: a mirror's comments are anchored to code lines by hash, so the file
+// that still contains most of those anchor lines is where the source went.
+
+const extensionOf = (relativePath) => {
+  const name = relativePath.split("/").pop();
+  return name.includes(".") ? name.split(".").pop().toLowerCase() : "";
+};
+const baseNameOf = (relativePath) => relativePath.split("/").pop();
+
+// Distinct, non-empty anchor hashes of a mirror (block comments anchor once)
+function anchorHashesOf(comments) {
+  const hashes = new Set();
+  for (const c of comments) {
+    if (c.anchorText !== undefined && c.anchorText.trim() === "") continue;
+    if (c.anchor) hashes.add(c.anchor);
+  }
+  return hashes;
+}
+
+function lineHashesOf(text, relativePath) {
+  const markers = getCommentMarkersForFile(relativePath);
+  return new Set(text.split("\n").map(line => hashLine(isolateCodeLine(line, markers))));
+}
+
+/**
+ * Score every (missing mirror, unmirrored file) pair and pick the best one-to-one matches.
+ * Only files with the same extension are compared. Score = share of the mirror's
+ * anchor lines found in the candidate; a same file name breaks ties.
+ * @param {Object} options
+ * @param {Object[]} options.missing - [{ relativePath, comments }] mirrors whose source is gone
+ * @param {Object[]} options.candidates - [{ relativePath, text }] sources that have no mirror
+ * @param {number} options.minScore - Minimum share of anchors that must match (0..1)
+ * @returns {Object[]} [{ from, to, score }] best first
+ */
+function findMovedFiles({ missing, candidates, minScore = 0.6 }) {
+  const pairs = [];
+  const candidateHashes = new Map();
+
+  for (const mirror of missing) {
+    const anchors = anchorHashesOf(mirror.comments || []);
+    if (anchors.size === 0) continue;
+
+    for (const candidate of candidates) {
+      if (extensionOf(candidate.relativePath) !== extensionOf(mirror.relativePath)) continue;
+      if (!candidateHashes.has(candidate.relativePath)) {
+        candidateHashes.set(candidate.relativePath, lineHashesOf(candidate.text, candidate.relativePath));
+      }
+      const lines = candidateHashes.get(candidate.relativePath);
+
+      let found = 0;
+      for (const hash of anchors) if (lines.has(hash)) found++;
+      const score = found / anchors.size;
+      if (score < minScore) continue;
+
+      const sameName = baseNameOf(candidate.relativePath) === baseNameOf(mirror.relativePath);
+      pairs.push({ from: mirror.relativePath, to: candidate.relativePath, score, sameName });
+    }
+  }
+
+  pairs.sort((a, b) => b.score - a.score || b.sameName - a.sameName || a.to.localeCompare(b.to));
+
+  // Greedy: each mirror and each candidate is used at most once
+  const usedFrom = new Set();
+  const usedTo = new Set();
+  const matches = [];
+  for (const pair of pairs) {
+    if (usedFrom.has(pair.from) || usedTo.has(pair.to)) continue;
+    usedFrom.add(pair.from);
+    usedTo.add(pair.to);
+    matches.push({ from: pair.from, to: pair.to, score: pair.score });
+  }
+  return matches;
+}
+
+module.exports = { findMovedFiles };
@@ -3,7 +3,7 @@ const { parseDocComs } = require("../vcm/utils_copycode/parseDocComs");
 const { isSameComment } = require("../utils_copycode/isSameComment");
 const { mergeSharedTextCleanMode } = require("../utils_copycode/mergeTextCleanMode");
 
-async function generateCommentedVersion(text, filePath, relativePath, readSharedVCM, vcmDir) {
+async function generateCommentedVersion(text, filePath, relativePath, readSharedVCM, vcmDir, injectOptions = {}) {
   const existingSharedComments = await readSharedVCM(relativePath, vcmDir);
   const mergedSharedComments = mergeSharedTextCleanMode(existingSharedComments);
   const docComments = parseDocComs(text, filePath);
@@ -11,7 +11,7 @@ async function generateCommentedVersion(text, filePath, relativePath, readShared
     docComments.some((dc) => isSameComment(vcmComment, dc))
   );
   const cleanText = stripComments(text, filePath, stripTargets);
-  const newText = injectComments(cleanText, filePath, mergedSharedComments, true, false);
+  const newText = injectComments(cleanText, filePath, mergedSharedComments, true, false, injectOptions);
 
   return newText;
 }
@@ -0,0 +1,86 @@
+const { resolveCommentPlacements } = require("./injectExtractComments");
+const { getCommentText } = require("../utils_copycode/getCommentText");
+const { SHARED_LAYER, PRIVATE_LAYER } = require("../utils_copycode/commentLayers");
+
+// ============================================================================
+// mapHiddenComments() / findHiddenCommentsAtLine()
+// ============================================================================
+// Which mirrored comments that are NOT in the document would be injected at
+// which line: the placement injectComments would pick (anchor, primary context,
+// fuzzy anchor, prev/next), run against the current text. Used by the hover and
+// the gutter/CodeLens indicators in clean mode. Shared, private and each named
+// layer are resolved separately, like the inject passes; comments that resolve
+// nowhere (orphans) are never returned.
+// ============================================================================
+
+const orderOf = (c) => (Array.isArray(c.block) && c.block.length > 0 ? c.block[0].commentedLineIndex : c.commentedLineIndex) || 0;
+
+/**
+ * @param {string} text - Current document text
+ * @param {string} filePath - File path for determining comment markers
+ * @param {Object} hidden - { shared, private, layers: { name: comments } }: mirror comments currently hidden
+ * @param {Object} options - Placement options ({ fuzzyThreshold })
+ * @returns {Map<number, Object[]>} line index -> [{ comment, layer, isPrivate, position: "above" | "inline" }],
+ *   shared, then private, then the named layers, each in injection order
+ */
+function mapHiddenComments(text, filePath, hidden, options = {}) {
+  const byLine = new Map();
+  const add = (lineIndex, entry) => {
+    if (!byLine.has(lineIndex)) byLine.set(lineIndex, []);
+    byLine.get(lineIndex).push(entry);
+  };
+
+  const stores = [[SHARED_LAYER, hidden.shared || []], [PRIVATE_LAYER, hidden.private || []], ...Object.entries(hidden.layers || {})];
+  for (const [layer, comments] of stores) {
+    if (comments.length === 0) continue;
+    const isPrivate = layer === PRIVATE_LAYER;
+    const { blockMap, lineMap, inlineMap } = resolveCommentPlacements(text, filePath, comments, options);
+
+    const lineIndices = new Set([...blockMap.keys(), ...lineMap.keys(), ...inlineMap.keys()]);
+    for (const lineIndex of [...lineIndices].sort((a, b) => a - b)) {
+      const above = [...(blockMap.get(lineIndex) || []), ...(lineMap.get(lineIndex) || [])];
+      above.sort((a, b) => orderOf(a) - orderOf(b));
+      for (const comment of above) add(lineIndex, { comment, layer, isPrivate, position: "above" });
+      for (const comment of inlineMap.get(lineIndex) || []) add(lineIndex, { comment, layer, isPrivate, position: "inline" });
+    }
+  }
+  return byLine;
+}
+
+/**
+ * @param {string} text - Current document text
+ * @param {string} filePath - File path for determining comment markers
+ * @param {Object} hidden - { shared, private, layers: { name: comments } }: mirror comments currently hidden
+ * @param {number} lineIndex - Document line (0-based)
+ * @param {Object} options - Placement options ({ fuzzyThreshold })
+ * @returns {Object[]} [{ comment, layer, isPrivate, position: "above" | "inline" }], in injection order
+ */
+function findHiddenCommentsAtLine(text, filePath, hidden, lineIndex, options = {}) {
+  return mapHiddenComments(text, filePath, hidden, options).get(lineIndex) || [];
+}
+
+// One-line rendering of a comment for end-of-line decorations (block lines joined)
+function formatCommentPreview(comment) {
+  return getCommentText(comment).split("\n").map(l => l.trim()).filter(Boolean).join("  ");
+}
+
+/**
+ * Decoration text for virtual commented mode: per line, the comments injectComments
+ * would put above it followed by its inline comments, one entry per layer so they
+ * can be styled differently.
+ * @param {Map<number, Object[]>} byLine - mapHiddenComments() result
+ * @returns {Object[]} [{ line, text, layer, isPrivate }], by line, layers in mapHiddenComments order
+ */
+function buildVirtualCommentLines(byLine) {
+  const result = [];
+  for (const line of [...byLine.keys()].sort((a, b) => a - b)) {
+    const found = byLine.get(line);
+    for (const layer of new Set(found.map(f => f.layer))) {
+      const texts = found.filter(f => f.layer === layer).map(f => formatCommentPreview(f.comment));
+      result.push({ line, text: texts.join("  "), layer, isPrivate: layer === PRIVATE_LAYER });
+    }
+  }
+  return result;
+}
+
+module.exports = { mapHiddenComments, findHiddenCommentsAtLine, formatCommentPreview, buildVirtualCommentLines };
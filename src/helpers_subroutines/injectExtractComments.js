@@ -9,27 +9,43 @@ const { parseDocComs, addPrimaryAnchors } = require("../vcm/utils_copycode/parse
 const { buildContextKey } = require("../utils_copycode/buildContextKey");
 const { getCommentText } = require("../utils_copycode/getCommentText");
 const { isSameComment } = require("../utils_copycode/isSameComment");
-const { isAlwaysShow } = require("./alwaysShow");
+const { isAlwaysShow } = require("../utils_copycode/isAlwaysShow");
+const { isFrozen } = require("../utils_copycode/isFrozen");
+const { isResolvedReview } = require("../utils_copycode/reviewComments");
+const { getCommentOnlyLines } = require("../utils_copycode/anchorAtLine");
+const { DEFAULT_FUZZY_ANCHOR_THRESHOLD, findFuzzyAnchorLine } = require("../utils_copycode/lineSimilarity");
 
 /**
- * Inject ONLY the provided comments (except alwaysShow, which is never injected).
- * Caller passes either shared list or private list.
- * @param {boolean} sharedVisible - Whether shared comments are visible in the target document
- * @param {boolean} privateVisible - Whether private comments are visible in the target document
+ * Resolve where each comment would be injected into the clean text.
+ * This is the placement half of injectComments: anchor, primary context and
+ * prev/next fallbacks, in that order. Comments that resolve nowhere are returned
+ * in `unresolved` (injectComments skips them; the orphan view lists them).
+ * When the anchor hash is gone (anchor line edited), the most similar code line
+ * above `fuzzyThreshold` is used before the prev/next fallbacks; those placements
+ * are also listed in `fuzzyMatches` so callers can rewrite the stored hashes.
+ * alwaysShow comments are ignored (they live physically in the file), and so are
+ * resolved review notes unless `includeResolvedReviews` is set (to locate them).
+ * @param {string} cleanText - Text the comments would be injected into
+ * @param {string} filePath - File path for determining comment markers
+ * @param {Object[]} comments - VCM comments (shared or private list)
+ * @param {Object} options - { fuzzyThreshold, includeResolvedReviews }
+ *   fuzzyThreshold: 0..1, 1 = exact anchors only
+ * @returns {Object} { lines, blockMap, lineMap, inlineMap, unresolved, fuzzyMatches }
  */
-function injectComments(cleanText, filePath, comments = [], sharedVisible = true, privateVisible = false) {
+function resolveCommentPlacements(cleanText, filePath, comments = [], options = {}) {
+  const { fuzzyThreshold = DEFAULT_FUZZY_ANCHOR_THRESHOLD, includeResolvedReviews = false } = options;
   // split("\n") turns the code into an array of lines so you can loop by index.
   const lines = cleanText.split("\n");
-  const result = [];  // Where you'll push lines and comments in order, then join back later.
-  const pushLine = (line) => {
-    result.push(line);
-  };
+  const unresolved = [];
+  const fuzzyMatches = []; // { comment, lineIndex }
 
   // Get comment markers for this file type
   const commentMarkers = getCommentMarkersForFile(filePath);
 
-  // Never inject alwaysShow (those live physically in the file)
-  const commentsToInject = (comments || []).filter(c => !isAlwaysShow(c));
+  // Never inject alwaysShow (those live physically in the file), nor resolved review notes
+  const commentsToInject = (comments || []).filter(c =>
+    !isAlwaysShow(c) && (includeResolvedReviews || !isResolvedReview(c))
+  );
 
   // Create an empty Map to link each line's unique hash → all positions in the file where that line exists.
   // (handles duplicates)
@@ -81,7 +97,7 @@ function injectComments(cleanText, filePath, comments = [], sharedVisible = true
   }
 
   const shouldUsePrimaryAnchors = commentsToInject.some(
-    (c) => c.isPrivate && c.primaryAnchor
+    (c) => (c.isPrivate || c.layer) && c.primaryAnchor
   );
   let existingCommentsByPrimaryKey = null;
   let existingCommentsByKey = null;
@@ -201,6 +217,25 @@ function injectComments(cleanText, filePath, comments = [], sharedVisible = true
     return scores[0].idx;
   };
 
+  // Helper: Fuzzy fallback for comments whose anchor hash no longer exists anywhere
+  // (typically a rename on the anchor line). Comment-only lines are computed lazily.
+  // Only searched near where the anchor should be: its stored line index, and right
+  // after / before wherever its prev / next code line still is.
+  let commentOnlyLines = null;
+  const findFuzzyMatch = (comment) => {
+    if (!comment.anchor || lineHashToIndices.has(comment.anchor)) return null;
+    if (!commentOnlyLines) commentOnlyLines = getCommentOnlyLines(lines, filePath);
+    const expectedLines = [
+      ...(comment.commentedLineIndex !== undefined ? [comment.commentedLineIndex] : []),
+      ...(lineHashToIndices.get(comment.prevHash) || []).map(idx => idx + 1),
+      ...(lineHashToIndices.get(comment.nextHash) || []).map(idx => idx - 1),
+    ];
+    const lineIndex = findFuzzyAnchorLine(comment, lines, commentMarkers, commentOnlyLines, fuzzyThreshold, expectedLines);
+    if (lineIndex < 0) return null;
+    fuzzyMatches.push({ comment, lineIndex });
+    return [lineIndex];
+  };
+
   const blockComments = commentsToInject.filter(c => c.type === "block").sort((a, b) => (a.block?.[0]?.commentedLineIndex || 0) - (b.block?.[0]?.commentedLineIndex || 0));
 
   const lineComments = commentsToInject
@@ -237,6 +272,8 @@ function injectComments(cleanText, filePath, comments = [], sharedVisible = true
       }
     }
 
+    const pinned = isFrozen(block);
+
     // If no primary key match, try primaryAnchor as code line or existing comment
     if (!indices?.length && block.primaryAnchor) {
       indices = lineHashToIndices.get(block.primaryAnchor);
@@ -250,9 +287,19 @@ function injectComments(cleanText, filePath, comments = [], sharedVisible = true
       }
     }
 
+    // Frozen comments only resolve to their own anchor line (no context fallbacks)
+    if (!indices?.length && pinned) {
+      indices = lineHashToIndices.get(block.anchor);
+    }
+
+    // Anchor line edited -> most similar code line (before the context fallbacks)
+    if (!indices?.length && !pinned) {
+      indices = findFuzzyMatch(block);
+    }
+
     // Fall back to primary context hashes (can be comments or code)
     // Same logic as non-primary fallback, but checks both code lines and existing comments
-    if (!indices?.length && (block.primaryPrevHash || block.primaryNextHash)) {
+    if (!indices?.length && !pinned && (block.primaryPrevHash || block.primaryNextHash)) {
       // Find primaryPrevHash - could be code or comment
       let prevIndices = block.primaryPrevHash ? lineHashToIndices.get(block.primaryPrevHash) : null;
       if (!prevIndices?.length && block.primaryPrevHash && existingCommentHashToIndices?.has(block.primaryPrevHash)) {
@@ -295,7 +342,7 @@ function injectComments(cleanText, filePath, comments = [], sharedVisible = true
     }
 
     // Fall back to non-primary context hashes (code-only)
-    if (!indices?.length && (block.prevHash || block.nextHash)) {
+    if (!indices?.length && !pinned && (block.prevHash || block.nextHash)) {
       const prevIndices = block.prevHash ? lineHashToIndices.get(block.prevHash) : null;
       const nextIndices = block.nextHash ? lineHashToIndices.get(block.nextHash) : null;
 
@@ -320,6 +367,7 @@ function injectComments(cleanText, filePath, comments = [], sharedVisible = true
     }
 
     if (!indices?.length) {
+      unresolved.push(block);
       continue;
     }
 
@@ -348,6 +396,8 @@ function injectComments(cleanText, filePath, comments = [], sharedVisible = true
       }
     }
 
+    const pinned = isFrozen(lineComment);
+
     // If no primary key match, try primaryAnchor as code line or existing comment
     if (!indices?.length && lineComment.primaryAnchor) {
       indices = lineHashToIndices.get(lineComment.primaryAnchor);
@@ -361,8 +411,18 @@ function injectComments(cleanText, filePath, comments = [], sharedVisible = true
       }
     }
 
+    // Frozen comments only resolve to their own anchor line (no context fallbacks)
+    if (!indices?.length && pinned) {
+      indices = lineHashToIndices.get(lineComment.anchor);
+    }
+
+    // Anchor line edited -> most similar code line (before the context fallbacks)
+    if (!indices?.length && !pinned) {
+      indices = findFuzzyMatch(lineComment);
+    }
+
     // Fall back to primary context hashes (can be comments or code)
-    if (!indices?.length && (lineComment.primaryPrevHash || lineComment.primaryNextHash)) {
+    if (!indices?.length && !pinned && (lineComment.primaryPrevHash || lineComment.primaryNextHash)) {
       // Find primaryPrevHash - could be code or comment
       let prevIndices = lineComment.primaryPrevHash ? lineHashToIndices.get(lineComment.primaryPrevHash) : null;
       if (!prevIndices?.length && lineComment.primaryPrevHash && existingCommentHashToIndices?.has(lineComment.primaryPrevHash)) {
@@ -405,7 +465,7 @@ function injectComments(cleanText, filePath, comments = [], sharedVisible = true
     }
 
     // Fall back to non-primary context hashes (code-only)
-    if (!indices?.length && (lineComment.prevHash || lineComment.nextHash)) {
+    if (!indices?.length && !pinned && (lineComment.prevHash || lineComment.nextHash)) {
       const prevIndices = lineComment.prevHash ? lineHashToIndices.get(lineComment.prevHash) : null;
       const nextIndices = lineComment.nextHash ? lineHashToIndices.get(lineComment.nextHash) : null;
 
@@ -429,7 +489,10 @@ function injectComments(cleanText, filePath, comments = [], sharedVisible = true
       }
     }
 
-    if (!indices?.length) continue;
+    if (!indices?.length) {
+      unresolved.push(lineComment);
+      continue;
+    }
 
     const targetIndex = findBestMatch(lineComment, indices, usedIndices);
     // NOTE: Do NOT add to usedIndices - multiple line comments can share the same anchor
@@ -459,7 +522,12 @@ function injectComments(cleanText, filePath, comments = [], sharedVisible = true
       }
     }
 
-    if (candidateIndices.size === 0 && (inline.prevHash || inline.nextHash)) {
+    if (candidateIndices.size === 0 && !isFrozen(inline)) {
+      const fuzzyIndices = findFuzzyMatch(inline);
+      if (fuzzyIndices) candidateIndices.add(fuzzyIndices[0]);
+    }
+
+    if (candidateIndices.size === 0 && !isFrozen(inline) && (inline.prevHash || inline.nextHash)) {
       const prevIndices = inline.prevHash ? lineHashToIndices.get(inline.prevHash) : null;
       const nextIndices = inline.nextHash ? lineHashToIndices.get(inline.nextHash) : null;
 
@@ -480,13 +548,36 @@ function injectComments(cleanText, filePath, comments = [], sharedVisible = true
     }
 
     const indices = candidateIndices.size > 0 ? Array.from(candidateIndices) : null;
-    if (!indices?.length) continue;
+    if (!indices?.length) {
+      unresolved.push(inline);
+      continue;
+    }
 
     const targetIndex = findBestMatch(inline, indices, usedIndices);
     if (!inlineMap.has(targetIndex)) inlineMap.set(targetIndex, []);
     inlineMap.get(targetIndex).push(inline);
   }
 
+  return { lines, blockMap, lineMap, inlineMap, unresolved, fuzzyMatches };
+}
+
+/**
+ * Inject ONLY the provided comments (except alwaysShow, which is never injected,
+ * and resolved review notes, which stay in the VCM only).
+ * Caller passes either shared list or private list.
+ * Frozen comments are only placed at their own anchor line; if it is gone they are skipped
+ * (they stay in the VCM) instead of being relocated via prev/next context.
+ * @param {boolean} sharedVisible - Whether shared comments are visible in the target document
+ * @param {boolean} privateVisible - Whether private comments are visible in the target document
+ * @param {Object} options - Placement options passed to resolveCommentPlacements ({ fuzzyThreshold })
+ */
+function injectComments(cleanText, filePath, comments = [], sharedVisible = true, privateVisible = false, options = {}) {
+  const { lines, blockMap, lineMap, inlineMap } = resolveCommentPlacements(cleanText, filePath, comments, options);
+  const result = [];  // Where you'll push lines and comments in order, then join back later.
+  const pushLine = (line) => {
+    result.push(line);
+  };
+
   const injectAtIndex = new Map();
   const anchorIndices = new Set([...blockMap.keys(), ...lineMap.keys()]);
 
@@ -716,11 +807,18 @@ function stripComments(text, filePath, vcmComments = [], options = {}) {
       .filter((idx) => typeof idx === "number")
   );
   const usePrimaryMatching = stripTargets.some(
-    c => c.isPrivate && c.primaryPrevHash !== undefined
+    c => (c.isPrivate || c.layer) && c.primaryPrevHash !== undefined
   );
   const stripKeys = usePrimaryMatching
     ? null
     : new Set(stripTargets.map(c => buildContextKey(c)));
+  // Frozen comments keep their stored anchor even if the visible copy drifted,
+  // so also strip them by exact text to avoid leaving a stray copy behind.
+  const frozenTargetTexts = new Set(
+    stripTargets
+      .filter((c) => isFrozen(c))
+      .map((c) => `${c.type}:${getCommentText(c)}`)
+  );
 
   // Nothing to do
   if ((!stripKeys || stripKeys.size === 0) && stripTargets.length === 0) return text;
@@ -774,6 +872,9 @@ function stripComments(text, filePath, vcmComments = [], options = {}) {
         if (stripKeys.has(key)) matchesTarget = true;
       }
     }
+    if (!matchesTarget && frozenTargetTexts.has(`${current.type}:${getCommentText(current)}`)) {
+      matchesTarget = true;
+    }
     if (!matchesTarget) continue;
 
     if (current.type === "block" && Array.isArray(current.block)) {
@@ -837,6 +938,7 @@ function stripComments(text, filePath, vcmComments = [], options = {}) {
 }
 
 module.exports = {
+  resolveCommentPlacements,
   injectComments,
   stripComments,
 };
@@ -13,15 +13,16 @@ const { isSameComment } = require("../utils_copycode/isSameComment");
  * @param {string} text - Current document text
  * @param {string} filePath - File path for comment marker detection
  * @param {Array} privateComments - Private comments from VCM
+ * @param {Object} injectOptions - Placement options passed to injectComments
  * @returns {string} Text with missing private comments injected
  */
-function injectMissingPrivateComments(text, filePath, privateComments) {
+function injectMissingPrivateComments(text, filePath, privateComments, injectOptions = {}) {
   const existing = parseDocComs(text, filePath);
   addPrimaryAnchors(existing, { lines: text.split("\n") });
   const missingPrivate = privateComments.filter(c => !existing.some(e => isSameComment(e, c)));
 
   if (missingPrivate.length > 0) {
-    return injectComments(text, filePath, missingPrivate, true, true);
+    return injectComments(text, filePath, missingPrivate, true, true, injectOptions);
   }
 
   return text;
@@ -0,0 +1,13 @@
+const vscode = require("vscode");
+const { DEFAULT_FUZZY_ANCHOR_THRESHOLD } = require("../utils_copycode/lineSimilarity");
+
+// Placement options for injectComments / resolveCommentPlacements, read from user settings.
+// Read on every call so settings changes apply without reloading the window.
+function getInjectOptions() {
+  const config = vscode.workspace.getConfiguration("vcm-view-comments-mirror");
+  return {
+    fuzzyThreshold: config.get("fuzzyAnchorThreshold", DEFAULT_FUZZY_ANCHOR_THRESHOLD),
+  };
+}
+
+module.exports = { getInjectOptions };
@@ -0,0 +1,32 @@
+const { parseDocComs, addPrimaryAnchors } = require("../vcm/utils_copycode/parseDocComs");
+const { correlateCommentIds } = require("../utils_copycode/commentIds");
+const { mapHiddenComments } = require("./hiddenComments");
+
+// First document line of a parsed comment
+const lineOf = (c) => (c.type === "block" && c.block?.length ? c.block[0].commentedLineIndex : c.commentedLineIndex);
+
+/**
+ * Where a mirror comment is in the document (commented mode, always-show) or where
+ * injectComments would put it (hidden): correlation by stable id first, then the
+ * injection placement against the current text. Resolved review notes are located
+ * where they would go if they were still injected.
+ * @param {string} text - Current document text
+ * @param {string} filePath - File path for determining comment markers
+ * @param {Object} comment - Mirror record
+ * @param {Object} options - Placement options ({ fuzzyThreshold })
+ * @returns {{ line: number, inDocument: boolean } | null} null when it resolves nowhere (orphan)
+ */
+function locateComment(text, filePath, comment, options = {}) {
+  if (comment.id) {
+    const docComments = parseDocComs(text, filePath);
+    addPrimaryAnchors(docComments, { lines: text.split("\n") });
+    correlateCommentIds(docComments, [comment]);
+    const present = docComments.find(c => c.id === comment.id);
+    if (present) return { line: lineOf(present), inDocument: true };
+  }
+
+  const [line] = mapHiddenComments(text, filePath, { shared: [comment] }, { ...options, includeResolvedReviews: true }).keys();
+  return line === undefined ? null : { line, inDocument: false };
+}
+
+module.exports = { locateComment };
@@ -0,0 +1,79 @@
+const { resolveCommentPlacements } = require("./injectExtractComments");
+const { isAlwaysShow } = require("../utils_copycode/isAlwaysShow");
+const { getAnchorFieldsAtLine, indexCodeLinesByHash } = require("../utils_copycode/anchorAtLine");
+
+// ==============================================================================
+// Orphaned comments
+// ==============================================================================
+// A VCM record is orphaned when its anchor code line no longer exists in the file.
+// injectComments then either drops it or places it via prev/next context, and
+// neither is visible to the user. These helpers find such records and re-attach
+// them to a line the user picks.
+
+/**
+ * Find every comment whose anchor line no longer exists in the document.
+ * @param {string} text - Current document text (clean or commented)
+ * @param {string} filePath - File path for determining comment markers
+ * @param {Object[]} comments - VCM comments (shared or private list)
+ * @param {Object} options - Placement options ({ fuzzyThreshold })
+ * @returns {Object[]} [{ comment, placed }] - placed = still injected somewhere via a fallback
+ */
+function findOrphanedComments(text, filePath, comments = [], options = {}) {
+  const codeLinesByHash = indexCodeLinesByHash(text.split("\n"), filePath);
+  // Resolved review notes are never injected, but they are orphaned all the same
+  const { unresolved } = resolveCommentPlacements(text, filePath, comments, { ...options, includeResolvedReviews: true });
+  const lost = new Set(unresolved);
+
+  return comments
+    .filter(c => !isAlwaysShow(c) && c.anchor && !codeLinesByHash.has(c.anchor))
+    .map(c => ({ comment: c, placed: !lost.has(c) }));
+}
+
+/**
+ * Re-attach a comment to a code line, rewriting its anchor/context hashes (in place).
+ * Primary fields are rewritten too when present, otherwise the stale primary context
+ * would keep pulling the comment back to where it used to be.
+ * @param {Object} comment - VCM comment to re-attach
+ * @param {string[]} lines - Clean document lines
+ * @param {number} lineIndex - Index of the code line to attach to
+ * @param {string} filePath - File path for determining comment markers
+ * @returns {Object} The same comment object
+ */
+function reattachComment(comment, lines, lineIndex, filePath) {
+  const fields = getAnchorFieldsAtLine(lines, lineIndex, filePath);
+  Object.assign(comment, fields);
+
+  const hasPrimary =
+    comment.primaryAnchor !== undefined ||
+    comment.primaryPrevHash !== undefined ||
+    comment.primaryNextHash !== undefined;
+  if (hasPrimary && comment.type !== "inline") {
+    comment.primaryPrevHash = fields.prevHash;
+    comment.primaryPrevHashText = fields.prevHashText;
+    comment.primaryAnchor = fields.anchor;
+    comment.primaryAnchorText = fields.anchorText;
+    comment.primaryNextHash = fields.nextHash;
+    comment.primaryNextHashText = fields.nextHashText;
+  }
+
+  return comment;
+}
+
+/**
+ * Rewrite the hashes of comments that only resolve through the fuzzy fallback
+ * (anchor line edited), so the next inject finds them by exact hash again.
+ * @param {string} text - Clean document text
+ * @param {string} filePath - File path for determining comment markers
+ * @param {Object[]} comments - VCM comments, updated in place
+ * @param {Object} options - Placement options ({ fuzzyThreshold })
+ * @returns {number} Number of comments re-anchored
+ */
+function reanchorFuzzyMatches(text, filePath, comments = [], options = {}) {
+  const { lines, fuzzyMatches } = resolveCommentPlacements(text, filePath, comments, { ...options, includeResolvedReviews: true });
+  for (const { comment, lineIndex } of fuzzyMatches) {
+    reattachComment(comment, lines, lineIndex, filePath);
+  }
+  return fuzzyMatches.length;
+}
+
+module.exports = { findOrphanedComments, reattachComment, reanchorFuzzyMatches };
@@ -0,0 +1,46 @@
+// ==============================================================================
+// Git pre-commit hook script
+// ==============================================================================
+// The hook just runs the bundled CLI (bin/vcm.js precommit). The marker line lets
+// us recognise our own hook so it can be replaced/refreshed without asking, and
+// a hook someone else wrote is never overwritten silently.
+
+const HOOK_MARKER = "# vcm-pre-commit-hook";
+
+/**
+ * @param {string} cliPath - Absolute path to bin/vcm.js
+ * @param {boolean} autoFix - Strip and re-stage instead of failing the commit
+ * @returns {string} Hook script text
+ */
+function buildPreCommitHook(cliPath, autoFix = false) {
+  return [
+    "#!/bin/sh",
+    HOOK_MARKER,
+    "# Installed by VCM: sources are committed in clean mode, comments live in .vcm/.",
+    "# Skip once with: git commit --no-verify",
+    `exec node "${cliPath.replace(/(["\\$`])/g, "\\$1")}" precommit${autoFix ? " --fix" : ""}`,
+    "",
+  ].join("\n");
+}
+
+/**
+ * @param {string|null} text - Existing hook file contents
+ * @returns {boolean} The hook was installed by VCM
+ */
+function isVCMHook(text) {
+  return typeof text === "string" && text.includes(HOOK_MARKER);
+}
+
+/**
+ * @param {string} text - Existing VCM hook
+ * @returns {{ cliPath: string|null, autoFix: boolean }}
+ */
+function parsePreCommitHook(text) {
+  const match = /^exec node "((?:[^"\\]|\\.)*)" precommit( --fix)?$/m.exec(text || "");
+  return {
+    cliPath: match ? match[1].replace(/\\(.)/g, "$1") : null,
+    autoFix: !!match?.[2],
+  };
+}
+
+module.exports = { buildPreCommitHook, isVCMHook, parsePreCommitHook };
@@ -0,0 +1,66 @@
+const { parseDocComs, addPrimaryAnchors } = require("../vcm/utils_copycode/parseDocComs");
+const { getCommentText } = require("../utils_copycode/getCommentText");
+const { isSameComment } = require("../utils_copycode/isSameComment");
+const { isAlwaysShow } = require("../utils_copycode/isAlwaysShow");
+const { LINE_COMMENT_MARKERS, BLOCK_COMMENT_MARKERS } = require("../utils_copycode/commentMarkers");
+
+// ==============================================================================
+// Pre-commit check
+// ==============================================================================
+// Team policy: sources are committed in clean mode and comments live in .vcm/.
+// Given a staged file's text and its mirrors, list the comments that break it:
+//   - shared:     toggleable shared comments still visible (commented mode, or typed
+//                 in clean mode and not stripped yet)
+//   - private:    private comments visible (would publish them)
+//   - layers:     comments of a named layer visible (same; see commentLayers.js)
+//   - unmirrored: comments that are in no mirror at all
+// alwaysShow comments are meant to be committed and are never reported.
+
+/**
+ * Only files in a language VCM knows are checked; everything else (.gitignore,
+ * Makefile, .json ...) would otherwise match the catch-all default markers.
+ * @param {string} relativePath - Repo-relative path
+ * @returns {boolean}
+ */
+function isCheckedForCommit(relativePath) {
+  if (relativePath.startsWith(".vcm/")) return false;
+  const name = relativePath.split("/").pop();
+  if (!name.includes(".")) return false;
+  const ext = name.split(".").pop().toLowerCase();
+  return ext in LINE_COMMENT_MARKERS || ext in BLOCK_COMMENT_MARKERS;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.text - Staged file text
+ * @param {string} options.filePath - File path for determining comment markers
+ * @param {Object[]} options.sharedComments - Shared mirror
+ * @param {Object[]} options.privateComments - Private mirror
+ * @param {Object} options.layerComments - Named layer -> that layer's mirror
+ * @returns {{ shared: Object[], private: Object[], layers: Object[], unmirrored: Object[] }}
+ *   Offending doc comments (layers: [{ layer, comment }])
+ */
+function findCommitViolations({ text, filePath, sharedComments = [], privateComments = [], layerComments = {} }) {
+  const docComments = parseDocComs(text, filePath);
+  addPrimaryAnchors(docComments, { lines: text.split("\n") });
+
+  const matches = (records, docComment) =>
+    records.some(c => isSameComment(c, docComment)) ||
+    records.some(c => c.type === docComment.type && getCommentText(c) === getCommentText(docComment));
+
+  const alwaysShow = sharedComments.filter(c => isAlwaysShow(c));
+  const toggleable = sharedComments.filter(c => !isAlwaysShow(c));
+  const result = { shared: [], private: [], layers: [], unmirrored: [] };
+
+  for (const c of docComments) {
+    if (matches(alwaysShow, c)) continue;
+    const layer = Object.keys(layerComments).find(name => matches(layerComments[name], c));
+    if (matches(privateComments, c)) result.private.push(c);
+    else if (layer) result.layers.push({ layer, comment: c });
+    else if (matches(toggleable, c)) result.shared.push(c);
+    else result.unmirrored.push(c);
+  }
+  return result;
+}
+
+module.exports = { isCheckedForCommit, findCommitViolations };
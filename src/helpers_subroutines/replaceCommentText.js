@@ -0,0 +1,38 @@
+const { parseDocComs, addPrimaryAnchors } = require("../vcm/utils_copycode/parseDocComs");
+const { correlateCommentIds } = require("../utils_copycode/commentIds");
+
+/**
+ * Rewrites a comment that is in the document (commented mode, always-show, visible
+ * private) to another version of its text, e.g. a revision from its history. The
+ * next save then records the change like any edit. Code on the comment's line
+ * (inline comments) is kept.
+ * @param {string} text - Current document text
+ * @param {string} filePath - File path for determining comment markers
+ * @param {Object} comment - Mirror record (matched to the document by stable id)
+ * @param {Object} version - { text } for line/inline comments, { block } for block comments
+ * @returns {string|null} The new document text, or null when the comment isn't in the document
+ */
+function replaceCommentText(text, filePath, comment, version) {
+  if (!comment.id) return null;
+  const lines = text.split("\n");
+  const docComments = parseDocComs(text, filePath);
+  addPrimaryAnchors(docComments, { lines });
+  correlateCommentIds(docComments, [comment]);
+  const present = docComments.find(c => c.id === comment.id);
+  if (!present) return null;
+
+  if (present.type === "block") {
+    const first = present.block[0].commentedLineIndex;
+    const last = present.block[present.block.length - 1].commentedLineIndex;
+    const replacement = version.block ? version.block.map(b => b.text) : String(version.text).split("\n");
+    lines.splice(first, last - first + 1, ...replacement);
+  } else if (present.type === "inline") {
+    const line = lines[present.commentedLineIndex];
+    lines[present.commentedLineIndex] = line.slice(0, line.length - present.text.length) + version.text;
+  } else {
+    lines[present.commentedLineIndex] = version.text;
+  }
+  return lines.join("\n");
+}
+
+module.exports = { replaceCommentText };
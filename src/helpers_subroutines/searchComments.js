@@ -0,0 +1,60 @@
+// ============================================================================
+// searchComments()
+// ============================================================================
+// Hidden comments aren't in the source files, so editor search can't see them.
+// This searches the mirrors instead: every line of a comment's text, block and
+// text_cleanMode, one result per comment (its first matching line).
+// ============================================================================
+
+const SEARCH_FIELDS = ["text", "block", "text_cleanMode"];
+
+// Trimmed lines of one comment field (so ^ matches the comment marker): strings are
+// split on newlines, block arrays give their line texts
+function fieldLines(value) {
+  if (typeof value === "string") return value.split("\n").map(line => line.trim());
+  if (Array.isArray(value)) return value.map(line => (typeof line === "string" ? line : line?.text || "").trim());
+  return [];
+}
+
+/**
+ * @param {string} query - Text or regular expression source
+ * @param {Object} options - { regex, caseSensitive }
+ * @returns {Function|null} (line) => boolean, or null for an empty query
+ * @throws {SyntaxError} The regular expression is invalid
+ */
+function buildCommentMatcher(query, { regex = false, caseSensitive = false } = {}) {
+  if (!query) return null;
+  if (regex) {
+    const pattern = new RegExp(query, caseSensitive ? "" : "i");
+    return (line) => pattern.test(line);
+  }
+  const needle = caseSensitive ? query : query.toLowerCase();
+  return (line) => (caseSensitive ? line : line.toLowerCase()).includes(needle);
+}
+
+/**
+ * @param {Object[]} files - listWorkspaceComments() result
+ * @param {string} query - Text or regular expression source
+ * @param {Object} options - { regex, caseSensitive }
+ * @returns {Object[]} [{ relativePath, comment, isPrivate, field, matchText }] in file order
+ * @throws {SyntaxError} The regular expression is invalid
+ */
+function searchComments(files, query, options = {}) {
+  const matches = buildCommentMatcher(query, options);
+  if (!matches) return [];
+
+  const results = [];
+  for (const { relativePath, comments } of files) {
+    for (const { comment, isPrivate } of comments) {
+      for (const field of SEARCH_FIELDS) {
+        const matchText = fieldLines(comment[field]).find(line => matches(line));
+        if (matchText === undefined) continue;
+        results.push({ relativePath, comment, isPrivate, field, matchText });
+        break;
+      }
+    }
+  }
+  return results;
+}
+
+module.exports = { searchComments, buildCommentMatcher };
@@ -0,0 +1,30 @@
+// ==============================================================================
+// Strip visible private and named-layer comments (first half of going clean)
+// ==============================================================================
+// Private and named-layer comments are matched by their stored line index, which
+// stripping the shared comments above them would shift, so they all go first and
+// in ONE pass. The caller strips the shared comments afterwards, with the returned
+// contextComments. Used by both editor toggles and the CLI's strip.
+// ==============================================================================
+
+const { stripComments } = require("./injectExtractComments");
+
+/**
+ * @param {string} text - Commented text
+ * @param {string} filePath - File path for determining comment markers
+ * @param {Object} stores - { shared, private, layers: { name: comments } }, as saved from `text`
+ * @param {Object} visible - { private: boolean, layers: string[] } - what `text` shows
+ * @returns {{ text: string, contextComments: Object[] }} contextComments = every store's records
+ */
+function stripVisibleStores(text, filePath, stores, visible) {
+  const layers = stores.layers || {};
+  const contextComments = [...(stores.shared || []), ...(stores.private || []), ...Object.values(layers).flat()];
+  const ownComments = [
+    ...(visible.private ? stores.private || [] : []),
+    ...(visible.layers || []).flatMap(layer => layers[layer] || []),
+  ];
+  if (ownComments.length === 0) return { text, contextComments };
+  return { text: stripComments(text, filePath, ownComments, { contextComments }), contextComments };
+}
+
+module.exports = { stripVisibleStores };
@@ -0,0 +1,149 @@
+const { injectComments, stripComments } = require("./injectExtractComments");
+const { injectMissingPrivateComments } = require("./injectMissingPrivateComments");
+const { stripVisibleStores } = require("./stripVisibleStores");
+const { parseDocComs, addPrimaryAnchors } = require("../vcm/utils_copycode/parseDocComs");
+const { syncMirrors } = require("../vcm/helpers_subroutines/syncMirrors");
+const { mergeSharedTextCleanMode } = require("../utils_copycode/mergeTextCleanMode");
+const { buildContextKey } = require("../utils_copycode/buildContextKey");
+const { getCommentText } = require("../utils_copycode/getCommentText");
+const { isSameComment } = require("../utils_copycode/isSameComment");
+const { isResolvedReview } = require("../utils_copycode/reviewComments");
+
+// ==============================================================================
+// Round-trip verification
+// ==============================================================================
+// Toggles a commented document to clean and back entirely in memory (same order
+// of operations as toggleCurrentFileComments / togglePrivateComments / toggleLayer) and reports
+// every comment that would not come back where it is now:
+//   - moved:      re-injected on a different code line (anchor drift)
+//   - duplicated: re-injected more times than it appears now
+//   - vanished:   stripped but never re-injected (resolved review notes excepted)
+
+const firstLineOf = (comment) =>
+  comment.type === "block" ? comment.block?.[0]?.commentedLineIndex : comment.commentedLineIndex;
+
+// Doc comments grouped by type + text, each group in document order
+function groupByText(docComments) {
+  const groups = new Map();
+  for (const c of docComments) {
+    const key = `${c.type}\u0000${getCommentText(c)}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(c);
+  }
+  return groups;
+}
+
+function parseWithPrimary(text, filePath) {
+  const comments = parseDocComs(text, filePath);
+  addPrimaryAnchors(comments, { lines: text.split("\n") });
+  return comments;
+}
+
+/**
+ * Strip and re-inject a commented document in memory and diff the comments.
+ * @param {Object} options
+ * @param {string} options.text - Current (commented mode) document text
+ * @param {string} options.filePath - File path for determining comment markers
+ * @param {Object[]} options.sharedComments - Shared mirror
+ * @param {Object[]} options.privateComments - Private mirror
+ * @param {boolean} options.privateVisible - Private comments are shown in the document
+ * @param {Object[]} options.layers - Named layers [{ name, comments, visible }]
+ * @param {Object} options.injectOptions - Placement options ({ fuzzyThreshold })
+ * @returns {{ identical: boolean, roundTripText: string, issues: Object[] }}
+ *   issues: [{ kind, type, text, line, roundTripLine, isPrivate, layer, contextKey }]
+ *   line is 0-based in the current text; contextKey is the stored mirror record's key
+ */
+function verifyRoundTrip({ text, filePath, sharedComments = [], privateComments = [], privateVisible = false, layers = [], injectOptions = {} }) {
+  // The toggle saves first, so verify against the mirrors as they would be after a save
+  const synced = syncMirrors({
+    text,
+    filePath,
+    sharedVCMComments: sharedComments.map(c => ({ ...c })),
+    privateVCMComments: privateComments.map(c => ({ ...c })),
+    isCommented: true,
+    privateVisible,
+    layers: layers.map(({ name, comments, visible }) => ({ name, comments: comments.map(c => ({ ...c })), visible })),
+    injectOptions,
+  });
+  const shared = synced.shared;
+  const priv = synced.private || privateComments;
+  const layerComments = Object.fromEntries(layers.map(({ name, comments }) => [name, synced.layers[name] || comments]));
+  const visibleLayers = layers.filter(l => l.visible).map(l => l.name);
+
+  // commented -> clean
+  const stripped = stripVisibleStores(
+    text,
+    filePath,
+    { shared, private: priv, layers: layerComments },
+    { private: privateVisible, layers: visibleLayers }
+  );
+  const contextComments = stripped.contextComments;
+  const clean = stripComments(stripped.text, filePath, shared, { contextComments });
+
+  // clean -> commented, then the private and named layers that were shown
+  let roundTripText = injectComments(clean, filePath, mergeSharedTextCleanMode(shared), true, false, injectOptions);
+  if (privateVisible) roundTripText = injectMissingPrivateComments(roundTripText, filePath, priv, injectOptions);
+  for (const layer of visibleLayers) {
+    roundTripText = injectMissingPrivateComments(roundTripText, filePath, layerComments[layer], injectOptions);
+  }
+
+  const before = groupByText(parseWithPrimary(text, filePath));
+  const after = groupByText(parseWithPrimary(roundTripText, filePath));
+
+  const storedFor = (docComment) =>
+    contextComments.find(c => isSameComment(c, docComment)) ||
+    contextComments.find(c => c.type === docComment.type && getCommentText(c) === getCommentText(docComment));
+
+  const issue = (kind, docComment, roundTripComment) => {
+    const stored = storedFor(docComment);
+    return {
+      kind,
+      type: docComment.type,
+      text: getCommentText(docComment),
+      line: firstLineOf(docComment),
+      roundTripLine: roundTripComment ? firstLineOf(roundTripComment) : undefined,
+      isPrivate: !!stored?.isPrivate,
+      layer: stored?.layer,
+      contextKey: stored ? buildContextKey(stored) : null,
+    };
+  };
+
+  const issues = [];
+  for (const [key, current] of before) {
+    const restored = after.get(key) || [];
+    const paired = Math.min(current.length, restored.length);
+    for (let i = 0; i < paired; i++) {
+      if (buildContextKey(current[i]) !== buildContextKey(restored[i])) {
+        issues.push(issue("moved", current[i], restored[i]));
+      }
+    }
+    for (let i = paired; i < current.length; i++) {
+      // A review note resolved while shown is meant to stay out after the next toggle
+      if (isResolvedReview(storedFor(current[i]))) continue;
+      issues.push(issue("vanished", current[i]));
+    }
+    for (let i = paired; i < restored.length; i++) issues.push(issue("duplicated", current[0], restored[i]));
+  }
+  // Comments that only exist after the round trip (e.g. a stale mirror record resurfacing)
+  for (const [key, restored] of after) {
+    if (before.has(key)) continue;
+    for (const c of restored) {
+      const stored = storedFor(c);
+      issues.push({
+        kind: "duplicated",
+        type: c.type,
+        text: getCommentText(c),
+        line: undefined,
+        roundTripLine: firstLineOf(c),
+        isPrivate: !!stored?.isPrivate,
+        layer: stored?.layer,
+        contextKey: stored ? buildContextKey(stored) : null,
+      });
+    }
+  }
+
+  issues.sort((a, b) => (a.line ?? a.roundTripLine ?? 0) - (b.line ?? b.roundTripLine ?? 0));
+  return { identical: roundTripText === text, roundTripText, issues };
+}
+
+module.exports = { verifyRoundTrip };
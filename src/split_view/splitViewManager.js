@@ -10,11 +10,12 @@ const vscode = require("vscode");
 const { mergeSharedTextCleanMode } = require("../utils_copycode/mergeTextCleanMode");
 const { injectComments, stripComments } = require("../helpers_subroutines/injectExtractComments");
 const { generateCommentedVersion } = require("../helpers_subroutines/generateCommentedVersion");
+const { getInjectOptions } = require("../helpers_subroutines/injectOptions");
 // ---------------------------------------------------------------------------
 // Helper: Generate commented version (for split view when source is in clean mode)
 // ---------------------------------------------------------------------------
 async function generateCommentedSplitView(text, filePath, relativePath, readSharedVCM, vcmDir) {
-  return await generateCommentedVersion(text, filePath, relativePath, readSharedVCM, vcmDir);
+  return await generateCommentedVersion(text, filePath, relativePath, readSharedVCM, vcmDir, getInjectOptions());
 }
 
 // ---------------------------------------------------------------------------
@@ -225,7 +226,7 @@ async function updateSplitViewIfOpen(
           // 1) remove any existing private comments (prevents double injection)
           // 2) inject private comments exactly once
           const withoutPrivate = stripComments(currentSplitContent, doc.uri.path, privateComments);
-          updatedSplitContent = injectComments(withoutPrivate, doc.uri.path, privateComments, true, true);
+          updatedSplitContent = injectComments(withoutPrivate, doc.uri.path, privateComments, true, true, getInjectOptions());
         } else {
           // Private OFF: strip private comments only
           updatedSplitContent = stripComments(currentSplitContent, doc.uri.path, privateComments);
@@ -0,0 +1,74 @@
+const vscode = require("vscode");
+const { summarizeComment, DEFAULT_COMMENT_FILTER } = require("../vcm/helpers_subroutines/listWorkspaceComments");
+const { getCommentText } = require("../utils_copycode/getCommentText");
+const { isAlwaysShow } = require("../utils_copycode/isAlwaysShow");
+const { describeAuthorship } = require("../utils_copycode/commentAuthorship");
+
+// Tree data for the "VCM Comments" view: one node per mirrored file, one child per comment.
+// listComments(filter) supplies the data (listWorkspaceComments bound to the workspace's .vcm dirs);
+// clicking a comment runs revealComment with (relativePath, comment, isPrivate).
+class VCMCommentsTreeProvider {
+  constructor(workspaceRoot, listComments) {
+    this.workspaceRoot = workspaceRoot;
+    this.listComments = listComments;
+    this.filter = { ...DEFAULT_COMMENT_FILTER };
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+  }
+
+  refresh() {
+    this._onDidChangeTreeData.fire();
+  }
+
+  setFilter(filter) {
+    this.filter = filter;
+    this.refresh();
+  }
+
+  async getChildren(element) {
+    if (element) {
+      return element.kind === "file"
+        ? element.comments.map(c => ({ kind: "comment", relativePath: element.relativePath, ...c }))
+        : [];
+    }
+    const files = await this.listComments(this.filter);
+    return files.map(f => ({ kind: "file", ...f }));
+  }
+
+  getTreeItem(element) {
+    if (element.kind === "file") {
+      const item = new vscode.TreeItem(
+        vscode.Uri.joinPath(this.workspaceRoot, element.relativePath),
+        element.error ? vscode.TreeItemCollapsibleState.None : vscode.TreeItemCollapsibleState.Collapsed
+      );
+      item.label = element.relativePath;
+      item.description = element.error
+        ? "⚠ written by a newer VCM"
+        : `${element.comments.length} comment${element.comments.length === 1 ? "" : "s"}`;
+      item.tooltip = element.error || element.relativePath;
+      item.contextValue = "vcmCommentFile";
+      return item;
+    }
+
+    const { comment, isPrivate } = element;
+    const { firstLine, flags } = summarizeComment(comment, isPrivate);
+    const item = new vscode.TreeItem(firstLine || "(empty comment)", vscode.TreeItemCollapsibleState.None);
+    const byline = describeAuthorship(comment);
+    item.description = [...flags, byline].filter(Boolean).join(" · ");
+    item.iconPath = new vscode.ThemeIcon(isPrivate ? "lock" : isAlwaysShow(comment) ? "pin" : "comment");
+    item.tooltip = new vscode.MarkdownString();
+    if (byline) item.tooltip.appendText(byline).appendMarkdown("\n");
+    item.tooltip.appendCodeblock(getCommentText(comment));
+    item.contextValue = "vcmComment";
+    item.command = {
+      command: "vcm-view-comments-mirror.revealComment",
+      title: "Reveal Comment",
+      arguments: [element.relativePath, comment, isPrivate],
+    };
+    return item;
+  }
+}
+
+module.exports = {
+  VCMCommentsTreeProvider,
+};
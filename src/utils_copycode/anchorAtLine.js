@@ -0,0 +1,74 @@
+const { getCommentMarkersForFile } = require("./commentMarkers");
+const { isComment } = require("./isComment");
+const { hashLine } = require("./hash");
+const { isolateCodeLine, findPrevNextCodeLine } = require("./lineUtils");
+
+/**
+ * Build the set of comment-only line indices for a document
+ * (line comments + every line of a block comment), same rule parseDocComs uses.
+ * @param {string[]} lines - Document lines
+ * @param {string} filePath - File path for determining comment markers
+ * @returns {Set<number>} Indices of comment-only lines
+ */
+function getCommentOnlyLines(lines, filePath) {
+  const commentOnlyLines = new Set();
+  const blockState = { inBlock: false, blockEnd: null };
+  for (let i = 0; i < lines.length; i++) {
+    if (isComment(lines[i], filePath, blockState)) commentOnlyLines.add(i);
+  }
+  return commentOnlyLines;
+}
+
+/**
+ * Compute the anchor fields a comment would get if it were attached to `lineIndex`.
+ * Hashes use the same code identity as parseDocComs (isolateCodeLine + hashLine),
+ * so the result can be assigned straight onto a VCM comment.
+ * @param {string[]} lines - Document lines (clean or commented text)
+ * @param {number} lineIndex - Index of the code line to anchor to
+ * @param {string} filePath - File path for determining comment markers
+ * @returns {Object} { prevHash, anchor, nextHash, prevHashText, anchorText, nextHashText }
+ */
+function getAnchorFieldsAtLine(lines, lineIndex, filePath) {
+  const commentMarkers = getCommentMarkersForFile(filePath);
+  const commentOnlyLines = getCommentOnlyLines(lines, filePath);
+  const { prevIdx, nextIdx } = findPrevNextCodeLine(lineIndex, lines, (l, idx) => commentOnlyLines.has(idx));
+
+  const anchorText = isolateCodeLine(lines[lineIndex], commentMarkers);
+  const prevHashText = prevIdx >= 0 ? isolateCodeLine(lines[prevIdx], commentMarkers) : "";
+  const nextHashText = nextIdx >= 0 ? isolateCodeLine(lines[nextIdx], commentMarkers) : "";
+
+  return {
+    prevHash: prevIdx >= 0 ? hashLine(prevHashText, 0) : null,
+    anchor: hashLine(anchorText, 0),
+    nextHash: nextIdx >= 0 ? hashLine(nextHashText, 0) : null,
+    prevHashText,
+    anchorText,
+    nextHashText,
+  };
+}
+
+/**
+ * Map every code line's anchor hash to the line indices where it occurs
+ * (comment-only and blank lines are skipped).
+ * @param {string[]} lines - Document lines
+ * @param {string} filePath - File path for determining comment markers
+ * @returns {Map<string, number[]>} anchor hash -> line indices
+ */
+function indexCodeLinesByHash(lines, filePath) {
+  const commentMarkers = getCommentMarkersForFile(filePath);
+  const commentOnlyLines = getCommentOnlyLines(lines, filePath);
+  const byHash = new Map();
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim() || commentOnlyLines.has(i)) continue;
+    const hash = hashLine(isolateCodeLine(lines[i], commentMarkers), 0);
+    if (!byHash.has(hash)) byHash.set(hash, []);
+    byHash.get(hash).push(i);
+  }
+  return byHash;
+}
+
+module.exports = {
+  getCommentOnlyLines,
+  getAnchorFieldsAtLine,
+  indexCodeLinesByHash,
+};
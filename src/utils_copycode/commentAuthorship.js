@@ -0,0 +1,123 @@
+const { execFile } = require("child_process");
+const { getCommentText } = require("./getCommentText");
+
+// ============================================================================
+// Comment authorship
+// ============================================================================
+// Mirror records carry who wrote them and when:
+//   author    - "Name <email>" from the local git config, set when the record is created
+//   createdAt - ISO timestamp, set when the record is created
+//   updatedAt - ISO timestamp, bumped whenever the comment TEXT changes
+//               (re-anchoring, spacing and flags don't count)
+// All three are optional: records written before they existed simply lack them.
+// ============================================================================
+
+/**
+ * @param {string} name - git user.name
+ * @param {string} email - git user.email
+ * @returns {string|null} "Name <email>", "Name", "<email>" or null when both are empty
+ */
+function formatGitAuthor(name, email) {
+  name = (name || "").trim();
+  email = (email || "").trim();
+  if (name && email) return `${name} <${email}>`;
+  return name || (email ? `<${email}>` : null);
+}
+
+const readGitConfig = (key, cwd) =>
+  new Promise((resolve) => {
+    execFile("git", ["config", "--get", key], { cwd, encoding: "utf8" }, (err, stdout) => resolve(err ? "" : stdout));
+  });
+
+/**
+ * Identity to stamp on new comments, read locally (never from a remote).
+ * @param {string} cwd - Directory inside the repository
+ * @returns {Promise<string|null>} formatGitAuthor() of user.name/user.email, null when unset or git is missing
+ */
+async function readGitAuthor(cwd) {
+  const [name, email] = await Promise.all([readGitConfig("user.name", cwd), readGitConfig("user.email", cwd)]);
+  return formatGitAuthor(name, email);
+}
+
+// The text a record shows: a pending clean-mode edit wins over the stored text
+function effectiveCommentText(comment) {
+  if (comment.text_cleanMode === null || comment.text_cleanMode === undefined) return getCommentText(comment);
+  return getCommentText({ type: comment.type, text_cleanMode: comment.text_cleanMode });
+}
+
+/**
+ * Snapshot to compare against after a merge (see stampCommentEdits).
+ * @param {Object[]} comments - Mirror records
+ * @returns {Map<Object, string>} record -> its text before the merge
+ */
+function snapshotCommentTexts(comments) {
+  return new Map(comments.map(c => [c, effectiveCommentText(c)]));
+}
+
+/**
+ * Stamps a record that is being created now (in place).
+ * @param {Object} comment - New mirror record
+ * @param {Object} options - { author, now }: author string (or null) and ISO timestamp
+ */
+function stampNewComment(comment, { author = null, now = new Date().toISOString() } = {}) {
+  comment.createdAt = comment.createdAt || now;
+  comment.updatedAt = now;
+  if (author && !comment.author) comment.author = author;
+}
+
+// Keeps who/when when a comment moves between mirrors (mark/unmark private)
+function carryAuthorship(from, to) {
+  if (!from) return;
+  for (const field of ["author", "createdAt", "updatedAt"]) {
+    if (from[field] !== undefined) to[field] = from[field];
+  }
+}
+
+/**
+ * Stamps the records a merge created or whose text it changed (in place).
+ * @param {Object[]} comments - Mirror records after the merge
+ * @param {Map<Object, string>} before - snapshotCommentTexts() of the records before it
+ * @param {Object} options - { author, now }: author string (or null) and ISO timestamp
+ */
+function stampCommentEdits(comments, before, { author = null, now = new Date().toISOString() } = {}) {
+  for (const comment of comments) {
+    if (!before.has(comment)) {
+      stampNewComment(comment, { author, now });
+    } else if (before.get(comment) !== effectiveCommentText(comment)) {
+      comment.updatedAt = now;
+    }
+  }
+}
+
+// "Jane Doe <jane@example.com>" -> "Jane Doe" ("" when unknown)
+function authorDisplayName(author) {
+  if (typeof author !== "string") return "";
+  return author.replace(/\s*<[^>]*>$/, "") || author;
+}
+
+/**
+ * One line for hovers and tooltips, e.g. "Jane Doe, 2026-10-19 (edited 2026-10-21)".
+ * @param {Object} comment - Mirror record
+ * @returns {string} "" when the record has no authorship
+ */
+function describeAuthorship(comment) {
+  const day = (iso) => (typeof iso === "string" ? iso.slice(0, 10) : "");
+  const name = authorDisplayName(comment.author);
+  const created = day(comment.createdAt);
+  const updated = day(comment.updatedAt);
+  const parts = [name, created].filter(Boolean).join(", ");
+  if (updated && updated !== created) return parts ? `${parts} (edited ${updated})` : `edited ${updated}`;
+  return parts;
+}
+
+module.exports = {
+  formatGitAuthor,
+  readGitAuthor,
+  effectiveCommentText,
+  snapshotCommentTexts,
+  stampNewComment,
+  stampCommentEdits,
+  carryAuthorship,
+  authorDisplayName,
+  describeAuthorship,
+};
@@ -0,0 +1,39 @@
+const { parseDocComs, addPrimaryAnchors } = require("../vcm/utils_copycode/parseDocComs");
+const { findCommentAtCursor } = require("./findCommentAtCursor");
+const { isSameComment } = require("./isSameComment");
+const { isFrozen } = require("./isFrozen");
+const { isAlwaysShow } = require("./isAlwaysShow");
+const { isReview, isResolvedReview } = require("./reviewComments");
+const { correlateCommentIds } = require("./commentIds");
+
+/**
+ * Flags of the comment on a given document line, looked up in the VCM comments.
+ * Backs the vcm.* context keys that drive the editor context menu.
+ * @param {string} docText - Current document text
+ * @param {string} filePath - File path for determining comment markers
+ * @param {number} line - 0-based line index (cursor line)
+ * @param {Object[]} comments - Shared + private VCM comments
+ * @returns {{ cursorOnComment: boolean, alwaysShow: boolean, isPrivate: boolean, frozen: boolean, review: boolean, resolved: boolean }}
+ */
+function getCommentFlagsAtLine(docText, filePath, line, comments = []) {
+  const docComments = parseDocComs(docText, filePath);
+  addPrimaryAnchors(docComments, { lines: docText.split("\n") });
+
+  // Find the comment at the current cursor position
+  const commentAtCursor = findCommentAtCursor(docComments, line);
+  const flags = { cursorOnComment: !!commentAtCursor, alwaysShow: false, isPrivate: false, frozen: false, review: false, resolved: false };
+  if (!commentAtCursor || comments.length === 0) return flags;
+  correlateCommentIds(docComments, comments);
+
+  // alwaysShow comments are always in the doc, so isSameComment works directly
+  flags.alwaysShow = comments.some(c => isAlwaysShow(c) && isSameComment(c, commentAtCursor));
+  flags.isPrivate = comments.some(c => c.isPrivate && isSameComment(c, commentAtCursor));
+  // Frozen can be set on shared or private comments
+  flags.frozen = comments.some(c => isFrozen(c) && isSameComment(c, commentAtCursor));
+  // So are review notes (a resolved one stays in the doc until the next toggle)
+  flags.review = comments.some(c => isReview(c) && isSameComment(c, commentAtCursor));
+  flags.resolved = comments.some(c => isResolvedReview(c) && isSameComment(c, commentAtCursor));
+  return flags;
+}
+
+module.exports = { getCommentFlagsAtLine };
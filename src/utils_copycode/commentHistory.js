@@ -0,0 +1,101 @@
+const { effectiveCommentText } = require("./commentAuthorship");
+
+// ============================================================================
+// Comment history
+// ============================================================================
+// Each record can keep its earlier versions in a bounded `history` array,
+// oldest first: [{ text | block, updatedAt }], where updatedAt is when that
+// version was written. mergeIntoVCMs records the previous version whenever a
+// comment's text changes; a version that stood for less than
+// HISTORY_COALESCE_MS is an intermediate state saved while typing (live sync)
+// and is dropped. The history lives in the record's own mirror, so earlier
+// versions of a private comment never reach the shared mirror.
+// ============================================================================
+
+const DEFAULT_HISTORY_LIMIT = 10;
+const HISTORY_COALESCE_MS = 60 * 1000;
+
+// The version a record shows now: its pending clean-mode edit, else its stored text/block
+function revisionOf(comment) {
+  const pending = comment.text_cleanMode !== null && comment.text_cleanMode !== undefined;
+  if (comment.type === "block") {
+    const block = pending ? comment.text_cleanMode : comment.block;
+    return { block: (block || []).map(b => ({ ...b })) };
+  }
+  return { text: pending ? comment.text_cleanMode : comment.text };
+}
+
+/**
+ * Snapshot to compare against after a merge (see recordCommentRevisions).
+ * @param {Object[]} comments - Mirror records
+ * @returns {Map<Object, Object>} record -> { text, revision } before the merge
+ */
+function snapshotRevisions(comments) {
+  return new Map(comments.map(c => [c, {
+    text: effectiveCommentText(c),
+    revision: { ...revisionOf(c), updatedAt: c.updatedAt },
+  }]));
+}
+
+// Append a revision, dropping the oldest beyond the limit
+function pushRevision(comment, revision, limit) {
+  comment.history = [...(comment.history || []), revision].slice(-limit);
+}
+
+/**
+ * Appends the previous version of every record whose text a merge changed (in place).
+ * Run before stampCommentEdits, which overwrites updatedAt.
+ * @param {Object[]} comments - Mirror records after the merge
+ * @param {Map<Object, Object>} before - snapshotRevisions() of the records before it
+ * @param {Object} options - { limit, now }: max revisions kept (0 = don't record) and ISO timestamp
+ */
+function recordCommentRevisions(comments, before, { limit = DEFAULT_HISTORY_LIMIT, now = new Date().toISOString() } = {}) {
+  if (!(limit > 0)) return;
+  for (const comment of comments) {
+    const previous = before.get(comment);
+    if (!previous || previous.text === effectiveCommentText(comment) || !previous.text) continue;
+    const { revision } = previous;
+    const stoodFor = revision.updatedAt ? Date.parse(now) - Date.parse(revision.updatedAt) : Infinity;
+    if (stoodFor < HISTORY_COALESCE_MS) continue;
+    pushRevision(comment, revision, limit);
+  }
+}
+
+/**
+ * Puts a revision back as the record's text (in place), for comments that are not in
+ * the document. The current version becomes the newest revision, so a restore can be
+ * undone the same way.
+ * @param {Object} comment - Mirror record
+ * @param {number} index - Index into comment.history
+ * @param {Object} options - { limit, now }
+ */
+function restoreCommentRevision(comment, index, { limit = DEFAULT_HISTORY_LIMIT, now = new Date().toISOString() } = {}) {
+  const revision = comment.history?.[index];
+  if (!revision) throw new Error(`Comment has no revision ${index}`);
+
+  const current = { ...revisionOf(comment), updatedAt: comment.updatedAt };
+  if (revision.block) comment.block = revision.block.map(b => ({ ...b }));
+  else comment.text = revision.text;
+  if (comment.text_cleanMode !== undefined) comment.text_cleanMode = null;
+  comment.updatedAt = now;
+  pushRevision(comment, current, Math.max(limit, 1));
+}
+
+/**
+ * Text of a revision (or of the current version), block lines joined, for diffs and pickers.
+ * @param {Object} revision - History entry, or a mirror record for its current version
+ * @returns {string}
+ */
+function revisionText(revision) {
+  if (revision.type !== undefined) return effectiveCommentText(revision);
+  return revision.block ? revision.block.map(b => b.text).join("\n") : revision.text || "";
+}
+
+module.exports = {
+  DEFAULT_HISTORY_LIMIT,
+  HISTORY_COALESCE_MS,
+  snapshotRevisions,
+  recordCommentRevisions,
+  restoreCommentRevision,
+  revisionText,
+};
@@ -0,0 +1,129 @@
+const crypto = require("crypto");
+const { buildContextKey } = require("./buildContextKey");
+const { getCommentText } = require("./getCommentText");
+const { isSameComment } = require("./isSameComment");
+
+// ==============================================================================
+// Stable comment ids
+// ==============================================================================
+// Every mirror record carries an `id` that never changes once assigned, so a
+// comment keeps its identity when its anchor, neighbours or line index shift.
+// Source files hold no ids: document comments get one only by being correlated
+// with a record (correlateCommentIds), after which isSameComment compares ids.
+//
+// Record ids are derived from the record itself (type, anchor context and text),
+// not random: two clones upgrading the same legacy mirror give its records the
+// same ids, so their mirrors don't conflict just for having been upgraded.
+
+// 12 hex chars: plenty for the comments of one file, short enough to read in a diff
+function generateCommentId() {
+  return crypto.randomBytes(6).toString("hex");
+}
+
+/**
+ * The id a record gets when it has none (the same on every machine).
+ * @param {Object} comment - Mirror record
+ * @param {number} attempt - Bumped while the id is taken by another record of the file
+ * @returns {string} 12 hex chars
+ */
+function deriveCommentId(comment, attempt = 0) {
+  const source = JSON.stringify([
+    comment.type,
+    comment.anchor ?? null,
+    comment.prevHash ?? null,
+    comment.nextHash ?? null,
+    getCommentText(comment),
+    attempt,
+  ]);
+  return crypto.createHash("md5").update(source).digest("hex").slice(0, 12);
+}
+
+/**
+ * Give every record an id, and a new one to any record repeating an earlier
+ * record's id (a copied comment). Mutates the records.
+ * @param {Object[]} comments - Mirror records
+ * @returns {number} How many ids were assigned
+ */
+function ensureCommentIds(comments) {
+  // Ids already taken (the first record with an id keeps it), so a derived one never collides
+  const taken = new Set();
+  const missing = [];
+  for (const comment of comments) {
+    if (comment.id && !taken.has(comment.id)) taken.add(comment.id);
+    else missing.push(comment);
+  }
+  for (const comment of missing) {
+    let attempt = 0;
+    let id = deriveCommentId(comment);
+    while (taken.has(id)) id = deriveCommentId(comment, ++attempt);
+    comment.id = id;
+    taken.add(id);
+  }
+  return missing.length;
+}
+
+const contextKeyOf = (comment) =>
+  buildContextKey(comment, { usePrimaryAnchor: comment.primaryAnchor !== undefined });
+const textKeyOf = (comment) => `${comment.type}\u0000${getCommentText(comment)}`;
+
+/**
+ * Copy record ids onto the document comments they correspond to. Each record is
+ * used at most once; document comments that can't be correlated get no id.
+ *   1. isSameComment (context key + line index + text)
+ *   2. same context key and text, line index ignored (comments above it were added/removed)
+ *   3. same text, when exactly one document comment and one record share it
+ * @param {Object[]} docComments - Comments parsed from the document (mutated)
+ * @param {Object[]} records - Shared + private mirror records
+ * @returns {Object[]} docComments
+ */
+function correlateCommentIds(docComments, records) {
+  const candidates = records.filter(r => r.id);
+  const claimed = new Set();
+  const pending = [];
+  for (const doc of docComments) {
+    delete doc.id;
+    const match = candidates.find(r => !claimed.has(r) && isSameComment(r, doc));
+    if (match) {
+      claimed.add(match);
+      doc.id = match.id;
+    } else {
+      pending.push(doc);
+    }
+  }
+
+  const stillPending = [];
+  for (const doc of pending) {
+    const text = getCommentText(doc);
+    const match = text && candidates.find(r =>
+      !claimed.has(r) &&
+      r.type === doc.type &&
+      getCommentText(r) === text &&
+      (contextKeyOf(r) === contextKeyOf(doc) || buildContextKey(r) === buildContextKey(doc))
+    );
+    if (match) {
+      claimed.add(match);
+      doc.id = match.id;
+    } else {
+      stillPending.push(doc);
+    }
+  }
+
+  const countByText = (comments) => {
+    const counts = new Map();
+    for (const c of comments) counts.set(textKeyOf(c), (counts.get(textKeyOf(c)) || 0) + 1);
+    return counts;
+  };
+  const docCounts = countByText(docComments);
+  const recordCounts = countByText(candidates);
+  for (const doc of stillPending) {
+    const key = textKeyOf(doc);
+    if (!getCommentText(doc) || docCounts.get(key) !== 1 || recordCounts.get(key) !== 1) continue;
+    const match = candidates.find(r => !claimed.has(r) && textKeyOf(r) === key);
+    if (!match) continue;
+    claimed.add(match);
+    doc.id = match.id;
+  }
+  return docComments;
+}
+
+module.exports = { generateCommentId, deriveCommentId, ensureCommentIds, correlateCommentIds };
@@ -0,0 +1,123 @@
+const { isSameComment } = require("./isSameComment");
+const { isAlwaysShow } = require("./isAlwaysShow");
+const { stampNewComment, carryAuthorship } = require("./commentAuthorship");
+
+// ============================================================================
+// Comment layers
+// ============================================================================
+// Besides .vcm/shared and .vcm/private, comments can live in named layers
+// (onboarding, todo, perf-notes, security ...), one directory each:
+//   .vcm/<layer>/<path>.vcm.json
+// A named layer works like the private mirror: its comments are shown and hidden
+// on their own, are never copied into the shared mirror, and a comment only gets
+// into a layer by being moved there. In memory its records carry `layer: "<name>"`
+// (and isPrivate: false); on disk the directory is the only record of the layer.
+// ============================================================================
+
+const SHARED_LAYER = "shared";
+const PRIVATE_LAYER = "private";
+// Directories under .vcm that are not named layers
+const RESERVED_LAYER_NAMES = [SHARED_LAYER, PRIVATE_LAYER, "archive"];
+
+/**
+ * Layer names are directory names: lowercase letters, digits, "-" and "_".
+ * @param {string} name
+ * @returns {boolean} false for the built-in layers and .vcm/archive
+ */
+function isValidLayerName(name) {
+  return typeof name === "string" && /^[a-z0-9][a-z0-9_-]*$/.test(name) && !RESERVED_LAYER_NAMES.includes(name);
+}
+
+/**
+ * @param {string[]} names - Configured and discovered layer names
+ * @returns {string[]} The valid ones, without duplicates, in their first order
+ */
+function normalizeLayerNames(names) {
+  return [...new Set((names || []).filter(isValidLayerName))];
+}
+
+// "shared", "private" or the record's named layer
+function layerOf(comment) {
+  if (comment.layer) return comment.layer;
+  return comment.isPrivate ? PRIVATE_LAYER : SHARED_LAYER;
+}
+
+/**
+ * The store separation invariant: a mirror only holds its own layer's records.
+ * @param {Object[]} comments - Records of one mirror
+ * @param {string} layer - "shared", "private" or a named layer
+ * @throws {Error} A record belongs to another layer
+ */
+function assertLayerStore(comments, layer) {
+  const foreign = comments.find(c => layerOf(c) !== layer);
+  if (foreign) {
+    throw new Error(
+      `${layer} VCM contains a ${layerOf(foreign)} comment at anchor ${foreign.anchor}. Store separation violated.`
+    );
+  }
+}
+
+// Set the in-memory layer fields for a record that now belongs to `layer`
+function assignLayer(comment, layer) {
+  delete comment.layer;
+  comment.isPrivate = layer === PRIVATE_LAYER;
+  if (layer !== SHARED_LAYER && layer !== PRIVATE_LAYER) comment.layer = layer;
+}
+
+/**
+ * Moves a comment from whichever store holds it into another layer (in place), with
+ * the rules of Mark as Private: always-show and inline comments stay shared, and
+ * discussions (shared only) are dropped - callers confirm that first. Both stores
+ * are checked with assertLayerStore afterwards, so a move never leaves a comment in
+ * two layers or in the wrong one.
+ * @param {Object} target - Doc comment (correlated by id) or mirror record
+ * @param {Object} stores - layer name -> that mirror's records; must include `to`
+ *   and every store that could hold the comment
+ * @param {string} to - Layer to move it into
+ * @param {Object} options - { author, now } for a comment that was in no store yet
+ * @returns {{ from: string|null, record: Object }} from = null when the comment was new
+ */
+function moveCommentToLayer(target, stores, to, { author = null, now = new Date().toISOString() } = {}) {
+  if (!stores[to]) throw new Error(`Unknown comment layer ${to}`);
+
+  // Non-shared stores first: a comment is never copied out of its layer into shared
+  const layers = Object.keys(stores).sort((a, b) => (a === SHARED_LAYER) - (b === SHARED_LAYER));
+  const from = layers.find(layer => stores[layer].some(c => isSameComment(c, target))) || null;
+  if (from === to) throw new Error(`Comment is already in the ${to} layer`);
+
+  const existing = from ? stores[from].find(c => isSameComment(c, target)) : null;
+  if (to !== SHARED_LAYER && isAlwaysShow(existing || target)) {
+    throw new Error("Always-show comments stay in the shared layer");
+  }
+  if (to !== SHARED_LAYER && target.type === "inline") {
+    throw new Error(`Inline comments can't be moved to the ${to} layer`);
+  }
+
+  const record = { ...(existing || target) };
+  if (existing) carryAuthorship(existing, record);
+  else stampNewComment(record, { author, now });
+  if (to !== SHARED_LAYER) delete record.thread;
+  assignLayer(record, to);
+
+  if (from) {
+    const source = stores[from];
+    source.splice(source.indexOf(existing), 1);
+  }
+  if (!stores[to].some(c => isSameComment(c, record))) stores[to].push(record);
+
+  if (from) assertLayerStore(stores[from], from);
+  assertLayerStore(stores[to], to);
+  return { from, record };
+}
+
+module.exports = {
+  SHARED_LAYER,
+  PRIVATE_LAYER,
+  RESERVED_LAYER_NAMES,
+  isValidLayerName,
+  normalizeLayerNames,
+  layerOf,
+  assertLayerStore,
+  assignLayer,
+  moveCommentToLayer,
+};
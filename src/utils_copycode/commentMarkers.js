@@ -175,6 +175,8 @@ function getBlockMarkersForFile(filePath) {
 }
 
 module.exports = {
+  LINE_COMMENT_MARKERS,
+  BLOCK_COMMENT_MARKERS,
   getCommentMarkersForFile,
   getLineMarkersForFile,
   getBlockMarkersForFile,
@@ -0,0 +1,79 @@
+const { generateCommentId } = require("./commentIds");
+
+// ============================================================================
+// Discussion threads
+// ============================================================================
+// A shared comment can carry a discussion:
+//   thread: { resolved: boolean, replies: [{ id, author, createdAt, text }] }
+// Threads are metadata of the mirror record only: they are never injected into
+// the source, never parsed back out of it, and never written to .vcm/private
+// (the private writer drops them, see buildVCMPayload's stripThreads).
+// ============================================================================
+
+const repliesOf = (comment) => comment.thread?.replies || [];
+
+/**
+ * Appends a reply (in place), starting the thread if the comment has none.
+ * @param {Object} comment - Shared mirror record
+ * @param {Object} reply - { text, author, now }
+ * @returns {Object} The stored reply
+ */
+function addReply(comment, { text, author = null, now = new Date().toISOString() }) {
+  const reply = { id: generateCommentId(), createdAt: now, text };
+  if (author) reply.author = author;
+  comment.thread = { resolved: comment.thread?.resolved === true, replies: [...repliesOf(comment), reply] };
+  return reply;
+}
+
+/**
+ * Removes a reply (in place); the thread goes away with its last reply.
+ * @returns {boolean} Whether the reply existed
+ */
+function deleteReply(comment, replyId) {
+  const replies = repliesOf(comment);
+  const remaining = replies.filter(r => r.id !== replyId);
+  if (remaining.length === replies.length) return false;
+  if (remaining.length === 0) delete comment.thread;
+  else comment.thread = { ...comment.thread, replies: remaining };
+  return true;
+}
+
+function setThreadResolved(comment, resolved) {
+  if (!comment.thread) return;
+  comment.thread = { ...comment.thread, resolved: resolved === true };
+}
+
+const hasThread = (comment) => repliesOf(comment).length > 0;
+
+/**
+ * Three-way merge of one comment's thread (git merge driver): replies are unioned
+ * by id, a reply deleted on either side stays deleted, and the resolved flag
+ * follows whichever side changed it (ours when both did).
+ * @param {Object|undefined} base - Thread in the common ancestor
+ * @param {Object|undefined} ours
+ * @param {Object|undefined} theirs
+ * @returns {Object|undefined} The merged thread, undefined when no reply is left
+ */
+function mergeThreads(base, ours, theirs) {
+  const ids = (thread) => new Set((thread?.replies || []).map(r => r.id));
+  const baseIds = ids(base);
+  const oursIds = ids(ours);
+  const theirsIds = ids(theirs);
+  const deleted = (id) => baseIds.has(id) && (!oursIds.has(id) || !theirsIds.has(id));
+
+  const replies = [];
+  const seen = new Set();
+  for (const reply of [...(ours?.replies || []), ...(theirs?.replies || [])]) {
+    if (seen.has(reply.id) || deleted(reply.id)) continue;
+    seen.add(reply.id);
+    replies.push(reply);
+  }
+  if (replies.length === 0) return undefined;
+  replies.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+  const resolvedOf = (thread) => thread?.resolved === true;
+  const resolved = resolvedOf(ours) !== resolvedOf(base) ? resolvedOf(ours) : resolvedOf(theirs);
+  return { resolved, replies };
+}
+
+module.exports = { addReply, deleteReply, setThreadResolved, hasThread, mergeThreads };
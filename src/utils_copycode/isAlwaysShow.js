@@ -0,0 +1,11 @@
+/**
+ * Check if a comment is marked as alwaysShow
+ * Checks both the comment itself and individual block lines
+ * @param {Object} comment - Comment object (inline or block)
+ * @returns {boolean} True if comment or any of its block lines have alwaysShow
+ */
+function isAlwaysShow(comment) {
+  return comment.alwaysShow;
+}
+
+module.exports = { isAlwaysShow };
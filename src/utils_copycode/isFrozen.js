@@ -0,0 +1,12 @@
+/**
+ * Check if a comment is marked as frozen
+ * Frozen comments keep their stored text and anchor: merges never overwrite them
+ * and injection never relocates them away from their pinned anchor line.
+ * @param {Object} comment - Comment object (inline, line or block)
+ * @returns {boolean} True if the comment is frozen
+ */
+function isFrozen(comment) {
+  return !!(comment && comment.frozen);
+}
+
+module.exports = { isFrozen };
@@ -3,7 +3,8 @@ const { getCommentText } = require("./getCommentText");
 
 /**
  * Compare two comments to determine if they are the same
- * - Always matches by context key (anchor + prevHash + nextHash)
+ * - If both carry a stable id (see commentIds.js), the ids decide
+ * - Otherwise matches by context key (anchor + prevHash + nextHash)
  * - For line comments: also checks commentedLineIndex when stored in VCM (to distinguish consecutive line comments)
  * - For inline: also requires exact text match when available
  * - For block: also requires block text match when available
@@ -13,6 +14,8 @@ const { getCommentText } = require("./getCommentText");
  * @returns {boolean} True if comments are considered the same
  */
 function isSameComment(vcmComment, docComment) {
+  if (vcmComment.id && docComment.id) return vcmComment.id === docComment.id;
+
   const vcmAlwaysShow =
     vcmComment.alwaysShow ||
     (vcmComment.block && vcmComment.block.some((b) => b.alwaysShow));
@@ -0,0 +1,113 @@
+const { isolateCodeLine, findPrevNextCodeLine } = require("./lineUtils");
+
+// Default for the fuzzyAnchorThreshold setting (0..1, 1 = exact matches only)
+const DEFAULT_FUZZY_ANCHOR_THRESHOLD = 0.8;
+
+// Longer lines are truncated before comparing (keeps Levenshtein cheap on minified code)
+const MAX_COMPARE_LENGTH = 300;
+
+// The fuzzy fallback only looks this many lines either side of where the comment is
+// expected, so a look-alike line elsewhere in the file never takes the comment
+const FUZZY_SEARCH_RADIUS = 30;
+
+/**
+ * Similarity of two code lines: 1 - (Levenshtein distance / longer length).
+ * Whitespace at both ends is ignored, same as hashLine.
+ * @param {string} a - First line
+ * @param {string} b - Second line
+ * @returns {number} 0 (nothing in common) to 1 (identical)
+ */
+function lineSimilarity(a, b) {
+  const s = (a || "").trim().slice(0, MAX_COMPARE_LENGTH);
+  const t = (b || "").trim().slice(0, MAX_COMPARE_LENGTH);
+  if (s === t) return 1;
+  if (!s.length || !t.length) return 0;
+
+  // Two-row Levenshtein
+  let prev = new Array(t.length + 1);
+  let curr = new Array(t.length + 1);
+  for (let j = 0; j <= t.length; j++) prev[j] = j;
+
+  for (let i = 1; i <= s.length; i++) {
+    curr[0] = i;
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    [prev, curr] = [curr, prev];
+  }
+
+  return 1 - prev[t.length] / Math.max(s.length, t.length);
+}
+
+/**
+ * Score how well a code position matches a comment's stored anchor context.
+ * The anchor line weighs most; prev/next lines confirm it's the same spot.
+ * @param {Object} stored - { anchorText, prevHashText, nextHashText } from the VCM
+ * @param {Object} current - { anchorText, prevHashText, nextHashText } at the candidate position
+ * @returns {number} 0 to 1
+ */
+function anchorSimilarity(stored, current) {
+  const anchorScore = lineSimilarity(stored.anchorText, current.anchorText);
+  const prevScore = lineSimilarity(stored.prevHashText || "", current.prevHashText || "");
+  const nextScore = lineSimilarity(stored.nextHashText || "", current.nextHashText || "");
+  return anchorScore * 0.6 + prevScore * 0.2 + nextScore * 0.2;
+}
+
+/**
+ * Find the code line near where a comment is expected that best matches its stored
+ * anchor context. Used when the exact anchor hash is gone (e.g. a variable on the
+ * anchor line was renamed). Only lines within FUZZY_SEARCH_RADIUS of an expected
+ * position are scored; with no expected position there is no fuzzy match.
+ * @param {Object} comment - VCM comment with anchorText/prevHashText/nextHashText
+ * @param {string[]} lines - Document lines
+ * @param {string[]} commentMarkers - Comment markers for the file
+ * @param {Set<number>} commentOnlyLines - Indices of comment-only lines (skipped)
+ * @param {number} threshold - Minimum anchorSimilarity score (>= 1 disables fuzzy matching)
+ * @param {number[]} expectedLines - Where the anchor line should be (stored line index,
+ *   lines after its prev / before its next code line)
+ * @returns {number} Line index, or -1 if nothing nearby scores above the threshold
+ */
+function findFuzzyAnchorLine(comment, lines, commentMarkers, commentOnlyLines, threshold, expectedLines = []) {
+  if (!comment.anchorText || !(threshold < 1)) return -1;
+
+  const nearby = new Set();
+  for (const center of expectedLines) {
+    const from = Math.max(0, center - FUZZY_SEARCH_RADIUS);
+    const to = Math.min(lines.length - 1, center + FUZZY_SEARCH_RADIUS);
+    for (let i = from; i <= to; i++) nearby.add(i);
+  }
+
+  const isCommentLine = (l, idx) => commentOnlyLines.has(idx);
+  let bestIdx = -1;
+  let bestScore = threshold;
+
+  for (const i of [...nearby].sort((a, b) => a - b)) {
+    if (!lines[i].trim() || commentOnlyLines.has(i)) continue;
+
+    const anchorText = isolateCodeLine(lines[i], commentMarkers);
+    // Cheap reject: the anchor line alone can't reach the threshold
+    if (0.6 * lineSimilarity(comment.anchorText, anchorText) + 0.4 < threshold) continue;
+
+    const { prevIdx, nextIdx } = findPrevNextCodeLine(i, lines, isCommentLine);
+    const score = anchorSimilarity(comment, {
+      anchorText,
+      prevHashText: prevIdx >= 0 ? isolateCodeLine(lines[prevIdx], commentMarkers) : "",
+      nextHashText: nextIdx >= 0 ? isolateCodeLine(lines[nextIdx], commentMarkers) : "",
+    });
+    if (score > bestScore || (score === bestScore && bestIdx < 0)) {
+      bestScore = score;
+      bestIdx = i;
+    }
+  }
+
+  return bestIdx;
+}
+
+module.exports = {
+  DEFAULT_FUZZY_ANCHOR_THRESHOLD,
+  FUZZY_SEARCH_RADIUS,
+  lineSimilarity,
+  anchorSimilarity,
+  findFuzzyAnchorLine,
+};
@@ -21,7 +21,8 @@ function findInlineCommentStart(line, commentMarkers, { requireWhitespaceBefore
     if (char === "\\") { escaped = true; continue; }
 
     // Enter string on ', ", or ` when not currently in a string.
-    if (!inString && (char === '"' || char === "'" || char === "`")) {
+    // A quote that is itself a comment marker (VB's ') starts a comment, not a string.
+    if (!inString && (char === '"' || char === "'" || char === "`") && !commentMarkers.includes(char)) {
       inString = true;
       stringChar = char;
       continue;
@@ -0,0 +1,78 @@
+// ============================================================================
+// Review comments
+// ============================================================================
+// A record with kind: "review" is a review note rather than documentation. It
+// has a status:
+//   resolved   - boolean, false while the note still needs attention
+//   resolvedBy - "Name <email>" of whoever resolved it (only while resolved)
+//   resolvedAt - ISO timestamp of the resolve (only while resolved)
+// Resolved review notes stay in the mirror but are no longer injected (see
+// resolveCommentPlacements' includeResolvedReviews) and are listed separately.
+// Records without `kind` are plain notes.
+// ============================================================================
+
+const REVIEW_KIND = "review";
+
+const isReview = (comment) => !!comment && comment.kind === REVIEW_KIND;
+const isResolvedReview = (comment) => isReview(comment) && comment.resolved === true;
+
+/**
+ * Turns a record into an unresolved review note (in place).
+ * @param {Object} comment - Mirror record
+ */
+function markReview(comment) {
+  comment.kind = REVIEW_KIND;
+  comment.resolved = false;
+  delete comment.resolvedBy;
+  delete comment.resolvedAt;
+}
+
+/**
+ * Turns a review note back into a plain note (in place).
+ * @param {Object} comment - Mirror record
+ */
+function unmarkReview(comment) {
+  for (const field of ["kind", "resolved", "resolvedBy", "resolvedAt"]) delete comment[field];
+}
+
+/**
+ * Resolves or reopens a review note (in place).
+ * @param {Object} comment - Mirror record (must be a review note)
+ * @param {boolean} resolved
+ * @param {Object} options - { author, now }: who resolved it (or null) and ISO timestamp
+ */
+function setReviewResolved(comment, resolved, { author = null, now = new Date().toISOString() } = {}) {
+  if (!isReview(comment)) throw new Error("Comment is not a review note");
+  comment.resolved = resolved === true;
+  delete comment.resolvedBy;
+  delete comment.resolvedAt;
+  if (!comment.resolved) return;
+  if (author) comment.resolvedBy = author;
+  comment.resolvedAt = now;
+}
+
+/**
+ * Review notes of a workspace listing, split by status.
+ * @param {Object[]} files - listWorkspaceComments() result
+ * @returns {{ unresolved: Object[], resolved: Object[] }} each [{ relativePath, comment, isPrivate }] in file order
+ */
+function collectReviews(files) {
+  const reviews = { unresolved: [], resolved: [] };
+  for (const { relativePath, comments } of files) {
+    for (const { comment, isPrivate } of comments) {
+      if (!isReview(comment)) continue;
+      reviews[isResolvedReview(comment) ? "resolved" : "unresolved"].push({ relativePath, comment, isPrivate });
+    }
+  }
+  return reviews;
+}
+
+module.exports = {
+  REVIEW_KIND,
+  isReview,
+  isResolvedReview,
+  markReview,
+  unmarkReview,
+  setReviewResolved,
+  collectReviews,
+};
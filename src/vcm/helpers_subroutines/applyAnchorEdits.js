@@ -0,0 +1,92 @@
+const { getCommentMarkersForFile } = require("../../utils_copycode/commentMarkers");
+const { hashLine } = require("../../utils_copycode/hash");
+const { isolateCodeLine } = require("../../utils_copycode/lineUtils");
+const { getAnchorFieldsAtLine, indexCodeLinesByHash } = require("../../utils_copycode/anchorAtLine");
+const { isFrozen } = require("../../utils_copycode/isFrozen");
+const { isAlwaysShow } = require("../../utils_copycode/isAlwaysShow");
+
+// ============================================================================
+// applyAnchorEdits()
+// ============================================================================
+// Clean-mode counterpart of the snapshot merge in mergeIntoVCMs.
+// Takes the removed/inserted code lines collected by the anchor edit tracker
+// and reconciles the VCM comments anchored to them against the current clean text:
+//   - comment still matches its context somewhere -> untouched
+//   - anchor line removed and not re-inserted     -> comment deleted
+//   - anchor line removed and inserted elsewhere  -> comment re-anchored (moved)
+// Frozen comments are never touched, and alwaysShow comments are visible in clean
+// mode so the document itself (via mergeIntoVCMs) stays their source of truth.
+// Returns { comments, removed, reanchored } where `comments` is a new array.
+// ============================================================================
+function applyAnchorEdits({ comments, anchorEdits, text, filePath }) {
+  const commentMarkers = getCommentMarkersForFile(filePath);
+  const lines = text.split("\n");
+  const codeLinesByHash = indexCodeLinesByHash(lines, filePath);
+
+  // Net removal count per anchor hash: > 0 means the line is gone, <= 0 means it moved
+  const netRemoved = new Map();
+  const toHash = (lineText) => hashLine(isolateCodeLine(lineText, commentMarkers), 0);
+  for (const [lineText, count] of anchorEdits.removed) {
+    const hash = toHash(lineText);
+    netRemoved.set(hash, (netRemoved.get(hash) || 0) + count);
+  }
+  for (const [lineText, count] of anchorEdits.inserted) {
+    const hash = toHash(lineText);
+    if (netRemoved.has(hash)) netRemoved.set(hash, netRemoved.get(hash) - count);
+  }
+
+  let removed = 0;
+  let reanchored = 0;
+  const result = [];
+
+  for (const comment of comments) {
+    if (!netRemoved.has(comment.anchor) || isFrozen(comment) || isAlwaysShow(comment)) {
+      result.push(comment);
+      continue;
+    }
+
+    // Where does the anchor line live now, and does any occurrence still match the stored context?
+    const occurrences = codeLinesByHash.get(comment.anchor) || [];
+    const candidates = occurrences.map(idx => ({ idx, fields: getAnchorFieldsAtLine(lines, idx, filePath) }));
+    const stillInPlace = candidates.some(({ fields }) =>
+      fields.prevHash === comment.prevHash && fields.nextHash === comment.nextHash
+    );
+    if (stillInPlace) {
+      result.push(comment);
+      continue;
+    }
+
+    // Anchor line deleted (or this was the copy that got deleted) -> drop the comment
+    if (candidates.length === 0 || netRemoved.get(comment.anchor) > 0) {
+      removed++;
+      continue;
+    }
+
+    // Anchor line moved -> follow it. Prefer an occurrence that keeps one side of the old context.
+    const target =
+      candidates.find(({ fields }) => fields.prevHash === comment.prevHash || fields.nextHash === comment.nextHash) ||
+      candidates[0];
+    const oldAnchor = comment.anchor;
+    const { fields } = target;
+
+    comment.prevHash = fields.prevHash;
+    comment.nextHash = fields.nextHash;
+    comment.prevHashText = fields.prevHashText;
+    comment.nextHashText = fields.nextHashText;
+
+    // Primary context pointed at the old location's code lines, refresh it too
+    if (comment.primaryAnchor === oldAnchor) {
+      comment.primaryPrevHash = fields.prevHash;
+      comment.primaryPrevHashText = fields.prevHashText;
+      comment.primaryNextHash = fields.nextHash;
+      comment.primaryNextHashText = fields.nextHashText;
+    }
+
+    reanchored++;
+    result.push(comment);
+  }
+
+  return { comments: result, removed, reanchored };
+}
+
+module.exports = { applyAnchorEdits };
@@ -0,0 +1,118 @@
+// ============================================================================
+// archiveMirrors()
+// ============================================================================
+// Deleting a source file must not silently lose its comments, and leaving the
+// mirrors in .vcm/shared and .vcm/private makes them stale forever. Instead they
+// are moved into a timestamped archive that can be restored or deleted later.
+// Each store keeps its own archive, so a gitignored store (.vcm/private/*, a
+// personal layer) stays ignored after the file is deleted:
+//   .vcm/shared/.archive/<archiveId>/<path>.vcm.json
+//   .vcm/private/.archive/<archiveId>/<path>.vcm.json
+//   .vcm/<layer>/.archive/<archiveId>/<path>.vcm.json   (named layers, see commentLayers.js)
+// archiveId is the UTC time of the deletion, e.g. "2026-10-19T13-55-02Z".
+// ============================================================================
+// `fs` is a VCM filesystem adapter (see src/fs/)
+
+const { createVCMLister, ARCHIVE_DIR_NAME } = require("../utils_copycode/listVCMFiles");
+const { createVCMFileExists } = require("../utils_copycode/vcmFileExists");
+const { createMirrorMover } = require("./moveMirrors");
+const { createVCMPaths } = require("../utils_copycode/getVCMPaths");
+const { layerOf } = require("../../utils_copycode/commentLayers");
+
+const LAYERS = [["shared", false], ["private", true]];
+
+function toArchiveId(date = new Date()) {
+  return date.toISOString().replace(/\.\d+Z$/, "Z").replace(/:/g, "-");
+}
+
+function createMirrorArchiver(fs) {
+  const { listVCMFiles } = createVCMLister(fs);
+  const { vcmFileExists } = createVCMFileExists(fs);
+  const { transferMirror, deleteMirror } = createMirrorMover(fs);
+  const { listLayerNames } = createVCMPaths(fs);
+
+  // shared, private and the named layers found under baseDir, as [layer, isPrivate]
+  const layersUnder = async (baseDir) => [...LAYERS, ...(await listLayerNames(baseDir)).map(name => [name, false])];
+  const archivedEntry = (archiveId, relativePath, layer, isPrivate) =>
+    LAYERS.some(([builtIn]) => builtIn === layer)
+      ? { archiveId, relativePath, isPrivate }
+      : { archiveId, relativePath, isPrivate, layer };
+
+  const archiveRoot = (vcmBaseDir, layer) => fs.join(vcmBaseDir, layer, ARCHIVE_DIR_NAME);
+  const atOrUnder = (relativePath) => (p) => p === relativePath || p.startsWith(relativePath + "/");
+
+  /**
+   * Move the mirrors of a deleted file (or every file under a deleted folder) into their stores' archives.
+   * @param {string} relativePath - Deleted source path (file or folder)
+   * @param {*} vcmBaseDir - .vcm
+   * @param {Object} options - { date } time of the deletion (default: now)
+   * @returns {Promise<Object[]>} [{ archiveId, relativePath, isPrivate, layer? }] archived mirrors
+   *   (layer only for a named layer)
+   */
+  async function archiveMirrors(relativePath, vcmBaseDir, { date = new Date() } = {}) {
+    const archiveId = toArchiveId(date);
+    const archived = [];
+    for (const [layer, isPrivate] of await layersUnder(vcmBaseDir)) {
+      const baseDir = fs.join(vcmBaseDir, layer);
+      for (const source of (await listVCMFiles(baseDir)).filter(atOrUnder(relativePath))) {
+        const target = `${archiveId}/${source}`;
+        // Same file deleted twice within a second: keep the first archive, drop nothing
+        if (await vcmFileExists(archiveRoot(vcmBaseDir, layer), target)) continue;
+        await transferMirror(baseDir, source, archiveRoot(vcmBaseDir, layer), target, source);
+        archived.push(archivedEntry(archiveId, source, layer, isPrivate));
+      }
+    }
+    return archived;
+  }
+
+  /**
+   * @param {*} vcmBaseDir - .vcm
+   * @returns {Promise<Object[]>} [{ archiveId, relativePath, isPrivate, layer? }] newest archive first
+   */
+  async function listArchivedMirrors(vcmBaseDir) {
+    const archivedMirrors = [];
+    for (const [layer, isPrivate] of await layersUnder(vcmBaseDir)) {
+      const root = archiveRoot(vcmBaseDir, layer);
+      let entries;
+      try {
+        entries = await fs.readDirectory(root);
+      } catch {
+        continue; // Nothing archived in this store yet
+      }
+      for (const [archiveId, isDirectory] of entries) {
+        if (!isDirectory) continue;
+        for (const relativePath of await listVCMFiles(fs.join(root, archiveId))) {
+          archivedMirrors.push(archivedEntry(archiveId, relativePath, layer, isPrivate));
+        }
+      }
+    }
+    // Newest first; within one archive, shared, private, then the named layers (stable sort)
+    return archivedMirrors.sort((a, b) => (a.archiveId < b.archiveId ? 1 : a.archiveId > b.archiveId ? -1 : 0));
+  }
+
+  /**
+   * Move an archived mirror back to .vcm/shared, .vcm/private or its layer's directory.
+   * Never overwrites a live mirror.
+   * @returns {Promise<boolean>} true if restored, false if a live mirror is in the way
+   */
+  async function restoreArchivedMirror(entry, vcmBaseDir) {
+    const { archiveId, relativePath } = entry;
+    const layer = layerOf(entry);
+    const liveDir = fs.join(vcmBaseDir, layer);
+    if (await vcmFileExists(liveDir, relativePath)) return false;
+    await transferMirror(archiveRoot(vcmBaseDir, layer), `${archiveId}/${relativePath}`, liveDir, relativePath, relativePath);
+    return true;
+  }
+
+  /**
+   * Permanently delete an archived mirror.
+   */
+  async function deleteArchivedMirror(entry, vcmBaseDir) {
+    const { archiveId, relativePath } = entry;
+    await deleteMirror(archiveRoot(vcmBaseDir, layerOf(entry)), `${archiveId}/${relativePath}`);
+  }
+
+  return { archiveMirrors, listArchivedMirrors, restoreArchivedMirror, deleteArchivedMirror };
+}
+
+module.exports = { createMirrorArchiver, toArchiveId };
@@ -0,0 +1,49 @@
+// ============================================================================
+// checkVCMFiles()
+// ============================================================================
+// Reports which mirrors in a directory were written by an older VCM version and
+// which by a newer one, without touching any of them. Older mirrors are upgraded
+// in memory whenever they are read (see readBothVCMs.js) and saved in the new
+// format by the next real write, so opening a repo never rewrites .vcm by itself;
+// newer mirrors are refused, and this lets the extension and the CLI say so up front.
+// ============================================================================
+// `fs` is a VCM filesystem adapter (see src/fs/)
+
+const { createVCMLister } = require("../utils_copycode/listVCMFiles");
+const { upgradeVCMPayload, VCMSchemaError } = require("../utils_copycode/vcmSchema");
+
+function createVCMChecker(fs) {
+  const { listVCMFiles } = createVCMLister(fs);
+
+  /**
+   * @param {*} dir - .vcm/shared, .vcm/private or a layer directory
+   * @returns {Promise<{ outdated: string[], newer: VCMSchemaError[] }>}
+   *   outdated: relative paths of the mirrors still on an older schema;
+   *   newer: one error per mirror this version can't read
+   */
+  async function checkVCMFiles(dir) {
+    const outdated = [];
+    const newer = [];
+    for (const relativePath of await listVCMFiles(dir)) {
+      let data;
+      try {
+        data = JSON.parse(await fs.readFile(fs.join(dir, relativePath + ".vcm.json")));
+      } catch {
+        continue; // Unreadable (e.g. unresolved merge conflict) - leave it for the user
+      }
+      if (!data || typeof data !== "object") continue;
+
+      try {
+        if (upgradeVCMPayload(data, relativePath + ".vcm.json").migrated) outdated.push(relativePath);
+      } catch (err) {
+        if (!(err instanceof VCMSchemaError)) throw err;
+        newer.push(err);
+      }
+    }
+    return { outdated, newer };
+  }
+
+  return { checkVCMFiles };
+}
+
+module.exports = { createVCMChecker };
@@ -1,5 +1,7 @@
-const vscode = require("vscode");
-const { vcmFileExists } = require("../utils_copycode/vcmFileExists");
+const { createVCMFileExists } = require("../utils_copycode/vcmFileExists");
+const { buildVCMPayload } = require("../utils_copycode/buildVCMPayload");
+const { ensureCommentIds } = require("../../utils_copycode/commentIds");
+const { assertSupportedSchema } = require("../utils_copycode/vcmSchema");
 
 // ============================================================================
 // createVCMFiles()
@@ -8,154 +10,133 @@ const { vcmFileExists } = require("../utils_copycode/vcmFileExists");
 // This function ALWAYS writes when called (no gating logic).
 // Logic:
 // - Filters comments by isPrivate flag
+// - Gives every record a stable id (new comments, copies of another record)
+// - Refuses (VCMSchemaError) to replace a mirror written by a newer VCM version
 // - Writes shared comments to .vcm/shared/{file}.vcm.json
-// - Writes private comments to .vcm/private/{file}.vcm.json
+// - Writes private comments to .vcm/private/{file}.vcm.json, without discussion threads
+//   (replies are shared-only, see commentThreads.js)
+// - Writes a named layer's comments to .vcm/{layer}/{file}.vcm.json, the same way
 // - Creates VCM files if they don't exist
 // - Updates VCM files if they exist
 // ============================================================================
 // src/vcm/vcmIO.js
 // Keep writes consistent across shared/private, but let callers choose which to write.
-
-/**
- * Ensures the directory for a file path exists:
- * - baseDir/.vcm.json (and subdirs if relativePath has folders)
- */
-async function ensureSubdirsExist(baseDir, relativePath) {
-  // Create the base dir (shared or private)
-  await vscode.workspace.fs.createDirectory(baseDir).catch(() => {});
-
-  // If relativePath has subfolders, create them inside baseDir
-  const pathParts = relativePath.split(/[\\/]/);
-  if (pathParts.length > 1) {
-    const subdir = vscode.Uri.joinPath(baseDir, pathParts.slice(0, -1).join("/"));
-    await vscode.workspace.fs.createDirectory(subdir).catch(() => {});
+// `fs` is a VCM filesystem adapter (src/fs/vscodeFs.js or src/fs/nodeFs.js).
+
+function createVCMWriters(fs) {
+  const { vcmFileExists } = createVCMFileExists(fs);
+
+  /**
+   * Ensures the directory for a file path exists:
+   * - baseDir/.vcm.json (and subdirs if relativePath has folders)
+   */
+  async function ensureSubdirsExist(baseDir, relativePath) {
+    // Create the base dir (shared or private)
+    await fs.createDirectory(baseDir).catch(() => {});
+
+    // If relativePath has subfolders, create them inside baseDir
+    const pathParts = relativePath.split(/[\\/]/);
+    if (pathParts.length > 1) {
+      const subdir = fs.join(baseDir, pathParts.slice(0, -1).join("/"));
+      await fs.createDirectory(subdir).catch(() => {});
+    }
   }
-}
 
-/**
- * Internal generic writer:
- * - If comments.length > 0 OR file already exists -> write file
- * - Else -> delete file
- *
- * `stripIsPrivate`:
- * - shared storage CAN keep isPrivate=false (or omit; your choice)
- * - private storage MUST NOT store isPrivate (canonical store)
- */
-async function writeVCMFile({ relativePath, dirUri, comments, stripIsPrivate }) {
-  const fileUri = vscode.Uri.joinPath(dirUri, relativePath + ".vcm.json");
-
-  // "Exists" check uses your existing helper that checks in the right folder structure
-  const exists = await vcmFileExists(dirUri, relativePath);
-
-  // If no comments and no existing file -> do nothing
-  if ((!comments || comments.length === 0) && !exists) {
-    return;
+  /**
+   * Internal generic writer:
+   * - If comments.length > 0 OR file already exists -> write file
+   * - Else -> delete file
+   *
+   * `stripIsPrivate`:
+   * - shared storage CAN keep isPrivate=false (or omit; your choice)
+   * - private storage MUST NOT store isPrivate (canonical store)
+   */
+  async function writeVCMFile({ relativePath, dirUri, comments, stripIsPrivate, stripThreads = false }) {
+    const fileUri = fs.join(dirUri, relativePath + ".vcm.json");
+
+    // "Exists" check uses your existing helper that checks in the right folder structure
+    const exists = await vcmFileExists(dirUri, relativePath);
+
+    // If no comments and no existing file -> do nothing
+    if ((!comments || comments.length === 0) && !exists) {
+      return;
+    }
+
+    // Never overwrite or delete what a newer version wrote (its fields would be lost)
+    if (exists) {
+      let existing = null;
+      try {
+        existing = JSON.parse(await fs.readFile(fileUri));
+      } catch {}
+      if (existing && typeof existing === "object") assertSupportedSchema(existing, relativePath + ".vcm.json");
+    }
+
+    if (comments && comments.length > 0) {
+      await ensureSubdirsExist(dirUri, relativePath);
+      ensureCommentIds(comments);
+
+      const payload = buildVCMPayload(relativePath, comments, { stripIsPrivate, stripThreads });
+
+      await fs.writeFile(fileUri, JSON.stringify(payload, null, 2));
+      return;
+    }
+
+    // comments empty but file exists -> delete
+    try {
+      await fs.delete(fileUri);
+    } catch {}
   }
 
-  if (comments && comments.length > 0) {
-    await ensureSubdirsExist(dirUri, relativePath);
-
-    const reorderCommentFields = (comment) => {
-      const ordered = {};
-      const preferredOrder = [
-        "type",
-        "prevHash",
-        "anchor",
-        "nextHash",
-        "prevHashText",
-        "anchorText",
-        "nextHashText",
-        "primaryPrevHash",
-        "primaryAnchor",
-        "primaryNextHash",
-        "primaryPrevHashText",
-        "text",
-        "block",
-        "text_cleanMode",
-        "cleanModeOrigin",
-        "primaryAnchorText",
-        "primaryNextHashText",
-        "commentedLineIndex",
-        "insertAbove",
-        "spacingBefore",
-        "spacingAfter",
-        "isPrivate",
-      ];
-
-      for (const key of preferredOrder) {
-        if (comment[key] !== undefined) {
-          ordered[key] = comment[key];
-        }
-      }
-
-      for (const key of Object.keys(comment)) {
-        if (ordered[key] === undefined) {
-          ordered[key] = comment[key];
-        }
-      }
-
-      return ordered;
-    };
-
-    const normalized = stripIsPrivate
-      ? comments.map((c) => {
-          // Remove isPrivate flag for canonical private storage
-          const { isPrivate, ...rest } = c;
-          return reorderCommentFields(rest);
-        })
-      : comments.map((c) => reorderCommentFields(c));
-
-    const payload = {
-      file: relativePath,
-      lastModified: new Date().toISOString(),
-      comments: normalized,
-    };
-
-    await vscode.workspace.fs.writeFile(
-      fileUri,
-      Buffer.from(JSON.stringify(payload, null, 2), "utf8")
-    );
-    return;
+  /**
+   * Write only shared.
+   * Caller passes the combined comments array; this function filters.
+   */
+  async function writeSharedVCM(relativePath, comments, vcmSharedDir) {
+    const sharedComments = (comments || []).filter((c) => !c.isPrivate && !c.layer);
+
+    await writeVCMFile({
+      relativePath,
+      dirUri: vcmSharedDir,
+      comments: sharedComments,
+      stripIsPrivate: false, // shared can keep isPrivate if you want, but you already filter it out
+    });
   }
 
-  // comments empty but file exists -> delete
-  try {
-    await vscode.workspace.fs.delete(fileUri);
-  } catch {}
-}
+  /**
+   * Write only private.
+   * Caller passes the combined comments array; this function filters but KEEPS isPrivate.
+   */
+  async function writePrivateVCM(relativePath, comments, vcmPrivateDir) {
+    const privateComments = (comments || []).filter((c) => c.isPrivate && !c.layer);
+
+    await writeVCMFile({
+      relativePath,
+      dirUri: vcmPrivateDir,
+      comments: privateComments,
+      stripIsPrivate: false, // Keep isPrivate flag in private VCM for persistence
+      stripThreads: true, // Discussions stay in .vcm/shared
+    });
+  }
 
-/**
- * Write only shared.
- * Caller passes the combined comments array; this function filters.
- */
-async function writeSharedVCM(relativePath, comments, vcmSharedDir) {
-  const sharedComments = (comments || []).filter((c) => !c.isPrivate);
-
-  await writeVCMFile({
-    relativePath,
-    dirUri: vcmSharedDir,
-    comments: sharedComments,
-    stripIsPrivate: false, // shared can keep isPrivate if you want, but you already filter it out
-  });
-}
+  /**
+   * Write only one named layer.
+   * Caller passes the combined comments array; this function filters by `layer`.
+   */
+  async function writeLayerVCM(relativePath, comments, layerDir, layer) {
+    const layerComments = (comments || []).filter((c) => c.layer === layer);
+
+    await writeVCMFile({
+      relativePath,
+      dirUri: layerDir,
+      comments: layerComments,
+      stripIsPrivate: true, // The directory is the layer (`layer` itself is never written)
+      stripThreads: true, // Discussions stay in .vcm/shared
+    });
+  }
 
-/**
- * Write only private.
- * Caller passes the combined comments array; this function filters but KEEPS isPrivate.
- */
-async function writePrivateVCM(relativePath, comments, vcmPrivateDir) {
-  const privateComments = (comments || []).filter((c) => c.isPrivate);
-
-  await writeVCMFile({
-    relativePath,
-    dirUri: vcmPrivateDir,
-    comments: privateComments,
-    stripIsPrivate: false, // Keep isPrivate flag in private VCM for persistence
-  });
+  return { writeSharedVCM, writePrivateVCM, writeLayerVCM };
 }
 
-
 module.exports = {
-  writeSharedVCM,
-  writePrivateVCM,
+  createVCMWriters,
 };
@@ -0,0 +1,87 @@
+// ============================================================================
+// listWorkspaceComments()
+// ============================================================================
+// Every comment of every mirror under .vcm/shared and .vcm/private (and the named
+// layers' directories), grouped by source file, for the "VCM Comments" tree view. A mirror this version can't read
+// (newer schema) is listed with its error instead of its comments.
+// ============================================================================
+// `fs` is a VCM filesystem adapter (see src/fs/)
+
+const { createVCMLister } = require("../utils_copycode/listVCMFiles");
+const { createVCMReaders } = require("../utils_copycode/readBothVCMs");
+const { VCMSchemaError } = require("../utils_copycode/vcmSchema");
+const { getCommentText } = require("../../utils_copycode/getCommentText");
+const { isAlwaysShow } = require("../../utils_copycode/isAlwaysShow");
+const { isFrozen } = require("../../utils_copycode/isFrozen");
+const { isReview, isResolvedReview } = require("../../utils_copycode/reviewComments");
+
+// Everything shown; set a key to narrow the list
+const DEFAULT_COMMENT_FILTER = { shared: true, private: true, alwaysShowOnly: false, frozenOnly: false };
+
+/**
+ * @param {Object} comment - Mirror record
+ * @param {boolean} isPrivate - Record comes from the private mirror
+ * @param {Object} filter - { shared, private, alwaysShowOnly, frozenOnly }
+ * @returns {boolean}
+ */
+function matchesCommentFilter(comment, isPrivate, filter = DEFAULT_COMMENT_FILTER) {
+  if (isPrivate ? !filter.private : !filter.shared) return false;
+  if (filter.alwaysShowOnly && !isAlwaysShow(comment)) return false;
+  if (filter.frozenOnly && !isFrozen(comment)) return false;
+  return true;
+}
+
+/**
+ * Label parts for one comment: its first non-empty text line and its flags.
+ * @returns {{ firstLine: string, flags: string[] }} flags e.g. ["block", "private", "always show"]
+ */
+function summarizeComment(comment, isPrivate) {
+  const firstLine = getCommentText(comment).split("\n").map(l => l.trim()).find(Boolean) || "";
+  const flags = [comment.type];
+  if (isPrivate) flags.push("private");
+  if (comment.layer) flags.push(comment.layer);
+  if (isAlwaysShow(comment)) flags.push("always show");
+  if (isFrozen(comment)) flags.push("frozen");
+  if (isReview(comment)) flags.push(isResolvedReview(comment) ? "resolved review" : "review");
+  return { firstLine, flags };
+}
+
+function createWorkspaceCommentLister(fs) {
+  const { listVCMFiles } = createVCMLister(fs);
+  const { readSharedVCM, readPrivateVCM, readLayerVCM } = createVCMReaders(fs);
+
+  /**
+   * @param {*} vcmDir - .vcm/shared
+   * @param {*} vcmPrivateDir - .vcm/private
+   * @param {Object} filter - See matchesCommentFilter (default: everything)
+   * @param {Object} layerDirs - Named layer -> its .vcm/<layer> dir; their comments are listed
+   *   with the private ones (filter.private), record.layer telling them apart
+   * @returns {Promise<Object[]>} [{ relativePath, comments: [{ comment, isPrivate }], error? }]
+   *   sorted by path; files left with no comment after filtering are omitted
+   */
+  async function listWorkspaceComments(vcmDir, vcmPrivateDir, filter = DEFAULT_COMMENT_FILTER, layerDirs = {}) {
+    const dirs = [vcmDir, vcmPrivateDir, ...Object.values(layerDirs)];
+    const paths = [...new Set((await Promise.all(dirs.map(dir => listVCMFiles(dir)))).flat())].sort();
+    const files = [];
+    for (const relativePath of paths) {
+      try {
+        const comments = [
+          ...(await readSharedVCM(relativePath, vcmDir)).map(comment => ({ comment, isPrivate: false })),
+          ...(await readPrivateVCM(relativePath, vcmPrivateDir)).map(comment => ({ comment, isPrivate: true })),
+          ...(await Promise.all(Object.entries(layerDirs).map(([layer, dir]) => readLayerVCM(relativePath, dir, layer))))
+            .flat()
+            .map(comment => ({ comment, isPrivate: true })),
+        ].filter(({ comment, isPrivate }) => matchesCommentFilter(comment, isPrivate, filter));
+        if (comments.length > 0) files.push({ relativePath, comments });
+      } catch (err) {
+        if (!(err instanceof VCMSchemaError)) throw err;
+        files.push({ relativePath, comments: [], error: err.message });
+      }
+    }
+    return files;
+  }
+
+  return { listWorkspaceComments };
+}
+
+module.exports = { createWorkspaceCommentLister, matchesCommentFilter, summarizeComment, DEFAULT_COMMENT_FILTER };
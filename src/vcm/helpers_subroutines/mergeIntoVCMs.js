@@ -1,7 +1,12 @@
 const { buildContextKey } = require("../../utils_copycode/buildContextKey");
 const { getCommentText } = require("../../utils_copycode/getCommentText");
-const { isAlwaysShow } = require("../../helpers_subroutines/alwaysShow");
+const { isAlwaysShow } = require("../../utils_copycode/isAlwaysShow");
 const { isSameComment } = require("../../utils_copycode/isSameComment");
+const { isFrozen } = require("../../utils_copycode/isFrozen");
+const { DEFAULT_FUZZY_ANCHOR_THRESHOLD, FUZZY_SEARCH_RADIUS, anchorSimilarity } = require("../../utils_copycode/lineSimilarity");
+const { snapshotCommentTexts, stampCommentEdits } = require("../../utils_copycode/commentAuthorship");
+const { DEFAULT_HISTORY_LIMIT, snapshotRevisions, recordCommentRevisions } = require("../../utils_copycode/commentHistory");
+const { PRIVATE_LAYER, assertLayerStore, assignLayer } = require("../../utils_copycode/commentLayers");
 
 // ============================================================================
 // mergeIntoVCMs() determines:
@@ -10,10 +15,15 @@ const { isSameComment } = require("../../utils_copycode/isSameComment");
 // what’s in the VCM JSON (vcmComments)
 
 // It decides how to:
+// match by stable id first when the doc comment was correlated (see commentIds.js)
 // preserve metadata (alwaysShow, anchors, etc.)
+// leave frozen comments untouched (text + anchor are pinned)
+// re-match comments whose anchor line AND text were both edited (fuzzy anchor context)
 // avoid shared/private cross-contamination
 // track clean-mode edits via text_cleanMode
-// update private comments correctly in clean mode
+// update private comments correctly in clean mode (and named-layer comments the same way, see commentLayers.js)
+// stamp authorship: createdAt/author on new comments, updatedAt when text changed (see commentAuthorship.js)
+// keep the previous version of changed comments in their bounded history (see commentHistory.js)
 // It Returns: “here are the updated comments that should be saved back into this VCM”.
 // ============================================================================
 function mergeIntoVCMs({
@@ -21,9 +31,18 @@ function mergeIntoVCMs({
   docComments, // array: comments extracted from current document
   vcmComments, // array: comments from current VCM file (will be modified in place for clean mode)
   isPrivateMode = false, // boolean: true = processing private comments, false = shared
+  layer = null, // string: with isPrivateMode, the named layer being processed instead of private
   wasJustInjected = false, // boolean: skip processing in clean mode if just injected
   allowSpacingUpdate = true, // boolean: only update spacing when comment is visible in the document
+  fuzzyThreshold = DEFAULT_FUZZY_ANCHOR_THRESHOLD, // number: min anchor-context similarity for the fuzzy fallback (1 = off)
+  author = null, // string: "Name <email>" stamped on comments created by this merge (null = unknown)
+  now = new Date().toISOString(), // string: ISO timestamp for createdAt/updatedAt
+  historyLimit = DEFAULT_HISTORY_LIMIT, // number: revisions kept per comment (0 = don't record)
 }) {
+  // Commented private (and layer) merges update copies, like the shared merge adds copies:
+  // the caller's records stay as read (taken before the snapshots below, which go by identity)
+  if (isCommented && isPrivateMode) vcmComments = vcmComments.map(c => ({ ...c }));
+
   const addKeyToMap = (map, comment, usePrimary = false) => {
     const key = buildContextKey(comment, { usePrimaryAnchor: usePrimary });
     if (!map.has(key)) map.set(key, []);
@@ -48,6 +67,37 @@ function mergeIntoVCMs({
     // Spacing is preserved from VCM and only updated when comment is visible and spacing changes
   };
 
+  // Fuzzy fallback: an unclaimed VCM comment of the same type whose stored anchor
+  // context (anchorText/prevHashText/nextHashText) is similar enough to the current one.
+  // Only runs after exact key/text matching failed, i.e. the anchor line was edited
+  // (key changed) and the comment text was edited too (text match failed).
+  // Like findFuzzyAnchorLine, only records stored within FUZZY_SEARCH_RADIUS lines of
+  // the comment are candidates, so a look-alike block elsewhere never takes one over.
+  const storedComments = vcmComments.slice(); // Snapshot: comments added during the merge are never candidates
+  const findFuzzyCandidate = (current, claimed) => {
+    if (!(fuzzyThreshold < 1) || !current.anchorText) return null;
+    const currentLine = getCommentLineIndex(current);
+    if (currentLine === null) return null;
+    let best = null;
+    let bestScore = fuzzyThreshold;
+    for (const candidate of storedComments) {
+      if (claimed.has(candidate) || candidate.type !== current.type) continue;
+      if (candidate.anchor === current.anchor || !candidate.anchorText) continue;
+      const storedLine = getCommentLineIndex(candidate);
+      if (storedLine === null || Math.abs(storedLine - currentLine) > FUZZY_SEARCH_RADIUS) continue;
+      const score = anchorSimilarity(candidate, current);
+      if (score > bestScore || (score === bestScore && !best)) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+    return best;
+  };
+
+  // Stable id match: doc comments carry the id of the record correlateCommentIds paired them with
+  const findById = (current, claimed) =>
+    current.id ? vcmComments.find(c => c.id === current.id && !claimed.has(c)) || null : null;
+
   const updateSpacing = (existing, current) => {
     existing.spacingBefore = current.spacingBefore;
     existing.spacingAfter = current.spacingAfter;
@@ -104,14 +154,15 @@ function mergeIntoVCMs({
   }
 
   // PRIVATE MODE REFUSAL GUARD: Private VCM should only contain private comments
+  // (a named layer's VCM only its own layer's comments)
+  const storeLayer = layer || PRIVATE_LAYER;
   if (isPrivateMode) {
-    const nonPrivate = vcmComments.find(c => c.isPrivate !== true);
-    if (nonPrivate) {
-      // Private VCM is polluted with non-private comment - refuse to proceed
-      throw new Error(`Private VCM contains non-private comment at anchor ${nonPrivate.anchor}. Store separation violated.`);
-    }
+    // Polluted with another layer's comment - refuse to proceed
+    assertLayerStore(vcmComments, storeLayer);
   }
 
+  const textsBefore = snapshotCommentTexts(vcmComments);
+  const revisionsBefore = snapshotRevisions(vcmComments);
   let finalComments;
 
   // ========================================================================
@@ -138,15 +189,32 @@ function mergeIntoVCMs({
       }
 
       const claimed = new Set();
+      const unmatchedDocComments = [];
+
+      // Update an existing private comment in place from its document copy
+      const updatePrivateFromDoc = (existing, current) => {
+        // Frozen comments are pinned: never overwrite their text or anchor from the document
+        if (isFrozen(existing)) return;
+
+        // Update existing comment in place
+        updateAnchorMeta(existing, current);
+        if (allowSpacingUpdate) {
+          updateSpacing(existing, current); // Update spacing when comment is visible in commented mode
+        }
+        if (current.type === "inline") existing.text = current.text;
+        if (current.type === "line") existing.text = current.text;
+        if (current.type === "block") existing.block = current.block;
+        assignLayer(existing, storeLayer);
+      };
 
       // Update matched VCM comments in place
       for (const current of docComments) {
         const currentText = getCommentText(current);
 
-        let existing = null;
+        let existing = findById(current, claimed);
 
         // Try primary key FIRST for consecutive comments (more specific match)
-        if (current.primaryAnchor !== undefined) {
+        if (!existing && current.primaryAnchor !== undefined) {
           const primaryKey = buildContextKey(current, { usePrimaryAnchor: true });
           const primaryCandidates = vcmByKey.get(primaryKey) || [];
           existing = primaryCandidates.find(x => !claimed.has(x)) || null;
@@ -164,35 +232,29 @@ function mergeIntoVCMs({
           if (!claimed.has(cand)) existing = cand;
         }
 
-        if (!existing) continue;
+        if (!existing) {
+          unmatchedDocComments.push(current);
+          continue;
+        }
 
         claimed.add(existing);
+        updatePrivateFromDoc(existing, current);
+      }
 
-        // Update existing comment in place
-        console.log("[DEBUG mergeIntoVCMs PRIVATE] before updateAnchorMeta:", {
-          currentText: getCommentText(current)?.substring(0, 30),
-          currentPrimaryAnchor: current.primaryAnchor,
-          currentPrimaryAnchorText: current.primaryAnchorText?.substring(0, 30),
-          existingText: getCommentText(existing)?.substring(0, 30),
-          existingPrimaryAnchor: existing.primaryAnchor,
-          existingPrimaryAnchorText: existing.primaryAnchorText?.substring(0, 30),
-        });
-        updateAnchorMeta(existing, current);
-        if (allowSpacingUpdate) {
-          updateSpacing(existing, current); // Update spacing when comment is visible in commented mode
-        }
-        console.log("[DEBUG mergeIntoVCMs PRIVATE] after updateAnchorMeta:", {
-          existingPrimaryAnchor: existing.primaryAnchor,
-          existingPrimaryAnchorText: existing.primaryAnchorText?.substring(0, 30),
-        });
-        if (current.type === "inline") existing.text = current.text;
-        if (current.type === "line") existing.text = current.text;
-        if (current.type === "block") existing.block = current.block;
-        existing.isPrivate = true;
+      // Second pass: fuzzy anchor matching for whatever exact matching left over
+      for (const current of unmatchedDocComments) {
+        const existing = findFuzzyCandidate(current, claimed);
+        if (!existing) continue;
+        claimed.add(existing);
+        updatePrivateFromDoc(existing, current);
       }
 
       // Return ALL VCM comments (preserves hidden private comments)
-      finalComments = vcmComments.map(c => ({ ...c, isPrivate: true }));
+      // (in place, like clean mode, so authorship stamping below sees the same records)
+      finalComments = vcmComments.map(c => {
+        assignLayer(c, storeLayer);
+        return c;
+      });
 
     } else {
       // ====================================================================
@@ -215,15 +277,31 @@ function mergeIntoVCMs({
 
       const matchedVCMComments = new Set();
       const newlyAddedComments = new Set(); // Track newly added comments explicitly
+      const unmatchedDocComments = [];
+
+      // Update an existing shared comment in place from its document copy
+      const updateSharedFromDoc = (existing, current) => {
+        // Frozen comments are pinned: matched, but text and anchor stay as stored
+        if (isFrozen(existing)) return;
+
+        updateAnchorMeta(existing, current);
+        if (allowSpacingUpdate) {
+          updateSpacing(existing, current); // Update spacing when comment is visible
+        }
+        if (current.type === "inline") existing.text = current.text;
+        if (current.type === "line") existing.text = current.text;
+        if (current.type === "block") existing.block = current.block;
+      };
 
       // Update matched VCM comments in place
       for (const current of docComments) {
         const currentText = getCommentText(current);
 
-        let existing = null;
+        let existing = findById(current, matchedVCMComments);
+        if (existing) matchedVCMComments.add(existing);
 
         // Try primary key FIRST for consecutive comments (more specific match)
-        if (current.primaryAnchor !== undefined) {
+        if (!existing && current.primaryAnchor !== undefined) {
           const primaryKey = buildContextKey(current, { usePrimaryAnchor: true });
           const primaryCandidates = vcmComByKEY.get(primaryKey) || [];
           if (primaryCandidates.length > 0) {
@@ -256,14 +334,18 @@ function mergeIntoVCMs({
         }
 
         if (existing) {
-          // Update existing comment in place
-          updateAnchorMeta(existing, current);
-          if (allowSpacingUpdate) {
-            updateSpacing(existing, current); // Update spacing when comment is visible
-          }
-          if (current.type === "inline") existing.text = current.text;
-          if (current.type === "line") existing.text = current.text;
-          if (current.type === "block") existing.block = current.block;
+          updateSharedFromDoc(existing, current);
+        } else {
+          unmatchedDocComments.push(current);
+        }
+      }
+
+      // Second pass: fuzzy anchor matching, anything still unmatched is a new comment
+      for (const current of unmatchedDocComments) {
+        const existing = findFuzzyCandidate(current, matchedVCMComments);
+        if (existing) {
+          matchedVCMComments.add(existing);
+          updateSharedFromDoc(existing, current);
         } else {
           // New comment - add to VCM and track it
           const newComment = { ...current }; // Clone to avoid identity issues
@@ -323,9 +405,11 @@ function mergeIntoVCMs({
       for (const current of docComments) {
         const currentText = getCommentText(current);
 
+        let existing = findById(current, matchedVCMComments);
+        if (existing) matchedVCMComments.add(existing);
+
         // Try primary key FIRST for consecutive comments (more specific match)
-        let existing = null;
-        if (current.primaryAnchor !== undefined) {
+        if (!existing && current.primaryAnchor !== undefined) {
           const primaryKey = buildContextKey(current, { usePrimaryAnchor: true });
           const primaryCandidates = vcmComByKEY.get(primaryKey) || [];
           const candidate = primaryCandidates.find((c) => !matchedVCMComments.has(c)) || null;
@@ -358,13 +442,16 @@ function mergeIntoVCMs({
           }
         }
 
+        if (existing && isFrozen(existing)) {
+          // Frozen: keep stored text/anchor, don't record clean-mode edits
+          continue;
+        }
+
         if (existing) {
           // Found existing private comment - update it in place
           // Update content (may have been edited) using text_cleanMode in clean mode
           if (current.type === "inline") {
             if (current.text !== existing.text) {
-              console.log(typeof existing.text_cleanMode, existing.text_cleanMode, "existing");
-              console.log(typeof current.text, current.text, "current");
               existing.text_cleanMode = (existing.text_cleanMode).concat(current.text);
             } else {
               existing.text_cleanMode = null;
@@ -390,8 +477,8 @@ function mergeIntoVCMs({
           }
           // Update anchor in case code moved
           updateAnchorMeta(existing, current);
-          // Ensure isPrivate flag is preserved/set
-          existing.isPrivate = true;
+          // Ensure the layer flags are preserved/set
+          assignLayer(existing, storeLayer);
         }
         // Note: If no match, don't add to vcmComments
         // Private VCM only contains explicitly marked private comments
@@ -401,30 +488,26 @@ function mergeIntoVCMs({
       // IMPORTANT: Keep ALL existing private VCM comments, even if not visible/matched
       // This ensures hidden private comments persist when private toggle is OFF
       finalComments = vcmComments.map(c => {
-        // Ensure all private VCM comments keep their isPrivate flag
-        if (c.isPrivate !== true) {
-          c.isPrivate = true;
-        }
+        // Ensure all private VCM comments keep their isPrivate flag (layer comments their layer)
+        assignLayer(c, storeLayer);
         return c;
       });
     } else {
       // ====================================================================
       // SHARED MODE IN CLEAN: Track changes via text_cleanMode
       // ====================================================================
-      console.log("[CLEAN MODE SHARED] docComments:", docComments.length, "vcmComments:", vcmComments.length);
-
       // Track which existing comments we've matched
       const matchedInCleanMode = new Set();
 
       // Process current comments (typed in clean mode)
       for (const current of docComments) {
-        console.log("[CLEAN MODE] Processing:", current.type, "text:", current.text);
         // Process as a comment for this VCM
-        let existing = null;
+        let existing = findById(current, matchedInCleanMode);
+        if (existing) matchedInCleanMode.add(existing);
 
         // Strong clean-mode match: same type + same commentedLineIndex
         const currentLineIdx = getCommentLineIndex(current);
-        if (currentLineIdx !== null) {
+        if (!existing && currentLineIdx !== null) {
           const lineKey = `${current.type}:${currentLineIdx}`;
           const lineCandidates = vcmComments.filter(
             (c) =>
@@ -473,16 +556,16 @@ function mergeIntoVCMs({
           }
         }
 
-        console.log("[CLEAN MODE] existing found?", !!existing, "for inline:", current.type === "inline");
+        if (existing && isFrozen(existing)) {
+          // Frozen: keep stored text/anchor, don't record clean-mode edits
+          continue;
+        }
         if (existing) {
-          console.log("[CLEAN MODE] existing.text_cleanMode:", existing.text_cleanMode, "existing.text:", existing.text);
           // Update anchor/position fields (code may have moved)
           updateAnchorMeta(existing, current);
 
           if (current.type === "inline") {
             if (current.text !== existing.text) {
-              console.log(typeof existing.text_cleanMode, existing.text_cleanMode, "existing");
-              console.log(typeof current.text, current.text, "current");
               existing.text_cleanMode = (existing.text_cleanMode).concat(current.text);
             } else {
               existing.text_cleanMode = null;
@@ -514,14 +597,13 @@ function mergeIntoVCMs({
           if (lineIdx !== null) {
             const lineCandidate = vcmComments.find(
               (c) =>
+                !isFrozen(c) &&
                 isCleanModeCandidate(c) &&
                 c.type === current.type &&
                 getCommentLineIndex(c) === lineIdx
             );
             if (lineCandidate) {
               updateAnchorMeta(lineCandidate, current);
-              console.log(typeof lineCandidate.text_cleanMode, lineCandidate.text_cleanMode, "lineCandidate");
-              console.log(typeof current.text, current.text, "current");
               if (current.type === "inline") lineCandidate.text_cleanMode = (lineCandidate.text_cleanMode).concat(current.text);
               if (current.type === "line") lineCandidate.text_cleanMode = current.text;
               if (current.type === "block") lineCandidate.text_cleanMode = current.block;
@@ -531,8 +613,6 @@ function mergeIntoVCMs({
           }
           const newComment = { ...current };
           if (current.type === "inline") {
-            console.log(typeof newComment.text_cleanMode, newComment.text_cleanMode, "newComment");
-            console.log(typeof current.text, current.text, "current");
             newComment.text_cleanMode = (newComment.text_cleanMode).concat(current.text);
             delete newComment.text;
           } else if (current.type === "line") {
@@ -585,6 +665,8 @@ function mergeIntoVCMs({
     }
   }
 
+  recordCommentRevisions(finalComments || [], revisionsBefore, { limit: historyLimit, now });
+  stampCommentEdits(finalComments || [], textsBefore, { author, now });
   return finalComments || [];
 }
 
@@ -0,0 +1,185 @@
+const { buildContextKey } = require("../../utils_copycode/buildContextKey");
+const { getCommentText } = require("../../utils_copycode/getCommentText");
+const { reorderCommentFields } = require("../utils_copycode/buildVCMPayload");
+const { mergeThreads } = require("../../utils_copycode/commentThreads");
+
+// ============================================================================
+// mergeVCMPayloads()
+// ============================================================================
+// Three-way merge of one .vcm.json mirror (git merge driver, see bin/vcm.js).
+// Logic:
+// - Comments are matched across base/ours/theirs by stable id when the base and
+//   the side share it, else by context key (primary anchor when stored, like
+//   isSameComment), the Nth comment with a key matching the Nth; leftovers are
+//   then paired by type + text (the comment was re-anchored)
+// - Added on one side -> kept; added on both -> kept once if the text agrees, else both
+// - Deleted on one side, text untouched on the other -> deleted
+// - Deleted on one side, text edited on the other -> the edit is kept
+// - Edited on both sides -> merged field by field; only when both sides changed
+//   the comment TEXT differently is it a conflict (other fields: ours wins,
+//   except updatedAt: the later of the two, and discussion threads: replies unioned)
+// Conflicts are rendered as git conflict markers around the two comment objects,
+// laid out so that keeping either side leaves valid JSON.
+// ============================================================================
+
+const TEXT_FIELDS = ["text", "block", "text_cleanMode"];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const keyOf = (comment) => buildContextKey(comment, { usePrimaryAnchor: comment.primaryAnchor !== undefined });
+const textKeyOf = (comment) => `${comment.type}\u0000${getCommentText(comment)}`;
+
+// Identity for every comment of one version: "id:<id>" when the other versions know
+// that id (branches that assigned ids independently don't match), else "<context key>#<occurrence>"
+function identify(comments, knownIds) {
+  const seen = new Map();
+  return comments.map((comment) => {
+    if (comment.id && knownIds.has(comment.id)) return { id: `id:${comment.id}`, comment };
+    const key = keyOf(comment);
+    const n = seen.get(key) || 0;
+    seen.set(key, n + 1);
+    return { id: `${key}#${n}`, comment };
+  });
+}
+
+// Re-key side comments that didn't match any base comment by key but match an
+// unclaimed base comment by text (same comment, anchor moved on that side)
+function pairByText(base, side) {
+  const baseIds = new Set(base.map(e => e.id));
+  const sideIds = new Set(side.map(e => e.id));
+  const unclaimed = base.filter(e => !sideIds.has(e.id));
+  for (const entry of side) {
+    if (baseIds.has(entry.id)) continue;
+    const match = unclaimed.find(b => textKeyOf(b.comment) === textKeyOf(entry.comment));
+    if (!match) continue;
+    unclaimed.splice(unclaimed.indexOf(match), 1);
+    entry.id = match.id;
+  }
+}
+
+// Re-anchoring or flag changes alone don't count as an edit that survives a delete
+const textChanged = (base, side) => TEXT_FIELDS.some(field => !same(base[field], side[field]));
+
+// Field-by-field merge of a comment changed on both sides
+function mergeComment(base, ours, theirs) {
+  const merged = {};
+  let textConflict = false;
+  for (const field of new Set([...Object.keys(ours), ...Object.keys(theirs), ...Object.keys(base)])) {
+    const b = base[field], o = ours[field], t = theirs[field];
+    let value;
+    if (field === "thread") value = mergeThreads(b, o, t);
+    else if (same(o, t) || same(t, b)) value = o;
+    else if (same(o, b)) value = t;
+    else if (field === "updatedAt") value = [o, t].filter(Boolean).sort().pop(); // latest edit (ISO strings sort by time)
+    else {
+      if (TEXT_FIELDS.includes(field)) textConflict = true;
+      value = o;
+    }
+    if (value !== undefined) merged[field] = value;
+  }
+  return { comment: merged, conflict: textConflict };
+}
+
+/**
+ * @param {Object} options
+ * @param {Object|null} options.base - Common ancestor payload (null when added on both sides)
+ * @param {Object} options.ours - Current branch payload
+ * @param {Object} options.theirs - Incoming payload
+ * @returns {{ text: string, payload: Object, conflicts: Object[] }}
+ *   text: the merged file (with conflict markers if any); payload: the merge with
+ *   ours taken for every conflict; conflicts: [{ ours, theirs }]
+ */
+function mergeVCMPayloads({ base, ours, theirs }) {
+  const idsOf = (payload) => new Set((payload?.comments || []).map(c => c.id).filter(Boolean));
+  const baseIds = idsOf(base);
+  const sideIds = new Set([...idsOf(ours), ...idsOf(theirs)]);
+  const baseEntries = identify(base?.comments || [], sideIds);
+  const ourEntries = identify(ours?.comments || [], baseIds);
+  const theirEntries = identify(theirs?.comments || [], baseIds);
+  pairByText(baseEntries, ourEntries);
+  pairByText(baseEntries, theirEntries);
+
+  const baseById = new Map(baseEntries.map(e => [e.id, e.comment]));
+  const theirsById = new Map(theirEntries.map(e => [e.id, e.comment]));
+  const oursIds = new Set(ourEntries.map(e => e.id));
+
+  // Resolve one identity; returns null when the comment is deleted
+  function resolve(id, o, t) {
+    const b = baseById.get(id);
+    if (!b) {
+      if (!o || !t) return { comment: o || t };
+      // Both sides added a comment at the same spot: one comment if the text agrees, else both
+      return same(getCommentText(o), getCommentText(t)) ? { comment: o } : { comment: o, alsoAdded: t };
+    }
+    if (!o && !t) return null;
+    if (!o) return textChanged(b, t) ? { comment: t } : null;
+    if (!t) return textChanged(b, o) ? { comment: o } : null;
+    const merged = mergeComment(b, o, t);
+    return merged.conflict ? { comment: merged.comment, conflict: { ours: o, theirs: t } } : { comment: merged.comment };
+  }
+
+  // Ours order first, then theirs-only comments after their nearest predecessor from theirs
+  const entries = [];
+  const positionOf = new Map();
+  for (const { id, comment } of ourEntries) {
+    const resolved = resolve(id, comment, theirsById.get(id));
+    if (resolved?.alsoAdded) {
+      entries.push({ comment: resolved.comment });
+      positionOf.set(id, entries.length);
+      entries.push({ comment: resolved.alsoAdded });
+      continue;
+    }
+    positionOf.set(id, entries.length);
+    entries.push(resolved);
+  }
+  let insertAt = 0;
+  for (const { id, comment } of theirEntries) {
+    if (oursIds.has(id)) {
+      insertAt = positionOf.get(id) + 1;
+      continue;
+    }
+    const resolved = resolve(id, undefined, comment);
+    if (!resolved) continue;
+    entries.splice(insertAt, 0, resolved);
+    for (const [key, pos] of positionOf) if (pos >= insertAt) positionOf.set(key, pos + 1);
+    insertAt++;
+  }
+  const kept = entries.filter(Boolean);
+
+  const { comments: _o, ...ourMeta } = ours || {};
+  const { comments: _t, ...theirMeta } = theirs || {};
+  const payload = { ...theirMeta, ...ourMeta };
+  if (theirMeta.lastModified && (!ourMeta.lastModified || theirMeta.lastModified > ourMeta.lastModified)) {
+    payload.lastModified = theirMeta.lastModified;
+  }
+  payload.comments = kept.map(e => reorderCommentFields(e.comment));
+
+  const conflicts = kept.filter(e => e.conflict).map(e => e.conflict);
+  return { text: renderPayload(payload, kept), payload, conflicts };
+}
+
+// JSON.stringify(payload, null, 2), except conflicting comments become
+//   <<<<<<< ours / ours comment / ======= / theirs comment / >>>>>>> theirs
+function renderPayload(payload, entries) {
+  if (!entries.some(e => e.conflict)) return JSON.stringify(payload, null, 2);
+
+  const indent = (json) => json.split("\n").map(line => "    " + line).join("\n");
+  const lines = [];
+  entries.forEach((entry, i) => {
+    const comma = i < entries.length - 1 ? "," : "";
+    if (!entry.conflict) {
+      lines.push(indent(JSON.stringify(reorderCommentFields(entry.comment), null, 2)) + comma);
+      return;
+    }
+    lines.push("<<<<<<< ours");
+    lines.push(indent(JSON.stringify(reorderCommentFields(entry.conflict.ours), null, 2)) + comma);
+    lines.push("=======");
+    lines.push(indent(JSON.stringify(reorderCommentFields(entry.conflict.theirs), null, 2)) + comma);
+    lines.push(">>>>>>> theirs");
+  });
+
+  const placeholder = "\u0000VCM_COMMENTS\u0000";
+  const skeleton = JSON.stringify({ ...payload, comments: [placeholder] }, null, 2);
+  return skeleton.replace(`    ${JSON.stringify(placeholder)}`, () => lines.join("\n"));
+}
+
+module.exports = { mergeVCMPayloads };
@@ -0,0 +1,109 @@
+// ============================================================================
+// moveMirrors()
+// ============================================================================
+// Mirrors are keyed by the source's workspace-relative path, so a renamed or
+// moved source loses its comments unless the mirrors move with it.
+// Logic:
+// - oldRelativePath may be a file or a folder: every mirror at or under it moves
+// - Shared and private mirrors (and those of any named layer passed in) move together
+// - The payload's `file` field is rewritten; everything else is kept as stored
+// - A mirror already at the destination is never overwritten (reported as a conflict)
+// - Directories left empty under .vcm/shared and .vcm/private are removed
+// ============================================================================
+// `fs` is a VCM filesystem adapter (see src/fs/)
+
+const { createVCMLister } = require("../utils_copycode/listVCMFiles");
+const { createVCMFileExists } = require("../utils_copycode/vcmFileExists");
+
+function createMirrorMover(fs) {
+  const { listVCMFiles } = createVCMLister(fs);
+  const { vcmFileExists } = createVCMFileExists(fs);
+
+  // Delete now-empty folders from the moved mirror's folder up to (not including) baseDir
+  async function removeEmptyParents(baseDir, relativePath) {
+    const parts = relativePath.split("/").slice(0, -1);
+    while (parts.length > 0) {
+      const dir = fs.join(baseDir, parts.join("/"));
+      let entries;
+      try {
+        entries = await fs.readDirectory(dir);
+      } catch {
+        return;
+      }
+      if (entries.length > 0) return;
+      await fs.delete(dir).catch(() => {});
+      parts.pop();
+    }
+  }
+
+  /**
+   * Move one mirror file, possibly between base dirs (e.g. into .vcm/archive).
+   * @param {*} fromBase - Base dir the mirror is in
+   * @param {string} from - Mirror path under fromBase, without ".vcm.json"
+   * @param {*} toBase - Base dir to move it to
+   * @param {string} to - Mirror path under toBase, without ".vcm.json"
+   * @param {string} sourcePath - Value for the payload's `file` field
+   */
+  async function transferMirror(fromBase, from, toBase, to, sourcePath) {
+    const fromUri = fs.join(fromBase, from + ".vcm.json");
+    const payload = JSON.parse(await fs.readFile(fromUri));
+    payload.file = sourcePath;
+
+    const parts = to.split("/");
+    await fs.createDirectory(parts.length > 1 ? fs.join(toBase, parts.slice(0, -1).join("/")) : toBase);
+    await fs.writeFile(fs.join(toBase, to + ".vcm.json"), JSON.stringify(payload, null, 2));
+    await fs.delete(fromUri);
+    await removeEmptyParents(fromBase, from);
+  }
+
+  /**
+   * Delete one mirror file and the folders it leaves empty.
+   * @param {*} baseDir - Base dir the mirror is in
+   * @param {string} mirrorPath - Mirror path under baseDir, without ".vcm.json"
+   */
+  async function deleteMirror(baseDir, mirrorPath) {
+    await fs.delete(fs.join(baseDir, mirrorPath + ".vcm.json"));
+    await removeEmptyParents(baseDir, mirrorPath);
+  }
+
+  /**
+   * Move the shared and private mirrors of a renamed file or folder.
+   * @param {string} oldRelativePath - Source path (file or folder) before the rename
+   * @param {string} newRelativePath - Source path after the rename
+   * @param {*} vcmDir - .vcm/shared
+   * @param {*} vcmPrivateDir - .vcm/private
+   * @param {Object} layerDirs - Named layer -> its .vcm/<layer> dir (see commentLayers.js)
+   * @returns {Promise<{ moved: Object[], conflicts: Object[] }>} [{ from, to, isPrivate, layer? }]
+   *   (layer only for a named layer)
+   */
+  async function moveMirrors(oldRelativePath, newRelativePath, vcmDir, vcmPrivateDir, layerDirs = {}) {
+    const result = { moved: [], conflicts: [] };
+    const from = oldRelativePath.replace(/\/+$/, "");
+    const to = newRelativePath.replace(/\/+$/, "");
+    if (!from || !to || from === to) return result;
+
+    const stores = [
+      [vcmDir, false, null],
+      [vcmPrivateDir, true, null],
+      ...Object.entries(layerDirs).map(([layer, dir]) => [dir, false, layer]),
+    ];
+    for (const [baseDir, isPrivate, layer] of stores) {
+      const affected = (await listVCMFiles(baseDir)).filter(p => p === from || p.startsWith(from + "/"));
+      for (const source of affected) {
+        const target = to + source.slice(from.length);
+        const entry = layer ? { from: source, to: target, isPrivate, layer } : { from: source, to: target, isPrivate };
+        if (await vcmFileExists(baseDir, target)) {
+          result.conflicts.push(entry);
+          continue;
+        }
+        await transferMirror(baseDir, source, baseDir, target, target);
+        result.moved.push(entry);
+      }
+    }
+    return result;
+  }
+
+  return { moveMirrors, transferMirror, deleteMirror };
+}
+
+module.exports = { createMirrorMover };
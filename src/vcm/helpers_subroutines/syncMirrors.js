@@ -0,0 +1,234 @@
+const { injectComments } = require("../../helpers_subroutines/injectExtractComments");
+const { parseDocComs, addPrimaryAnchors } = require("../utils_copycode/parseDocComs");
+const { mergeIntoVCMs } = require("./mergeIntoVCMs");
+const { buildContextKey } = require("../../utils_copycode/buildContextKey");
+const { getCommentText } = require("../../utils_copycode/getCommentText");
+const { isSameComment } = require("../../utils_copycode/isSameComment");
+const { isAlwaysShow } = require("../../utils_copycode/isAlwaysShow");
+const { reanchorFuzzyMatches } = require("../../helpers_subroutines/orphanedComments");
+const { correlateCommentIds } = require("../../utils_copycode/commentIds");
+const { PRIVATE_LAYER, layerOf } = require("../../utils_copycode/commentLayers");
+
+// ============================================================================
+// syncMirrors()
+// ============================================================================
+// The I/O-free core of saveVCM: given the document text, its mode and the
+// current mirror contents, compute what the shared and private mirrors should
+// contain now. The extension (saveVCM) and the CLI both call this and only
+// differ in how they read state and write the results.
+//   A) SHARED PIPELINE  - doc comments minus private (and layer) ones, merged into shared
+//   B) PRIVATE PIPELINE - visible: merge from the doc
+//                         hidden: re-derive anchors from a virtual injection
+//      Each named layer (see commentLayers.js) goes through the same pipeline on its own.
+// Returns { shared, private, layers } where private (or a layer's entry) is null when
+// it should not be written.
+// ============================================================================
+function syncMirrors({
+  text, // string: current document text
+  filePath, // string: path used for comment markers
+  sharedVCMComments, // array: current shared mirror (updated in place in clean mode)
+  privateVCMComments, // array: current private mirror
+  isCommented, // boolean: true = commented mode, false = clean mode
+  privateVisible = false, // boolean: private comments are currently in the document
+  wasJustInjected = false, // boolean: shared comments were just injected from the VCM
+  wasJustInjectedPrivate = false, // boolean: private comments were just injected/stripped
+  injectOptions = {}, // object: placement options ({ fuzzyThreshold })
+  author = null, // string: "Name <email>" stamped on new comments (see commentAuthorship.js)
+  now = new Date().toISOString(), // string: ISO timestamp for createdAt/updatedAt
+  historyLimit, // number: revisions kept per comment (see commentHistory.js; undefined = default)
+  layers = [], // array: named layers [{ name, comments, visible, wasJustInjected }], comments = current mirror
+}) {
+  // Clean mode: hidden shared comments whose anchor line was edited only resolve by similarity,
+  // rewrite their hashes now (private ones are refreshed by the virtual private pass below)
+  if (isCommented === false && !wasJustInjected) {
+    reanchorFuzzyMatches(text, filePath, sharedVCMComments, injectOptions);
+  }
+
+  let parseText = text;
+
+  const docComments = parseDocComs(parseText, filePath);
+
+  // Build a set of private/alwaysShow keys for consecutive-group primary anchors
+  // CRITICAL: In commented mode, keys can change when code moves (prevHash/nextHash changes)
+  // So we also build a text-based map for fallback matching
+  // Use primary fields when available for consecutive comment matching
+  const layerVCMComments = layers.flatMap(l => l.comments);
+  const storeKeys = (comments) => new Set(comments.map(c => {
+    const hasPrimary = c.primaryAnchor !== undefined || c.primaryPrevHash !== undefined || c.primaryNextHash !== undefined;
+    return buildContextKey(c, { usePrimaryAnchor: hasPrimary });
+  }));
+  // Shared never takes a private or layer comment: exclude them all together
+  const privateKeys = storeKeys([...privateVCMComments, ...layerVCMComments]);
+  const alwaysShowComments = sharedVCMComments.filter(c => isAlwaysShow(c));
+  const alwaysShowKeys = new Set(alwaysShowComments.map(c => {
+    const hasPrimary = c.primaryAnchor !== undefined || c.primaryPrevHash !== undefined || c.primaryNextHash !== undefined;
+    return buildContextKey(c, { usePrimaryAnchor: hasPrimary });
+  }));
+  const privateTextMap = new Map();
+  for (const c of [...privateVCMComments, ...layerVCMComments]) {
+    const textKey = getCommentText(c);
+    if (textKey) privateTextMap.set(textKey, c);
+  }
+
+  const privateTextSet = new Set(privateTextMap.keys());
+  addPrimaryAnchors(docComments, { lines: parseText.split("\n") });
+
+  // Stable ids: a correlated doc comment belongs to whichever mirror holds its id
+  correlateCommentIds(docComments, [...sharedVCMComments, ...privateVCMComments, ...layerVCMComments]);
+  const privateIds = new Set([...privateVCMComments, ...layerVCMComments].map(c => c.id).filter(Boolean));
+
+  // ----------------------------
+  // A) SHARED PIPELINE
+  // ----------------------------
+  // Filter out private comments from docComments for shared processing
+  // Private comments should NEVER be in shared VCM
+  // Match by BOTH context key AND text content (handles code movement)
+  const sharedDocComments = docComments.filter(c => {
+    if (c.id) return !privateIds.has(c.id);
+
+    // Check context key first - use primary fields when available
+    const hasPrimary = c.primaryAnchor !== undefined || c.primaryPrevHash !== undefined || c.primaryNextHash !== undefined;
+    if (privateKeys.has(buildContextKey(c, { usePrimaryAnchor: hasPrimary }))) return false;
+
+    // Also check by text content (in case code moved and key changed)
+    const currentText = getCommentText(c);
+    if (currentText && privateTextMap.has(currentText)) return false;
+
+    return true; // Not private, include in shared
+  });
+
+  let finalShared = mergeIntoVCMs({
+    isCommented,
+    docComments: sharedDocComments,
+    vcmComments: sharedVCMComments,
+    isPrivateMode: false,
+    wasJustInjected,
+    allowSpacingUpdate: isCommented === true,
+    fuzzyThreshold: injectOptions.fuzzyThreshold,
+    author,
+    now,
+    historyLimit,
+  });
+
+  // Keep your empty-comment filter if you want (shared only)
+  finalShared = finalShared.filter(comment => {
+    if (comment.type === "inline") {
+      return (comment.text && comment.text.trim()) ||
+            (comment.text_cleanMode && comment.text_cleanMode.trim());
+    } else if (comment.type === "line") {
+      if (comment.text !== undefined) return true;
+      if (comment.text_cleanMode !== undefined) return true;
+      return false;
+    } else if (comment.type === "block") {
+      const hasBlock = comment.block && Array.isArray(comment.block) && comment.block.length > 0;
+      const hasTextCleanMode = comment.text_cleanMode && Array.isArray(comment.text_cleanMode) && comment.text_cleanMode.length > 0;
+      return hasBlock || hasTextCleanMode;
+    }
+    return true;
+  });
+
+  // CRITICAL: Final safety filter - ensure NO private (or layer) comments end up in shared VCM
+  finalShared = finalShared.filter(comment => !comment.isPrivate && !comment.layer);
+
+  // ----------------------------
+  // B) PRIVATE PIPELINE
+  // Only run this if private exists or private is visible.
+  // ----------------------------
+  // storeLayer: null for the private mirror, else the named layer
+  const syncStore = (storeComments, storeVisible, storeJustInjected, storeLayer) => {
+    const storeVisibleNow = storeVisible === true;
+    const storeKeySet = storeKeys(storeComments);
+    const storeIds = new Set(storeComments.map(c => c.id).filter(Boolean));
+    let finalStore = null; // null = nothing to write
+
+    if (!storeVisibleNow && storeComments.length > 0) {
+      // Build key sets using primary fields when available (for consecutive comment matching)
+      const privatePrimaryKeysForVirtual = new Set();
+      const privateTextSetForVirtual = new Set();
+      for (const c of storeComments) {
+        const hasPrimary = c.primaryAnchor !== undefined || c.primaryPrevHash !== undefined || c.primaryNextHash !== undefined;
+        if (hasPrimary) {
+          privatePrimaryKeysForVirtual.add(buildContextKey(c, { usePrimaryAnchor: true }));
+        }
+        const textKey = getCommentText(c);
+        if (textKey) privateTextSetForVirtual.add(textKey);
+      }
+      const virtualBaseText = isCommented
+        ? text
+        : injectComments(text, filePath, sharedVCMComments, true, false, injectOptions);
+      const virtualPrivateText = injectComments(virtualBaseText, filePath, storeComments, true, true, injectOptions);
+      const virtualPrivateDoc = parseDocComs(virtualPrivateText, filePath);
+      addPrimaryAnchors(virtualPrivateDoc, { lines: virtualPrivateText.split("\n") });
+      correlateCommentIds(virtualPrivateDoc, storeComments);
+      const virtualPrivateMatched = virtualPrivateDoc.filter(dc => {
+        if (dc.id) return true; // correlated with a private record
+        // Only match by primary keys when available; avoid base-key collisions with shared comments.
+        const hasPrimary = dc.primaryAnchor !== undefined || dc.primaryPrevHash !== undefined || dc.primaryNextHash !== undefined;
+        if (hasPrimary) {
+          const key = buildContextKey(dc, { usePrimaryAnchor: true });
+          if (privatePrimaryKeysForVirtual.has(key)) return true;
+        }
+        const textKey = getCommentText(dc);
+        return textKey && privateTextSetForVirtual.has(textKey);
+      });
+      const refreshedPrivate = mergeIntoVCMs({
+        isCommented: true,
+        docComments: virtualPrivateMatched,
+        vcmComments: storeComments,
+        isPrivateMode: true,
+        layer: storeLayer,
+        wasJustInjected: true,
+        allowSpacingUpdate: false,
+        fuzzyThreshold: injectOptions.fuzzyThreshold,
+        author,
+        now,
+        historyLimit,
+      });
+      finalStore = refreshedPrivate;
+    } else if (storeVisibleNow) {
+      // Filter to only private comments from docComments for private processing
+      // Match by BOTH context key AND text content (handles code movement)
+      const privateTextSet = new Set(
+        storeComments.map(c => getCommentText(c)).filter(Boolean)
+      );
+      const privateDocComments = docComments.filter(c => {
+        if (c.id) return storeIds.has(c.id);
+        const hasPrimary = c.primaryAnchor !== undefined || c.primaryPrevHash !== undefined || c.primaryNextHash !== undefined;
+        if (storeKeySet.has(buildContextKey(c, { usePrimaryAnchor: hasPrimary }))) return true;
+        if (storeComments.some(p => isSameComment(p, c))) return true;
+        const textKey = getCommentText(c);
+        return textKey && privateTextSet.has(textKey);
+      });
+
+      finalStore = mergeIntoVCMs({
+        isCommented: storeVisibleNow,
+        docComments: privateDocComments,
+        vcmComments: storeComments,
+        isPrivateMode: true,
+        layer: storeLayer,
+        wasJustInjected: storeJustInjected,
+        allowSpacingUpdate: storeVisibleNow === true,
+        fuzzyThreshold: injectOptions.fuzzyThreshold,
+        author,
+        now,
+        historyLimit,
+      });
+
+      // CRITICAL: DO NOT filter out empty private comments
+      // Private comments persist until explicitly unmarked, even if content is deleted
+      // Only verify that isPrivate flag (or the layer) is set
+      finalStore = finalStore.filter(comment => layerOf(comment) === (storeLayer || PRIVATE_LAYER));
+    }
+    return finalStore;
+  };
+
+  const finalPrivate = syncStore(privateVCMComments, privateVisible, wasJustInjectedPrivate, null);
+  const finalLayers = {};
+  for (const { name, comments, visible = false, wasJustInjected: layerJustInjected = false } of layers) {
+    finalLayers[name] = syncStore(comments, visible, layerJustInjected, name);
+  }
+
+  return { shared: finalShared, private: finalPrivate, layers: finalLayers };
+}
+
+module.exports = { syncMirrors };
@@ -0,0 +1,92 @@
+// ============================================================================
+// buildVCMPayload()
+// ============================================================================
+// Builds the JSON object stored in a .vcm.json mirror:
+//   { schemaVersion, file, lastModified, comments }
+// Comment fields are written in a stable order so mirrors diff cleanly in git.
+// Pure (no I/O) so the extension and the CLI write identical files.
+// `layer` is never written: a named layer's mirror directory is the layer.
+// ============================================================================
+
+const { CURRENT_SCHEMA_VERSION } = require("./vcmSchema");
+
+function reorderCommentFields(comment) {
+  const ordered = {};
+  const preferredOrder = [
+    "type",
+    "prevHash",
+    "anchor",
+    "nextHash",
+    "prevHashText",
+    "anchorText",
+    "nextHashText",
+    "primaryPrevHash",
+    "primaryAnchor",
+    "primaryNextHash",
+    "primaryPrevHashText",
+    "text",
+    "block",
+    "text_cleanMode",
+    "cleanModeOrigin",
+    "primaryAnchorText",
+    "primaryNextHashText",
+    "commentedLineIndex",
+    "insertAbove",
+    "spacingBefore",
+    "spacingAfter",
+    "isPrivate",
+    "id",
+    "author",
+    "createdAt",
+    "updatedAt",
+  ];
+
+  for (const key of preferredOrder) {
+    if (comment[key] !== undefined) {
+      ordered[key] = comment[key];
+    }
+  }
+
+  for (const key of Object.keys(comment)) {
+    if (ordered[key] === undefined && key !== "history" && key !== "layer") {
+      ordered[key] = comment[key];
+    }
+  }
+
+  // Earlier versions last: the bulkiest field, and rarely what a diff reader is after
+  if (comment.history !== undefined) {
+    ordered.history = comment.history;
+  }
+
+  return ordered;
+}
+
+/**
+ * Build the mirror payload for a file.
+ * @param {string} relativePath - Source path relative to the workspace root
+ * @param {Object[]} comments - Comments to store
+ * @param {Object} options - { stripIsPrivate } drop the isPrivate flag from every comment,
+ *                           { stripThreads } drop discussion threads (private mirrors never hold them)
+ * @returns {Object} { schemaVersion, file, lastModified, comments }
+ */
+function buildVCMPayload(relativePath, comments, { stripIsPrivate = false, stripThreads = false } = {}) {
+  if (stripThreads) comments = comments.map(({ thread, ...rest }) => rest);
+  const normalized = stripIsPrivate
+    ? comments.map((c) => {
+        // Remove isPrivate flag for canonical private storage
+        const { isPrivate, ...rest } = c;
+        return reorderCommentFields(rest);
+      })
+    : comments.map((c) => reorderCommentFields(c));
+
+  const payload = {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    file: relativePath,
+    lastModified: new Date().toISOString(),
+    comments: normalized,
+  };
+
+  return payload;
+}
+
+module.exports = { buildVCMPayload, reorderCommentFields };
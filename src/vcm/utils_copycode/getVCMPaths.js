@@ -1,15 +1,44 @@
-const vscode = require("vscode");
-
-function getVCMPaths(vcmBaseDir, relativePath) {
-  const sharedDir = vscode.Uri.joinPath(vcmBaseDir, "shared");
-  const privateDir = vscode.Uri.joinPath(vcmBaseDir, "private");
-
-  return {
-    sharedDir,
-    privateDir,
-    sharedFileUri: vscode.Uri.joinPath(sharedDir, relativePath + ".vcm.json"),
-    privateFileUri: vscode.Uri.joinPath(privateDir, relativePath + ".vcm.json"),
-  };
+const { RESERVED_LAYER_NAMES, isValidLayerName } = require("../../utils_copycode/commentLayers");
+
+// `fs` is a VCM filesystem adapter (see src/fs/)
+function createVCMPaths(fs) {
+  function getVCMPaths(vcmBaseDir, relativePath) {
+    const sharedDir = fs.join(vcmBaseDir, "shared");
+    const privateDir = fs.join(vcmBaseDir, "private");
+
+    return {
+      sharedDir,
+      privateDir,
+      sharedFileUri: fs.join(sharedDir, relativePath + ".vcm.json"),
+      privateFileUri: fs.join(privateDir, relativePath + ".vcm.json"),
+    };
+  }
+
+  // .vcm/<layer> for a named comment layer (see commentLayers.js)
+  function getLayerDir(vcmBaseDir, layer) {
+    if (!isValidLayerName(layer)) throw new Error(`Invalid comment layer name: ${layer}`);
+    return fs.join(vcmBaseDir, layer);
+  }
+
+  /**
+   * Named layers that already have a directory under .vcm (shared, private and
+   * archive are not layers; other names that aren't valid layer names are ignored).
+   * @returns {Promise<string[]>} sorted layer names ([] when .vcm doesn't exist yet)
+   */
+  async function listLayerNames(vcmBaseDir) {
+    let entries;
+    try {
+      entries = await fs.readDirectory(vcmBaseDir);
+    } catch {
+      return [];
+    }
+    return entries
+      .filter(([name, isDirectory]) => isDirectory && !RESERVED_LAYER_NAMES.includes(name) && isValidLayerName(name))
+      .map(([name]) => name)
+      .sort();
+  }
+
+  return { getVCMPaths, getLayerDir, listLayerNames };
 }
 
-module.exports = { getVCMPaths };
+module.exports = { createVCMPaths };
@@ -0,0 +1,33 @@
+// List every mirror under a VCM directory (shared or private)
+// Returns source-relative paths (the ".vcm.json" suffix removed), e.g. "src/app.js"
+// The store's own archive (<dir>/.archive, see archiveMirrors.js) is not listed.
+// `fs` is a VCM filesystem adapter (see src/fs/)
+
+const ARCHIVE_DIR_NAME = ".archive";
+
+function createVCMLister(fs) {
+  async function listVCMFiles(dir, prefix = "") {
+    let entries;
+    try {
+      entries = await fs.readDirectory(prefix ? fs.join(dir, prefix) : dir);
+    } catch {
+      return []; // Directory doesn't exist yet
+    }
+
+    const relativePaths = [];
+    for (const [name, isDirectory] of entries) {
+      const childPath = prefix ? `${prefix}/${name}` : name;
+      if (isDirectory && !prefix && name === ARCHIVE_DIR_NAME) continue;
+      if (isDirectory) {
+        relativePaths.push(...(await listVCMFiles(dir, childPath)));
+      } else if (name.endsWith(".vcm.json")) {
+        relativePaths.push(childPath.slice(0, -".vcm.json".length));
+      }
+    }
+    return relativePaths;
+  }
+
+  return { listVCMFiles };
+}
+
+module.exports = { createVCMLister, ARCHIVE_DIR_NAME };
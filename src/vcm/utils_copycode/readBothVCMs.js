@@ -1,41 +1,53 @@
-const vscode = require("vscode");
-
 // ===========================================================================
 // Helper functions for loading both shared and private VCM files
+// (and named-layer ones, see commentLayers.js)
 // ===========================================================================
+// `fs` is a VCM filesystem adapter (src/fs/vscodeFs.js or src/fs/nodeFs.js)
+// Mirrors from older schema versions are upgraded in memory (written back on the
+// next save); a mirror from a newer version throws VCMSchemaError.
+
+const { upgradeVCMPayload } = require("./vcmSchema");
 
-// Load all comments from both shared and private VCM files
-async function readSharedVCM(relativePath, vcmSharedDir) {
-  const fileUri = vscode.Uri.joinPath(vcmSharedDir, relativePath + ".vcm.json");
-  try {
-    const data = JSON.parse((await vscode.workspace.fs.readFile(fileUri)).toString());
-    return (data.comments || []).map(c => ({ ...c, isPrivate: false }));
-  } catch {
-    return [];
+function createVCMReaders(fs) {
+  async function readVCMComments(dir, relativePath) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(fs.join(dir, relativePath + ".vcm.json")));
+    } catch {
+      return [];
+    }
+    if (!data || typeof data !== "object") return [];
+    return upgradeVCMPayload(data, relativePath + ".vcm.json").payload.comments;
   }
-}
 
-async function readPrivateVCM(relativePath, vcmPrivateDir) {
-  const fileUri = vscode.Uri.joinPath(vcmPrivateDir, relativePath + ".vcm.json");
-  try {
-    const data = JSON.parse((await vscode.workspace.fs.readFile(fileUri)).toString());
-    return (data.comments || []).map(c => ({ ...c, isPrivate: true }));
-  } catch {
-    return [];
+  // Load all comments from both shared and private VCM files
+  async function readSharedVCM(relativePath, vcmSharedDir) {
+    return (await readVCMComments(vcmSharedDir, relativePath)).map(c => ({ ...c, isPrivate: false }));
+  }
+
+  async function readPrivateVCM(relativePath, vcmPrivateDir) {
+    return (await readVCMComments(vcmPrivateDir, relativePath)).map(c => ({ ...c, isPrivate: true }));
+  }
+
+  // Records of .vcm/<layer> carry their layer in memory only
+  async function readLayerVCM(relativePath, layerDir, layer) {
+    return (await readVCMComments(layerDir, relativePath)).map(c => ({ ...c, isPrivate: false, layer }));
+  }
+
+  async function readBothVCMs(relativePath, vcmSharedDir, vcmPrivateDir) {
+    const [sharedComments, privateComments] = await Promise.all([
+      readSharedVCM(relativePath, vcmSharedDir),
+      readPrivateVCM(relativePath, vcmPrivateDir),
+    ]);
+
+    return {
+      sharedComments,
+      privateComments,
+      allComments: [...sharedComments, ...privateComments],
+    };
   }
-}
 
-async function readBothVCMs(relativePath, vcmSharedDir, vcmPrivateDir) {
-  const [sharedComments, privateComments] = await Promise.all([
-    readSharedVCM(relativePath, vcmSharedDir),
-    readPrivateVCM(relativePath, vcmPrivateDir),
-  ]);
-
-  return {
-    sharedComments,
-    privateComments,
-    allComments: [...sharedComments, ...privateComments],
-  };
+  return { readSharedVCM, readPrivateVCM, readLayerVCM, readBothVCMs };
 }
 
-module.exports = { readSharedVCM, readPrivateVCM, readBothVCMs };
+module.exports = { createVCMReaders };
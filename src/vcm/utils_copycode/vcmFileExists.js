@@ -1,15 +1,17 @@
-const vscode = require("vscode");
-
-// Check if a VCM file exists
-async function vcmFileExists(dir, relativePath) {
-  try {
-    await vscode.workspace.fs.stat(vscode.Uri.joinPath(dir, relativePath + ".vcm.json"));
-    return true;
-  } catch {
-    return false;
+// Check if a VCM file exists (`fs` is a VCM filesystem adapter, see src/fs/)
+function createVCMFileExists(fs) {
+  async function vcmFileExists(dir, relativePath) {
+    try {
+      await fs.stat(fs.join(dir, relativePath + ".vcm.json"));
+      return true;
+    } catch {
+      return false;
+    }
   }
+
+  return { vcmFileExists };
 }
 
 module.exports = {
-  vcmFileExists,
-};
\ No newline at end of file
+  createVCMFileExists,
+};
@@ -0,0 +1,83 @@
+const { ensureCommentIds } = require("../../utils_copycode/commentIds");
+
+// ============================================================================
+// Mirror schema versions
+// ============================================================================
+// Every .vcm.json payload records the schemaVersion it was written with.
+// Mirrors from older versions are upgraded on read by running the migrations
+// below in order; mirrors from a NEWER version are refused (VCMSchemaError)
+// instead of being read with missing fields and written back without them.
+// Payloads written before versioning existed have no schemaVersion: version 1.
+//
+// Adding a version: bump CURRENT_SCHEMA_VERSION and register the step that
+// upgrades the previous version's payload to it. Bump it for every field an
+// older VCM would misread or lose on rewrite, even when the upgrade step is empty.
+// ============================================================================
+
+const CURRENT_SCHEMA_VERSION = 3;
+
+// MIGRATIONS[n] upgrades a version-n payload to version n + 1 (mutates it)
+const MIGRATIONS = {
+  // 1 -> 2: stable comment ids
+  1: (payload) => {
+    ensureCommentIds(payload.comments);
+  },
+  // 2 -> 3: authorship, history, thread, review and layer fields on records. All
+  // optional (absent = none), so version 2 records need no change; the bump stops a
+  // version 2 VCM from injecting resolved review notes, and from losing threads,
+  // history or layer fields when it rewrites the mirror
+  2: () => {},
+};
+
+class VCMSchemaError extends Error {
+  /**
+   * @param {string} file - Mirror the payload came from
+   * @param {*} schemaVersion - The version found in it
+   */
+  constructor(file, schemaVersion) {
+    super(
+      Number.isInteger(schemaVersion) && schemaVersion > CURRENT_SCHEMA_VERSION
+        ? `${file} was written by a newer version of VCM (schema ${schemaVersion}, this version supports up to ${CURRENT_SCHEMA_VERSION}). Update VCM to edit its comments.`
+        : `${file} has an unrecognised schema version (${JSON.stringify(schemaVersion)})`
+    );
+    this.name = "VCMSchemaError";
+    this.file = file;
+    this.schemaVersion = schemaVersion;
+  }
+}
+
+function schemaVersionOf(payload) {
+  return payload.schemaVersion === undefined ? 1 : payload.schemaVersion;
+}
+
+/**
+ * Throw VCMSchemaError unless this version of VCM can read the payload.
+ * @param {Object} payload - Parsed mirror
+ * @param {string} file - Mirror path for the error message
+ */
+function assertSupportedSchema(payload, file) {
+  const version = schemaVersionOf(payload);
+  if (!Number.isInteger(version) || version < 1 || version > CURRENT_SCHEMA_VERSION) {
+    throw new VCMSchemaError(file, version);
+  }
+}
+
+/**
+ * Bring a parsed mirror up to CURRENT_SCHEMA_VERSION.
+ * @param {Object} payload - Parsed mirror (mutated)
+ * @param {string} file - Mirror path for the error message
+ * @returns {{ payload: Object, migrated: boolean }} payload has schemaVersion as its first key
+ * @throws {VCMSchemaError} The mirror comes from a newer version or its version is invalid
+ */
+function upgradeVCMPayload(payload, file) {
+  assertSupportedSchema(payload, file);
+  const from = schemaVersionOf(payload);
+  if (!Array.isArray(payload.comments)) payload.comments = [];
+  for (let version = from; version < CURRENT_SCHEMA_VERSION; version++) {
+    MIGRATIONS[version](payload);
+  }
+  const { schemaVersion, ...rest } = payload;
+  return { payload: { schemaVersion: CURRENT_SCHEMA_VERSION, ...rest }, migrated: from < CURRENT_SCHEMA_VERSION };
+}
+
+module.exports = { CURRENT_SCHEMA_VERSION, VCMSchemaError, assertSupportedSchema, upgradeVCMPayload };
@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createAnchorEditTracker, applyAnchorEdits } = require("../src/core");
+const { mirror, toClean } = require("./helpers/toggle");
+
+const filePath = "/repo/anchors.js";
+const SOURCE = [
+  "// load the config once",
+  "const config = load();",
+  "const user = find();",
+  "start(user);",
+  "done();",
+  "",
+].join("\n");
+const CLEAN = SOURCE.replace("// load the config once\n", "");
+
+// A document as the tracker sees it, and the change events VS Code would send
+function fakeDoc(text) {
+  return { uri: { fsPath: filePath }, text, getText() { return this.text; } };
+}
+function change(doc, lines, startLine, endLine) {
+  doc.text = lines.join("\n");
+  return { document: doc, contentChanges: [{ range: { start: { line: startLine }, end: { line: endLine } } }] };
+}
+
+// saveVCM in clean mode with moveCommentWithAnchor on
+function save(tracker, state, doc) {
+  const anchorEdits = tracker.takeAnchorEdits(filePath);
+  if (!anchorEdits) return { removed: 0, reanchored: 0 };
+  const result = applyAnchorEdits({ comments: state.shared, anchorEdits, text: doc.getText(), filePath });
+  state.shared = result.comments;
+  return result;
+}
+
+test("a cut, a save and then the paste still moves the comment", () => {
+  let clock = 0;
+  const tracker = createAnchorEditTracker({ now: () => clock });
+  const state = toClean(mirror(SOURCE, filePath), filePath);
+  assert.equal(state.text, CLEAN);
+  const doc = fakeDoc(state.text);
+  tracker.snapshot(doc);
+
+  // Cut "const config = load();" and (auto)save before pasting
+  tracker.recordChange(change(doc, ["const user = find();", "start(user);", "done();", ""], 0, 1), { track: true });
+  clock += 1000;
+  assert.equal(tracker.peekAnchorEdits(filePath), null);
+  assert.deepEqual(save(tracker, state, doc), { removed: 0, reanchored: 0 });
+  assert.equal(state.shared.length, 1, "the comment waits for its paste");
+
+  // Paste it after start(user)
+  tracker.recordChange(change(doc, ["const user = find();", "start(user);", "const config = load();", "done();", ""], 2, 2), { track: true });
+  clock += 1000;
+  const result = save(tracker, state, doc);
+  assert.equal(result.removed, 0);
+  assert.equal(result.reanchored, 1);
+  assert.equal(state.shared[0].text, "// load the config once");
+  assert.equal(state.shared[0].prevHashText, "start(user);");
+  assert.equal(tracker.takeAnchorEdits(filePath), null, "nothing left pending");
+});
+
+test("a removal that is never pasted deletes its comment once the move window expires", () => {
+  let clock = 0;
+  const tracker = createAnchorEditTracker({ moveWindowMs: 60 * 1000, now: () => clock });
+  const state = toClean(mirror(SOURCE, filePath), filePath);
+  const doc = fakeDoc(state.text);
+  tracker.snapshot(doc);
+
+  tracker.recordChange(change(doc, ["const user = find();", "start(user);", "done();", ""], 0, 1), { track: true });
+  clock += 30 * 1000;
+  assert.equal(save(tracker, state, doc).removed, 0);
+  assert.equal(state.shared.length, 1);
+
+  clock += 30 * 1000;
+  assert.deepEqual([...tracker.peekAnchorEdits(filePath).removed], [["const config = load();", 1]]);
+  assert.equal(save(tracker, state, doc).removed, 1);
+  assert.deepEqual(state.shared, []);
+});
+
+test("edits taken for a save that is never written are handed out again", () => {
+  const tracker = createAnchorEditTracker({ now: () => 0 });
+  const state = toClean(mirror(SOURCE, filePath), filePath);
+  const doc = fakeDoc(state.text);
+  tracker.snapshot(doc);
+
+  // Move "const config = load();" below start(user), then a later cut that is still waiting
+  tracker.recordChange(change(doc, ["const user = find();", "start(user);", "done();", ""], 0, 1), { track: true });
+  tracker.recordChange(change(doc, ["const user = find();", "start(user);", "const config = load();", "done();", ""], 2, 2), { track: true });
+  const taken = tracker.takeAnchorEdits(filePath);
+  tracker.recordChange(change(doc, ["const user = find();", "const config = load();", "done();", ""], 1, 2), { track: true });
+
+  tracker.restoreAnchorEdits(filePath, taken);
+  const result = save(tracker, state, doc);
+  assert.equal(result.reanchored, 1);
+  assert.equal(tracker.peekAnchorEdits(filePath), null, "the later cut still waits for its paste");
+});
+
+test("closing the document drops pending removals and leaves the comment orphaned", () => {
+  const tracker = createAnchorEditTracker({ now: () => 0 });
+  const state = toClean(mirror(SOURCE, filePath), filePath);
+  const doc = fakeDoc(state.text);
+  tracker.snapshot(doc);
+
+  tracker.recordChange(change(doc, ["const user = find();", "start(user);", "done();", ""], 0, 1), { track: true });
+  tracker.forget(filePath);
+  assert.equal(tracker.takeAnchorEdits(filePath), null);
+  assert.equal(state.shared.length, 1);
+});
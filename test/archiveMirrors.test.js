@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { createVCMStore } = require("../src/core");
+const { nodeFs } = require("../src/fs/nodeFs");
+const { toArchiveId } = require("../src/vcm/helpers_subroutines/archiveMirrors");
+
+const store = createVCMStore(nodeFs);
+const comment = { type: "line", anchor: "a", prevHash: null, nextHash: null, text: "// hi" };
+const date = new Date("2026-10-19T13:55:02.123Z");
+
+async function setup() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "vcm-archive-"));
+  const baseDir = path.join(root, ".vcm");
+  const sharedDir = path.join(baseDir, "shared");
+  const privateDir = path.join(baseDir, "private");
+  await store.writeSharedVCM("src/a.js", [comment], sharedDir);
+  await store.writePrivateVCM("src/a.js", [{ ...comment, text: "// mine", isPrivate: true }], privateDir);
+  await store.writeSharedVCM("src/keep.js", [comment], sharedDir);
+  return { root, baseDir, sharedDir, privateDir };
+}
+
+test("archive ids are sortable and filename-safe", () => {
+  assert.equal(toArchiveId(date), "2026-10-19T13-55-02Z");
+});
+
+test("deleting a file archives both mirrors and restore puts them back", async () => {
+  const { root, baseDir, sharedDir, privateDir } = await setup();
+
+  const archived = await store.archiveMirrors("src/a.js", baseDir, { date });
+  assert.deepEqual(archived.map(a => [a.archiveId, a.relativePath, a.isPrivate]), [
+    ["2026-10-19T13-55-02Z", "src/a.js", false],
+    ["2026-10-19T13-55-02Z", "src/a.js", true],
+  ]);
+  assert.deepEqual(await store.listVCMFiles(sharedDir), ["src/keep.js"]);
+  assert.deepEqual(await store.listVCMFiles(privateDir), []);
+  await fs.access(path.join(privateDir, ".archive/2026-10-19T13-55-02Z/src/a.js.vcm.json"));
+
+  const listed = await store.listArchivedMirrors(baseDir);
+  assert.deepEqual(listed, archived);
+
+  for (const entry of listed) assert.equal(await store.restoreArchivedMirror(entry, baseDir), true);
+  const { sharedComments, privateComments } = await store.readBothVCMs("src/a.js", sharedDir, privateDir);
+  assert.deepEqual([...sharedComments, ...privateComments].map(c => c.text), ["// hi", "// mine"]);
+  assert.deepEqual(await store.listArchivedMirrors(baseDir), []);
+  assert.deepEqual(await fs.readdir(path.join(privateDir, ".archive")), []);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test("private mirrors never leave .vcm/private, archived or not", async () => {
+  const { root, baseDir, privateDir } = await setup();
+  const privateFiles = async () => {
+    const found = [];
+    const walk = async (dir) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const p = path.join(dir, entry.name);
+        if (entry.isDirectory()) await walk(p);
+        else if (JSON.parse(await fs.readFile(p, "utf8")).comments.some(c => c.text === "// mine")) found.push(p);
+      }
+    };
+    await walk(baseDir);
+    return found;
+  };
+
+  await store.archiveMirrors("src", baseDir, { date });
+  const archived = await privateFiles();
+  assert.equal(archived.length, 1);
+  assert.ok(archived.every(p => p.startsWith(privateDir + path.sep)), archived.join(", "));
+  assert.deepEqual(await store.listVCMFiles(privateDir), [], "the archive is not a live mirror");
+
+  await store.restoreArchivedMirror((await store.listArchivedMirrors(baseDir)).find(e => e.isPrivate), baseDir);
+  assert.deepEqual(await privateFiles(), [path.join(privateDir, "src/a.js.vcm.json")]);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test("restore never overwrites a live mirror; archived mirrors can be deleted", async () => {
+  const { root, baseDir, sharedDir } = await setup();
+  await store.archiveMirrors("src", baseDir, { date });
+  await store.writeSharedVCM("src/a.js", [{ ...comment, text: "// new" }], sharedDir);
+
+  const [sharedEntry] = (await store.listArchivedMirrors(baseDir)).filter(e => e.relativePath === "src/a.js" && !e.isPrivate);
+  assert.equal(await store.restoreArchivedMirror(sharedEntry, baseDir), false);
+  assert.deepEqual((await store.readSharedVCM("src/a.js", sharedDir)).map(c => c.text), ["// new"]);
+
+  for (const entry of await store.listArchivedMirrors(baseDir)) await store.deleteArchivedMirror(entry, baseDir);
+  assert.deepEqual(await store.listArchivedMirrors(baseDir), []);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
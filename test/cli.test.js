@@ -0,0 +1,191 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { createCLI } = require("../bin/vcm");
+const { markReview, setReviewResolved, createVCMStore, moveCommentToLayer } = require("../src/core");
+const { nodeFs } = require("../src/fs/nodeFs");
+
+const SOURCE = [
+  "// entry point",
+  "function main() {",
+  "  const n = 1; // start at one",
+  "  return n;",
+  "}",
+  "",
+].join("\n");
+
+async function setup() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "vcm-cli-"));
+  await fs.mkdir(path.join(root, "src"));
+  await fs.writeFile(path.join(root, "src/main.js"), SOURCE);
+  const output = [];
+  const cli = createCLI({ root, log: (line) => output.push(line) });
+  const run = (command, paths = []) => cli.run(command, paths);
+  return { root, run, output, read: () => fs.readFile(path.join(root, "src/main.js"), "utf8") };
+}
+
+test("strip then inject restores the file and status stays green", async () => {
+  const { root, run, read } = await setup();
+
+  assert.equal(await run("strip", ["src/main.js"]), true);
+  assert.equal(await read(), "function main() {\n  const n = 1;\n  return n;\n}\n");
+  assert.equal(await run("status"), true);
+
+  assert.equal(await run("inject", ["src"]), true);
+  assert.equal(await read(), SOURCE);
+  assert.equal(await run("status"), true);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test("status fails when the mirror is stale or a comment lost its anchor", async () => {
+  const { root, run, read, output } = await setup();
+  await run("sync", ["src/main.js"]);
+
+  await fs.writeFile(path.join(root, "src/main.js"), (await read()).replace("// entry point", "// main entry point"));
+  assert.equal(await run("status"), false);
+  assert.match(output.at(-1), /shared mirror out of date/);
+
+  await run("sync");
+  assert.equal(await run("status"), true);
+
+  await run("strip");
+  await fs.writeFile(path.join(root, "src/main.js"), (await read()).replace("  const n = 1;\n", ""));
+  assert.equal(await run("status"), false);
+  assert.match(output.at(-1), /orphaned/);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test("reviews fails while a review note is unresolved", async () => {
+  const { root, run, output } = await setup();
+  await run("sync", ["src/main.js"]);
+  assert.equal(await run("reviews"), true);
+
+  const mirrorPath = path.join(root, ".vcm/shared/src/main.js.vcm.json");
+  const payload = JSON.parse(await fs.readFile(mirrorPath, "utf8"));
+  markReview(payload.comments[1]);
+  await fs.writeFile(mirrorPath, JSON.stringify(payload));
+  assert.equal(await run("reviews"), false);
+  assert.match(output.at(-2), /FAIL {5}src\/main\.js: 1 unresolved review note/);
+  assert.match(output.at(-1), /start at one {2}\[shared\]/);
+
+  setReviewResolved(payload.comments[1], true);
+  await fs.writeFile(mirrorPath, JSON.stringify(payload));
+  assert.equal(await run("reviews"), true);
+  assert.match(output.at(-1), /ok {7}src\/main\.js \(1 resolved review note/);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test("precommit blocks commented sources and --fix strips and re-stages them", async () => {
+  const { root, read } = await setup();
+  const git = (...args) => execFileSync("git", args, { cwd: root, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] });
+  git("init", "-q");
+  git("add", "src/main.js");
+
+  const output = [];
+  const check = createCLI({ root, log: (line) => output.push(line) });
+  assert.equal(await check.run("precommit", []), false);
+  assert.match(output.join("\n"), /src\/main\.js: 2 comment\(s\) not in \.vcm/);
+  assert.equal(await read(), SOURCE, "check-only leaves the file alone");
+
+  const fixer = createCLI({ root, fix: true, log: () => {} });
+  assert.equal(await fixer.run("precommit", []), true);
+  const clean = "function main() {\n  const n = 1;\n  return n;\n}\n";
+  assert.equal(await read(), clean);
+  assert.equal(git("show", ":src/main.js"), clean);
+  assert.match(git("diff", "--cached", "--name-only"), /\.vcm\/shared\/src\/main\.js\.vcm\.json/);
+  assert.equal(await check.run("precommit", []), true);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test("precommit --fix stages every mirror it wrote, except ignored ones", async () => {
+  const { root, read } = await setup();
+  const git = (...args) => execFileSync("git", args, { cwd: root, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] });
+  git("init", "-q");
+  await fs.writeFile(path.join(root, ".gitignore"), ".vcm/private/\n");
+
+  // "// start at one" is private and "// entry point" in a todo layer, both visible
+  const store = createVCMStore(nodeFs);
+  const dir = (name) => path.join(root, ".vcm", name);
+  await fs.writeFile(path.join(root, "src/main.js"), SOURCE.replace("  return n;", "  // hand it back\n  return n;"));
+  await createCLI({ root, log: () => {} }).run("sync", ["src/main.js"]);
+  const shared = await store.readSharedVCM("src/main.js", dir("shared"));
+  const inline = shared.find(c => c.type === "inline");
+  const stores = { shared: shared.filter(c => c !== inline), private: [{ ...inline, isPrivate: true }], todo: [] };
+  moveCommentToLayer(shared.find(c => c.text === "// entry point"), stores, "todo");
+  await store.writeSharedVCM("src/main.js", stores.shared, dir("shared"));
+  await store.writePrivateVCM("src/main.js", stores.private, dir("private"));
+  await store.writeLayerVCM("src/main.js", stores.todo, dir("todo"), "todo");
+  git("add", "src/main.js");
+
+  const fixer = createCLI({ root, fix: true, log: () => {} });
+  assert.equal(await fixer.run("precommit", []), true);
+  assert.equal(await read(), "function main() {\n  const n = 1;\n  return n;\n}\n");
+  assert.deepEqual(git("diff", "--cached", "--name-only").trim().split("\n").sort(), [
+    ".vcm/shared/src/main.js.vcm.json",
+    ".vcm/todo/src/main.js.vcm.json",
+    "src/main.js",
+  ]);
+  assert.equal(git("diff", "--name-only"), "", "the mirrors are staged as written");
+  assert.match(git("status", "--porcelain", "--ignored", "--", ".vcm/private"), /^!! \.vcm\/private\//);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test("precommit --fix leaves partially staged files for the user", async () => {
+  const { root, read } = await setup();
+  const git = (...args) => execFileSync("git", args, { cwd: root, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] });
+  git("init", "-q");
+  git("add", "src/main.js");
+  await fs.writeFile(path.join(root, "src/main.js"), SOURCE + "main();\n");
+
+  const output = [];
+  const fixer = createCLI({ root, fix: true, log: (line) => output.push(line) });
+  assert.equal(await fixer.run("precommit", []), false);
+  assert.match(output.join("\n"), /not fixed: src\/main\.js has unstaged changes/);
+  assert.equal(await read(), SOURCE + "main();\n");
+
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test("merge-driver merges concurrent comment additions during git merge", async () => {
+  const { root } = await setup();
+  const cliPath = path.join(__dirname, "..", "bin", "vcm.js");
+  const git = (...args) =>
+    execFileSync("git", ["-c", "user.name=t", "-c", "user.email=t@t", "-c", "core.hooksPath=/dev/null", ...args], {
+      cwd: root,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+  const sync = (text) => fs.writeFile(path.join(root, "src/main.js"), text).then(() => createCLI({ root, log: () => {} }).run("sync", ["src/main.js"]));
+  const mirrorTexts = async () =>
+    JSON.parse(await fs.readFile(path.join(root, ".vcm/shared/src/main.js.vcm.json"), "utf8")).comments.map(c => c.text.trim());
+
+  git("init", "-q", "-b", "main");
+  git("config", "merge.vcm.driver", `node "${cliPath}" merge-driver %O %A %B`);
+  await fs.writeFile(path.join(root, ".gitattributes"), "*.vcm.json merge=vcm\n");
+  await sync(SOURCE);
+  git("add", "-A");
+  git("commit", "-qm", "base");
+
+  git("checkout", "-qb", "theirs");
+  await sync(SOURCE.replace("  return n;", "  // hand it back\n  return n;"));
+  git("commit", "-qam", "theirs");
+
+  git("checkout", "-q", "main");
+  await sync(SOURCE.replace("// entry point", "// entry point\n// second header line"));
+  git("commit", "-qam", "ours");
+
+  // The sources conflict-free merge too; the mirror is what the driver has to handle
+  git("merge", "-q", "--no-edit", "theirs");
+  assert.deepEqual((await mirrorTexts()).sort(), ["// entry point", "// hand it back", "// second header line", "// start at one"]);
+  assert.equal(git("status", "--porcelain"), "");
+
+  await fs.rm(root, { recursive: true, force: true });
+});
@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { formatGitAuthor, readGitAuthor, describeAuthorship, moveCommentToLayer } = require("../src/core");
+const { mirror, save, toClean, toCommented } = require("./helpers/toggle");
+
+const filePath = "/repo/authors.py";
+const SOURCE = [
+  "# setup",
+  "x = 1",
+  "# use it",
+  "y = x",
+  "",
+].join("\n");
+
+const ALICE = "Alice Example <alice@example.com>";
+const BOB = "Bob Example <bob@example.com>";
+const DAY1 = "2026-10-01T10:00:00.000Z";
+const DAY2 = "2026-10-02T10:00:00.000Z";
+const DAY3 = "2026-10-03T10:00:00.000Z";
+
+const byText = (comments, text) => comments.find(c => (c.text ?? c.text_cleanMode) === text);
+
+test("new comments are stamped with their author and creation time", () => {
+  const state = save({ text: SOURCE, shared: [], private: [], isCommented: true, privateVisible: false }, filePath, { author: ALICE, now: DAY1 });
+  for (const comment of state.shared) {
+    assert.equal(comment.author, ALICE);
+    assert.equal(comment.createdAt, DAY1);
+    assert.equal(comment.updatedAt, DAY1);
+  }
+});
+
+test("only a text edit bumps updatedAt; author and createdAt stay", () => {
+  const state = save({ text: SOURCE, shared: [], private: [], isCommented: true, privateVisible: false }, filePath, { author: ALICE, now: DAY1 });
+
+  state.text = state.text.replace("x = 1", "x = 2");
+  save(state, filePath, { author: BOB, now: DAY2 });
+  assert.deepEqual(state.shared.map(c => c.updatedAt), [DAY1, DAY1]);
+
+  state.text = state.text.replace("# use it", "# use it twice");
+  save(state, filePath, { author: BOB, now: DAY3 });
+  const edited = byText(state.shared, "# use it twice");
+  assert.equal(edited.updatedAt, DAY3);
+  assert.equal(edited.createdAt, DAY1);
+  assert.equal(edited.author, ALICE);
+  assert.equal(byText(state.shared, "# setup").updatedAt, DAY1);
+});
+
+test("clean-mode edits count as edits, the round trip back to commented does not", async () => {
+  const state = save({ text: SOURCE, shared: [], private: [], isCommented: true, privateVisible: false }, filePath, { author: ALICE, now: DAY1 });
+  const clean = toClean(state, filePath);
+  clean.text = clean.text.replace("y = x", "# Bob's note\ny = x");
+  save(clean, filePath, { author: BOB, now: DAY2 });
+
+  const added = byText(clean.shared, "# Bob's note");
+  assert.equal(added.author, BOB);
+  assert.equal(added.createdAt, DAY2);
+
+  const restored = await toCommented(clean, filePath);
+  assert.equal(byText(restored.shared, "# Bob's note").createdAt, DAY2);
+  assert.equal(byText(restored.shared, "# setup").updatedAt, DAY1);
+  assert.equal(byText(restored.shared, "# use it").updatedAt, DAY1);
+});
+
+test("saving shown private comments stamps copies, not the caller's records", () => {
+  const state = save({ text: SOURCE, shared: [], private: [], isCommented: true, privateVisible: true }, filePath, { author: ALICE, now: DAY1 });
+  moveCommentToLayer(byText(state.shared, "# use it"), { shared: state.shared, private: state.private }, "private");
+  const given = state.private;
+  const snapshot = JSON.stringify(given);
+
+  state.text = state.text.replace("# use it", "# use it twice");
+  save(state, filePath, { author: BOB, now: DAY2 });
+  assert.equal(JSON.stringify(given), snapshot);
+  assert.equal(byText(state.private, "# use it twice").updatedAt, DAY2);
+  assert.equal(byText(state.private, "# use it twice").createdAt, DAY1);
+});
+
+test("mirrors written before authorship existed gain nothing until edited", () => {
+  const state = mirror(SOURCE, filePath);
+  for (const c of state.shared) {
+    delete c.author;
+    delete c.createdAt;
+    delete c.updatedAt;
+  }
+  save(state, filePath, { author: BOB, now: DAY2 });
+  assert.ok(state.shared.every(c => c.author === undefined && c.createdAt === undefined));
+});
+
+test("git identities and bylines are formatted for display", () => {
+  assert.equal(formatGitAuthor(" Alice Example ", "alice@example.com\n"), ALICE);
+  assert.equal(formatGitAuthor("Alice", ""), "Alice");
+  assert.equal(formatGitAuthor("", ""), null);
+
+  assert.equal(describeAuthorship({ author: ALICE, createdAt: DAY1, updatedAt: DAY1 }), "Alice Example, 2026-10-01");
+  assert.equal(describeAuthorship({ author: ALICE, createdAt: DAY1, updatedAt: DAY3 }), "Alice Example, 2026-10-01 (edited 2026-10-03)");
+  assert.equal(describeAuthorship({ text: "# old record" }), "");
+});
+
+test("the author is read from the local git config", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "vcm-author-"));
+  try {
+    execFileSync("git", ["init", "-q"], { cwd: dir });
+    execFileSync("git", ["config", "user.name", "Alice Example"], { cwd: dir });
+    execFileSync("git", ["config", "user.email", "alice@example.com"], { cwd: dir });
+    assert.equal(await readGitAuthor(dir), ALICE);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
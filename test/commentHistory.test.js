@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { restoreCommentRevision, revisionText, replaceCommentText, buildVCMPayload } = require("../src/core");
+const { save } = require("./helpers/toggle");
+
+const filePath = "/repo/history.js";
+const SOURCE = [
+  "// load config",
+  "const config = load();",
+  "/* start",
+  "   the server */",
+  "serve(config); // port from config",
+  "",
+].join("\n");
+
+const at = (minutes) => new Date(Date.UTC(2026, 9, 1, 10, minutes)).toISOString();
+const start = () => save({ text: SOURCE, shared: [], private: [], isCommented: true, privateVisible: false }, filePath, { now: at(0) });
+const edit = (state, from, to, minutes, flags = {}) => {
+  state.text = state.text.replace(from, to);
+  return save(state, filePath, { now: at(minutes), ...flags });
+};
+const lineComment = (state) => state.shared.find(c => c.type === "line");
+
+test("each text edit keeps the version it replaced, oldest first", () => {
+  const state = start();
+  edit(state, "// load config", "// load the config", 5);
+  edit(state, "// load the config", "// load the config file", 10);
+
+  const comment = lineComment(state);
+  assert.deepEqual(comment.history.map(r => r.text), ["// load config", "// load the config"]);
+  assert.deepEqual(comment.history.map(r => r.updatedAt), [at(0), at(5)]);
+  assert.equal(state.shared.find(c => c.type === "block").history, undefined);
+});
+
+test("versions replaced within a minute (typing) are not kept", () => {
+  const state = start();
+  state.text = state.text.replace("// load config", "// load c");
+  save(state, filePath, { now: "2026-10-01T10:05:00.000Z" });
+  state.text = state.text.replace("// load c", "// load cfg");
+  save(state, filePath, { now: "2026-10-01T10:05:20.000Z" });
+  assert.deepEqual(lineComment(state).history.map(r => r.text), ["// load config"]);
+});
+
+test("the history is bounded by the limit, and a limit of 0 records nothing", () => {
+  const state = start();
+  for (let i = 1; i <= 4; i++) edit(state, /\/\/ load.*/, `// load v${i}`, i * 5, { historyLimit: 2 });
+  assert.deepEqual(lineComment(state).history.map(r => r.text), ["// load v2", "// load v3"]);
+
+  const off = start();
+  edit(off, "// load config", "// load it", 5, { historyLimit: 0 });
+  assert.equal(lineComment(off).history, undefined);
+});
+
+test("restoring a hidden comment's revision keeps the current version in the history", () => {
+  const state = start();
+  edit(state, "// load config", "// load the config", 5);
+  const comment = lineComment(state);
+  comment.text_cleanMode = null;
+
+  restoreCommentRevision(comment, 0, { now: at(30) });
+  assert.equal(comment.text, "// load config");
+  assert.equal(comment.updatedAt, at(30));
+  assert.deepEqual(comment.history.map(r => r.text), ["// load config", "// load the config"]);
+  assert.throws(() => restoreCommentRevision(comment, 9), /no revision 9/);
+});
+
+test("a revision is written back into the document for visible comments", () => {
+  const state = start();
+  const [line, block, inline] = ["line", "block", "inline"].map(type => state.shared.find(c => c.type === type));
+
+  assert.equal(
+    replaceCommentText(state.text, filePath, line, { text: "// read config" }).split("\n")[0],
+    "// read config"
+  );
+  const restoredBlock = replaceCommentText(state.text, filePath, block, { block: [{ text: "/* serve */" }] });
+  assert.deepEqual(restoredBlock.split("\n").slice(2, 4), ["/* serve */", "serve(config); // port from config"]);
+  assert.equal(
+    replaceCommentText(state.text, filePath, inline, { text: " // default port" }).split("\n")[4],
+    "serve(config); // default port"
+  );
+
+  const stripped = state.text.replace("// load config\n", "");
+  assert.equal(replaceCommentText(stripped, filePath, line, { text: "// x" }), null);
+});
+
+test("revision text joins block lines; history is written last in the mirror", () => {
+  assert.equal(revisionText({ block: [{ text: "/* a" }, { text: "   b */" }] }), "/* a\n   b */");
+  const state = start();
+  edit(state, "// load config", "// load the config", 5);
+  const written = buildVCMPayload("history.js", state.shared).comments.find(c => c.type === "line");
+  assert.equal(Object.keys(written).pop(), "history");
+});
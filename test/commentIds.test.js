@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const {
+  createVCMStore,
+  ensureCommentIds,
+  deriveCommentId,
+  correlateCommentIds,
+  parseDocComs,
+  getCommentFlagsAtLine,
+} = require("../src/core");
+const { nodeFs } = require("../src/fs/nodeFs");
+const { mirror, save, toClean, toCommented } = require("./helpers/toggle");
+
+const store = createVCMStore(nodeFs);
+const filePath = "/repo/ids.py";
+const SOURCE = [
+  "# setup",
+  "# more setup",
+  "x = 1",
+  "y = x",
+  "",
+].join("\n");
+
+test("every record gets a unique id; copies get a new one", () => {
+  const comments = [{ text: "a" }, { text: "b", id: "keep" }, { text: "c", id: "keep" }];
+  assert.equal(ensureCommentIds(comments), 2);
+  assert.equal(comments[1].id, "keep");
+  assert.equal(new Set(comments.map(c => c.id)).size, 3);
+  assert.match(comments[0].id, /^[0-9a-f]{12}$/);
+  assert.equal(ensureCommentIds(comments), 0);
+});
+
+test("records without an id get the same id on every machine", () => {
+  const legacy = () => [
+    { type: "line", anchor: "a1", prevHash: null, nextHash: "n1", text: "// one" },
+    { type: "line", anchor: "a1", prevHash: null, nextHash: "n1", text: "// one" }, // a copy
+    { type: "line", anchor: "b2", prevHash: "a1", nextHash: null, text: "// two" },
+  ];
+  const mine = legacy();
+  const theirs = legacy();
+  ensureCommentIds(mine);
+  ensureCommentIds(theirs);
+  assert.deepEqual(mine.map(c => c.id), theirs.map(c => c.id));
+  assert.equal(new Set(mine.map(c => c.id)).size, 3);
+  assert.equal(mine[0].id, deriveCommentId(mine[0]));
+});
+
+test("ids survive text edits, code edits and a clean/commented round trip", async () => {
+  const state = mirror(SOURCE, filePath);
+  const idOf = (text) => state.shared.find(c => c.text === text)?.id;
+  const setupId = idOf("# setup");
+  const moreId = idOf("# more setup");
+
+  state.text = state.text.replace("# setup", "# set things up").replace("x = 1", "x = 2");
+  save(state, filePath);
+  assert.equal(state.shared.find(c => c.text === "# set things up").id, setupId);
+  assert.equal(state.shared.find(c => c.text === "# more setup").id, moreId);
+
+  const restored = await toCommented(toClean(state, filePath), filePath);
+  assert.deepEqual(restored.shared.map(c => c.id).sort(), [setupId, moreId].sort());
+});
+
+test("document comments are correlated even after lines above them shift", () => {
+  const state = mirror(SOURCE, filePath);
+  const shifted = "# new header\n\n" + SOURCE;
+  const docComments = parseDocComs(shifted, filePath);
+  correlateCommentIds(docComments, state.shared);
+
+  const byText = Object.fromEntries(docComments.map(c => [c.text, c.id]));
+  assert.equal(byText["# new header"], undefined);
+  assert.equal(byText["# setup"], state.shared.find(c => c.text === "# setup").id);
+  assert.equal(byText["# more setup"], state.shared.find(c => c.text === "# more setup").id);
+});
+
+test("flags follow the id when a consecutive comment's line index is stale", () => {
+  const state = mirror(SOURCE, filePath);
+  const mine = state.shared.find(c => c.text === "# more setup");
+  const records = [...state.shared.filter(c => c !== mine), { ...mine, isPrivate: true, frozen: true }];
+
+  const shifted = "# new header\n\n" + SOURCE;
+  const flags = getCommentFlagsAtLine(shifted, filePath, 3, records);
+  assert.deepEqual(flags, { cursorOnComment: true, alwaysShow: false, isPrivate: true, frozen: true, review: false, resolved: false });
+  assert.equal(getCommentFlagsAtLine(shifted, filePath, 2, records).isPrivate, false);
+});
+
+test("the writer assigns ids and mirrors written without them get them when read", async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "vcm-ids-"));
+  const sharedDir = path.join(root, ".vcm", "shared");
+  const comment = { type: "line", anchor: "a", prevHash: null, nextHash: null, text: "// hi" };
+
+  await store.writeSharedVCM("a.js", [{ ...comment }], sharedDir);
+  const [written] = await store.readSharedVCM("a.js", sharedDir);
+  assert.match(written.id, /^[0-9a-f]{12}$/);
+
+  const legacy = path.join(sharedDir, "old.js.vcm.json");
+  const legacyText = JSON.stringify({ file: "old.js", lastModified: "2025-01-01T00:00:00.000Z", comments: [comment, { ...comment, text: "// two" }] });
+  await fs.writeFile(legacy, legacyText);
+  const read = await store.readSharedVCM("old.js", sharedDir);
+  assert.equal(new Set(read.map(c => c.id)).size, 2);
+  assert.deepEqual((await store.readSharedVCM("old.js", sharedDir)).map(c => c.id), read.map(c => c.id));
+  assert.equal(await fs.readFile(legacy, "utf8"), legacyText, "reading never rewrites the mirror");
+
+  await store.writeSharedVCM("old.js", read, sharedDir);
+  const saved = JSON.parse(await fs.readFile(legacy, "utf8"));
+  assert.deepEqual(saved.comments.map(c => c.id), read.map(c => c.id));
+
+  await fs.rm(root, { recursive: true, force: true });
+});
@@ -0,0 +1,229 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const {
+  createVCMStore,
+  moveCommentToLayer,
+  assertLayerStore,
+  isValidLayerName,
+  normalizeLayerNames,
+  layerOf,
+  mergeIntoVCMs,
+  syncMirrors,
+  stripComments,
+  injectMissingPrivateComments,
+  findCommitViolations,
+  ensureCommentIds,
+} = require("../src/core");
+const { nodeFs } = require("../src/fs/nodeFs");
+const { mirror, save, toClean, toCommented } = require("./helpers/toggle");
+
+const store = createVCMStore(nodeFs);
+const filePath = "/repo/layers.js";
+const SOURCE = [
+  "// load the config once",
+  "const config = load();",
+  "// TODO: cache this lookup",
+  "const user = find(config);",
+  "run(user);",
+  "",
+].join("\n");
+
+const ALICE = "Alice Example <alice@example.com>";
+const todoOf = (comments) => comments.find(c => c.text === "// TODO: cache this lookup");
+
+// saveVCM with one named layer: { text, shared, private, todo, isCommented, todoVisible }
+function saveWithTodo(state, flags = {}) {
+  const result = syncMirrors({
+    text: state.text,
+    filePath,
+    sharedVCMComments: state.shared,
+    privateVCMComments: state.private,
+    isCommented: state.isCommented,
+    layers: [{ name: "todo", comments: state.todo, visible: state.todoVisible, wasJustInjected: flags.todoJustInjected }],
+  });
+  state.shared = result.shared;
+  if (result.private) state.private = result.private;
+  if (result.layers.todo) state.todo = result.layers.todo;
+  ensureCommentIds(state.shared);
+  ensureCommentIds(state.todo);
+  return state;
+}
+
+test("layer names are directory names, never the built-in stores", () => {
+  assert.equal(isValidLayerName("perf-notes"), true);
+  assert.equal(isValidLayerName("todo_2"), true);
+  for (const name of ["shared", "private", "archive", "Todo", "-x", "a/b", ""]) {
+    assert.equal(isValidLayerName(name), false, name);
+  }
+  assert.deepEqual(normalizeLayerNames(["todo", "shared", "todo", "security", "../x"]), ["todo", "security"]);
+  assert.equal(layerOf({ isPrivate: true }), "private");
+  assert.equal(layerOf({ isPrivate: false, layer: "todo" }), "todo");
+  assert.equal(layerOf({}), "shared");
+});
+
+test("moving a comment takes it out of its store and into exactly one other", () => {
+  const state = mirror(SOURCE, filePath);
+  const record = todoOf(state.shared);
+  record.author = ALICE;
+  record.thread = { resolved: false, replies: [{ author: ALICE, body: "agreed" }] };
+  const stores = { shared: state.shared, private: state.private, todo: [] };
+
+  const { from, record: moved } = moveCommentToLayer({ ...record }, stores, "todo");
+  assert.equal(from, "shared");
+  assert.deepEqual(stores.shared.map(c => c.text), ["// load the config once"]);
+  assert.deepEqual(stores.todo, [moved]);
+  assert.equal(moved.layer, "todo");
+  assert.equal(moved.isPrivate, false);
+  assert.equal(moved.author, ALICE);
+  assert.equal(moved.id, record.id);
+  assert.equal(moved.thread, undefined); // discussions stay shared
+
+  // On to private, then back to shared: the layer field goes with each move
+  moveCommentToLayer(moved, stores, "private");
+  assert.deepEqual(stores.todo, []);
+  assert.equal(stores.private[0].isPrivate, true);
+  assert.equal(stores.private[0].layer, undefined);
+  moveCommentToLayer(stores.private[0], stores, "shared");
+  assert.equal(stores.private.length, 0);
+  assert.equal(todoOf(stores.shared).isPrivate, false);
+
+  assert.throws(() => moveCommentToLayer(todoOf(stores.shared), stores, "shared"), /already in the shared layer/);
+  assert.throws(() => moveCommentToLayer(todoOf(stores.shared), stores, "security"), /Unknown comment layer/);
+  todoOf(stores.shared).alwaysShow = true;
+  assert.throws(() => moveCommentToLayer(todoOf(stores.shared), stores, "todo"), /Always-show/);
+  assert.equal(stores.todo.length, 0);
+  assert.throws(() => moveCommentToLayer({ type: "inline", text: "// x" }, stores, "todo"), /Inline comments/);
+});
+
+test("a store holding another layer's comment is refused", () => {
+  const todo = [{ type: "line", anchor: "a1", text: "// mine", isPrivate: false, layer: "todo" }];
+  assert.doesNotThrow(() => assertLayerStore(todo, "todo"));
+  assert.throws(() => assertLayerStore(todo, "private"), /Store separation violated/);
+
+  const polluted = [...todo, { type: "line", anchor: "b2", text: "// shared one", isPrivate: false }];
+  assert.throws(
+    () => mergeIntoVCMs({ isCommented: true, docComments: [], vcmComments: polluted, isPrivateMode: true, layer: "todo" }),
+    /todo VCM contains a shared comment at anchor b2\. Store separation violated\./
+  );
+  // Private mode keeps its guard
+  assert.throws(
+    () => mergeIntoVCMs({ isCommented: true, docComments: [], vcmComments: todo, isPrivateMode: true }),
+    /Store separation violated/
+  );
+});
+
+test("a layer is hidden and shown on its own and never leaks into shared", async () => {
+  const state = { ...mirror(SOURCE, filePath), todo: [], todoVisible: true };
+  moveCommentToLayer(todoOf(state.shared), { shared: state.shared, private: state.private, todo: state.todo }, "todo");
+  ensureCommentIds(state.todo);
+
+  // Visible: saving keeps it in the layer only
+  saveWithTodo(state);
+  assert.equal(todoOf(state.shared), undefined);
+  assert.equal(todoOf(state.todo).layer, "todo");
+
+  // Hidden: stripped from the document, still in the layer
+  const contextComments = [...state.shared, ...state.todo];
+  state.text = stripComments(state.text, filePath, state.todo, { contextComments });
+  state.todoVisible = false;
+  saveWithTodo(state, { todoJustInjected: true });
+  assert.equal(state.text, SOURCE.replace("// TODO: cache this lookup\n", ""));
+  assert.equal(todoOf(state.shared), undefined);
+  assert.equal(state.todo.length, 1);
+
+  // A round trip through clean mode doesn't bring it back
+  const clean = toClean(state, filePath);
+  const commented = await toCommented(clean, filePath);
+  assert.equal(commented.text, SOURCE.replace("// TODO: cache this lookup\n", ""));
+
+  // Shown again: back where it was
+  const shown = { ...commented, todo: state.todo, todoVisible: true };
+  shown.text = injectMissingPrivateComments(shown.text, filePath, shown.todo);
+  saveWithTodo(shown, { todoJustInjected: true });
+  assert.equal(shown.text, SOURCE);
+  assert.equal(todoOf(shown.shared), undefined);
+  assert.equal(todoOf(shown.todo).layer, "todo");
+
+  // Committing it visible is reported like a private comment
+  const violations = findCommitViolations({ text: SOURCE, filePath, sharedComments: shown.shared, layerComments: { todo: shown.todo } });
+  assert.deepEqual(violations.layers.map(v => [v.layer, v.comment.text]), [["todo", "// TODO: cache this lookup"]]);
+  assert.deepEqual(violations.unmirrored, []);
+});
+
+test("hiding comments repo-wide hides visible layer comments as well", () => {
+  // A file showing its todo layer, one with the layer hidden and one without layers
+  const withTodo = (visible) => {
+    const state = { ...mirror(SOURCE, filePath), layers: { todo: [] }, layersVisible: ["todo"] };
+    moveCommentToLayer(todoOf(state.shared), { shared: state.shared, private: state.private, todo: state.layers.todo }, "todo");
+    save(state, filePath);
+    if (visible) return state;
+    state.text = stripComments(state.text, filePath, state.layers.todo, { contextComments: [...state.shared, ...state.layers.todo] });
+    state.layersVisible = [];
+    return save(state, filePath, { justInjectedLayers: ["todo"] });
+  };
+  const repo = [
+    ["/repo/shown.js", withTodo(true)],
+    ["/repo/hidden.js", withTodo(false)],
+    ["/repo/plain.js", { ...mirror("// plain\nplain();\n", "/repo/plain.js"), layers: { todo: [] } }],
+  ];
+  assert.equal(repo[0][1].text, SOURCE);
+
+  const code = "const config = load();\nconst user = find(config);\nrun(user);\n";
+  for (const [path, state] of repo) {
+    const clean = toClean(state, path);
+    assert.equal(clean.text, path === "/repo/plain.js" ? "plain();\n" : code, path);
+    assert.deepEqual(clean.layersVisible, []);
+
+    const violations = findCommitViolations({ text: clean.text, filePath: path, sharedComments: clean.shared, layerComments: clean.layers });
+    assert.deepEqual(violations.layers, [], path);
+
+    // The next save keeps the layer comment in its layer, out of shared
+    save(clean, path, { justInjectedLayers: ["todo"] });
+    if (path === "/repo/plain.js") continue;
+    assert.equal(todoOf(clean.shared), undefined, path);
+    assert.deepEqual(clean.layers.todo.map(c => c.text), ["// TODO: cache this lookup"], path);
+  }
+});
+
+test("layer mirrors live in .vcm/<layer> and move and archive with the others", async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "vcm-layers-"));
+  const baseDir = path.join(root, ".vcm");
+  const sharedDir = path.join(baseDir, "shared");
+  const privateDir = path.join(baseDir, "private");
+  const todoDir = store.getLayerDir(baseDir, "todo");
+  assert.throws(() => store.getLayerDir(baseDir, "private"), /Invalid comment layer name/);
+
+  const record = { type: "line", anchor: "a", prevHash: null, nextHash: null, text: "// later", isPrivate: false, layer: "todo" };
+  await store.writeLayerVCM("src/a.js", [record, { ...record, text: "// shared", layer: undefined }], todoDir, "todo");
+  await store.writeSharedVCM("src/a.js", [{ ...record, layer: undefined }], sharedDir);
+  await fs.mkdir(path.join(baseDir, "archive"), { recursive: true });
+
+  // Only the layer's records are written, without the in-memory flags
+  const payload = JSON.parse(await fs.readFile(path.join(todoDir, "src/a.js.vcm.json"), "utf8"));
+  assert.deepEqual(payload.comments.map(c => c.text), ["// later"]);
+  assert.equal("layer" in payload.comments[0], false);
+  assert.equal("isPrivate" in payload.comments[0], false);
+  assert.deepEqual(
+    (await store.readLayerVCM("src/a.js", todoDir, "todo")).map(c => [c.text, c.layer, c.isPrivate]),
+    [["// later", "todo", false]]
+  );
+  assert.equal((await store.readSharedVCM("src/a.js", sharedDir))[0].layer, undefined);
+  assert.deepEqual(await store.listLayerNames(baseDir), ["todo"]);
+
+  const moved = await store.moveMirrors("src/a.js", "lib/a.js", sharedDir, privateDir, { todo: todoDir });
+  assert.deepEqual(moved.moved, [
+    { from: "src/a.js", to: "lib/a.js", isPrivate: false },
+    { from: "src/a.js", to: "lib/a.js", isPrivate: false, layer: "todo" },
+  ]);
+
+  const date = new Date("2026-10-19T08:00:00.000Z");
+  const archived = await store.archiveMirrors("lib/a.js", baseDir, { date });
+  assert.deepEqual(archived.map(a => a.layer || (a.isPrivate ? "private" : "shared")), ["shared", "todo"]);
+  assert.deepEqual(await store.listArchivedMirrors(baseDir), archived);
+
+  assert.equal(await store.restoreArchivedMirror(archived[1], baseDir), true);
+  assert.deepEqual((await store.readLayerVCM("lib/a.js", todoDir, "todo")).map(c => c.text), ["// later"]);
+});
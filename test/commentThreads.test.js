@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { createVCMStore, addReply, deleteReply, setThreadResolved, hasThread, mergeVCMPayloads } = require("../src/core");
+const { nodeFs } = require("../src/fs/nodeFs");
+const { mirror, save, toClean, toCommented } = require("./helpers/toggle");
+
+const store = createVCMStore(nodeFs);
+const filePath = "/repo/review.js";
+const SOURCE = [
+  "// retry three times",
+  "const tries = 3;",
+  "run(tries);",
+  "",
+].join("\n");
+
+const ALICE = "Alice Example <alice@example.com>";
+const BOB = "Bob Example <bob@example.com>";
+const payloadOf = (comments) => ({ file: "review.js", lastModified: "2026-10-01T00:00:00.000Z", comments });
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+test("replies are added, resolved and deleted on the record", () => {
+  const comment = { type: "line", text: "// retry three times" };
+  const first = addReply(comment, { text: "Why three?", author: ALICE, now: "2026-10-01T10:00:00.000Z" });
+  addReply(comment, { text: "Upstream limit.", author: BOB, now: "2026-10-01T11:00:00.000Z" });
+
+  assert.equal(hasThread(comment), true);
+  assert.deepEqual(comment.thread.replies.map(r => [r.author, r.text]), [[ALICE, "Why three?"], [BOB, "Upstream limit."]]);
+  assert.equal(comment.thread.resolved, false);
+  assert.match(first.id, /^[0-9a-f]{12}$/);
+
+  setThreadResolved(comment, true);
+  assert.equal(comment.thread.resolved, true);
+
+  assert.equal(deleteReply(comment, first.id), true);
+  assert.equal(deleteReply(comment, first.id), false);
+  deleteReply(comment, comment.thread.replies[0].id);
+  assert.equal(comment.thread, undefined);
+  assert.equal(hasThread(comment), false);
+});
+
+test("a thread survives saves and toggles and never reaches the source", async () => {
+  const state = mirror(SOURCE, filePath);
+  addReply(state.shared[0], { text: "Why three?", author: ALICE });
+
+  state.text = state.text.replace("const tries = 3;", "const tries = 4;");
+  save(state, filePath);
+  const clean = toClean(state, filePath);
+  const restored = await toCommented(clean, filePath);
+
+  assert.equal(restored.text, SOURCE.replace("3;", "4;"));
+  assert.ok(!clean.text.includes("Why three?") && !restored.text.includes("Why three?"));
+  assert.deepEqual(restored.shared[0].thread.replies.map(r => r.text), ["Why three?"]);
+});
+
+test("the private mirror never stores threads", async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "vcm-threads-"));
+  try {
+    const privateDir = path.join(root, ".vcm", "private");
+    const comment = { type: "line", anchor: "a", prevHash: null, nextHash: null, text: "// mine", isPrivate: true };
+    addReply(comment, { text: "shared discussion", author: ALICE });
+    await store.writePrivateVCM("review.js", [comment], privateDir);
+
+    const written = await fs.readFile(path.join(privateDir, "review.js.vcm.json"), "utf8");
+    assert.ok(!written.includes("shared discussion"));
+    assert.equal((await store.readPrivateVCM("review.js", privateDir))[0].thread, undefined);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
+
+test("replies from both branches are merged; deletes and resolution carry over", () => {
+  const base = mirror(SOURCE, filePath).shared;
+  const kept = addReply(base[0], { text: "Why three?", author: ALICE, now: "2026-10-01T10:00:00.000Z" });
+  const dropped = addReply(base[0], { text: "typo", author: ALICE, now: "2026-10-01T10:01:00.000Z" });
+
+  const ours = clone(base);
+  addReply(ours[0], { text: "Upstream limit.", author: BOB, now: "2026-10-02T10:00:00.000Z" });
+  deleteReply(ours[0], dropped.id);
+  const theirs = clone(base);
+  addReply(theirs[0], { text: "Make it a setting?", author: ALICE, now: "2026-10-03T10:00:00.000Z" });
+  setThreadResolved(theirs[0], true);
+
+  const result = mergeVCMPayloads({ base: payloadOf(base), ours: payloadOf(ours), theirs: payloadOf(theirs) });
+  assert.deepEqual(result.conflicts, []);
+  const thread = result.payload.comments[0].thread;
+  assert.deepEqual(thread.replies.map(r => r.text), ["Why three?", "Upstream limit.", "Make it a setting?"]);
+  assert.equal(thread.replies[0].id, kept.id);
+  assert.equal(thread.resolved, true);
+});
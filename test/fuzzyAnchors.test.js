@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveCommentPlacements, injectComments } = require("../src/core");
+const { mirror, save } = require("./helpers/toggle");
+
+const filePath = "/repo/fuzzy.js";
+const SOURCE = [
+  "setup();",
+  "// compute the total",
+  "const total = price * qty;",
+  "report(total);",
+  "",
+].join("\n");
+
+// A renamed copy of the anchor line with look-alike neighbours, `gap` lines into the file
+function lookAlikeAfter(gap) {
+  return ["start();", ...Array(gap).fill("noop();"), "setup(1);", "const total = price * quantity;", "report(total, 1);", ""].join("\n");
+}
+
+test("a renamed anchor line re-anchors the comment", () => {
+  const { shared } = mirror(SOURCE, filePath);
+  const edited = "setup();\nconst total = price * quantity;\nreport(total);\n";
+  const { fuzzyMatches } = resolveCommentPlacements(edited, filePath, shared);
+  assert.deepEqual(fuzzyMatches.map(m => m.lineIndex), [1]);
+  assert.equal(
+    injectComments(edited, filePath, shared, true, false),
+    "setup();\n// compute the total\nconst total = price * quantity;\nreport(total);\n"
+  );
+});
+
+test("the fuzzy fallback only looks near where the comment was", () => {
+  const { shared } = mirror(SOURCE, filePath);
+
+  // Close to the stored position: found
+  const near = lookAlikeAfter(10);
+  assert.deepEqual(resolveCommentPlacements(near, filePath, shared).fuzzyMatches.map(m => m.lineIndex), [12]);
+
+  // The same look-alike far away (and no exact prev/next line left to go by): rejected
+  const far = lookAlikeAfter(60);
+  const placements = resolveCommentPlacements(far, filePath, shared);
+  assert.deepEqual(placements.fuzzyMatches, []);
+  assert.equal(placements.lineMap.has(62), false);
+  assert.equal(injectComments(far, filePath, shared, true, false), far);
+});
+
+test("an exact prev or next line anywhere in the file sets where to look", () => {
+  const { shared } = mirror(SOURCE, filePath);
+  const moved = ["start();", ...Array(60).fill("noop();"), "setup();", "const total = price * quantity;", "report(total);", ""].join("\n");
+  assert.deepEqual(resolveCommentPlacements(moved, filePath, shared).fuzzyMatches.map(m => m.lineIndex), [62]);
+});
+
+test("saving only re-matches a renamed comment near where it was stored", () => {
+  const { shared } = mirror(SOURCE, filePath);
+  const { id } = shared[0];
+  // The comment is deleted at the top and a new one written over a look-alike block `gap` lines down
+  const edited = (gap) =>
+    ["setup();", "const total = price * qty;", "report(total);", ...Array(gap).fill("noop();"),
+      "setup();", "// compute the totals", "const total = price * quantity;", "report(total);", ""].join("\n");
+
+  const near = save({ text: edited(10), shared: shared.map(c => ({ ...c })), private: [], isCommented: true }, filePath);
+  assert.deepEqual(near.shared.map(c => [c.text, c.id]), [["// compute the totals", id]]);
+
+  // 60 lines away the old record is left alone and the comment is a new one
+  const far = save({ text: edited(60), shared: shared.map(c => ({ ...c })), private: [], isCommented: true }, filePath);
+  assert.equal(far.shared.find(c => c.id === id).text, "// compute the total");
+  assert.notEqual(far.shared.find(c => c.text === "// compute the totals").id, id);
+});
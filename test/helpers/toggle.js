@@ -0,0 +1,84 @@
+const {
+  stripComments,
+  stripVisibleStores,
+  generateCommentedVersion,
+  injectMissingPrivateComments,
+  mergeSharedTextCleanMode,
+  syncMirrors,
+  ensureCommentIds,
+} = require("../../src/core");
+
+// Headless stand-ins for the extension's toggles, built from the same core calls
+// vcm.js makes (saveVCM -> syncMirrors, toggleCurrentFileComments, togglePrivateComments).
+// State is a plain object: { text, shared, private, isCommented, privateVisible },
+// plus { layers: { name: comments }, layersVisible: [names] } when it has named layers.
+
+// Save the document (saveVCM): update both mirrors from the current text
+function save(state, filePath, { justInjectedLayers = [], ...flags } = {}) {
+  const result = syncMirrors({
+    text: state.text,
+    filePath,
+    sharedVCMComments: state.shared,
+    privateVCMComments: state.private,
+    isCommented: state.isCommented,
+    privateVisible: state.privateVisible,
+    layers: Object.entries(state.layers || {}).map(([name, comments]) => ({
+      name,
+      comments,
+      visible: (state.layersVisible || []).includes(name),
+      wasJustInjected: justInjectedLayers.includes(name),
+    })),
+    ...flags,
+  });
+  state.shared = result.shared;
+  if (result.private) state.private = result.private;
+  for (const [name, comments] of Object.entries(result.layers || {})) {
+    if (comments) state.layers[name] = comments;
+  }
+  // Like the mirror writer (createVCMFiles), which gives every record a stable id
+  ensureCommentIds(state.shared);
+  ensureCommentIds(state.private);
+  Object.values(state.layers || {}).forEach(ensureCommentIds);
+  return state;
+}
+
+// Commented -> clean (private and visible named layers are hidden as well)
+function toClean(state, filePath) {
+  save(state, filePath);
+  const stripped = stripVisibleStores(
+    state.text,
+    filePath,
+    { shared: state.shared, private: state.private, layers: state.layers },
+    { private: state.privateVisible, layers: state.layersVisible }
+  );
+  const text = stripComments(stripped.text, filePath, state.shared, { contextComments: stripped.contextComments });
+  return { ...state, text, isCommented: false, privateVisible: false, layersVisible: [] };
+}
+
+// Clean -> commented
+async function toCommented(state, filePath) {
+  const text = await generateCommentedVersion(state.text, filePath, "", async () => state.shared, null);
+  const next = { ...state, text, shared: mergeSharedTextCleanMode(state.shared), isCommented: true };
+  return save(next, filePath, { wasJustInjected: true });
+}
+
+// Show private comments
+function showPrivate(state, filePath) {
+  const text = injectMissingPrivateComments(state.text, filePath, state.private);
+  return save({ ...state, text, privateVisible: true }, filePath, { wasJustInjectedPrivate: true });
+}
+
+// Hide private comments
+function hidePrivate(state, filePath) {
+  save(state, filePath);
+  const contextComments = [...state.shared, ...state.private];
+  const text = stripComments(state.text, filePath, state.private, { contextComments });
+  return { ...state, text, privateVisible: false };
+}
+
+// First save of a commented file with no mirror yet
+function mirror(text, filePath) {
+  return save({ text, shared: [], private: [], isCommented: true, privateVisible: false }, filePath);
+}
+
+module.exports = { save, toClean, toCommented, showPrivate, hidePrivate, mirror };
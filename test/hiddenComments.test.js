@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { findHiddenCommentsAtLine, mapHiddenComments, buildVirtualCommentLines, getCommentText } = require("../src/core");
+const { mirror, toClean } = require("./helpers/toggle");
+
+const filePath = "/repo/hover.js";
+const SOURCE = [
+  "// load config",
+  "/* defaults",
+  "   merged in */",
+  "const config = load();",
+  "start(config); // go",
+  "",
+].join("\n");
+
+function cleanState() {
+  const state = mirror(SOURCE, filePath);
+  // Mark "// go" private the way markPrivate does: move the record over
+  const mine = state.shared.find(c => c.type === "inline");
+  state.shared = state.shared.filter(c => c !== mine);
+  state.private = [{ ...mine, isPrivate: true }];
+  state.text = SOURCE.replace(" // go", "");
+  return toClean(state, filePath);
+}
+
+const describe = (found) => found.map(f => [getCommentText(f.comment).trim(), f.isPrivate, f.position]);
+
+test("finds the hidden comments injectComments would put above and on a line", () => {
+  const state = cleanState();
+  assert.equal(state.text, "const config = load();\nstart(config);\n");
+  const hidden = { shared: state.shared, private: state.private };
+
+  const onConfig = findHiddenCommentsAtLine(state.text, filePath, hidden, 0);
+  assert.deepEqual(describe(onConfig), [
+    ["// load config", false, "above"],
+    ["/* defaults\n   merged in */", false, "above"],
+  ]);
+  assert.deepEqual(describe(findHiddenCommentsAtLine(state.text, filePath, hidden, 1)), [["// go", true, "inline"]]);
+  assert.ok(onConfig.every(f => f.comment.id), "records keep their ids");
+});
+
+test("only the lists passed as hidden are looked up, and orphans are skipped", () => {
+  const state = cleanState();
+  assert.deepEqual(findHiddenCommentsAtLine(state.text, filePath, { shared: [], private: state.private }, 0), []);
+  assert.deepEqual(findHiddenCommentsAtLine("other();\n", filePath, { shared: state.shared, private: [] }, 0), []);
+});
+
+test("maps every line that has hidden comments", () => {
+  const state = cleanState();
+  const byLine = mapHiddenComments(state.text, filePath, { shared: state.shared, private: state.private });
+  assert.deepEqual([...byLine.keys()], [0, 1]);
+  assert.deepEqual(byLine.get(0).map(f => f.isPrivate), [false, false]);
+  assert.deepEqual(byLine.get(1).map(f => f.isPrivate), [true]);
+});
+
+test("virtual mode renders one decoration per line and visibility, without touching the text", () => {
+  const state = cleanState();
+  const text = state.text;
+  const byLine = mapHiddenComments(text, filePath, { shared: state.shared, private: state.private });
+  assert.deepEqual(buildVirtualCommentLines(byLine), [
+    { line: 0, text: "// load config  /* defaults  merged in */", layer: "shared", isPrivate: false },
+    { line: 1, text: "// go", layer: "private", isPrivate: true },
+  ]);
+  assert.equal(state.text, text);
+});
+
+test("hidden layer comments are found with their layer", () => {
+  const state = cleanState();
+  // "// go" in a todo layer instead of private, the way Move Comment to Layer leaves it
+  const todo = state.private.map(({ isPrivate, ...c }) => ({ ...c, isPrivate: false, layer: "todo" }));
+  const hidden = { shared: state.shared, private: [], layers: { todo } };
+
+  const byLine = mapHiddenComments(state.text, filePath, hidden);
+  assert.deepEqual(byLine.get(0).map(f => f.layer), ["shared", "shared"]);
+  assert.deepEqual(byLine.get(1).map(f => [getCommentText(f.comment).trim(), f.layer, f.isPrivate, f.position]), [
+    ["// go", "todo", false, "inline"],
+  ]);
+  assert.equal(byLine.get(1)[0].comment.id, todo[0].id);
+  assert.deepEqual(buildVirtualCommentLines(byLine), [
+    { line: 0, text: "// load config  /* defaults  merged in */", layer: "shared", isPrivate: false },
+    { line: 1, text: "// go", layer: "todo", isPrivate: false },
+  ]);
+
+  // A layer left out of hidden (shown in the document) is not looked up
+  assert.deepEqual(findHiddenCommentsAtLine(state.text, filePath, { shared: state.shared, layers: {} }, 1), []);
+});
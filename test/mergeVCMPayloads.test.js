@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mergeVCMPayloads } = require("../src/core");
+const { mirror } = require("./helpers/toggle");
+
+const filePath = "/repo/app.js";
+const SOURCE = [
+  "// load config",
+  "const config = load();",
+  "// start the server",
+  "serve(config);",
+  "",
+].join("\n");
+
+const payloadOf = (comments, lastModified = "2026-10-01T00:00:00.000Z") => ({ file: "app.js", lastModified, comments });
+const texts = (payload) => payload.comments.map(c => c.text);
+const base = () => mirror(SOURCE, filePath).shared;
+
+test("additions from both sides are unioned and deletions applied", () => {
+  const ours = mirror(SOURCE.replace("serve(config);", "serve(config);\n// ours: done"), filePath).shared;
+  const theirs = mirror(SOURCE.replace("// load config\n", "// theirs: header\n"), filePath).shared;
+
+  const result = mergeVCMPayloads({ base: payloadOf(base()), ours: payloadOf(ours), theirs: payloadOf(theirs, "2026-10-02T00:00:00.000Z") });
+  assert.deepEqual(result.conflicts, []);
+  assert.deepEqual(texts(result.payload), ["// theirs: header", "// start the server", "// ours: done"]);
+  assert.equal(result.payload.lastModified, "2026-10-02T00:00:00.000Z");
+  assert.deepEqual(JSON.parse(result.text), result.payload);
+});
+
+test("an edit on one side is applied; an edit against a delete is kept", () => {
+  const ours = base().map(c => (c.text === "// load config" ? { ...c, text: "// load the config file" } : c));
+  const theirs = base().filter(c => c.text !== "// start the server");
+  const result = mergeVCMPayloads({ base: payloadOf(base()), ours: payloadOf(ours), theirs: payloadOf(theirs) });
+  assert.deepEqual(texts(result.payload), ["// load the config file"]);
+
+  const edited = base().map(c => (c.text === "// start the server" ? { ...c, text: "// start listening" } : c));
+  const kept = mergeVCMPayloads({ base: payloadOf(base()), ours: payloadOf(theirs), theirs: payloadOf(edited) });
+  assert.deepEqual(texts(kept.payload), ["// load config", "// start listening"]);
+});
+
+test("flags and text changed on different sides merge without conflict", () => {
+  const ours = base().map(c => (c.text === "// load config" ? { ...c, alwaysShow: true } : c));
+  const theirs = base().map(c => (c.text === "// load config" ? { ...c, text: "// read config" } : c));
+  const result = mergeVCMPayloads({ base: payloadOf(base()), ours: payloadOf(ours), theirs: payloadOf(theirs) });
+  assert.deepEqual(result.conflicts, []);
+  assert.equal(result.payload.comments[0].text, "// read config");
+  assert.equal(result.payload.comments[0].alwaysShow, true);
+});
+
+test("a comment re-anchored on one side is still matched by its text", () => {
+  const moved = mirror(SOURCE.replace("const config = load();", "const config = loadConfig();"), filePath).shared;
+  const theirs = base().filter(c => c.text !== "// load config");
+  const result = mergeVCMPayloads({ base: payloadOf(base()), ours: payloadOf(moved), theirs: payloadOf(theirs) });
+  // Ours re-anchored it without editing it, theirs deleted it: deleted
+  assert.deepEqual(texts(result.payload), ["// start the server"]);
+});
+
+test("both sides editing the same text produces conflict markers either side of which is valid JSON", () => {
+  const edit = (text) => base().map(c => (c.text === "// start the server" ? { ...c, text } : c));
+  const result = mergeVCMPayloads({ base: payloadOf(base()), ours: payloadOf(edit("// ours")), theirs: payloadOf(edit("// theirs")) });
+  assert.equal(result.conflicts.length, 1);
+  assert.match(result.text, /^<<<<<<< ours$/m);
+
+  const keep = (side) => {
+    const lines = result.text.split("\n");
+    const out = [];
+    let state = "both";
+    for (const line of lines) {
+      if (line === "<<<<<<< ours") state = "ours";
+      else if (line === "=======") state = "theirs";
+      else if (line === ">>>>>>> theirs") state = "both";
+      else if (state === "both" || state === side) out.push(line);
+    }
+    return JSON.parse(out.join("\n"));
+  };
+  assert.deepEqual(texts(keep("ours")), ["// load config", "// ours"]);
+  assert.deepEqual(texts(keep("theirs")), ["// load config", "// theirs"]);
+});
+
+test("comments with the same id match even when their context changed on both sides", () => {
+  const withIds = base().map((c, i) => ({ ...c, id: `id${i}` }));
+  const reanchor = (c, anchor) => ({ ...c, anchor, prevHash: anchor, primaryAnchor: anchor });
+  const ours = withIds.map(c => (c.id === "id0" ? reanchor({ ...c, alwaysShow: true }, "ours") : c));
+  const theirs = withIds.map(c => (c.id === "id0" ? reanchor({ ...c, text: "// load settings" }, "theirs") : c));
+
+  const result = mergeVCMPayloads({ base: payloadOf(withIds), ours: payloadOf(ours), theirs: payloadOf(theirs) });
+  assert.deepEqual(result.conflicts, []);
+  assert.equal(result.payload.comments.length, 2);
+  assert.equal(result.payload.comments[0].text, "// load settings");
+  assert.equal(result.payload.comments[0].alwaysShow, true);
+});
+
+test("a comment edited on both sides to the same text keeps the later updatedAt", () => {
+  const edit = (updatedAt) => base().map(c => (c.text === "// load config" ? { ...c, text: "// read config", updatedAt } : c));
+  const result = mergeVCMPayloads({
+    base: payloadOf(base()),
+    ours: payloadOf(edit("2026-10-02T09:00:00.000Z")),
+    theirs: payloadOf(edit("2026-10-03T09:00:00.000Z")),
+  });
+  assert.deepEqual(result.conflicts, []);
+  assert.equal(result.payload.comments[0].updatedAt, "2026-10-03T09:00:00.000Z");
+});
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { createVCMStore, findMovedFiles } = require("../src/core");
+const { nodeFs } = require("../src/fs/nodeFs");
+const { mirror } = require("./helpers/toggle");
+
+const store = createVCMStore(nodeFs);
+const comment = { type: "line", anchor: "a", prevHash: null, nextHash: null, text: "// hi" };
+
+async function setup() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "vcm-move-"));
+  const sharedDir = path.join(root, ".vcm", "shared");
+  const privateDir = path.join(root, ".vcm", "private");
+  return { root, sharedDir, privateDir };
+}
+
+test("renaming a file moves both mirrors and rewrites their file field", async () => {
+  const { root, sharedDir, privateDir } = await setup();
+  await store.writeSharedVCM("src/old/a.js", [comment], sharedDir);
+  await store.writePrivateVCM("src/old/a.js", [{ ...comment, text: "// mine", isPrivate: true }], privateDir);
+
+  const result = await store.moveMirrors("src/old/a.js", "lib/b.js", sharedDir, privateDir);
+  assert.deepEqual(result.moved.map(m => [m.from, m.to, m.isPrivate]), [
+    ["src/old/a.js", "lib/b.js", false],
+    ["src/old/a.js", "lib/b.js", true],
+  ]);
+
+  const { sharedComments, privateComments } = await store.readBothVCMs("lib/b.js", sharedDir, privateDir);
+  assert.deepEqual(sharedComments.map(c => c.text), ["// hi"]);
+  assert.deepEqual(privateComments.map(c => c.text), ["// mine"]);
+  const payload = JSON.parse(await fs.readFile(path.join(sharedDir, "lib/b.js.vcm.json"), "utf8"));
+  assert.equal(payload.file, "lib/b.js");
+
+  // Empty folders left behind are removed, the base dirs stay
+  assert.deepEqual(await fs.readdir(sharedDir), ["lib"]);
+  assert.deepEqual(await fs.readdir(privateDir), ["lib"]);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test("renaming a folder moves every mirror under it and never overwrites", async () => {
+  const { root, sharedDir, privateDir } = await setup();
+  await store.writeSharedVCM("src/x.js", [comment], sharedDir);
+  await store.writeSharedVCM("src/deep/y.js", [comment], sharedDir);
+  await store.writeSharedVCM("srcfile.js", [comment], sharedDir);
+  await store.writeSharedVCM("app/x.js", [{ ...comment, text: "// keep" }], sharedDir);
+
+  const result = await store.moveMirrors("src", "app", sharedDir, privateDir);
+  assert.deepEqual(result.moved.map(m => m.to), ["app/deep/y.js"]);
+  assert.deepEqual(result.conflicts.map(m => [m.from, m.to]), [["src/x.js", "app/x.js"]]);
+
+  assert.deepEqual((await store.listVCMFiles(sharedDir)).sort(), ["app/deep/y.js", "app/x.js", "src/x.js", "srcfile.js"]);
+  assert.deepEqual((await store.readSharedVCM("app/x.js", sharedDir)).map(c => c.text), ["// keep"]);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test("moved files are matched to their mirrors by anchor lines", () => {
+  const source = [
+    "// load settings",
+    "const settings = read();",
+    "// start",
+    "serve(settings);",
+    "",
+  ].join("\n");
+  const { shared } = mirror(source, "/repo/server.js");
+  const clean = "const settings = read();\nserve(settings);\nlog();\n";
+
+  const matches = findMovedFiles({
+    missing: [{ relativePath: "src/server.js", comments: shared }],
+    candidates: [
+      { relativePath: "lib/other.js", text: "const settings = read();\n" },
+      { relativePath: "lib/server.py", text: clean },
+      { relativePath: "lib/http/server.js", text: clean },
+    ],
+  });
+  assert.deepEqual(matches, [{ from: "src/server.js", to: "lib/http/server.js", score: 1 }]);
+
+  assert.deepEqual(findMovedFiles({
+    missing: [{ relativePath: "src/server.js", comments: shared }],
+    candidates: [{ relativePath: "lib/unrelated.js", text: "run();\n" }],
+  }), []);
+});
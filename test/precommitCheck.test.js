@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { isCheckedForCommit, findCommitViolations } = require("../src/helpers_subroutines/precommitCheck");
+const { mirror, toClean } = require("./helpers/toggle");
+
+const filePath = "/repo/app.js";
+const SOURCE = [
+  "// load config",
+  "const config = load();",
+  "// my scratch note",
+  "run(config);",
+  "",
+].join("\n");
+
+test("only language sources outside .vcm are checked", () => {
+  assert.equal(isCheckedForCommit("src/app.js"), true);
+  assert.equal(isCheckedForCommit("lib/Tool.PY"), true);
+  assert.equal(isCheckedForCommit(".vcm/shared/src/app.js.vcm.json"), false);
+  assert.equal(isCheckedForCommit("Makefile"), false);
+  assert.equal(isCheckedForCommit("package.json"), false);
+});
+
+test("clean text has no violations", () => {
+  const state = toClean(mirror(SOURCE, filePath), filePath);
+  const result = findCommitViolations({ text: state.text, filePath, sharedComments: state.shared, privateComments: state.private });
+  assert.deepEqual(result, { shared: [], private: [], layers: [], unmirrored: [] });
+});
+
+test("visible shared, private and unmirrored comments are each reported", () => {
+  const state = mirror(SOURCE, filePath);
+  const mine = state.shared.find(c => c.text === "// my scratch note");
+  const sharedComments = state.shared.filter(c => c !== mine);
+  const privateComments = [{ ...mine, isPrivate: true }];
+  const text = SOURCE.replace("run(config);", "run(config); // typed just now");
+
+  const result = findCommitViolations({ text, filePath, sharedComments, privateComments });
+  assert.deepEqual(result.shared.map(c => c.text), ["// load config"]);
+  assert.deepEqual(result.private.map(c => c.text), ["// my scratch note"]);
+  assert.deepEqual(result.unmirrored.map(c => c.text.trim()), ["// typed just now"]);
+});
+
+test("alwaysShow comments may be committed", () => {
+  const state = mirror(SOURCE, filePath);
+  for (const c of state.shared) c.alwaysShow = true;
+  const result = findCommitViolations({ text: SOURCE, filePath, sharedComments: state.shared });
+  assert.deepEqual(result, { shared: [], private: [], layers: [], unmirrored: [] });
+});
+
+test("hook script round-trips its CLI path and mode", () => {
+  const { buildPreCommitHook, isVCMHook, parsePreCommitHook } = require("../src/helpers_subroutines/preCommitHook");
+  const cliPath = '/home/me/odd "dir"/$ext/bin/vcm.js';
+  const hook = buildPreCommitHook(cliPath, true);
+  assert.equal(isVCMHook(hook), true);
+  assert.equal(isVCMHook("#!/bin/sh\nnpm run lint\n"), false);
+  assert.deepEqual(parsePreCommitHook(hook), { cliPath, autoFix: true });
+  assert.deepEqual(parsePreCommitHook(buildPreCommitHook("/x/vcm.js")), { cliPath: "/x/vcm.js", autoFix: false });
+});
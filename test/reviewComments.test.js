@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  markReview,
+  unmarkReview,
+  setReviewResolved,
+  isReview,
+  isResolvedReview,
+  collectReviews,
+  locateComment,
+  summarizeComment,
+  verifyRoundTrip,
+} = require("../src/core");
+const { mirror, save, toClean, toCommented } = require("./helpers/toggle");
+
+const filePath = "/repo/review.js";
+const SOURCE = [
+  "// retry three times",
+  "const tries = 3;",
+  "// TODO(review): handle a zero timeout",
+  "const timeout = read();",
+  "run(tries, timeout);",
+  "",
+].join("\n");
+
+const ALICE = "Alice Example <alice@example.com>";
+const reviewOf = (state) => state.shared.find(c => c.text.includes("TODO(review)"));
+
+test("review notes are marked, resolved, reopened and unmarked on the record", () => {
+  const comment = { type: "line", text: "// TODO(review): handle a zero timeout" };
+  assert.equal(isReview(comment), false);
+
+  markReview(comment);
+  assert.equal(isReview(comment), true);
+  assert.equal(isResolvedReview(comment), false);
+  assert.deepEqual(summarizeComment(comment, false).flags, ["line", "review"]);
+
+  setReviewResolved(comment, true, { author: ALICE, now: "2026-10-19T10:00:00.000Z" });
+  assert.equal(isResolvedReview(comment), true);
+  assert.equal(comment.resolvedBy, ALICE);
+  assert.equal(comment.resolvedAt, "2026-10-19T10:00:00.000Z");
+  assert.deepEqual(summarizeComment(comment, false).flags, ["line", "resolved review"]);
+
+  setReviewResolved(comment, false);
+  assert.equal(isResolvedReview(comment), false);
+  assert.equal(comment.resolvedBy, undefined);
+  assert.equal(comment.resolvedAt, undefined);
+
+  unmarkReview(comment);
+  assert.deepEqual(comment, { type: "line", text: "// TODO(review): handle a zero timeout" });
+  assert.throws(() => setReviewResolved(comment, true), /not a review note/);
+});
+
+test("a resolved review note stays in the mirror but is not injected again", async () => {
+  const state = mirror(SOURCE, filePath);
+  markReview(reviewOf(state));
+  setReviewResolved(reviewOf(state), true, { author: ALICE });
+
+  // Resolved while shown: still in the document (and verify doesn't flag it) until the toggle
+  const check = verifyRoundTrip({ text: state.text, filePath, sharedComments: state.shared });
+  assert.deepEqual(check.issues, []);
+
+  const clean = toClean(state, filePath);
+  const commented = await toCommented(clean, filePath);
+  assert.equal(commented.text, SOURCE.replace("// TODO(review): handle a zero timeout\n", ""));
+  assert.equal(isResolvedReview(reviewOf(commented)), true);
+
+  // Still locatable (e.g. from the review list) where it would go
+  assert.deepEqual(locateComment(clean.text, filePath, reviewOf(commented)), { line: 1, inDocument: false });
+
+  // Reopened: back on the next toggle
+  setReviewResolved(reviewOf(commented), false);
+  save(commented, filePath);
+  const reopened = await toCommented(toClean(commented, filePath), filePath);
+  assert.equal(reopened.text, SOURCE);
+});
+
+test("collectReviews lists unresolved and resolved notes separately", () => {
+  const open = { type: "line", text: "// open" };
+  const done = { type: "line", text: "// done" };
+  const plain = { type: "line", text: "// plain" };
+  markReview(open);
+  markReview(done);
+  setReviewResolved(done, true);
+
+  const files = [
+    { relativePath: "a.js", comments: [{ comment: plain, isPrivate: false }, { comment: done, isPrivate: false }] },
+    { relativePath: "b.js", comments: [{ comment: open, isPrivate: true }] },
+  ];
+  assert.deepEqual(collectReviews(files), {
+    unresolved: [{ relativePath: "b.js", comment: open, isPrivate: true }],
+    resolved: [{ relativePath: "a.js", comment: done, isPrivate: false }],
+  });
+});
@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { LINE_COMMENT_MARKERS, BLOCK_COMMENT_MARKERS } = require("../src/utils_copycode/commentMarkers");
+const { toClean, toCommented, save, showPrivate, hidePrivate, mirror } = require("./helpers/toggle");
+
+// commented -> clean -> commented must give back the exact text, for every
+// extension in commentMarkers.js. Code lines avoid every marker character so the
+// same code works for all languages.
+
+function sampleFor(ext) {
+  const blockMarkers = BLOCK_COMMENT_MARKERS[ext] || [];
+  // A "line" marker that opens a block comment (css '/*', html '<!--') isn't a line comment
+  const lineMarker = (LINE_COMMENT_MARKERS[ext] || []).find(m => !blockMarkers.some(b => b.start === m));
+  const block = blockMarkers[0];
+  if (!lineMarker && !block) return null;
+
+  const lines = [];
+  if (lineMarker) lines.push(`${lineMarker} header comment`);
+  lines.push("alpha = 1");
+  lines.push(lineMarker ? `beta = alpha + 2 ${lineMarker} why two` : "beta = alpha + 2");
+  if (lineMarker) {
+    lines.push(`${lineMarker} first of a group`);
+    lines.push(`${lineMarker} second of a group`);
+  }
+  lines.push("total = alpha + beta");
+  if (block) {
+    lines.push(`${block.start} block comment`);
+    lines.push(`   spanning lines ${block.end}`);
+  }
+  lines.push("show(total)");
+  lines.push("");
+  return lines.join("\n");
+}
+
+const extensions = [...new Set([...Object.keys(LINE_COMMENT_MARKERS), ...Object.keys(BLOCK_COMMENT_MARKERS)])];
+
+for (const ext of extensions) {
+  const original = sampleFor(ext);
+  if (!original) continue;
+  const filePath = `/repo/sample.${ext}`;
+
+  test(`round trip: .${ext}`, async () => {
+    const commented = mirror(original, filePath);
+    assert.ok(commented.shared.length > 0, "mirror captured the comments");
+
+    const clean = toClean(commented, filePath);
+    assert.equal(clean.text.replace(/\n+/g, "\n"), "alpha = 1\nbeta = alpha + 2\ntotal = alpha + beta\nshow(total)\n");
+
+    // Saving in clean mode must not lose anything
+    save(clean, filePath);
+
+    const restored = await toCommented(clean, filePath);
+    assert.equal(restored.text, original);
+
+    // And again, from the mirror the first cycle left behind
+    const again = await toCommented(toClean(restored, filePath), filePath);
+    assert.equal(again.text, original);
+  });
+}
+
+test("round trip survives code edits made in clean mode", async () => {
+  const filePath = "/repo/edit.js";
+  const original = [
+    "// set up",
+    "const a = 1;",
+    "const b = 2; // second",
+    "// sum them",
+    "const c = a + b;",
+    "",
+  ].join("\n");
+
+  const clean = toClean(mirror(original, filePath), filePath);
+  clean.text = clean.text.replace("const b = 2;", "const b = 2;\nconst extra = 3;");
+  save(clean, filePath);
+
+  const restored = await toCommented(clean, filePath);
+  assert.equal(restored.text, original.replace("const b = 2; // second", "const b = 2; // second\nconst extra = 3;"));
+});
+
+test("private comments round trip independently of shared ones", async () => {
+  const filePath = "/repo/private.py";
+  const original = [
+    "# shared note",
+    "x = 1",
+    "# my private note",
+    "y = x + 1",
+    "",
+  ].join("\n");
+
+  // Mark the second comment private (what the Mark as Private command does to the mirrors)
+  const state = mirror(original, filePath);
+  const mine = state.shared.find(c => c.text === "# my private note");
+  state.shared = state.shared.filter(c => c !== mine);
+  state.private = [{ ...mine, isPrivate: true }];
+  state.privateVisible = true;
+  save(state, filePath);
+
+  const hidden = hidePrivate(state, filePath);
+  assert.equal(hidden.text, "# shared note\nx = 1\ny = x + 1\n");
+
+  const shown = showPrivate(hidden, filePath);
+  assert.equal(shown.text, original);
+
+  const clean = toClean(shown, filePath);
+  assert.equal(clean.text, "x = 1\ny = x + 1\n");
+  const restored = showPrivate(await toCommented(clean, filePath), filePath);
+  assert.equal(restored.text, original);
+});
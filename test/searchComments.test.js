@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { searchComments } = require("../src/core");
+
+const files = [
+  {
+    relativePath: "a.js",
+    comments: [
+      { comment: { type: "line", text: "// Retry the request" }, isPrivate: false },
+      { comment: { type: "block", block: [{ text: "/* cache" }, { text: "   keyed by retryId */" }] }, isPrivate: true },
+    ],
+  },
+  {
+    relativePath: "b.py",
+    comments: [
+      { comment: { type: "line", text: "# new wording", text_cleanMode: "# typed in clean mode: retry later" }, isPrivate: false },
+      { comment: { type: "inline", text: " # unrelated" }, isPrivate: false },
+    ],
+  },
+];
+
+const found = (results) => results.map(r => [r.relativePath, r.field, r.matchText, r.isPrivate]);
+
+test("searches text, block lines and text_cleanMode, one result per comment", () => {
+  assert.deepEqual(found(searchComments(files, "retry")), [
+    ["a.js", "text", "// Retry the request", false],
+    ["a.js", "block", "keyed by retryId */", true],
+    ["b.py", "text_cleanMode", "# typed in clean mode: retry later", false],
+  ]);
+});
+
+test("case sensitivity and regular expressions", () => {
+  assert.deepEqual(found(searchComments(files, "Retry", { caseSensitive: true })), [["a.js", "text", "// Retry the request", false]]);
+  assert.deepEqual(found(searchComments(files, "^#\\s+un", { regex: true })), [["b.py", "text", "# unrelated", false]]);
+  assert.deepEqual(searchComments(files, ""), []);
+  assert.throws(() => searchComments(files, "(", { regex: true }), SyntaxError);
+});
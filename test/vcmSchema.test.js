@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { createVCMStore, CURRENT_SCHEMA_VERSION, VCMSchemaError, upgradeVCMPayload } = require("../src/core");
+const { nodeFs } = require("../src/fs/nodeFs");
+
+const store = createVCMStore(nodeFs);
+const comment = { type: "line", anchor: "a", prevHash: null, nextHash: null, text: "// hi" };
+
+test("unversioned payloads are upgraded to the current schema", () => {
+  const { payload, migrated } = upgradeVCMPayload({ file: "a.js", lastModified: "x", comments: [{ ...comment }] }, "a.js.vcm.json");
+  assert.equal(migrated, true);
+  assert.equal(Object.keys(payload)[0], "schemaVersion");
+  assert.equal(payload.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.match(payload.comments[0].id, /^[0-9a-f]{12}$/);
+
+  const current = upgradeVCMPayload({ schemaVersion: CURRENT_SCHEMA_VERSION, file: "a.js", comments: [] }, "a.js.vcm.json");
+  assert.equal(current.migrated, false);
+});
+
+test("version 2 payloads upgrade without changing their comments", () => {
+  const v2 = { schemaVersion: 2, file: "a.js", comments: [{ ...comment, id: "3f2a9c01b7de" }] };
+  const before = JSON.stringify(v2.comments);
+  const { payload, migrated } = upgradeVCMPayload(v2, "a.js.vcm.json");
+  assert.equal(migrated, true);
+  assert.equal(payload.schemaVersion, 3);
+  assert.equal(JSON.stringify(payload.comments), before);
+});
+
+test("payloads from a newer version or with a bogus version are refused", () => {
+  assert.throws(
+    () => upgradeVCMPayload({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, comments: [] }, "a.js.vcm.json"),
+    (err) => err instanceof VCMSchemaError && /a\.js\.vcm\.json was written by a newer version of VCM/.test(err.message)
+  );
+  assert.throws(() => upgradeVCMPayload({ schemaVersion: "2", comments: [] }, "a.js.vcm.json"), /unrecognised schema version/);
+});
+
+test("the store writes the schema version, upgrades old mirrors on read and won't touch newer ones", async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "vcm-schema-"));
+  const sharedDir = path.join(root, ".vcm", "shared");
+
+  await store.writeSharedVCM("a.js", [{ ...comment }], sharedDir);
+  const written = JSON.parse(await fs.readFile(path.join(sharedDir, "a.js.vcm.json"), "utf8"));
+  assert.deepEqual(Object.keys(written), ["schemaVersion", "file", "lastModified", "comments"]);
+  assert.equal(written.schemaVersion, CURRENT_SCHEMA_VERSION);
+
+  const oldPath = path.join(sharedDir, "old.js.vcm.json");
+  const oldText = JSON.stringify({ file: "old.js", comments: [comment] });
+  await fs.writeFile(oldPath, oldText);
+  const [old] = await store.readSharedVCM("old.js", sharedDir);
+  assert.equal(old.text, "// hi");
+  assert.ok(old.id);
+
+  const newerPath = path.join(sharedDir, "new.js.vcm.json");
+  const newerText = JSON.stringify({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, file: "new.js", comments: [{ ...comment, future: 1 }] });
+  await fs.writeFile(newerPath, newerText);
+  await assert.rejects(store.readSharedVCM("new.js", sharedDir), VCMSchemaError);
+  await assert.rejects(store.writeSharedVCM("new.js", [{ ...comment }], sharedDir), VCMSchemaError);
+  await assert.rejects(store.writeSharedVCM("new.js", [], sharedDir), VCMSchemaError);
+
+  // Checking (activation, CLI) reports both and writes neither
+  const { outdated, newer } = await store.checkVCMFiles(sharedDir);
+  assert.deepEqual(outdated, ["old.js"]);
+  assert.deepEqual(newer.map(err => err.file), ["new.js.vcm.json"]);
+  assert.equal(await fs.readFile(newerPath, "utf8"), newerText);
+  assert.equal(await fs.readFile(oldPath, "utf8"), oldText);
+
+  // The next write saves the upgraded mirror
+  await store.writeSharedVCM("old.js", [old], sharedDir);
+  const upgraded = JSON.parse(await fs.readFile(oldPath, "utf8"));
+  assert.equal(upgraded.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.equal(upgraded.comments[0].id, old.id);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { createVCMStore, createDetectors, parseDocComs } = require("../src/core");
+const { nodeFs } = require("../src/fs/nodeFs");
+
+const store = createVCMStore(nodeFs);
+
+async function tempRoot() {
+  return fs.mkdtemp(path.join(os.tmpdir(), "vcm-store-"));
+}
+
+test("write/read/list/delete mirrors through nodeFs", async () => {
+  const root = await tempRoot();
+  const sharedDir = path.join(root, ".vcm", "shared");
+  const privateDir = path.join(root, ".vcm", "private");
+  const comment = { type: "line", anchor: "a", prevHash: null, nextHash: null, text: "// hi" };
+
+  await store.writeSharedVCM("src/deep/a.js", [comment, { ...comment, text: "// mine", isPrivate: true }], sharedDir);
+  await store.writePrivateVCM("src/deep/a.js", [{ ...comment, text: "// mine", isPrivate: true }], privateDir);
+
+  assert.equal(await store.vcmFileExists(sharedDir, "src/deep/a.js"), true);
+  assert.deepEqual(await store.listVCMFiles(sharedDir), ["src/deep/a.js"]);
+
+  const { sharedComments, privateComments } = await store.readBothVCMs("src/deep/a.js", sharedDir, privateDir);
+  assert.deepEqual(sharedComments.map(c => [c.text, c.isPrivate]), [["// hi", false]]);
+  assert.deepEqual(privateComments.map(c => [c.text, c.isPrivate]), [["// mine", true]]);
+
+  const payload = JSON.parse(await fs.readFile(path.join(sharedDir, "src/deep/a.js.vcm.json"), "utf8"));
+  assert.equal(payload.file, "src/deep/a.js");
+  assert.deepEqual(Object.keys(payload.comments[0]).slice(0, 4), ["type", "prevHash", "anchor", "nextHash"]);
+
+  // Writing nothing removes the mirror
+  await store.writeSharedVCM("src/deep/a.js", [], sharedDir);
+  assert.equal(await store.vcmFileExists(sharedDir, "src/deep/a.js"), false);
+  assert.deepEqual(await store.readSharedVCM("src/deep/a.js", sharedDir), []);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test("detectors work without vscode", async () => {
+  const root = await tempRoot();
+  const sharedDir = path.join(root, ".vcm", "shared");
+  const privateDir = path.join(root, ".vcm", "private");
+  const { detectInitialMode } = createDetectors({
+    readSharedVCM: store.readSharedVCM,
+    vcmDir: sharedDir,
+    readPrivateVCM: store.readPrivateVCM,
+    vcmPrivateDir: privateDir,
+    parseDocComs,
+    asRelativePath: (uri) => path.relative(root, uri.fsPath),
+    vcmFileExists: store.vcmFileExists,
+  });
+  const doc = (text) => ({ uri: { fsPath: path.join(root, "a.py"), path: "/repo/a.py" }, getText: () => text });
+
+  // No mirror: commented if the file has any comments
+  assert.equal(await detectInitialMode(doc("# note\nx = 1\n")), true);
+  assert.equal(await detectInitialMode(doc("x = 1\n")), false);
+
+  const [comment] = parseDocComs("# note\nx = 1\n", "/repo/a.py");
+  await store.writeSharedVCM("a.py", [comment], sharedDir);
+  assert.equal(await detectInitialMode(doc("# note\nx = 1\n")), true);
+  assert.equal(await detectInitialMode(doc("x = 1\n")), false);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { verifyRoundTrip, buildContextKey, moveCommentToLayer } = require("../src/core");
+const { mirror } = require("./helpers/toggle");
+
+const filePath = "/repo/verify.js";
+
+test("a file that round-trips cleanly has no issues", () => {
+  const text = "// set up\nconst a = 1;\nconst b = 2; // second\n/* sum */\nconst c = a + b;\n";
+  const { shared } = mirror(text, filePath);
+  const result = verifyRoundTrip({ text, filePath, sharedComments: shared });
+  assert.equal(result.identical, true);
+  assert.deepEqual(result.issues, []);
+});
+
+test("reports a comment that would vanish, with its stored context key", () => {
+  // Frozen comment whose anchor line was edited: the visible copy is stripped by text,
+  // but the frozen record only re-injects on its original anchor
+  const { shared } = mirror("// keep\nconst a = 0;\nfoo();\n", filePath);
+  shared[0].frozen = true;
+  const text = "// keep\nconst a = 1;\nfoo();\n";
+
+  const result = verifyRoundTrip({ text, filePath, sharedComments: shared });
+  assert.equal(result.identical, false);
+  assert.equal(result.issues.length, 1);
+  assert.equal(result.issues[0].kind, "vanished");
+  assert.equal(result.issues[0].line, 0);
+  assert.equal(result.issues[0].contextKey, buildContextKey(shared[0]));
+});
+
+test("does not modify the mirrors it is given", () => {
+  const text = "# note\nx = 1\n";
+  const { shared } = mirror(text, "/repo/verify.py");
+  const before = JSON.stringify(shared);
+  verifyRoundTrip({ text: "# note edited\nx = 1\n", filePath: "/repo/verify.py", sharedComments: shared });
+  assert.equal(JSON.stringify(shared), before);
+});
+
+test("round-trips visible named layers and reports their comments with the layer", () => {
+  const text = "// set up\nconst a = 0;\nfoo();\n";
+  const { shared } = mirror(text, filePath);
+  const stores = { shared, todo: [] };
+  moveCommentToLayer(shared[0], stores, "todo");
+  const layers = [{ name: "todo", comments: stores.todo, visible: true }];
+
+  const ok = verifyRoundTrip({ text, filePath, sharedComments: stores.shared, layers });
+  assert.equal(ok.identical, true);
+  assert.deepEqual(ok.issues, []);
+
+  // Frozen on its old anchor: stripped with the layer, never shown again
+  stores.todo[0].frozen = true;
+  const edited = text.replace("const a = 0;", "const a = 1;");
+  const result = verifyRoundTrip({ text: edited, filePath, sharedComments: stores.shared, layers });
+  assert.equal(result.issues.length, 1);
+  assert.equal(result.issues[0].kind, "vanished");
+  assert.equal(result.issues[0].layer, "todo");
+  assert.equal(result.issues[0].contextKey, buildContextKey(stores.todo[0]));
+});
@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { createVCMStore, summarizeComment, locateComment, CURRENT_SCHEMA_VERSION } = require("../src/core");
+const { nodeFs } = require("../src/fs/nodeFs");
+const { mirror, toClean } = require("./helpers/toggle");
+
+const store = createVCMStore(nodeFs);
+const comment = { type: "line", anchor: "a", prevHash: null, nextHash: null, text: "// hi" };
+
+test("lists every mirror's comments by file and filters by flag", async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "vcm-tree-"));
+  const sharedDir = path.join(root, ".vcm", "shared");
+  const privateDir = path.join(root, ".vcm", "private");
+  await store.writeSharedVCM("src/b.js", [{ ...comment }, { ...comment, text: "// pinned", alwaysShow: true }], sharedDir);
+  await store.writePrivateVCM("src/b.js", [{ ...comment, text: "// mine", isPrivate: true }], privateDir);
+  await store.writePrivateVCM("a.js", [{ ...comment, text: "// only mine", isPrivate: true }], privateDir);
+  await fs.writeFile(path.join(sharedDir, "z.js.vcm.json"), JSON.stringify({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, comments: [] }));
+
+  const all = await store.listWorkspaceComments(sharedDir, privateDir);
+  assert.deepEqual(all.map(f => [f.relativePath, f.comments.map(c => c.comment.text)]), [
+    ["a.js", ["// only mine"]],
+    ["src/b.js", ["// hi", "// pinned", "// mine"]],
+    ["z.js", []],
+  ]);
+  assert.match(all[2].error, /newer version of VCM/);
+
+  const privateOnly = await store.listWorkspaceComments(sharedDir, privateDir, { shared: false, private: true });
+  assert.deepEqual(privateOnly.filter(f => !f.error).map(f => f.comments.length), [1, 1]);
+  const pinned = await store.listWorkspaceComments(sharedDir, privateDir, { shared: true, private: true, alwaysShowOnly: true });
+  assert.deepEqual(pinned.filter(f => !f.error).map(f => f.relativePath), ["src/b.js"]);
+
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test("summarizes a comment as its first line and flags", () => {
+  const block = { type: "block", block: [{ text: "" }, { text: "  /* first" }, { text: "   second */" }], alwaysShow: true };
+  assert.deepEqual(summarizeComment(block, true), { firstLine: "/* first", flags: ["block", "private", "always show"] });
+});
+
+test("locates a comment in the document or where it would be injected", () => {
+  const filePath = "/repo/tree.js";
+  const source = "const a = 1;\n// explain b\nconst b = 2;\n";
+  const commented = mirror(source, filePath);
+  const [record] = commented.shared;
+  assert.deepEqual(locateComment(commented.text, filePath, record), { line: 1, inDocument: true });
+
+  const clean = toClean(commented, filePath);
+  assert.deepEqual(locateComment(clean.text, filePath, record), { line: 1, inDocument: false });
+  assert.equal(locateComment("unrelated();\n", filePath, { ...record, prevHash: null, nextHash: null }), null);
+});
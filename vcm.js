@@ -8,29 +8,79 @@
 // ==============================================================================
 
 const vscode = require("vscode"); // vs code api module. lets us talk to and control VSCode itself
+const path = require("path");
+const fsp = require("fs/promises");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const execFileAsync = promisify(execFile);
 const { getCommentMarkersForFile } = require("./src/utils_copycode/commentMarkers");
 const { VCMContentProvider } = require("./src/split_view/contentProvider");
 const { hashLine } = require("./src/utils_copycode/hash");
 const { injectComments, stripComments } = require("./src/helpers_subroutines/injectExtractComments");
 const { parseDocComs, addPrimaryAnchors } = require("./src/vcm/utils_copycode/parseDocComs");
-const { mergeIntoVCMs } = require("./src/vcm/helpers_subroutines/mergeIntoVCMs");
 const { createDetectors } = require("./src/helpers_subroutines/detectModes");
 const { buildContextKey } = require("./src/utils_copycode/buildContextKey");
 const { setupSplitViewWatchers, updateSplitViewIfOpen, closeSplitView } = require("./src/split_view/splitViewManager");
-const { vcmFileExists } = require("./src/vcm/utils_copycode/vcmFileExists");
-const { readBothVCMs, readSharedVCM, readPrivateVCM } = require("./src/vcm/utils_copycode/readBothVCMs");
-const { writeSharedVCM, writePrivateVCM } = require("./src/vcm/helpers_subroutines/createVCMFiles");
+const { createVCMStore } = require("./src/core");
+const { vscodeFs } = require("./src/fs/vscodeFs");
 const { findInlineCommentStart, isolateCodeLine } = require("./src/utils_copycode/lineUtils");
 const { updateAlwaysShow } = require("./src/helpers_subroutines/alwaysShow");
 const { mergeSharedTextCleanMode } = require("./src/utils_copycode/mergeTextCleanMode");
 const { findCommentAtCursor } = require("./src/utils_copycode/findCommentAtCursor");
 const { getCommentText } = require("./src/utils_copycode/getCommentText");
 const { isSameComment } = require("./src/utils_copycode/isSameComment");
+const { correlateCommentIds } = require("./src/utils_copycode/commentIds");
 const { injectMissingPrivateComments } = require("./src/helpers_subroutines/injectMissingPrivateComments");
-const { isAlwaysShow } = require("./src/helpers_subroutines/alwaysShow");
+const { stripVisibleStores } = require("./src/helpers_subroutines/stripVisibleStores");
+const { isAlwaysShow } = require("./src/utils_copycode/isAlwaysShow");
+const { isFrozen } = require("./src/utils_copycode/isFrozen");
 const { generateCommentedVersion } = require("./src/helpers_subroutines/generateCommentedVersion");
 const { commentedModeBehavior } = require("./src/helpers_subroutines/commentedModeBehavior");
 const { cleanModeBehavior } = require("./src/helpers_subroutines/cleanModeBehavior");
+const { createAnchorEditTracker } = require("./src/helpers_subroutines/anchorEditTracker");
+const { applyAnchorEdits } = require("./src/vcm/helpers_subroutines/applyAnchorEdits");
+const { syncMirrors } = require("./src/vcm/helpers_subroutines/syncMirrors");
+const { findOrphanedComments, reattachComment } = require("./src/helpers_subroutines/orphanedComments");
+const { getCommentOnlyLines } = require("./src/utils_copycode/anchorAtLine");
+const { getInjectOptions } = require("./src/helpers_subroutines/injectOptions");
+const { verifyRoundTrip } = require("./src/helpers_subroutines/verifyRoundTrip");
+const { mapHiddenComments, findHiddenCommentsAtLine, formatCommentPreview, buildVirtualCommentLines } = require("./src/helpers_subroutines/hiddenComments");
+const { buildPreCommitHook, isVCMHook, parsePreCommitHook } = require("./src/helpers_subroutines/preCommitHook");
+const { findMovedFiles } = require("./src/helpers_subroutines/findMovedFiles");
+const { VCMSchemaError } = require("./src/vcm/utils_copycode/vcmSchema");
+const { locateComment } = require("./src/helpers_subroutines/locateComment");
+const { searchComments } = require("./src/helpers_subroutines/searchComments");
+const { VCMCommentsTreeProvider } = require("./src/tree_view/commentsTreeProvider");
+const { summarizeComment, DEFAULT_COMMENT_FILTER } = require("./src/vcm/helpers_subroutines/listWorkspaceComments");
+const { readGitAuthor, stampNewComment, carryAuthorship, describeAuthorship, authorDisplayName } = require("./src/utils_copycode/commentAuthorship");
+const { addReply, deleteReply, setThreadResolved, hasThread } = require("./src/utils_copycode/commentThreads");
+const { DEFAULT_HISTORY_LIMIT, restoreCommentRevision, revisionText } = require("./src/utils_copycode/commentHistory");
+const { replaceCommentText } = require("./src/helpers_subroutines/replaceCommentText");
+const { isReview, isResolvedReview, markReview, unmarkReview, setReviewResolved, collectReviews } = require("./src/utils_copycode/reviewComments");
+const { SHARED_LAYER, PRIVATE_LAYER, isValidLayerName, normalizeLayerNames, layerOf, moveCommentToLayer } = require("./src/utils_copycode/commentLayers");
+
+// Mirror I/O (.vcm/shared, .vcm/private, .vcm/<layer>) through workspace.fs
+const {
+  readBothVCMs,
+  readSharedVCM,
+  readPrivateVCM,
+  readLayerVCM,
+  writeSharedVCM,
+  writePrivateVCM,
+  writeLayerVCM,
+  getLayerDir,
+  listLayerNames,
+  vcmFileExists,
+  listVCMFiles,
+  moveMirrors,
+  deleteMirror,
+  archiveMirrors,
+  listArchivedMirrors,
+  restoreArchivedMirror,
+  deleteArchivedMirror,
+  checkVCMFiles,
+  listWorkspaceComments,
+} = createVCMStore(vscodeFs);
 
 // Global state variables for the extension
 let vcmEditor;           // Reference to the VCM split view editor
@@ -56,6 +106,9 @@ let isCommentedMap = new Map(); // Cached current mode: clean vs commented.true
 let justInjectedFromVCM = new Set(); // Track files that just had VCM comments injected (don't re-extract)
 let justInjectedFromPrivateVCM = new Set(); // Track files that just had private VCM comments injected/stripped (don't re-extract)
 let privateCommentsVisible = new Map(); // Track private comment visibility per file: true = visible, false = hidden
+let layerCommentsVisible = new Map(); // Named comment layers shown per file: Set of layer names (see commentLayers.js)
+let justInjectedLayers = new Map(); // Named layers just injected/stripped per file: Set of layer names (don't re-extract)
+let virtualCommentsVisible = new Map(); // Virtual commented mode per file: true = hidden comments drawn as decorations
 
 
 // -----------------------------------------------------------------------------
@@ -181,6 +234,7 @@ async function activate(context) {
 
     isCommentedMap.clear();
     privateCommentsVisible.clear();
+    layerCommentsVisible.clear();
     justInjectedFromVCM.clear();
 
     console.log("AFTER clearing:", {
@@ -199,15 +253,113 @@ async function activate(context) {
 
   // Create .vcm directory in workspace root
   // This stores .vcm.json files that mirror the comment structure
-  const vcmBaseDir = vscode.Uri.joinPath(
-    vscode.workspace.workspaceFolders?.[0]?.uri || vscode.Uri.file(process.cwd()),
-    ".vcm"
-  );
+  const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri || vscode.Uri.file(process.cwd());
+  const vcmBaseDir = vscode.Uri.joinPath(workspaceRoot, ".vcm");
   const vcmDir = vscode.Uri.joinPath(vcmBaseDir, "shared");
   const vcmPrivateDir = vscode.Uri.joinPath(vcmBaseDir, "private");
 
   // Don't auto-create directories - they'll be created when first needed
 
+  // Named comment layers (.vcm/<layer>): the configured ones plus any already on disk
+  let commentLayerNames = [];
+  const layerDir = (layer) => getLayerDir(vcmBaseDir, layer);
+  const layerDirs = () => Object.fromEntries(commentLayerNames.map(layer => [layer, layerDir(layer)]));
+  // Every mirror directory by layer: shared, private and each named layer
+  const storeDirs = () => ({ [SHARED_LAYER]: vcmDir, [PRIVATE_LAYER]: vcmPrivateDir, ...layerDirs() });
+  const mirrorDirs = () => Object.values(storeDirs());
+  async function refreshCommentLayerNames() {
+    const configured = vscode.workspace.getConfiguration("vcm-view-comments-mirror").get("commentLayers", []);
+    commentLayerNames = normalizeLayerNames([...configured, ...(await listLayerNames(vcmBaseDir))]);
+  }
+
+  // Tell the user about mirrors from a newer version, which VCM won't touch.
+  // Older ones need nothing here: they are upgraded in memory when read and saved
+  // in the current format by the next real write, so activation never rewrites .vcm
+  refreshCommentLayerNames().then(() =>
+    Promise.all(mirrorDirs().map(dir => checkVCMFiles(dir)))
+  ).then((results) => {
+    const newer = results.flatMap(r => r.newer);
+    if (newer.length === 0) return;
+    vscode.window.showWarningMessage(
+      newer.length === 1
+        ? `VCM: ${newer[0].message}`
+        : `VCM: ${newer.length} mirrors were written by a newer version of VCM. Update the extension to edit their comments.`
+    );
+  }).catch((err) =>
+    console.warn("VCM: Failed to check mirror schema versions", err)
+  );
+
+  // git user.name/user.email, stamped on the comments written from now on (read once, locally)
+  let gitAuthor = null;
+  readGitAuthor(workspaceRoot.fsPath).then((author) => { gitAuthor = author; });
+
+  // Discussions are shared-only: moving a comment with replies to private (or a named layer) deletes them
+  async function confirmDropDiscussion(record, layer = PRIVATE_LAYER) {
+    if (!hasThread(record)) return true;
+    const count = record.thread.replies.length;
+    const action = layer === PRIVATE_LAYER ? "Mark Private" : "Move";
+    const choice = await vscode.window.showWarningMessage(
+      `VCM: This comment has a discussion (${count} ${count === 1 ? "reply" : "replies"}). Discussions stay in the shared mirror, so ${layer === PRIVATE_LAYER ? "marking it private" : `moving it to the ${layer} layer`} deletes them.`,
+      { modal: true },
+      action
+    );
+    return choice === action;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Named comment layers: mirror I/O and per-file visibility
+  // ---------------------------------------------------------------------------
+  async function readCommentLayers(relativePath) {
+    const layers = {};
+    for (const layer of commentLayerNames) layers[layer] = await readLayerVCM(relativePath, layerDir(layer), layer);
+    return layers;
+  }
+
+  // Reads one layer's mirror: "shared", "private" or a named layer
+  async function readLayerStore(relativePath, layer) {
+    if (layer === SHARED_LAYER) return readSharedVCM(relativePath, vcmDir);
+    if (layer === PRIVATE_LAYER) return readPrivateVCM(relativePath, vcmPrivateDir);
+    return readLayerVCM(relativePath, layerDir(layer), layer);
+  }
+
+  // Writes one layer's mirror: "shared", "private" or a named layer
+  async function writeLayerStore(relativePath, layer, comments) {
+    if (layer === SHARED_LAYER) await writeSharedVCM(relativePath, comments, vcmDir);
+    else if (layer === PRIVATE_LAYER) await writePrivateVCM(relativePath, comments, vcmPrivateDir);
+    else await writeLayerVCM(relativePath, comments, layerDir(layer), layer);
+  }
+
+  const isLayerVisible = (doc, layer) => layerCommentsVisible.get(doc.uri.fsPath)?.has(layer) === true;
+
+  function setLayerVisible(doc, layer, visible) {
+    const shown = layerCommentsVisible.get(doc.uri.fsPath) || new Set();
+    if (visible) shown.add(layer);
+    else shown.delete(layer);
+    layerCommentsVisible.set(doc.uri.fsPath, shown);
+  }
+
+  // Same FALLBACK as private visibility: only detected when the file has no state yet
+  async function ensureLayerVisibility(doc, relativePath, { force = false } = {}) {
+    if (layerCommentsVisible.has(doc.uri.fsPath) && !force) return;
+    const shown = new Set();
+    for (const layer of commentLayerNames) {
+      if (await detectLayerVisibility(doc, relativePath, layerDir(layer), layer)) shown.add(layer);
+    }
+    layerCommentsVisible.set(doc.uri.fsPath, shown);
+  }
+
+  // Background saves can't show an error per keystroke: warn once per mirror from a newer version
+  const schemaWarnings = new Set();
+  function reportSaveError(err) {
+    if (!(err instanceof VCMSchemaError)) {
+      console.error("VCM: Failed to update mirror", err);
+      return;
+    }
+    if (schemaWarnings.has(err.file)) return;
+    schemaWarnings.add(err.file);
+    vscode.window.showWarningMessage(`VCM: ${err.message}`);
+  }
+
   // Register content provider for vcm-view: scheme
   // This allows us to create virtual documents that display in the editor
   const provider = new VCMContentProvider();
@@ -233,14 +385,15 @@ async function activate(context) {
 
   
 
-  const { detectInitialMode, detectPrivateVisibility } = createDetectors({
+  const { detectInitialMode, detectPrivateVisibility, detectLayerVisibility } = createDetectors({
     readSharedVCM: (relativePath) => readSharedVCM(relativePath, vcmDir),
     vcmDir,
     readPrivateVCM: (relativePath) => readPrivateVCM(relativePath, vcmPrivateDir),
     vcmPrivateDir,
     parseDocComs,
-    vscode,
+    asRelativePath: (uri) => vscode.workspace.asRelativePath(uri),
     vcmFileExists,
+    readLayerVCM,
   });
 
   // ============================================================================
@@ -260,45 +413,59 @@ async function activate(context) {
   //   exists, this function does nothing. Use for auto-save/liveSync paths.
   // - allowCreate = true: Creates VCM if missing, or updates if exists. Use for
   //   explicit VCM actions (toggles, split view, etc.).
+  //
+  // Split in two so a batch (the repo-wide toggle) can compute every file's mirrors
+  // first and only write them once its WorkspaceEdit has been applied:
+  //   computeVCMSave() - what would be written; reads only, but takes the clean-mode
+  //                      anchor edits it applied (discardVCMSave gives them back)
+  //   writeVCMSave()   - writes it and consumes the injection flags
   // ============================================================================
   async function saveVCM(doc, allowCreate = false) {
-    if (doc.uri.scheme !== "file") return;
-    if (doc.uri.path.includes("/.vcm/")) return;
-    if (doc.languageId === "json") return;
+    const plan = await computeVCMSave(doc, allowCreate);
+    if (plan) await writeVCMSave(plan);
+  }
+
+  // @returns {Promise<Object|null>} the save plan, null when there is nothing to save
+  async function computeVCMSave(doc, allowCreate = false) {
+    if (doc.uri.scheme !== "file") return null;
+    if (doc.uri.path.includes("/.vcm/")) return null;
+    if (doc.languageId === "json") return null;
 
     const relativePath = vscode.workspace.asRelativePath(doc.uri);
 
     // 🔑 GATING LOGIC: Check if VCM files exist before proceeding
     const sharedExists = await vcmFileExists(vcmDir, relativePath);
     const privateExists = await vcmFileExists(vcmPrivateDir, relativePath);
-    const anyVcmExists = sharedExists || privateExists;
+    let anyVcmExists = sharedExists || privateExists;
+    for (const layer of commentLayerNames) {
+      if (!anyVcmExists) anyVcmExists = await vcmFileExists(layerDir(layer), relativePath);
+    }
 
     // Core rule: If this is NOT an explicit VCM action (allowCreate === false)
     // AND no VCM exists yet → do nothing. Don't create one.
     if (!allowCreate && !anyVcmExists) {
       console.log(`[saveVCM] Skipping ${relativePath} - no VCM exists and allowCreate=false`);
-      return;
+      return null;
     }
 
     // Check if we just injected comments from VCM
     // (this flag prevents re-extracting immediately after injection in clean mode)
     const wasJustInjected = justInjectedFromVCM.has(doc.uri.fsPath);
-    if (wasJustInjected) {
-      justInjectedFromVCM.delete(doc.uri.fsPath);
-    }
 
     // Check if we just injected/stripped private comments from VCM
     // (this flag prevents re-extracting immediately after private toggle)
     const wasJustInjectedPrivate = justInjectedFromPrivateVCM.has(doc.uri.fsPath);
-    if (wasJustInjectedPrivate) {
-      justInjectedFromPrivateVCM.delete(doc.uri.fsPath);
-    }
+
+    // Same for named layers
+    const justInjectedLayerNames = new Set(justInjectedLayers.get(doc.uri.fsPath) || []);
 
     const text = doc.getText();
+    const injectOptions = getInjectOptions();
 
     // ✅ READ SHARED + PRIVATE (shared save needs private only to exclude)
-    const sharedVCMComments = await readSharedVCM(relativePath, vcmDir);
-    const privateVCMComments = await readPrivateVCM(relativePath, vcmPrivateDir);
+    let sharedVCMComments = await readSharedVCM(relativePath, vcmDir);
+    let privateVCMComments = await readPrivateVCM(relativePath, vcmPrivateDir);
+    const layerVCMComments = await readCommentLayers(relativePath);
 
     // Get the current mode from our state map
     // IMPORTANT: Once mode is set, it should NEVER change except via manual toggle or undo/redo
@@ -316,177 +483,128 @@ async function activate(context) {
       const privateVisible = await detectPrivateVisibility(doc, relativePath);
       privateCommentsVisible.set(doc.uri.fsPath, privateVisible);
     }
+    await ensureLayerVisibility(doc, relativePath);
+
+    // Clean mode: apply the line deletions/moves recorded since the last save
+    // Setting off -> edits are dropped and the affected comments stay orphaned in the VCM
+    let privateAnchorEdited = false;
+    const layerAnchorEdited = new Set();
+    const anchorEdits = isCommented === false ? anchorEditTracker.takeAnchorEdits(doc.uri.fsPath) : null;
+    if (anchorEdits && vscode.workspace.getConfiguration("vcm-view-comments-mirror").get("moveCommentWithAnchor", false)) {
+      const sharedResult = applyAnchorEdits({ comments: sharedVCMComments, anchorEdits, text, filePath: doc.uri.path });
+      sharedVCMComments = sharedResult.comments;
+
+      // Visible private comments are in the document, so the normal private merge owns them
+      if (privateCommentsVisible.get(doc.uri.fsPath) !== true) {
+        const privateResult = applyAnchorEdits({ comments: privateVCMComments, anchorEdits, text, filePath: doc.uri.path });
+        privateVCMComments = privateResult.comments;
+        privateAnchorEdited = privateResult.removed > 0 || privateResult.reanchored > 0;
+      }
+      for (const layer of commentLayerNames) {
+        if (isLayerVisible(doc, layer)) continue;
+        const layerResult = applyAnchorEdits({ comments: layerVCMComments[layer], anchorEdits, text, filePath: doc.uri.path });
+        layerVCMComments[layer] = layerResult.comments;
+        if (layerResult.removed > 0 || layerResult.reanchored > 0) layerAnchorEdited.add(layer);
+      }
+    }
 
-    let parseText = text;
-
-    const docComments = parseDocComs(parseText, doc.uri.path);
-
-    // Build a set of private/alwaysShow keys for consecutive-group primary anchors
-    // CRITICAL: In commented mode, keys can change when code moves (prevHash/nextHash changes)
-    // So we also build a text-based map for fallback matching
-    // Use primary fields when available for consecutive comment matching
-    const privateKeys = new Set(privateVCMComments.map(c => {
-      const hasPrimary = c.primaryAnchor !== undefined || c.primaryPrevHash !== undefined || c.primaryNextHash !== undefined;
-      return buildContextKey(c, { usePrimaryAnchor: hasPrimary });
-    }));
-    const alwaysShowComments = sharedVCMComments.filter(c => isAlwaysShow(c));
-    const alwaysShowKeys = new Set(alwaysShowComments.map(c => {
-      const hasPrimary = c.primaryAnchor !== undefined || c.primaryPrevHash !== undefined || c.primaryNextHash !== undefined;
-      return buildContextKey(c, { usePrimaryAnchor: hasPrimary });
-    }));
-    const privateTextMap = new Map();
-    for (const c of privateVCMComments) {
-      const textKey = getCommentText(c);
-      if (textKey) privateTextMap.set(textKey, c);
-    }
-
-    const privateTextSet = new Set(privateTextMap.keys());
-    addPrimaryAnchors(docComments, { lines: parseText.split("\n") });
-
-    // ----------------------------
-    // A) SHARED PIPELINE
-    // ----------------------------
-    // Filter out private comments from docComments for shared processing
-    // Private comments should NEVER be in shared VCM
-    // Match by BOTH context key AND text content (handles code movement)
-    const sharedDocComments = docComments.filter(c => {
-      // Check context key first - use primary fields when available
-      const hasPrimary = c.primaryAnchor !== undefined || c.primaryPrevHash !== undefined || c.primaryNextHash !== undefined;
-      if (privateKeys.has(buildContextKey(c, { usePrimaryAnchor: hasPrimary }))) return false;
-
-      // Also check by text content (in case code moved and key changed)
-      const currentText = getCommentText(c);
-      if (currentText && privateTextMap.has(currentText)) return false;
-
-      return true; // Not private, include in shared
-    });
+    let result;
+    try {
+      result = syncMirrors({
+        text,
+        filePath: doc.uri.path,
+        sharedVCMComments,
+        privateVCMComments,
+        isCommented,
+        privateVisible: privateCommentsVisible.get(doc.uri.fsPath) === true,
+        wasJustInjected,
+        wasJustInjectedPrivate,
+        injectOptions,
+        author: gitAuthor,
+        historyLimit: vscode.workspace.getConfiguration("vcm-view-comments-mirror").get("commentHistoryLimit", DEFAULT_HISTORY_LIMIT),
+        layers: commentLayerNames.map(layer => ({
+          name: layer,
+          comments: layerVCMComments[layer],
+          visible: isLayerVisible(doc, layer),
+          wasJustInjected: justInjectedLayerNames.has(layer),
+        })),
+      });
+    } catch (err) {
+      anchorEditTracker.restoreAnchorEdits(doc.uri.fsPath, anchorEdits);
+      throw err;
+    }
 
-    let finalShared = mergeIntoVCMs({
+    return {
+      doc,
+      relativePath,
       isCommented,
-      docComments: sharedDocComments,
-      vcmComments: sharedVCMComments,
-      isPrivateMode: false,
-      wasJustInjected,
-      allowSpacingUpdate: isCommented === true,
-    });
+      flags: { wasJustInjected, wasJustInjectedPrivate, justInjectedLayerNames },
+      anchorEdits,
+      shared: result.shared,
+      // Every private comment lost its anchor line -> persist the now-empty private VCM
+      private: result.private || (privateAnchorEdited ? privateVCMComments : null),
+      // Same rules as private
+      layers: Object.fromEntries(commentLayerNames.map(layer => [
+        layer,
+        result.layers[layer] || (layerAnchorEdited.has(layer) ? layerVCMComments[layer] : null),
+      ])),
+    };
+  }
 
-    // Keep your empty-comment filter if you want (shared only)
-    finalShared = finalShared.filter(comment => {
-      if (comment.type === "inline") {
-        return (comment.text && comment.text.trim()) ||
-              (comment.text_cleanMode && comment.text_cleanMode.trim());
-      } else if (comment.type === "line") {
-        if (comment.text !== undefined) return true;
-        if (comment.text_cleanMode !== undefined) return true;
-        return false;
-      } else if (comment.type === "block") {
-        const hasBlock = comment.block && Array.isArray(comment.block) && comment.block.length > 0;
-        const hasTextCleanMode = comment.text_cleanMode && Array.isArray(comment.text_cleanMode) && comment.text_cleanMode.length > 0;
-        return hasBlock || hasTextCleanMode;
-      }
-      return true;
-    });
+  async function writeVCMSave(plan) {
+    const { doc, relativePath, flags } = plan;
 
-    // CRITICAL: Final safety filter - ensure NO private comments end up in shared VCM
-    finalShared = finalShared.filter(comment => !comment.isPrivate);
+    // Consume what the plan was computed with
+    if (flags.wasJustInjected) justInjectedFromVCM.delete(doc.uri.fsPath);
+    if (flags.wasJustInjectedPrivate) justInjectedFromPrivateVCM.delete(doc.uri.fsPath);
+    const stillJustInjected = [...(justInjectedLayers.get(doc.uri.fsPath) || [])].filter(layer => !flags.justInjectedLayerNames.has(layer));
+    if (stillJustInjected.length > 0) justInjectedLayers.set(doc.uri.fsPath, new Set(stillJustInjected));
+    else justInjectedLayers.delete(doc.uri.fsPath);
 
     // ✅ WRITE SHARED ONLY
-    console.log("[saveVCM] About to write shared VCM, finalShared count:", finalShared.length);
-    await writeSharedVCM(relativePath, finalShared, vcmDir);
+    console.log("[saveVCM] About to write shared VCM, finalShared count:", plan.shared.length);
+    await writeSharedVCM(relativePath, plan.shared, vcmDir);
     console.log("[saveVCM] Wrote shared VCM successfully");
 
-    // ----------------------------
-    // B) PRIVATE PIPELINE
-    // Only run this if private exists or private is visible.
-    // ----------------------------
-    const privateVisibleNow = privateCommentsVisible.get(doc.uri.fsPath) === true;
-
-    if (!privateVisibleNow && privateVCMComments.length > 0) {
-      // Build key sets using primary fields when available (for consecutive comment matching)
-      const privatePrimaryKeysForVirtual = new Set();
-      const privateTextSetForVirtual = new Set();
-      for (const c of privateVCMComments) {
-        const hasPrimary = c.primaryAnchor !== undefined || c.primaryPrevHash !== undefined || c.primaryNextHash !== undefined;
-        if (hasPrimary) {
-          privatePrimaryKeysForVirtual.add(buildContextKey(c, { usePrimaryAnchor: true }));
-        }
-        const textKey = getCommentText(c);
-        if (textKey) privateTextSetForVirtual.add(textKey);
-      }
-      const virtualBaseText = isCommented
-        ? text
-        : injectComments(text, doc.uri.path, sharedVCMComments, true, false);
-      const virtualPrivateText = injectComments(virtualBaseText, doc.uri.path, privateVCMComments, true, true);
-      const virtualPrivateDoc = parseDocComs(virtualPrivateText, doc.uri.path);
-      addPrimaryAnchors(virtualPrivateDoc, { lines: virtualPrivateText.split("\n") });
-      console.log("[DEBUG virtualPrivateDoc] after addPrimaryAnchors:", virtualPrivateDoc.map(c => ({
-        text: getCommentText(c)?.substring(0, 30),
-        primaryAnchor: c.primaryAnchor,
-        primaryAnchorText: c.primaryAnchorText?.substring(0, 30),
-        primaryPrevHash: c.primaryPrevHash,
-        primaryPrevHashText: c.primaryPrevHashText?.substring(0, 30),
-      })));
-      const virtualPrivateMatched = virtualPrivateDoc.filter(dc => {
-        // Only match by primary keys when available; avoid base-key collisions with shared comments.
-        const hasPrimary = dc.primaryAnchor !== undefined || dc.primaryPrevHash !== undefined || dc.primaryNextHash !== undefined;
-        if (hasPrimary) {
-          const key = buildContextKey(dc, { usePrimaryAnchor: true });
-          if (privatePrimaryKeysForVirtual.has(key)) return true;
-        }
-        const textKey = getCommentText(dc);
-        return textKey && privateTextSetForVirtual.has(textKey);
-      });
-      console.log("[DEBUG virtualPrivateMatched] filtered:", virtualPrivateMatched.map(c => ({
-        text: getCommentText(c)?.substring(0, 30),
-        primaryAnchor: c.primaryAnchor,
-        primaryAnchorText: c.primaryAnchorText?.substring(0, 30),
-      })));
-      const refreshedPrivate = mergeIntoVCMs({
-        isCommented: true,
-        docComments: virtualPrivateMatched,
-        vcmComments: privateVCMComments,
-        isPrivateMode: true,
-        wasJustInjected: true,
-        allowSpacingUpdate: false,
-      });
-      await writePrivateVCM(relativePath, refreshedPrivate, vcmPrivateDir);
-    } else if (privateVisibleNow) {
-      // Filter to only private comments from docComments for private processing
-      // Match by BOTH context key AND text content (handles code movement)
-      const privateTextSet = new Set(
-        privateVCMComments.map(c => getCommentText(c)).filter(Boolean)
-      );
-      const privateDocComments = docComments.filter(c => {
-        const hasPrimary = c.primaryAnchor !== undefined || c.primaryPrevHash !== undefined || c.primaryNextHash !== undefined;
-        if (privateKeys.has(buildContextKey(c, { usePrimaryAnchor: hasPrimary }))) return true;
-        if (privateVCMComments.some(p => isSameComment(p, c))) return true;
-        const textKey = getCommentText(c);
-        return textKey && privateTextSet.has(textKey);
-      });
+    // ✅ WRITE PRIVATE ONLY
+    if (plan.private) {
+      await writePrivateVCM(relativePath, plan.private, vcmPrivateDir);
+    }
 
-      let finalPrivate = mergeIntoVCMs({
-        isCommented: privateVisibleNow,
-        docComments: privateDocComments,
-        vcmComments: privateVCMComments,
-        isPrivateMode: true,
-        wasJustInjected: wasJustInjectedPrivate,
-        allowSpacingUpdate: privateVisibleNow === true,
-      });
+    // ✅ WRITE EACH NAMED LAYER
+    for (const [layer, layerComments] of Object.entries(plan.layers)) {
+      if (layerComments) await writeLayerVCM(relativePath, layerComments, layerDir(layer), layer);
+    }
+  }
 
-      // CRITICAL: DO NOT filter out empty private comments
-      // Private comments persist until explicitly unmarked, even if content is deleted
-      // Only verify that isPrivate flag is set
-      finalPrivate = finalPrivate.filter(comment => comment.isPrivate === true);
+  // A computed save that will never be written: its anchor edits wait for the next one
+  function discardVCMSave(plan) {
+    if (plan) anchorEditTracker.restoreAnchorEdits(plan.doc.uri.fsPath, plan.anchorEdits);
+  }
 
-      // ✅ WRITE PRIVATE ONLY
-      await writePrivateVCM(relativePath, finalPrivate, vcmPrivateDir);
-    }
+  // Track code line deletions/moves made in clean mode (consumed by saveVCM)
+  const anchorEditTracker = createAnchorEditTracker();
+  for (const doc of vscode.workspace.textDocuments) {
+    if (doc.uri.scheme === "file") anchorEditTracker.snapshot(doc);
   }
+  context.subscriptions.push(
+    vscode.workspace.onDidOpenTextDocument((doc) => {
+      if (doc.uri.scheme === "file") anchorEditTracker.snapshot(doc);
+    }),
+    vscode.workspace.onDidCloseTextDocument((doc) => anchorEditTracker.forget(doc.uri.fsPath)),
+    vscode.workspace.onDidChangeTextDocument((e) => {
+      if (!e || !e.document || e.document.uri.scheme !== "file") return;
+      if (e.document.uri.path.includes("/.vcm/")) return;
+      // Only user edits in clean mode; VCM's own inject/strip runs with sync disabled
+      const track = vcmSyncEnabled && isCommentedMap.get(e.document.uri.fsPath) === false;
+      anchorEditTracker.recordChange(e, { track });
+    })
+  );
 
   const saveWatcher = vscode.workspace.onDidSaveTextDocument(async (doc) => {
     if (!vcmSyncEnabled) return;  // Skip if we're in the middle of a toggle
     // allowCreate = false (default): only update existing VCM files, don't create new ones
-    await saveVCM(doc);
+    await saveVCM(doc).catch(reportSaveError);
   });
   context.subscriptions.push(saveWatcher);
 
@@ -507,6 +625,8 @@ async function activate(context) {
       isCommentedMap.set(doc.uri.fsPath, detectedMode);
       const privateVisible = await detectPrivateVisibility(doc, relativePath);
       privateCommentsVisible.set(doc.uri.fsPath, privateVisible);
+      await ensureLayerVisibility(doc, relativePath, { force: true });
+      updateLayerStatusBar();
     } catch (err) {
       console.warn("VCM: Undo/redo mode refresh failed", err);
     }
@@ -521,7 +641,7 @@ async function activate(context) {
       if (!vcmSyncEnabled) return;
       // allowCreate = false (default): only update existing VCM files, don't create new ones
       clearTimeout(writeTimeout);
-      writeTimeout = setTimeout(() => saveVCM(e.document), 2000);
+      writeTimeout = setTimeout(() => saveVCM(e.document).catch(reportSaveError), 2000);
     });
     context.subscriptions.push(changeWatcher);
   }
@@ -572,6 +692,18 @@ async function activate(context) {
     const editor = vscode.window.activeTextEditor;
     if (!editor) return;
 
+    // Virtual display mode: a clean file shows/hides its comments as decorations instead of being rewritten
+    const virtualDisplay = vscode.workspace.getConfiguration("vcm-view-comments-mirror").get("displayMode", "edit") === "virtual";
+    if (virtualDisplay || virtualCommentsVisible.get(editor.document.uri.fsPath)) {
+      if (!isCommentedMap.has(editor.document.uri.fsPath)) {
+        isCommentedMap.set(editor.document.uri.fsPath, await detectInitialMode(editor.document));
+      }
+      if (isCommentedMap.get(editor.document.uri.fsPath) === false) {
+        await toggleVirtualComments(editor.document);
+        return;
+      }
+    }
+
     // Disable .vcm sync during toggle to prevent overwriting
     vcmSyncEnabled = false;
 
@@ -604,26 +736,37 @@ async function activate(context) {
       const sharedComments = await readSharedVCM(relativePath, vcmDir);
 
       const privateComments = await readPrivateVCM(relativePath, vcmPrivateDir);
-      const sharedContext = [...sharedComments, ...privateComments];
-      // Strip shared comments (stripComments automatically preserves alwaysShow)
-      newText = stripComments(text, doc.uri.path, sharedComments, { contextComments: sharedContext });
+      const layerComments = await readCommentLayers(relativePath);
 
+      // Strip private and visible named layers first, in one pass
+      await ensureLayerVisibility(doc, relativePath);
       const privateWasVisible = privateCommentsVisible.get(doc.uri.fsPath) === true;
-      if (privateWasVisible) {
-        const privateContext = [...sharedComments, ...privateComments];
-        newText = stripComments(newText, doc.uri.path, privateComments, { contextComments: privateContext });
-        justInjectedFromPrivateVCM.add(doc.uri.fsPath);
-      }
+      const visibleLayers = commentLayerNames.filter(layer => isLayerVisible(doc, layer));
+      const stripped = stripVisibleStores(
+        text,
+        doc.uri.path,
+        { shared: sharedComments, private: privateComments, layers: layerComments },
+        { private: privateWasVisible, layers: visibleLayers }
+      );
+      newText = stripped.text;
+      const sharedContext = stripped.contextComments;
+      if (privateWasVisible) justInjectedFromPrivateVCM.add(doc.uri.fsPath);
+      if (visibleLayers.length > 0) justInjectedLayers.set(doc.uri.fsPath, new Set(visibleLayers));
+
+      // Strip shared comments (stripComments automatically preserves alwaysShow)
+      newText = stripComments(newText, doc.uri.path, sharedComments, { contextComments: sharedContext });
 
       // Mark this file as now in clean mode
       isCommentedMap.set(doc.uri.fsPath, false);
-      // private comments not allowed in clean mode - mark as hidden
+      // private comments not allowed in clean mode - mark as hidden (named layers too)
       privateCommentsVisible.set(doc.uri.fsPath, false);
+      layerCommentsVisible.set(doc.uri.fsPath, new Set());
+      updateLayerStatusBar();
       vscode.window.showInformationMessage("VCM: Switched to clean mode (comments hidden)");
     } else {
       // Currently in clean mode -> switch to commented mode (show comments)
       try {
-        newText = await generateCommentedVersion(text, doc.uri.path, relativePath, readSharedVCM, vcmDir);
+        newText = await generateCommentedVersion(text, doc.uri.path, relativePath, readSharedVCM, vcmDir, getInjectOptions());
 
         const existingSharedComments = await readSharedVCM(relativePath, vcmDir);
         const mergedSharedComments = mergeSharedTextCleanMode(existingSharedComments);
@@ -647,7 +790,7 @@ async function activate(context) {
           const cleanText = stripComments(text, doc.uri.path, sharedComments);
 
           // Inject shared comments
-          newText = injectComments(cleanText, doc.uri.path, sharedComments, true, false);
+          newText = injectComments(cleanText, doc.uri.path, sharedComments, true, false, getInjectOptions());
 
           // Mark that we just injected from VCM - don't re-extract on next save
           justInjectedFromVCM.add(doc.uri.fsPath);
@@ -716,12 +859,14 @@ async function activate(context) {
         }
 
         // Find and mark the comment - alwaysShow is always in doc so isSameComment works
+        correlateCommentIds(docComments, comments);
         const targetVcmComment = comments.find(c => isSameComment(c, commentAtCursor));
         if (targetVcmComment) {
           targetVcmComment.alwaysShow = true;
         } else {
           // Comment not found in existing VCM - add it as a new entry with alwaysShow
           commentAtCursor.alwaysShow = true;
+          stampNewComment(commentAtCursor, { author: gitAuthor });
           comments.push(commentAtCursor);
         }
 
@@ -781,6 +926,7 @@ async function activate(context) {
         }
 
         const allComments = await readSharedVCM(relativePath, vcmDir);
+        correlateCommentIds(docComments, allComments);
 
         // Search for comment and remove alwaysShow - alwaysShow is always in doc so isSameComment works
         let found = false;
@@ -868,6 +1014,278 @@ async function activate(context) {
   );
   context.subscriptions.push(unmarkAlwaysShow);
 
+  // ---------------------------------------------------------------------------
+  // COMMAND: Right-click -> "Freeze Comment"
+  // ---------------------------------------------------------------------------
+  // Frozen comments keep their stored text + anchor: commented-mode syncs no longer
+  // overwrite them and inject/strip never relocate them. Works for shared and private.
+  const markFrozen = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.markFrozen",
+    async () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor) return;
+
+      const doc = editor.document;
+      const selectedLine = editor.selection.active.line;
+      const relativePath = vscode.workspace.asRelativePath(doc.uri);
+
+      try {
+        // Extract current comments and find the one at cursor position
+        const docComments = parseDocComs(doc.getText(), doc.uri.path);
+        const commentAtCursor = findCommentAtCursor(docComments, selectedLine);
+
+        if (!commentAtCursor) {
+          vscode.window.showWarningMessage("VCM: You can only freeze comment lines.");
+          return;
+        }
+
+        // Ensure VCM exists before modifying metadata
+        const sharedExists = await vcmFileExists(vcmDir, relativePath);
+        const privateExists = await vcmFileExists(vcmPrivateDir, relativePath);
+        if (!sharedExists && !privateExists) {
+          await saveVCM(doc, true); // Single creation path
+        }
+
+        const sharedComments = await readSharedVCM(relativePath, vcmDir);
+        const privateComments = await readPrivateVCM(relativePath, vcmPrivateDir);
+
+        correlateCommentIds(docComments, [...sharedComments, ...privateComments]);
+
+        // Private first: a private comment must never be copied into shared
+        const privateTarget = privateComments.find(c => isSameComment(c, commentAtCursor));
+        if (privateTarget) {
+          privateTarget.frozen = true;
+          await writePrivateVCM(relativePath, privateComments, vcmPrivateDir);
+        } else {
+          const sharedTarget = sharedComments.find(c => isSameComment(c, commentAtCursor));
+          if (sharedTarget) {
+            sharedTarget.frozen = true;
+          } else {
+            // Comment not found in existing VCM - add it as a new frozen entry
+            commentAtCursor.frozen = true;
+            stampNewComment(commentAtCursor, { author: gitAuthor });
+            sharedComments.push(commentAtCursor);
+          }
+          await writeSharedVCM(relativePath, sharedComments, vcmDir);
+        }
+
+        vscode.window.showInformationMessage("VCM: Comment frozen 🧊");
+        // Update context to refresh menu items
+        await updateAlwaysShow(context, deps);
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error freezing comment: " + (err?.message || String(err)));
+      }
+    }
+  );
+  context.subscriptions.push(markFrozen);
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Right-click -> "Unfreeze Comment"
+  // ---------------------------------------------------------------------------
+  const unmarkFrozen = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.unmarkFrozen",
+    async () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor) return;
+
+      const doc = editor.document;
+      const selectedLine = editor.selection.active.line;
+      const relativePath = vscode.workspace.asRelativePath(doc.uri);
+
+      try {
+        const docComments = parseDocComs(doc.getText(), doc.uri.path);
+        const commentAtCursor = findCommentAtCursor(docComments, selectedLine);
+
+        if (!commentAtCursor) {
+          vscode.window.showWarningMessage("VCM: You can only unfreeze comment lines.");
+          return;
+        }
+
+        const sharedComments = await readSharedVCM(relativePath, vcmDir);
+        const privateComments = await readPrivateVCM(relativePath, vcmPrivateDir);
+
+        correlateCommentIds(docComments, [...sharedComments, ...privateComments]);
+        const privateTarget = privateComments.find(c => isFrozen(c) && isSameComment(c, commentAtCursor));
+        const sharedTarget = privateTarget
+          ? null
+          : sharedComments.find(c => isFrozen(c) && isSameComment(c, commentAtCursor));
+
+        if (!privateTarget && !sharedTarget) {
+          vscode.window.showWarningMessage("VCM: This comment is not frozen.");
+          return;
+        }
+
+        if (privateTarget) {
+          delete privateTarget.frozen;
+          await writePrivateVCM(relativePath, privateComments, vcmPrivateDir);
+        } else {
+          delete sharedTarget.frozen;
+          await writeSharedVCM(relativePath, sharedComments, vcmDir);
+        }
+
+        vscode.window.showInformationMessage("VCM: Comment unfrozen ✅");
+        // Update context to refresh menu items
+        await updateAlwaysShow(context, deps);
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error unfreezing comment: " + (err?.message || String(err)));
+      }
+    }
+  );
+  context.subscriptions.push(unmarkFrozen);
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Right-click -> "Mark as Review Note"
+  // ---------------------------------------------------------------------------
+  // Review notes (kind: "review") carry a resolved status, see reviewComments.js.
+  // Resolved ones stay in the mirror but are no longer injected; one resolved while
+  // shown stays in the document until the next toggle. Works for shared and private.
+  const markReviewCommand = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.markReview",
+    async () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor) return;
+
+      const doc = editor.document;
+      const selectedLine = editor.selection.active.line;
+      const relativePath = vscode.workspace.asRelativePath(doc.uri);
+
+      try {
+        const docComments = parseDocComs(doc.getText(), doc.uri.path);
+        const commentAtCursor = findCommentAtCursor(docComments, selectedLine);
+
+        if (!commentAtCursor) {
+          vscode.window.showWarningMessage("VCM: You can only mark comment lines as review notes.");
+          return;
+        }
+
+        // Ensure VCM exists before modifying metadata
+        const sharedExists = await vcmFileExists(vcmDir, relativePath);
+        const privateExists = await vcmFileExists(vcmPrivateDir, relativePath);
+        if (!sharedExists && !privateExists) {
+          await saveVCM(doc, true); // Single creation path
+        }
+
+        const sharedComments = await readSharedVCM(relativePath, vcmDir);
+        const privateComments = await readPrivateVCM(relativePath, vcmPrivateDir);
+
+        correlateCommentIds(docComments, [...sharedComments, ...privateComments]);
+
+        // Private first: a private comment must never be copied into shared
+        const privateTarget = privateComments.find(c => isSameComment(c, commentAtCursor));
+        if (privateTarget) {
+          markReview(privateTarget);
+          await writePrivateVCM(relativePath, privateComments, vcmPrivateDir);
+        } else {
+          const sharedTarget = sharedComments.find(c => isSameComment(c, commentAtCursor));
+          if (sharedTarget) {
+            markReview(sharedTarget);
+          } else {
+            // Comment not found in existing VCM - add it as a new review note
+            markReview(commentAtCursor);
+            stampNewComment(commentAtCursor, { author: gitAuthor });
+            sharedComments.push(commentAtCursor);
+          }
+          await writeSharedVCM(relativePath, sharedComments, vcmDir);
+        }
+
+        vscode.window.showInformationMessage("VCM: Comment marked as a review note 🔎");
+        // Update context to refresh menu items
+        await updateAlwaysShow(context, deps);
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error marking review note: " + (err?.message || String(err)));
+      }
+    }
+  );
+  context.subscriptions.push(markReviewCommand);
+
+  // The review note `target` (a mirror record, or a doc comment correlated with
+  // docComments) in relativePath's mirrors, private first: `update` changes it in
+  // place, then its mirror is written. Returns false when it isn't a review note.
+  async function updateReviewNote(relativePath, target, update, docComments = null) {
+    const sharedComments = await readSharedVCM(relativePath, vcmDir);
+    const privateComments = await readPrivateVCM(relativePath, vcmPrivateDir);
+    if (docComments) correlateCommentIds(docComments, [...sharedComments, ...privateComments]);
+
+    const privateTarget = privateComments.find(c => isReview(c) && isSameComment(c, target));
+    const sharedTarget = privateTarget ? null : sharedComments.find(c => isReview(c) && isSameComment(c, target));
+    if (!privateTarget && !sharedTarget) return false;
+
+    if (privateTarget) {
+      update(privateTarget);
+      await writePrivateVCM(relativePath, privateComments, vcmPrivateDir);
+    } else {
+      update(sharedTarget);
+      await writeSharedVCM(relativePath, sharedComments, vcmDir);
+    }
+    return true;
+  }
+
+  // updateReviewNote() for the comment under the cursor
+  async function updateReviewNoteAtCursor(update) {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) return false;
+
+    const doc = editor.document;
+    const docComments = parseDocComs(doc.getText(), doc.uri.path);
+    const commentAtCursor = findCommentAtCursor(docComments, editor.selection.active.line);
+    if (!commentAtCursor) {
+      vscode.window.showWarningMessage("VCM: Put the cursor on a review note first.");
+      return false;
+    }
+
+    const updated = await updateReviewNote(vscode.workspace.asRelativePath(doc.uri), commentAtCursor, update, docComments);
+    if (!updated) vscode.window.showWarningMessage("VCM: This comment is not a review note.");
+    return updated;
+  }
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Right-click -> "Resolve Review Note" / "Reopen Review Note" / "Unmark Review Note"
+  // ---------------------------------------------------------------------------
+  const resolveReviewCommand = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.resolveReview",
+    async () => {
+      try {
+        const updated = await updateReviewNoteAtCursor(c => setReviewResolved(c, true, { author: gitAuthor }));
+        if (!updated) return;
+        vscode.window.showInformationMessage("VCM: Review note resolved ✅ (it won't be shown again after the next toggle)");
+        await updateAlwaysShow(context, deps);
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error resolving review note: " + (err?.message || String(err)));
+      }
+    }
+  );
+  context.subscriptions.push(resolveReviewCommand);
+
+  const reopenReviewCommand = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.reopenReview",
+    async () => {
+      try {
+        const updated = await updateReviewNoteAtCursor(c => setReviewResolved(c, false));
+        if (!updated) return;
+        vscode.window.showInformationMessage("VCM: Review note reopened 🔎");
+        await updateAlwaysShow(context, deps);
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error reopening review note: " + (err?.message || String(err)));
+      }
+    }
+  );
+  context.subscriptions.push(reopenReviewCommand);
+
+  const unmarkReviewCommand = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.unmarkReview",
+    async () => {
+      try {
+        const updated = await updateReviewNoteAtCursor(c => unmarkReview(c));
+        if (!updated) return;
+        vscode.window.showInformationMessage("VCM: Comment is a plain note again");
+        await updateAlwaysShow(context, deps);
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error unmarking review note: " + (err?.message || String(err)));
+      }
+    }
+  );
+  context.subscriptions.push(unmarkReviewCommand);
+
   // ---------------------------------------------------------------------------
   // COMMAND: Right-click -> "Mark as Private"
   // ---------------------------------------------------------------------------
@@ -924,8 +1342,23 @@ async function activate(context) {
           privateComments = privateExists ? await readPrivateVCM(relativePath, vcmPrivateDir) : [];
         }
 
-        // 1) REMOVE from shared (we are moving it out)
+        // Carry the record's stable id over to private
+        const layerComments = await readCommentLayers(relativePath);
+        correlateCommentIds(docComments, [...sharedComments, ...privateComments, ...Object.values(layerComments).flat()]);
+
+        // A named layer's comment would end up in two layers: it moves with Move Comment to Layer
+        const inLayer = commentLayerNames.find(layer => layerComments[layer].some(c => isSameComment(c, commentAtCursor)));
+        if (inLayer) {
+          vscode.window.showWarningMessage(`VCM: This comment is in the ${inLayer} layer. Use 'VCM: Move Comment to Layer' to move it to private.`);
+          return;
+        }
+
+        // 1) REMOVE from shared (we are moving it out), keeping who wrote it and when
         //    Only remove comments that match this exact one (key + text/block when possible)
+        const sharedRecord = sharedComments.find((c) => isSameComment(c, commentAtCursor));
+        if (sharedRecord && !(await confirmDropDiscussion(sharedRecord))) return;
+        if (sharedRecord) carryAuthorship(sharedRecord, commentAtCursor);
+        else stampNewComment(commentAtCursor, { author: gitAuthor });
         sharedComments = sharedComments.filter((c) => !isSameComment(c, commentAtCursor));
 
         // 2) ADD to private (if not already there)
@@ -1068,6 +1501,8 @@ async function activate(context) {
           privateComments = privateExists ? await readPrivateVCM(relativePath, vcmPrivateDir) : [];
         }
 
+        correlateCommentIds(docComments, [...sharedComments, ...privateComments]);
+
         // 1) Ensure it exists in private (otherwise it's not private)
         const existsInPrivate = privateComments.some((c) => isSameComment(c, commentAtCursor));
         if (!existsInPrivate) {
@@ -1075,7 +1510,8 @@ async function activate(context) {
           return;
         }
 
-        // 2) Remove from private
+        // 2) Remove from private, keeping who wrote it and when
+        carryAuthorship(privateComments.find((c) => isSameComment(c, commentAtCursor)), commentAtCursor);
         privateComments = privateComments.filter((c) => !isSameComment(c, commentAtCursor));
 
         // 3) Add to shared (if not already there)
@@ -1249,7 +1685,8 @@ async function activate(context) {
             readVCM: readPrivateVCM,
             writeVCM: writePrivateVCM,
             vcmDir: vcmPrivateDir,
-            injectFn: injectMissingPrivateComments
+            injectFn: injectMissingPrivateComments,
+            injectOptions: getInjectOptions(),
           });
 
           privateCommentsVisible.set(doc.uri.fsPath, true);
@@ -1292,6 +1729,2234 @@ async function activate(context) {
   );
   context.subscriptions.push(togglePrivateComments);
 
+  // ---------------------------------------------------------------------------
+  // COMMAND: Toggle Comment Layer / Show Comment Layers (status bar)
+  // ---------------------------------------------------------------------------
+  // Named layers (.vcm/<layer>, see commentLayers.js) are shown and hidden one by one,
+  // exactly like the private comments: only in commented mode, hiding saves first.
+  // Returns false when nothing changed (the reason was already shown).
+  async function setCommentLayerVisible(doc, layer, visible) {
+    const relativePath = vscode.workspace.asRelativePath(doc.uri);
+    if (!isCommentedMap.has(doc.uri.fsPath)) {
+      isCommentedMap.set(doc.uri.fsPath, await detectInitialMode(doc, vcmDir));
+    }
+    await ensureLayerVisibility(doc, relativePath);
+    if (isLayerVisible(doc, layer) === visible) return false;
+
+    if (!(await vcmFileExists(layerDir(layer), relativePath))) {
+      vscode.window.showInformationMessage(`VCM: No ${layer} comments found in this file.`);
+      return false;
+    }
+    if (visible && isCommentedMap.get(doc.uri.fsPath) !== true) {
+      vscode.window.showInformationMessage(`VCM: ${layer} comments can only be shown in commented mode.`);
+      return false;
+    }
+
+    const text = doc.getText();
+    const readVCM = (relativePath, dir) => readLayerVCM(relativePath, dir, layer);
+    let newText;
+    if (!visible) {
+      const contextComments = [
+        ...(await readSharedVCM(relativePath, vcmDir)),
+        ...(await readPrivateVCM(relativePath, vcmPrivateDir)),
+        ...Object.values(await readCommentLayers(relativePath)).flat(),
+      ];
+      newText = await cleanModeBehavior({
+        doc,
+        text,
+        relativePath,
+        saveVCM,
+        vcmFileExists,
+        vcmDir: layerDir(layer),
+        readVCM,
+        contextComments,
+      });
+    } else {
+      newText = await commentedModeBehavior({
+        doc,
+        text,
+        relativePath,
+        saveVCM,
+        readVCM,
+        writeVCM: (relativePath, comments, dir) => writeLayerVCM(relativePath, comments, dir, layer),
+        vcmDir: layerDir(layer),
+        injectFn: injectMissingPrivateComments,
+        injectOptions: getInjectOptions(),
+      });
+    }
+
+    setLayerVisible(doc, layer, visible);
+    justInjectedLayers.set(doc.uri.fsPath, new Set([...(justInjectedLayers.get(doc.uri.fsPath) || []), layer]));
+
+    const edit = new vscode.WorkspaceEdit();
+    edit.replace(doc.uri, new vscode.Range(0, 0, doc.lineCount, 0), newText);
+    await vscode.workspace.applyEdit(edit);
+    await vscode.commands.executeCommand("workbench.action.files.save");
+
+    if (isCommentedMap.get(doc.uri.fsPath) === true) {
+      await saveVCM(doc, true);
+    }
+    updateLayerStatusBar();
+    return true;
+  }
+
+  const noLayersMessage =
+    "VCM: No comment layers yet. Add one with 'VCM: Move Comment to Layer' or the commentLayers setting.";
+
+  const toggleCommentLayer = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.toggleCommentLayer",
+    async (layer) => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor) return;
+      const doc = editor.document;
+
+      try {
+        await refreshCommentLayerNames();
+        await ensureLayerVisibility(doc, vscode.workspace.asRelativePath(doc.uri));
+        if (typeof layer !== "string") {
+          if (commentLayerNames.length === 0) {
+            vscode.window.showInformationMessage(noLayersMessage);
+            return;
+          }
+          const pick = await vscode.window.showQuickPick(
+            commentLayerNames.map(name => ({
+              label: `${isLayerVisible(doc, name) ? "$(eye)" : "$(eye-closed)"} ${name}`,
+              description: isLayerVisible(doc, name) ? "visible" : "hidden",
+              layer: name,
+            })),
+            { placeHolder: "VCM: Toggle which comment layer?" }
+          );
+          if (!pick) return;
+          layer = pick.layer;
+        }
+        if (!commentLayerNames.includes(layer)) {
+          vscode.window.showWarningMessage(`VCM: Unknown comment layer ${layer}.`);
+          return;
+        }
+
+        // Disable .vcm sync during toggle to prevent overwriting
+        vcmSyncEnabled = false;
+        const visible = !isLayerVisible(doc, layer);
+        if (await setCommentLayerVisible(doc, layer, visible)) {
+          vscode.window.showInformationMessage(`VCM: ${layer} comments ${visible ? "visible 🔓" : "hidden 🔒"}`);
+        }
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error toggling comment layer: " + (err?.message || String(err)));
+      } finally {
+        // Re-enable sync after a delay to ensure save completes
+        setTimeout(() => (vcmSyncEnabled = true), 800);
+      }
+    }
+  );
+  context.subscriptions.push(toggleCommentLayer);
+
+  // Status bar: which layers the current file shows; click to pick several at once
+  const layerStatusBar = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
+  layerStatusBar.command = "vcm-view-comments-mirror.pickCommentLayers";
+  context.subscriptions.push(layerStatusBar);
+
+  function updateLayerStatusBar() {
+    const doc = vscode.window.activeTextEditor?.document;
+    if (!doc || doc.uri.scheme !== "file" || commentLayerNames.length === 0) {
+      layerStatusBar.hide();
+      return;
+    }
+    const shown = commentLayerNames.filter(layer => isLayerVisible(doc, layer));
+    layerStatusBar.text = `$(layers) ${shown.length > 0 ? shown.join(", ") : "No layers"}`;
+    layerStatusBar.tooltip = `VCM comment layers shown in this file (${shown.length}/${commentLayerNames.length}). Click to choose.`;
+    layerStatusBar.show();
+  }
+
+  context.subscriptions.push(
+    vscode.window.onDidChangeActiveTextEditor(async (editor) => {
+      if (editor && editor.document.uri.scheme === "file" && commentLayerNames.length > 0) {
+        await ensureLayerVisibility(editor.document, vscode.workspace.asRelativePath(editor.document.uri)).catch(() => {});
+      }
+      updateLayerStatusBar();
+    }),
+    vscode.workspace.onDidChangeConfiguration(async (e) => {
+      if (!e.affectsConfiguration("vcm-view-comments-mirror.commentLayers")) return;
+      await refreshCommentLayerNames();
+      updateLayerStatusBar();
+    })
+  );
+  refreshCommentLayerNames().then(async () => {
+    const doc = vscode.window.activeTextEditor?.document;
+    if (doc && doc.uri.scheme === "file" && commentLayerNames.length > 0) {
+      await ensureLayerVisibility(doc, vscode.workspace.asRelativePath(doc.uri));
+    }
+    updateLayerStatusBar();
+  }).catch((err) => console.warn("VCM: Failed to read comment layers", err));
+
+  const pickCommentLayers = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.pickCommentLayers",
+    async () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor) return;
+      const doc = editor.document;
+
+      try {
+        await refreshCommentLayerNames();
+        if (commentLayerNames.length === 0) {
+          vscode.window.showInformationMessage(noLayersMessage);
+          return;
+        }
+        await ensureLayerVisibility(doc, vscode.workspace.asRelativePath(doc.uri));
+        const picks = await vscode.window.showQuickPick(
+          commentLayerNames.map(layer => ({ label: layer, picked: isLayerVisible(doc, layer) })),
+          { canPickMany: true, placeHolder: "VCM: Which comment layers should this file show?" }
+        );
+        if (!picks) return;
+
+        const wanted = new Set(picks.map(p => p.label));
+        vcmSyncEnabled = false;
+        // Hide before showing, so the layers shown are injected into the final text
+        const order = [...commentLayerNames].sort((a, b) => wanted.has(a) - wanted.has(b));
+        for (const layer of order) {
+          await setCommentLayerVisible(doc, layer, wanted.has(layer));
+        }
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error toggling comment layers: " + (err?.message || String(err)));
+      } finally {
+        setTimeout(() => (vcmSyncEnabled = true), 800);
+        updateLayerStatusBar();
+      }
+    }
+  );
+  context.subscriptions.push(pickCommentLayers);
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Right-click -> "Move Comment to Layer"
+  // ---------------------------------------------------------------------------
+  // Moves the comment at the cursor between shared, private and the named layers with
+  // moveCommentToLayer (commentLayers.js): the comment leaves its old mirror and is
+  // written to exactly one new one, and a move that would break store separation
+  // throws instead. Landing in a layer this file doesn't show hides it right away.
+  const moveCommentToLayerCommand = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.moveCommentToLayer",
+    async () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor) return;
+
+      const doc = editor.document;
+      const selectedLine = editor.selection.active.line;
+      const relativePath = vscode.workspace.asRelativePath(doc.uri);
+
+      try {
+        const docText = doc.getText();
+        const docComments = parseDocComs(docText, doc.uri.path);
+        addPrimaryAnchors(docComments, { lines: docText.split("\n") });
+        const commentAtCursor = findCommentAtCursor(docComments, selectedLine);
+        if (!commentAtCursor) {
+          vscode.window.showWarningMessage("VCM: Put the cursor on a comment to move it to another layer.");
+          return;
+        }
+
+        await refreshCommentLayerNames();
+        const stores = {
+          [SHARED_LAYER]: await readSharedVCM(relativePath, vcmDir),
+          [PRIVATE_LAYER]: await readPrivateVCM(relativePath, vcmPrivateDir),
+          ...(await readCommentLayers(relativePath)),
+        };
+        correlateCommentIds(docComments, Object.values(stores).flat());
+        const current = Object.keys(stores).find(layer => stores[layer].some(c => isSameComment(c, commentAtCursor)));
+
+        const newLayerItem = { label: "$(add) New Layer…", layer: null };
+        const pick = await vscode.window.showQuickPick(
+          [
+            ...[SHARED_LAYER, PRIVATE_LAYER, ...commentLayerNames]
+              .filter(layer => layer !== (current || SHARED_LAYER))
+              .map(layer => ({ label: layer, layer })),
+            newLayerItem,
+          ],
+          { placeHolder: `VCM: Move this comment from ${current || SHARED_LAYER} to…` }
+        );
+        if (!pick) return;
+
+        let to = pick.layer;
+        if (pick === newLayerItem) {
+          to = await vscode.window.showInputBox({
+            prompt: "VCM: Name of the new comment layer (its directory under .vcm/)",
+            placeHolder: "e.g. onboarding, todo, perf-notes",
+            validateInput: (value) =>
+              isValidLayerName(value) ? null : "Lowercase letters, digits, - and _ (not shared, private or archive)",
+          });
+          if (!to) return;
+          if (!commentLayerNames.includes(to)) {
+            const config = vscode.workspace.getConfiguration("vcm-view-comments-mirror");
+            await config.update("commentLayers", [...config.get("commentLayers", []), to], vscode.ConfigurationTarget.Workspace);
+            await refreshCommentLayerNames();
+          }
+          if (!stores[to]) stores[to] = [];
+        }
+
+        const existing = current ? stores[current].find(c => isSameComment(c, commentAtCursor)) : null;
+        if (existing && to !== SHARED_LAYER && !(await confirmDropDiscussion(existing, to))) return;
+
+        // Prevent saveVCM watcher loops while we mutate the doc + write VCMs
+        vcmSyncEnabled = false;
+        const { from } = moveCommentToLayer(commentAtCursor, stores, to, { author: gitAuthor });
+
+        // Target first, so the comment is never in no mirror at all
+        await writeLayerStore(relativePath, to, stores[to]);
+        if (from) await writeLayerStore(relativePath, from, stores[from]);
+
+        // Hide it right away when this file doesn't show its new layer
+        const targetVisible =
+          to === SHARED_LAYER ? isCommentedMap.get(doc.uri.fsPath) !== false
+          : to === PRIVATE_LAYER ? privateCommentsVisible.get(doc.uri.fsPath) === true
+          : isLayerVisible(doc, to);
+        if (!targetVisible && commentAtCursor.type !== "inline") {
+          const firstLine = commentAtCursor.type === "block"
+            ? commentAtCursor.block[0].commentedLineIndex
+            : commentAtCursor.commentedLineIndex;
+          const lastLine = commentAtCursor.type === "block"
+            ? commentAtCursor.block[commentAtCursor.block.length - 1].commentedLineIndex
+            : commentAtCursor.commentedLineIndex;
+          const edit = new vscode.WorkspaceEdit();
+          edit.delete(doc.uri, new vscode.Range(firstLine, 0, lastLine + 1, 0));
+          await vscode.workspace.applyEdit(edit);
+          // Prevent immediate re-extraction/double-processing
+          justInjectedFromVCM.add(doc.uri.fsPath);
+          await vscode.commands.executeCommand("workbench.action.files.save");
+          vscode.window.showInformationMessage(`VCM: Moved to ${to} (hidden in this file) 🔒`);
+        } else {
+          vscode.window.showInformationMessage(`VCM: Moved to ${to}`);
+        }
+
+        await updateSplitViewIfOpen(
+          doc,
+          provider,
+          relativePath,
+          getSplitViewState,
+          (relativePath) => readSharedVCM(relativePath, vcmDir),
+          (relativePath) => readPrivateVCM(relativePath, vcmPrivateDir)
+        );
+        setTimeout(() => updateAlwaysShow(context, deps), 100);
+        updateLayerStatusBar();
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error moving comment to layer: " + (err?.message || String(err)));
+      } finally {
+        // Re-enable sync after a short delay to avoid watcher racing our edits
+        setTimeout(() => (vcmSyncEnabled = true), 800);
+      }
+    }
+  );
+  context.subscriptions.push(moveCommentToLayerCommand);
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Clear State
+  // ---------------------------------------------------------------------------
+  // Resets the cached per-file flags (mode, private visibility, injection flags,
+  // jump index cache) when they drift from what the document actually shows.
+  // Scope: current file, every open editor tab, or the whole workspace.
+  // Optionally re-runs mode detection for the open documents afterwards.
+  const clearState = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.clearState",
+    async () => {
+      const scopePick = await vscode.window.showQuickPick(
+        [
+          { label: "Current File", description: "Reset state for the active editor", scope: "file" },
+          { label: "Open Editors", description: "Reset state for every open editor tab", scope: "open" },
+          { label: "Workspace", description: "Reset state for all files", scope: "workspace" },
+        ],
+        { placeHolder: "VCM: Which state should be cleared?" }
+      );
+      if (!scopePick) return;
+
+      const redetectPick = await vscode.window.showQuickPick(
+        [
+          { label: "Clear and re-detect modes", description: "Runs clean/commented, private and layer detection again", redetect: true },
+          { label: "Clear only", description: "Modes are detected lazily on the next VCM action", redetect: false },
+        ],
+        { placeHolder: "VCM: Re-detect modes after clearing?" }
+      );
+      if (!redetectPick) return;
+
+      // Collect the URIs in scope (workspace scope clears everything, including closed files)
+      let targetUris = [];
+      if (scopePick.scope === "file") {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+          vscode.window.showWarningMessage("VCM: No active editor to clear state for.");
+          return;
+        }
+        targetUris = [editor.document.uri];
+      } else if (scopePick.scope === "open") {
+        targetUris = vscode.window.tabGroups.all
+          .flatMap(group => group.tabs)
+          .filter(tab => tab.input instanceof vscode.TabInputText)
+          .map(tab => tab.input.uri);
+      }
+
+      try {
+        if (scopePick.scope === "workspace") {
+          isCommentedMap.clear();
+          privateCommentsVisible.clear();
+          layerCommentsVisible.clear();
+          virtualCommentsVisible.clear();
+          justInjectedFromVCM.clear();
+          justInjectedFromPrivateVCM.clear();
+          justInjectedLayers.clear();
+          _commentJumpIndexCache.clear();
+        } else {
+          for (const uri of targetUris) {
+            isCommentedMap.delete(uri.fsPath);
+            privateCommentsVisible.delete(uri.fsPath);
+            layerCommentsVisible.delete(uri.fsPath);
+            virtualCommentsVisible.delete(uri.fsPath);
+            justInjectedFromVCM.delete(uri.fsPath);
+            justInjectedFromPrivateVCM.delete(uri.fsPath);
+            justInjectedLayers.delete(uri.fsPath);
+            _commentJumpIndexCache.delete(uri.toString());
+          }
+        }
+
+        // Re-detect only for documents that are loaded (detection needs the text)
+        let redetected = 0;
+        if (redetectPick.redetect) {
+          const targetKeys = new Set(targetUris.map(uri => uri.toString()));
+          const docs = vscode.workspace.textDocuments.filter(doc =>
+            doc.uri.scheme === "file" &&
+            !doc.uri.path.includes("/.vcm/") &&
+            (scopePick.scope === "workspace" || targetKeys.has(doc.uri.toString()))
+          );
+
+          for (const doc of docs) {
+            const relativePath = vscode.workspace.asRelativePath(doc.uri);
+            if (!(await hasAnyMirror(relativePath))) {
+              continue; // Never used VCM on this file - nothing to detect
+            }
+            isCommentedMap.set(doc.uri.fsPath, await detectInitialMode(doc));
+            privateCommentsVisible.set(doc.uri.fsPath, await detectPrivateVisibility(doc, relativePath));
+            await ensureLayerVisibility(doc, relativePath, { force: true });
+            redetected++;
+          }
+        }
+        updateLayerStatusBar();
+
+        const scopeLabel = scopePick.scope === "workspace"
+          ? "the workspace"
+          : `${targetUris.length} file(s)`;
+        vscode.window.showInformationMessage(
+          redetectPick.redetect
+            ? `VCM: Cleared state for ${scopeLabel} and re-detected ${redetected} file(s) ✅`
+            : `VCM: Cleared state for ${scopeLabel} ✅`
+        );
+        // Refresh context menu flags for the active editor
+        await updateAlwaysShow(context, deps);
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error clearing state: " + (err?.message || String(err)));
+      }
+    }
+  );
+  context.subscriptions.push(clearState);
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Hide/Show Local Comments (Repo-Wide)
+  // ---------------------------------------------------------------------------
+  // Switches every file that has a .vcm/shared mirror to clean or commented mode
+  // using the same cleanModeBehavior / commentedModeBehavior pipeline as the
+  // per-file toggle. Hiding is decided per store, like stripVisibleStores: a file
+  // already in clean mode still has its visible private and layer comments hidden,
+  // including files with no shared mirror. All document changes go into ONE
+  // WorkspaceEdit so the batch is applied (and undone) together. Mirror updates are
+  // staged per file and only written once that edit has been applied, so a cancelled
+  // or rejected batch leaves both the files and .vcm untouched (staged saves are
+  // discarded, handing their anchor edits back). Files that can't be switched safely
+  // (unsaved changes, missing source, errors) are skipped and summarized.
+  const toggleLocalComments = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.toggleLocalComments",
+    async () => {
+      const directionPick = await vscode.window.showQuickPick(
+        [
+          { label: "Hide comments", description: "Switch every mirrored file to clean mode", toCommented: false },
+          { label: "Show comments", description: "Switch every mirrored file to commented mode", toCommented: true },
+        ],
+        { placeHolder: "VCM: Repo-wide toggle" }
+      );
+      if (!directionPick) return;
+      const toCommented = directionPick.toCommented;
+
+      const relativePaths = toCommented ? await listVCMFiles(vcmDir) : await listMirroredFiles();
+      if (relativePaths.length === 0) {
+        vscode.window.showInformationMessage(
+          toCommented ? "VCM: No files with a .vcm/shared mirror found." : "VCM: No files with a .vcm mirror found."
+        );
+        return;
+      }
+
+      // Disable .vcm sync during the batch to prevent overwriting
+      vcmSyncEnabled = false;
+
+      const skipped = []; // { relativePath, reason }
+      const changed = []; // { doc, relativePath, privateWasVisible, visibleLayers, writeMirrors }
+      // Saves computed for the batch; whatever is not written by the end is discarded
+      const unwritten = new Set();
+      const stageSave = async (doc) => {
+        const plan = await computeVCMSave(doc, true);
+        if (plan) unwritten.add(plan);
+        return plan;
+      };
+      const writeStaged = async (plan) => {
+        unwritten.delete(plan);
+        await writeVCMSave(plan);
+      };
+      let cancelled = false;
+
+      try {
+        await vscode.window.withProgress(
+          {
+            location: vscode.ProgressLocation.Notification,
+            title: toCommented ? "VCM: Showing comments repo-wide" : "VCM: Hiding comments repo-wide",
+            cancellable: true,
+          },
+          async (progress, token) => {
+            const edit = new vscode.WorkspaceEdit();
+            const increment = 100 / relativePaths.length;
+
+            for (const relativePath of relativePaths) {
+              if (token.isCancellationRequested) {
+                cancelled = true;
+                return; // Nothing applied yet - bail out cleanly
+              }
+              progress.report({ message: relativePath, increment });
+
+              let doc;
+              try {
+                doc = await vscode.workspace.openTextDocument(vscode.Uri.joinPath(workspaceRoot, relativePath));
+              } catch {
+                skipped.push({ relativePath, reason: "source file not found" });
+                continue;
+              }
+
+              // Conflict: the buffer differs from disk, switching would mix unsaved edits into the batch
+              if (doc.isDirty) {
+                skipped.push({ relativePath, reason: "unsaved changes" });
+                continue;
+              }
+
+              if (!isCommentedMap.has(doc.uri.fsPath)) {
+                isCommentedMap.set(doc.uri.fsPath, await detectInitialMode(doc));
+              }
+              if (!privateCommentsVisible.has(doc.uri.fsPath)) {
+                privateCommentsVisible.set(doc.uri.fsPath, await detectPrivateVisibility(doc, relativePath));
+              }
+
+              await ensureLayerVisibility(doc, relativePath);
+
+              const isCommented = isCommentedMap.get(doc.uri.fsPath) === true;
+              const privateWasVisible = privateCommentsVisible.get(doc.uri.fsPath) === true;
+              const visibleLayers = toCommented ? [] : commentLayerNames.filter(layer => isLayerVisible(doc, layer));
+              // Nothing to do: already commented, or hiding a file that shows no store
+              if (toCommented ? isCommented : !isCommented && !privateWasVisible && visibleLayers.length === 0) continue;
+
+              const text = doc.getText();
+              let newText;
+              let writeMirrors;
+
+              try {
+                if (toCommented) {
+                  // Same pipeline, with the mirror writes staged instead of done
+                  let stagedSave = null;
+                  let stagedShared = null;
+                  newText = await commentedModeBehavior({
+                    doc,
+                    text,
+                    relativePath,
+                    saveVCM: async () => {
+                      stagedSave = await stageSave(doc);
+                      stagedShared = stagedSave?.shared || stagedShared;
+                    },
+                    readVCM: async (relativePath, dir) => stagedShared || readSharedVCM(relativePath, dir),
+                    writeVCM: async (relativePath, comments) => {
+                      stagedShared = comments;
+                    },
+                    vcmDir,
+                    injectOptions: getInjectOptions(),
+                  });
+                  writeMirrors = async () => {
+                    if (stagedSave) await writeStaged(stagedSave);
+                    else if (stagedShared) await writeSharedVCM(relativePath, stagedShared, vcmDir);
+                  };
+                } else {
+                  // What saveVCM would write from the commented text; the strip works from that
+                  const plan = await stageSave(doc);
+                  const sharedComments = plan.shared;
+                  const privateComments = plan.private || (await readPrivateVCM(relativePath, vcmPrivateDir));
+                  const layerComments = await readCommentLayers(relativePath);
+                  for (const layer of Object.keys(plan.layers || {})) {
+                    if (plan.layers[layer]) layerComments[layer] = plan.layers[layer];
+                  }
+                  // private and named-layer comments not allowed in clean mode - strip them too, first (same as the per-file toggle)
+                  const { text: baseText, contextComments } = stripVisibleStores(
+                    text,
+                    doc.uri.path,
+                    { shared: sharedComments, private: privateComments, layers: layerComments },
+                    { private: privateWasVisible, layers: visibleLayers }
+                  );
+                  // Shared comments are only in the document in commented mode
+                  newText = isCommented
+                    ? await cleanModeBehavior({
+                        doc,
+                        text: baseText,
+                        relativePath,
+                        saveVCM: async () => {}, // already computed above, written with the batch
+                        vcmFileExists,
+                        vcmDir,
+                        readVCM: async () => sharedComments,
+                        contextComments,
+                      })
+                    : baseText;
+                  writeMirrors = () => writeStaged(plan);
+                }
+              } catch (err) {
+                skipped.push({ relativePath, reason: err?.message || String(err) });
+                continue;
+              }
+
+              if (newText === text) continue;
+
+              edit.replace(doc.uri, new vscode.Range(0, 0, doc.lineCount, 0), newText);
+              changed.push({ doc, relativePath, privateWasVisible, visibleLayers, writeMirrors });
+            }
+
+            if (changed.length > 0) {
+              const applied = await vscode.workspace.applyEdit(edit);
+              if (!applied) {
+                throw new Error("VS Code rejected the workspace edit");
+              }
+            }
+          }
+        );
+
+        if (cancelled) {
+          vscode.window.showInformationMessage("VCM: Repo-wide toggle cancelled - no files were changed.");
+          return;
+        }
+
+        // The edit is applied: write the staged mirrors, then persist the new text and mode state
+        for (const { doc, privateWasVisible, visibleLayers, writeMirrors } of changed) {
+          await writeMirrors();
+          await doc.save();
+          isCommentedMap.set(doc.uri.fsPath, toCommented);
+          _commentJumpIndexCache.delete(doc.uri.toString());
+
+          if (toCommented) {
+            // Mark that we just injected from VCM - don't re-extract on next save
+            justInjectedFromVCM.add(doc.uri.fsPath);
+            await saveVCM(doc, true);
+          } else {
+            // private comments not allowed in clean mode - mark as hidden (named layers too)
+            privateCommentsVisible.set(doc.uri.fsPath, false);
+            if (privateWasVisible) justInjectedFromPrivateVCM.add(doc.uri.fsPath);
+            layerCommentsVisible.set(doc.uri.fsPath, new Set());
+            if (visibleLayers.length > 0) justInjectedLayers.set(doc.uri.fsPath, new Set(visibleLayers));
+          }
+        }
+        if (!toCommented) updateLayerStatusBar();
+
+        const summary = `VCM: Switched ${changed.length} file(s) to ${toCommented ? "commented" : "clean"} mode`;
+        if (skipped.length === 0) {
+          vscode.window.showInformationMessage(`${summary} ✅`);
+          return;
+        }
+
+        const choice = await vscode.window.showWarningMessage(
+          `${summary}, skipped ${skipped.length} file(s).`,
+          "Show Skipped"
+        );
+        if (choice === "Show Skipped") {
+          const picked = await vscode.window.showQuickPick(
+            skipped.map(({ relativePath, reason }) => ({ label: relativePath, description: reason })),
+            { placeHolder: "VCM: Files skipped by the repo-wide toggle (select to open)" }
+          );
+          if (picked) {
+            try {
+              await vscode.window.showTextDocument(vscode.Uri.joinPath(workspaceRoot, picked.label));
+            } catch {
+              // Source is missing - nothing to open
+            }
+          }
+        }
+      } catch (err) {
+        vscode.window.showErrorMessage(
+          "VCM: Error toggling comments repo-wide: " + (err?.message || String(err))
+        );
+      } finally {
+        for (const plan of unwritten) discardVCMSave(plan);
+        // Re-enable sync after a delay to ensure saves complete
+        setTimeout(() => (vcmSyncEnabled = true), 800);
+      }
+    }
+  );
+  context.subscriptions.push(toggleLocalComments);
+
+  // ---------------------------------------------------------------------------
+  // Orphaned comments: VCM records whose anchor code line no longer exists
+  // ---------------------------------------------------------------------------
+  // Scan the given mirrors (shared, private and named layers) against their source files
+  async function collectOrphans(relativePaths) {
+    const orphans = []; // { relativePath, layer, isPrivate, index, comment, placed }
+    for (const relativePath of relativePaths) {
+      let doc;
+      try {
+        doc = await vscode.workspace.openTextDocument(vscode.Uri.joinPath(workspaceRoot, relativePath));
+      } catch {
+        continue; // Source file is gone - the whole mirror is stale, not single comments
+      }
+      const text = doc.getText();
+      for (const layer of [SHARED_LAYER, PRIVATE_LAYER, ...commentLayerNames]) {
+        const comments = await readLayerStore(relativePath, layer);
+        const isPrivate = layer === PRIVATE_LAYER;
+        for (const { comment, placed } of findOrphanedComments(text, doc.uri.path, comments, getInjectOptions())) {
+          orphans.push({ relativePath, layer, isPrivate, index: comments.indexOf(comment), comment, placed });
+        }
+      }
+    }
+    return orphans;
+  }
+
+  const orphanLabel = (comment) =>
+    (getCommentText(comment).split("\n")[0] || "").trim().slice(0, 80) || "(empty comment)";
+
+  const toOrphanItem = (orphan) => ({
+    label: orphanLabel(orphan.comment),
+    description: `${orphan.relativePath}${orphan.layer !== SHARED_LAYER ? ` · ${orphan.layer}` : ""} · ${orphan.placed ? "placed by context" : "not injected"}`,
+    detail: `anchor: ${orphan.comment.anchorText || "∅"}  |  prev: ${orphan.comment.prevHashText || "∅"}  |  next: ${orphan.comment.nextHashText || "∅"}`,
+    orphan,
+  });
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Show Orphaned Comments (workspace-wide)
+  // ---------------------------------------------------------------------------
+  const showOrphanedComments = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.showOrphanedComments",
+    async () => {
+      try {
+        const relativePaths = await listMirroredFiles();
+        const orphans = await vscode.window.withProgress(
+          { location: vscode.ProgressLocation.Notification, title: "VCM: Scanning for orphaned comments" },
+          () => collectOrphans(relativePaths)
+        );
+
+        if (orphans.length === 0) {
+          vscode.window.showInformationMessage("VCM: No orphaned comments found ✅");
+          return;
+        }
+
+        const pick = await vscode.window.showQuickPick(orphans.map(toOrphanItem), {
+          placeHolder: `VCM: ${orphans.length} orphaned comment(s) - pick one to re-attach`,
+          matchOnDescription: true,
+          matchOnDetail: true,
+        });
+        if (!pick) return;
+
+        await vscode.commands.executeCommand("vcm-view-comments-mirror.reattachOrphanedComment", pick.orphan);
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error scanning for orphaned comments: " + (err?.message || String(err)));
+      }
+    }
+  );
+  context.subscriptions.push(showOrphanedComments);
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Re-attach Orphaned Comment
+  // ---------------------------------------------------------------------------
+  // Called from Show Orphaned Comments with the picked orphan, or from the
+  // command palette (then lists the orphans of the active file).
+  const reattachOrphanedComment = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.reattachOrphanedComment",
+    async (orphan) => {
+      try {
+        if (!orphan) {
+          const editor = vscode.window.activeTextEditor;
+          if (!editor) return;
+          const orphans = await collectOrphans([vscode.workspace.asRelativePath(editor.document.uri)]);
+          if (orphans.length === 0) {
+            vscode.window.showInformationMessage("VCM: No orphaned comments in this file ✅");
+            return;
+          }
+          const pick = await vscode.window.showQuickPick(orphans.map(toOrphanItem), {
+            placeHolder: "VCM: Pick an orphaned comment to re-attach",
+            matchOnDetail: true,
+          });
+          if (!pick) return;
+          orphan = pick.orphan;
+        }
+
+        const doc = await vscode.workspace.openTextDocument(vscode.Uri.joinPath(workspaceRoot, orphan.relativePath));
+        if (!isCommentedMap.has(doc.uri.fsPath)) {
+          isCommentedMap.set(doc.uri.fsPath, await detectInitialMode(doc));
+        }
+        if (!privateCommentsVisible.has(doc.uri.fsPath)) {
+          privateCommentsVisible.set(doc.uri.fsPath, await detectPrivateVisibility(doc, orphan.relativePath));
+        }
+
+        await ensureLayerVisibility(doc, orphan.relativePath);
+
+        // A visible copy would be merged back over the new anchor on the next save
+        const visible = orphan.layer === SHARED_LAYER
+          ? isCommentedMap.get(doc.uri.fsPath) === true
+          : orphan.layer === PRIVATE_LAYER
+            ? privateCommentsVisible.get(doc.uri.fsPath) === true
+            : isLayerVisible(doc, orphan.layer);
+        if (visible) {
+          vscode.window.showWarningMessage(
+            orphan.layer === SHARED_LAYER
+              ? "VCM: Switch this file to clean mode before re-attaching a comment."
+              : orphan.layer === PRIVATE_LAYER
+                ? "VCM: Hide private comments in this file before re-attaching a private comment."
+                : `VCM: Hide the ${orphan.layer} layer in this file before re-attaching one of its comments.`
+          );
+          return;
+        }
+
+        const editor = await vscode.window.showTextDocument(doc, { preview: false });
+        const lines = doc.getText().split("\n");
+        const commentOnlyLines = getCommentOnlyLines(lines, doc.uri.path);
+        const lineItems = [];
+        for (let i = 0; i < lines.length; i++) {
+          if (!lines[i].trim() || commentOnlyLines.has(i)) continue;
+          lineItems.push({ label: `${i + 1}: ${lines[i].trim()}`, lineIndex: i });
+        }
+
+        const linePick = await vscode.window.showQuickPick(lineItems, {
+          placeHolder: `VCM: Attach "${orphanLabel(orphan.comment)}" to which line? (was: ${orphan.comment.anchorText || "∅"})`,
+          onDidSelectItem: (item) => {
+            const range = new vscode.Range(item.lineIndex, 0, item.lineIndex, 0);
+            editor.selection = new vscode.Selection(range.start, range.start);
+            editor.revealRange(range, vscode.TextEditorRevealType.InCenter);
+          },
+        });
+        if (!linePick) return;
+
+        // Re-read the mirror and find the record again (it may have changed since the scan)
+        const comments = await readLayerStore(orphan.relativePath, orphan.layer);
+        const key = buildContextKey(orphan.comment);
+        const text = getCommentText(orphan.comment);
+        const matches = (c) => c && buildContextKey(c) === key && getCommentText(c) === text;
+        const target = matches(comments[orphan.index]) ? comments[orphan.index] : comments.find(matches);
+        if (!target) {
+          vscode.window.showWarningMessage("VCM: That comment changed since the scan - run Show Orphaned Comments again.");
+          return;
+        }
+
+        reattachComment(target, lines, linePick.lineIndex, doc.uri.path);
+        await writeLayerStore(orphan.relativePath, orphan.layer, comments);
+
+        vscode.window.showInformationMessage(`VCM: Comment re-attached to line ${linePick.lineIndex + 1} 📎`);
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error re-attaching comment: " + (err?.message || String(err)));
+      }
+    }
+  );
+  context.subscriptions.push(reattachOrphanedComment);
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Verify Round-Trip (current file or workspace)
+  // ---------------------------------------------------------------------------
+  // Strips and re-injects each commented file in memory and lists every comment
+  // that would move, duplicate or vanish on the next toggle. Nothing is written.
+  const roundTripOutput = vscode.window.createOutputChannel("VCM Round-Trip");
+  context.subscriptions.push(roundTripOutput);
+
+  async function verifyFileRoundTrip(relativePath) {
+    const doc = await vscode.workspace.openTextDocument(vscode.Uri.joinPath(workspaceRoot, relativePath));
+    if (!isCommentedMap.has(doc.uri.fsPath)) {
+      isCommentedMap.set(doc.uri.fsPath, await detectInitialMode(doc));
+    }
+    if (!privateCommentsVisible.has(doc.uri.fsPath)) {
+      privateCommentsVisible.set(doc.uri.fsPath, await detectPrivateVisibility(doc, relativePath));
+    }
+    // Clean mode: the comments only live in the mirror, there is no visible position to drift from
+    if (isCommentedMap.get(doc.uri.fsPath) !== true) return { doc, skipped: "clean mode" };
+    await ensureLayerVisibility(doc, relativePath);
+    const layerComments = await readCommentLayers(relativePath);
+
+    const result = verifyRoundTrip({
+      text: doc.getText(),
+      filePath: doc.uri.path,
+      sharedComments: await readSharedVCM(relativePath, vcmDir),
+      privateComments: await readPrivateVCM(relativePath, vcmPrivateDir),
+      privateVisible: privateCommentsVisible.get(doc.uri.fsPath) === true,
+      layers: Object.entries(layerComments).map(([name, comments]) => ({ name, comments, visible: isLayerVisible(doc, name) })),
+      injectOptions: getInjectOptions(),
+    });
+    return { doc, ...result };
+  }
+
+  const verifyRoundTripCommand = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.verifyRoundTrip",
+    async () => {
+      try {
+        const editor = vscode.window.activeTextEditor;
+        let scope = "workspace";
+        if (editor && editor.document.uri.scheme === "file") {
+          const pick = await vscode.window.showQuickPick(
+            [
+              { label: "Current File", description: vscode.workspace.asRelativePath(editor.document.uri), scope: "file" },
+              { label: "Workspace", description: "every file with a .vcm mirror", scope: "workspace" },
+            ],
+            { placeHolder: "VCM: Verify round-trip for…" }
+          );
+          if (!pick) return;
+          scope = pick.scope;
+        }
+
+        const relativePaths = scope === "file"
+          ? [vscode.workspace.asRelativePath(editor.document.uri)]
+          : await listMirroredFiles();
+
+        const results = await vscode.window.withProgress(
+          { location: vscode.ProgressLocation.Notification, title: "VCM: Verifying round-trip" },
+          async () => {
+            const out = [];
+            for (const relativePath of relativePaths) {
+              try {
+                out.push({ relativePath, ...(await verifyFileRoundTrip(relativePath)) });
+              } catch (err) {
+                out.push({ relativePath, error: err?.message || String(err) });
+              }
+            }
+            return out;
+          }
+        );
+
+        roundTripOutput.clear();
+        roundTripOutput.appendLine(`VCM round-trip check (${new Date().toLocaleString()})`);
+        let issueCount = 0;
+        let failedFiles = 0;
+        for (const r of results) {
+          if (r.error) {
+            roundTripOutput.appendLine(`\n${r.relativePath}: could not verify (${r.error})`);
+            continue;
+          }
+          if (r.skipped) {
+            roundTripOutput.appendLine(`\n${r.relativePath}: skipped (${r.skipped})`);
+            continue;
+          }
+          if (r.issues.length === 0) {
+            roundTripOutput.appendLine(`\n${r.relativePath}: OK${r.identical ? "" : " (whitespace differs)"}`);
+            continue;
+          }
+
+          failedFiles++;
+          issueCount += r.issues.length;
+          roundTripOutput.appendLine(`\n${r.relativePath}: ${r.issues.length} issue(s)`);
+          for (const issue of r.issues) {
+            // "path:line" is a clickable link in the output panel
+            const line = (issue.line ?? issue.roundTripLine ?? 0) + 1;
+            const where = issue.kind === "moved" || (issue.kind === "duplicated" && issue.roundTripLine !== undefined)
+              ? ` -> would land on line ${issue.roundTripLine + 1}`
+              : "";
+            const label = (issue.text || "").split("\n")[0].trim().slice(0, 80);
+            roundTripOutput.appendLine(`  ${issue.kind.padEnd(10)} ${r.doc.uri.fsPath}:${line}  ${label}${where}${issue.layer ? `  [${issue.layer}]` : issue.isPrivate ? "  [private]" : ""}`);
+            roundTripOutput.appendLine(`             key: ${issue.contextKey ?? "(not in mirror)"}`);
+          }
+        }
+
+        if (issueCount === 0) {
+          vscode.window.showInformationMessage(`VCM: Round-trip OK for ${results.length} file(s) ✅`);
+          return;
+        }
+        roundTripOutput.show(true);
+        vscode.window.showWarningMessage(
+          `VCM: ${issueCount} comment(s) in ${failedFiles} file(s) would not survive a toggle - see "VCM Round-Trip" output.`
+        );
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error verifying round-trip: " + (err?.message || String(err)));
+      }
+    }
+  );
+  context.subscriptions.push(verifyRoundTripCommand);
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Install git pre-commit hook (sources must be committed in clean mode)
+  // ---------------------------------------------------------------------------
+  const cliPath = path.join(context.extensionPath, "bin", "vcm.js");
+
+  // Absolute hooks path for the workspace repo (respects core.hooksPath and worktrees)
+  async function getPreCommitHookPath() {
+    const { stdout } = await execFileAsync("git", ["rev-parse", "--git-path", "hooks"], { cwd: workspaceRoot.fsPath });
+    return path.resolve(workspaceRoot.fsPath, stdout.trim(), "pre-commit");
+  }
+
+  const readHook = (hookPath) => fsp.readFile(hookPath, "utf8").catch(() => null);
+
+  const installPreCommitHook = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.installPreCommitHook",
+    async () => {
+      try {
+        let hookPath;
+        try {
+          hookPath = await getPreCommitHookPath();
+        } catch {
+          vscode.window.showWarningMessage("VCM: This workspace is not a git repository.");
+          return;
+        }
+
+        const pick = await vscode.window.showQuickPick(
+          [
+            { label: "Block the commit", description: "list the comments that must be hidden first", autoFix: false },
+            { label: "Auto-fix", description: "strip the comments into .vcm and re-stage the files", autoFix: true },
+          ],
+          { placeHolder: "VCM: When a staged file still shows comments…" }
+        );
+        if (!pick) return;
+
+        const existing = await readHook(hookPath);
+        if (existing !== null && !isVCMHook(existing)) {
+          const choice = await vscode.window.showWarningMessage(
+            `VCM: ${hookPath} already exists and was not installed by VCM. Replace it?`,
+            { modal: true },
+            "Replace"
+          );
+          if (choice !== "Replace") return;
+        }
+
+        await fsp.mkdir(path.dirname(hookPath), { recursive: true });
+        await fsp.writeFile(hookPath, buildPreCommitHook(cliPath, pick.autoFix), { mode: 0o755 });
+        await fsp.chmod(hookPath, 0o755);
+        vscode.window.showInformationMessage(
+          `VCM: Pre-commit hook installed (${pick.autoFix ? "auto-fix" : "block"}) ✅`
+        );
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error installing pre-commit hook: " + (err?.message || String(err)));
+      }
+    }
+  );
+  context.subscriptions.push(installPreCommitHook);
+
+  // The hook points into the extension folder, which changes on every update: keep it current
+  (async () => {
+    try {
+      const hookPath = await getPreCommitHookPath();
+      const existing = await readHook(hookPath);
+      if (!isVCMHook(existing)) return;
+      const installed = parsePreCommitHook(existing);
+      if (installed.cliPath === cliPath) return;
+      await fsp.writeFile(hookPath, buildPreCommitHook(cliPath, installed.autoFix), { mode: 0o755 });
+    } catch {
+      // Not a git repo or hooks not writable - nothing to refresh
+    }
+  })();
+
+  // ---------------------------------------------------------------------------
+  // Renames / moves: mirrors follow their source file
+  // ---------------------------------------------------------------------------
+  // Moves the mirrors and the cached per-file state (keyed by fsPath) of a renamed file or folder
+  async function relocateMirrors(oldUri, newUri) {
+    const from = vscode.workspace.asRelativePath(oldUri, false);
+    const to = vscode.workspace.asRelativePath(newUri, false);
+    const result = await moveMirrors(from, to, vcmDir, vcmPrivateDir, layerDirs());
+
+    for (const map of [isCommentedMap, privateCommentsVisible, layerCommentsVisible, virtualCommentsVisible]) {
+      for (const [fsPath, value] of [...map.entries()]) {
+        if (fsPath !== oldUri.fsPath && !fsPath.startsWith(oldUri.fsPath + path.sep)) continue;
+        map.delete(fsPath);
+        map.set(newUri.fsPath + fsPath.slice(oldUri.fsPath.length), value);
+      }
+    }
+    anchorEditTracker.forget(oldUri.fsPath);
+    return result;
+  }
+
+  const renameWatcher = vscode.workspace.onDidRenameFiles(async (e) => {
+    const conflicts = [];
+    for (const { oldUri, newUri } of e.files) {
+      if (oldUri.scheme !== "file" || oldUri.path.includes("/.vcm/") || newUri.path.includes("/.vcm/")) continue;
+      // Outside the workspace there is no relative path to key a mirror by
+      if (!vscode.workspace.getWorkspaceFolder(oldUri) || !vscode.workspace.getWorkspaceFolder(newUri)) continue;
+      try {
+        conflicts.push(...(await relocateMirrors(oldUri, newUri)).conflicts);
+      } catch (err) {
+        console.warn("VCM: Failed to move mirrors for renamed file", err);
+      }
+    }
+    if (conflicts.length > 0) {
+      vscode.window.showWarningMessage(
+        `VCM: Comments for ${conflicts.map(c => c.from).join(", ")} were not moved - a mirror already exists for ${conflicts.map(c => c.to).join(", ")}.`
+      );
+    }
+  });
+  context.subscriptions.push(renameWatcher);
+
+  // Source paths with a mirror in any store (shared, private or a named layer)
+  async function listMirroredFiles() {
+    const lists = await Promise.all(mirrorDirs().map(dir => listVCMFiles(dir)));
+    return [...new Set(lists.flat())].sort();
+  }
+
+  // Mirrored paths whose source file no longer exists
+  async function findStaleMirrors() {
+    const stale = [];
+    for (const relativePath of await listMirroredFiles()) {
+      const exists = await vscodeFs.stat(vscode.Uri.joinPath(workspaceRoot, relativePath)).then(() => true, () => false);
+      if (!exists) stale.push(relativePath);
+    }
+    return stale;
+  }
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Relink mirrors of files moved outside the editor (git mv, pull, terminal)
+  // ---------------------------------------------------------------------------
+  const relinkMovedFiles = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.relinkMovedFiles",
+    async () => {
+      try {
+        const matches = await vscode.window.withProgress(
+          { location: vscode.ProgressLocation.Notification, title: "VCM: Looking for moved files" },
+          async () => {
+            const mirrored = await listMirroredFiles();
+            const missing = [];
+            for (const relativePath of await findStaleMirrors()) {
+              const { allComments } = await readBothVCMs(relativePath, vcmDir, vcmPrivateDir);
+              const layerComments = Object.values(await readCommentLayers(relativePath)).flat();
+              missing.push({ relativePath, comments: [...allComments, ...layerComments] });
+            }
+            if (missing.length === 0) return [];
+
+            const extensions = new Set(missing.map(m => m.relativePath.split(".").pop()));
+            const mirroredSet = new Set(mirrored);
+            const candidates = [];
+            for (const uri of await vscode.workspace.findFiles("**/*", "{**/node_modules/**,**/.vcm/**,**/.git/**}")) {
+              const relativePath = vscode.workspace.asRelativePath(uri, false);
+              if (mirroredSet.has(relativePath) || !extensions.has(relativePath.split(".").pop())) continue;
+              candidates.push({ relativePath, text: await vscodeFs.readFile(uri) });
+            }
+            return findMovedFiles({ missing, candidates });
+          }
+        );
+
+        if (matches.length === 0) {
+          vscode.window.showInformationMessage("VCM: No moved files found ✅");
+          return;
+        }
+
+        const picks = await vscode.window.showQuickPick(
+          matches.map(m => ({
+            label: `${m.from} → ${m.to}`,
+            description: `${Math.round(m.score * 100)}% of comment anchors found`,
+            picked: true,
+            match: m,
+          })),
+          { canPickMany: true, placeHolder: "VCM: Relink these mirrors to their moved files?" }
+        );
+        if (!picks || picks.length === 0) return;
+
+        let moved = 0;
+        const conflicts = [];
+        for (const { match } of picks) {
+          const result = await relocateMirrors(
+            vscode.Uri.joinPath(workspaceRoot, match.from),
+            vscode.Uri.joinPath(workspaceRoot, match.to)
+          );
+          if (result.moved.length > 0) moved++;
+          conflicts.push(...result.conflicts);
+        }
+
+        if (conflicts.length > 0) {
+          vscode.window.showWarningMessage(`VCM: Relinked ${moved} file(s); ${conflicts.length} mirror(s) skipped because the target already has one.`);
+        } else {
+          vscode.window.showInformationMessage(`VCM: Relinked ${moved} file(s) ✅`);
+        }
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error relinking moved files: " + (err?.message || String(err)));
+      }
+    }
+  );
+  context.subscriptions.push(relinkMovedFiles);
+
+  // ---------------------------------------------------------------------------
+  // Deletes: mirrors of deleted files go to .vcm/<store>/.archive/<timestamp>/
+  // ---------------------------------------------------------------------------
+  const deleteWatcher = vscode.workspace.onDidDeleteFiles(async (e) => {
+    const archived = [];
+    const date = new Date();
+    for (const uri of e.files) {
+      if (uri.scheme !== "file" || uri.path.includes("/.vcm/") || !vscode.workspace.getWorkspaceFolder(uri)) continue;
+      try {
+        archived.push(...(await archiveMirrors(vscode.workspace.asRelativePath(uri, false), vcmBaseDir, { date })));
+      } catch (err) {
+        console.warn("VCM: Failed to archive mirrors for deleted file", err);
+      }
+      for (const map of [isCommentedMap, privateCommentsVisible, layerCommentsVisible, virtualCommentsVisible]) {
+        for (const fsPath of [...map.keys()]) {
+          if (fsPath === uri.fsPath || fsPath.startsWith(uri.fsPath + path.sep)) map.delete(fsPath);
+        }
+      }
+      anchorEditTracker.forget(uri.fsPath);
+    }
+    if (archived.length > 0) {
+      const files = [...new Set(archived.map(a => a.relativePath))];
+      vscode.window.setStatusBarMessage(
+        `VCM: Archived comments of ${files.length} deleted file(s) - restore with "VCM: Prune Stale Mirrors"`,
+        8000
+      );
+    }
+  });
+  context.subscriptions.push(deleteWatcher);
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Prune stale mirrors (source missing) and archived mirrors
+  // ---------------------------------------------------------------------------
+  const pruneStaleMirrors = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.pruneStaleMirrors",
+    async () => {
+      try {
+        // One pass per action so the list always reflects what is left
+        while (true) {
+          const stale = await findStaleMirrors();
+
+          // Archived mirrors grouped per deleted file (all its layers restore together)
+          const archivedGroups = new Map();
+          for (const entry of await listArchivedMirrors(vcmBaseDir)) {
+            const key = `${entry.archiveId}\u0000${entry.relativePath}`;
+            if (!archivedGroups.has(key)) archivedGroups.set(key, []);
+            archivedGroups.get(key).push(entry);
+          }
+
+          if (stale.length === 0 && archivedGroups.size === 0) {
+            vscode.window.showInformationMessage("VCM: No stale or archived mirrors ✅");
+            return;
+          }
+
+          const layersLabel = (layers) => [...new Set(layers)].join(" + ");
+          const items = [];
+          if (stale.length > 0) {
+            items.push({ label: "Source file missing", kind: vscode.QuickPickItemKind.Separator });
+            for (const relativePath of stale) {
+              const layers = [];
+              for (const [layer, dir] of Object.entries(storeDirs())) {
+                if (await vcmFileExists(dir, relativePath)) layers.push(layer);
+              }
+              items.push({ label: relativePath, description: layersLabel(layers), stale: relativePath });
+            }
+          }
+          if (archivedGroups.size > 0) {
+            items.push({ label: "Archived", kind: vscode.QuickPickItemKind.Separator });
+            for (const entries of archivedGroups.values()) {
+              items.push({
+                label: entries[0].relativePath,
+                description: `${layersLabel(entries.map(layerOf))} · deleted ${entries[0].archiveId}`,
+                archived: entries,
+              });
+            }
+          }
+
+          const pick = await vscode.window.showQuickPick(items, {
+            placeHolder: "VCM: Pick a mirror to restore, archive or delete (Esc when done)",
+            matchOnDescription: true,
+          });
+          if (!pick) return;
+
+          const actions = pick.stale
+            ? [{ label: "Archive", action: "archive" }, { label: "Delete", action: "delete" }]
+            : [{ label: "Restore", action: "restore" }, { label: "Delete", action: "delete" }];
+          const choice = await vscode.window.showQuickPick(actions, { placeHolder: `VCM: ${pick.label}` });
+          if (!choice) continue;
+
+          if (choice.action === "delete") {
+            const confirm = await vscode.window.showWarningMessage(
+              `VCM: Permanently delete the comments of ${pick.label}?`,
+              { modal: true },
+              "Delete"
+            );
+            if (confirm !== "Delete") continue;
+          }
+
+          if (pick.stale) {
+            if (choice.action === "archive") {
+              await archiveMirrors(pick.stale, vcmBaseDir);
+            } else {
+              for (const dir of mirrorDirs()) {
+                if (await vcmFileExists(dir, pick.stale)) await deleteMirror(dir, pick.stale);
+              }
+            }
+          } else if (choice.action === "restore") {
+            const blocked = [];
+            for (const entry of pick.archived) {
+              if (!(await restoreArchivedMirror(entry, vcmBaseDir))) blocked.push(layerOf(entry));
+            }
+            if (blocked.length > 0) {
+              vscode.window.showWarningMessage(
+                `VCM: ${pick.label} already has a ${blocked.join(" and ")} mirror - the archived copy was kept.`
+              );
+            }
+          } else {
+            for (const entry of pick.archived) await deleteArchivedMirror(entry, vcmBaseDir);
+          }
+        }
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error pruning mirrors: " + (err?.message || String(err)));
+      }
+    }
+  );
+  context.subscriptions.push(pruneStaleMirrors);
+
+  // ---------------------------------------------------------------------------
+  // HOVER: hidden comments of the hovered line
+  // ---------------------------------------------------------------------------
+  // In clean mode (and while private comments are hidden) hovering a code line
+  // shows the comments that would be injected there, with command links that
+  // call hiddenCommentAction with the record's stable id.
+  const HIDDEN_COMMENT_ACTION = "vcm-view-comments-mirror.hiddenCommentAction";
+
+  // Mirror comments of this document that are not in it right now
+  async function getHiddenComments(doc) {
+    const relativePath = vscode.workspace.asRelativePath(doc.uri);
+    const { sharedComments, privateComments } = await readBothVCMs(relativePath, vcmDir, vcmPrivateDir);
+    const isCommented = isCommentedMap.has(doc.uri.fsPath)
+      ? isCommentedMap.get(doc.uri.fsPath)
+      : await detectInitialMode(doc);
+    const privateVisible = privateCommentsVisible.has(doc.uri.fsPath)
+      ? privateCommentsVisible.get(doc.uri.fsPath)
+      : await detectPrivateVisibility(doc, relativePath);
+    await ensureLayerVisibility(doc, relativePath);
+    const layers = {};
+    for (const layer of commentLayerNames) {
+      if (!isLayerVisible(doc, layer)) layers[layer] = await readLayerVCM(relativePath, layerDir(layer), layer);
+    }
+    return {
+      shared: isCommented ? [] : sharedComments,
+      private: privateVisible ? [] : privateComments,
+      layers,
+    };
+  }
+
+  // Shared, private or any named layer
+  async function hasAnyMirror(relativePath) {
+    for (const dir of mirrorDirs()) {
+      if (await vcmFileExists(dir, relativePath)) return true;
+    }
+    return false;
+  }
+
+  // Hover / CodeLens wording for a hidden comment's layer
+  const hiddenLayerLabel = (layer) =>
+    layer === SHARED_LAYER ? "shared" : layer === PRIVATE_LAYER ? "private 🔒" : `${layer} layer`;
+
+  const hiddenCommentHover = vscode.languages.registerHoverProvider({ scheme: "file" }, {
+    async provideHover(doc, position) {
+      if (doc.uri.path.includes("/.vcm/")) return null;
+      const relativePath = vscode.workspace.asRelativePath(doc.uri);
+      if (!(await hasAnyMirror(relativePath))) return null;
+
+      let found;
+      try {
+        const hidden = await getHiddenComments(doc);
+        found = findHiddenCommentsAtLine(doc.getText(), doc.uri.path, hidden, position.line, getInjectOptions());
+      } catch (err) {
+        console.warn("VCM: Hover lookup failed", err);
+        return null;
+      }
+      if (found.length === 0) return null;
+
+      const md = new vscode.MarkdownString();
+      md.isTrusted = { enabledCommands: [HIDDEN_COMMENT_ACTION] };
+      found.forEach(({ comment, layer, position: where }, i) => {
+        if (i > 0) md.appendMarkdown("\n\n---\n\n");
+        md.appendMarkdown(`**VCM** ${hiddenLayerLabel(layer)} comment${where === "inline" ? " (inline)" : ""}`);
+        const byline = describeAuthorship(comment);
+        if (byline) md.appendMarkdown(" · ").appendText(byline);
+        md.appendMarkdown("\n");
+        md.appendCodeblock(getCommentText(comment), doc.languageId);
+
+        const link = (label, action) => {
+          const args = encodeURIComponent(JSON.stringify([{ uri: doc.uri.toString(), id: comment.id, layer, line: position.line, action }]));
+          return `[${label}](command:${HIDDEN_COMMENT_ACTION}?${args})`;
+        };
+        const links = [link("Show inline", "showInline")];
+        if (layer === SHARED_LAYER) links.push(link("Always show", "alwaysShow"));
+        if (layer === SHARED_LAYER && comment.type !== "inline") links.push(link("Make private", "makePrivate"));
+        md.appendMarkdown(links.join(" · "));
+      });
+      return new vscode.Hover(md);
+    },
+  });
+  context.subscriptions.push(hiddenCommentHover);
+
+  // "Show inline" previews: end-of-line text on the hovered line until the document changes
+  const inlinePreviewDecoration = vscode.window.createTextEditorDecorationType({
+    after: {
+      margin: "0 0 0 2em",
+      color: new vscode.ThemeColor("editorCodeLens.foreground"),
+      fontStyle: "italic",
+    },
+  });
+  context.subscriptions.push(inlinePreviewDecoration);
+  const inlinePreviews = new Map(); // fsPath -> DecorationOptions[]
+
+  function renderInlinePreviews(editor) {
+    editor.setDecorations(inlinePreviewDecoration, inlinePreviews.get(editor.document.uri.fsPath) || []);
+  }
+
+  // Preview records at the end of a line (replacing earlier previews of the same records), or
+  // remove them again when every one of them is already previewed (hide = true)
+  function setInlinePreviews(doc, line, records, { toggle = false } = {}) {
+    const ids = new Set(records.map(r => r.id));
+    const current = inlinePreviews.get(doc.uri.fsPath) || [];
+    const hide = toggle && records.every(r => current.some(p => p.id === r.id));
+    const previews = current.filter(p => !ids.has(p.id));
+    if (!hide) {
+      const end = doc.lineAt(line).range.end;
+      for (const record of records) {
+        previews.push({ id: record.id, range: new vscode.Range(end, end), renderOptions: { after: { contentText: formatCommentPreview(record) } } });
+      }
+    }
+    inlinePreviews.set(doc.uri.fsPath, previews);
+    for (const editor of vscode.window.visibleTextEditors) {
+      if (editor.document === doc) renderInlinePreviews(editor);
+    }
+  }
+
+  context.subscriptions.push(
+    vscode.workspace.onDidChangeTextDocument((e) => {
+      if (!inlinePreviews.delete(e.document.uri.fsPath)) return;
+      for (const editor of vscode.window.visibleTextEditors) {
+        if (editor.document === e.document) renderInlinePreviews(editor);
+      }
+    }),
+    vscode.window.onDidChangeVisibleTextEditors((editors) => editors.forEach(renderInlinePreviews))
+  );
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Hover links -> show inline / always show / make private
+  // ---------------------------------------------------------------------------
+  const hiddenCommentAction = vscode.commands.registerCommand(
+    HIDDEN_COMMENT_ACTION,
+    async ({ uri, id, layer = SHARED_LAYER, line, action } = {}) => {
+      if (!uri || !id) return;
+      const doc = await vscode.workspace.openTextDocument(vscode.Uri.parse(uri));
+      const relativePath = vscode.workspace.asRelativePath(doc.uri);
+
+      try {
+        const comments = await readLayerStore(relativePath, layer);
+        const record = comments.find(c => c.id === id);
+        if (!record) {
+          vscode.window.showWarningMessage("VCM: That comment is no longer in the mirror.");
+          return;
+        }
+
+        if (action === "showInline") {
+          setInlinePreviews(doc, line, [record]);
+          return;
+        }
+        // Always show and Make private are only offered for shared comments
+        if (layer !== SHARED_LAYER) return;
+        let sharedComments = comments;
+        const privateComments = await readPrivateVCM(relativePath, vcmPrivateDir);
+
+        if (action === "makePrivate") {
+          if (!(await confirmDropDiscussion(record))) return;
+          // Stays hidden: private comments are never visible in clean mode
+          sharedComments = sharedComments.filter(c => c.id !== id);
+          const { thread, ...rest } = record;
+          privateComments.push({ ...rest, isPrivate: true });
+          await writePrivateVCM(relativePath, privateComments, vcmPrivateDir);
+          await writeSharedVCM(relativePath, sharedComments, vcmDir);
+          vscode.window.showInformationMessage("VCM: Marked as Private 🔒");
+        } else if (action === "alwaysShow") {
+          // Always-show comments live in the file: inject just this one, then flag it
+          vcmSyncEnabled = false;
+          try {
+            const newText = injectComments(doc.getText(), doc.uri.path, [record], true, false, getInjectOptions());
+            record.alwaysShow = true;
+            await writeSharedVCM(relativePath, sharedComments, vcmDir);
+
+            const edit = new vscode.WorkspaceEdit();
+            edit.replace(doc.uri, new vscode.Range(0, 0, doc.lineCount, 0), newText);
+            await vscode.workspace.applyEdit(edit);
+            justInjectedFromVCM.add(doc.uri.fsPath);
+            await doc.save();
+          } finally {
+            setTimeout(() => (vcmSyncEnabled = true), 800);
+          }
+          vscode.window.showInformationMessage("VCM: Marked as Always Show ✅");
+          await updateAlwaysShow(context, deps);
+        } else {
+          return;
+        }
+
+        await updateSplitViewIfOpen(
+          doc,
+          provider,
+          relativePath,
+          getSplitViewState,
+          (relativePath) => readSharedVCM(relativePath, vcmDir),
+          (relativePath) => readPrivateVCM(relativePath, vcmPrivateDir)
+        );
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error updating hidden comment: " + (err?.message || String(err)));
+      }
+    }
+  );
+  context.subscriptions.push(hiddenCommentAction);
+
+  // ---------------------------------------------------------------------------
+  // VIRTUAL COMMENTED MODE: comments as decorations, the file stays clean
+  // ---------------------------------------------------------------------------
+  // Per file (virtualCommentsVisible), switched by Toggle Virtual Comments or, with
+  // displayMode = "virtual", by the regular toggle. Only clean files are drawn:
+  // the comments sit at the end of the line injectComments would attach them to.
+  const virtualDecorations = {
+    shared: vscode.window.createTextEditorDecorationType({
+      after: { margin: "0 0 0 2em", color: new vscode.ThemeColor("editorLineNumber.foreground"), fontStyle: "italic" },
+    }),
+    private: vscode.window.createTextEditorDecorationType({
+      after: { margin: "0 0 0 1em", color: new vscode.ThemeColor("editorWarning.foreground"), fontStyle: "italic" },
+    }),
+  };
+  context.subscriptions.push(...Object.values(virtualDecorations));
+
+  async function renderVirtualComments(editor) {
+    const options = { shared: [], private: [] };
+    if (virtualCommentsVisible.get(editor.document.uri.fsPath)) {
+      try {
+        const byLine = await getHiddenCommentMap(editor.document);
+        for (const { line, text, layer } of buildVirtualCommentLines(byLine || new Map())) {
+          const end = editor.document.lineAt(line).range.end;
+          const prefix = layer === SHARED_LAYER ? "" : layer === PRIVATE_LAYER ? "🔒 " : `[${layer}] `;
+          // Named layers are local like private comments and share its style
+          options[layer === SHARED_LAYER ? "shared" : "private"].push({
+            range: new vscode.Range(end, end),
+            renderOptions: { after: { contentText: prefix + text } },
+          });
+        }
+      } catch (err) {
+        console.warn("VCM: Virtual comments failed", err);
+      }
+    }
+    editor.setDecorations(virtualDecorations.shared, options.shared);
+    editor.setDecorations(virtualDecorations.private, options.private);
+  }
+
+  async function toggleVirtualComments(doc) {
+    const fsPath = doc.uri.fsPath;
+    const renderFor = () => Promise.all(
+      vscode.window.visibleTextEditors.filter(editor => editor.document === doc).map(renderVirtualComments)
+    );
+
+    if (virtualCommentsVisible.get(fsPath)) {
+      virtualCommentsVisible.delete(fsPath);
+      await renderFor();
+      vscode.window.showInformationMessage("VCM: Virtual comments hidden");
+      return;
+    }
+
+    const relativePath = vscode.workspace.asRelativePath(doc.uri);
+    if (!(await vcmFileExists(vcmDir, relativePath)) && !(await vcmFileExists(vcmPrivateDir, relativePath))) {
+      vscode.window.showWarningMessage("VCM: This file has no mirror yet. Toggle its comments once to create it.");
+      return;
+    }
+    if (!isCommentedMap.has(fsPath)) isCommentedMap.set(fsPath, await detectInitialMode(doc));
+    if (isCommentedMap.get(fsPath) === true) {
+      vscode.window.showWarningMessage("VCM: This file already shows its comments. Switch it to clean mode first.");
+      return;
+    }
+
+    virtualCommentsVisible.set(fsPath, true);
+    await renderFor();
+    vscode.window.showInformationMessage("VCM: Showing comments as decorations (file unchanged) 👁");
+  }
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Toggle Virtual Comments (current file)
+  // ---------------------------------------------------------------------------
+  const toggleVirtualCommentsCommand = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.toggleVirtualComments",
+    async () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor) return;
+      try {
+        await toggleVirtualComments(editor.document);
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error toggling virtual comments: " + (err?.message || String(err)));
+      }
+    }
+  );
+  context.subscriptions.push(toggleVirtualCommentsCommand);
+
+  // ---------------------------------------------------------------------------
+  // DISCUSSIONS: reply threads on shared comments (VS Code Comments API)
+  // ---------------------------------------------------------------------------
+  // Each shared comment with replies gets a comment thread on the line it resolves
+  // to (in the document, or where injectComments would put it while hidden). The
+  // "+" to start one is offered on those lines only. Replies are stored in the
+  // shared mirror (record.thread, see commentThreads.js), never in the source.
+  const discussionController = vscode.comments.createCommentController("vcm-discussions", "VCM Discussions");
+  context.subscriptions.push(discussionController);
+  const discussionThreads = new Map(); // fsPath -> Map<comment id, CommentThread>
+  const discussionRefreshes = new Map(); // fsPath -> generation, so a slow refresh never overwrites a newer one
+  const threadRecordIds = new WeakMap(); // CommentThread -> id of its mirror record
+
+  // Shared records of a document with the line each resolves to (orphans skipped)
+  async function locateSharedComments(doc) {
+    if (doc.uri.scheme !== "file" || doc.uri.path.includes("/.vcm/")) return [];
+    const relativePath = vscode.workspace.asRelativePath(doc.uri);
+    if (!(await vcmFileExists(vcmDir, relativePath))) return [];
+    const text = doc.getText();
+    const options = getInjectOptions();
+    const located = [];
+    for (const comment of await readSharedVCM(relativePath, vcmDir)) {
+      const location = locateComment(text, doc.uri.path, comment, options);
+      if (location) located.push({ comment, line: location.line });
+    }
+    return located;
+  }
+
+  discussionController.commentingRangeProvider = {
+    provideCommentingRanges: async (doc) => {
+      try {
+        return (await locateSharedComments(doc)).map(({ line }) => new vscode.Range(line, 0, line, 0));
+      } catch {
+        return [];
+      }
+    },
+  };
+
+  const toThreadComment = (reply, uri, id) => ({
+    body: new vscode.MarkdownString(reply.text),
+    mode: vscode.CommentMode.Preview,
+    author: { name: authorDisplayName(reply.author) || "unknown" },
+    timestamp: reply.createdAt ? new Date(reply.createdAt) : undefined,
+    contextValue: "vcmReply",
+    vcmReply: { uri: uri.toString(), id, replyId: reply.id },
+  });
+
+  async function refreshDiscussions(doc) {
+    const key = doc.uri.fsPath;
+    const generation = (discussionRefreshes.get(key) || 0) + 1;
+    discussionRefreshes.set(key, generation);
+
+    let located;
+    try {
+      located = (await locateSharedComments(doc)).filter(({ comment }) => hasThread(comment));
+    } catch (err) {
+      if (err instanceof VCMSchemaError) reportSaveError(err);
+      else console.warn("VCM: Failed to load discussions", err);
+      return;
+    }
+    if (discussionRefreshes.get(key) !== generation) return;
+
+    // Update threads in place so an expanded thread stays open while typing
+    const previous = discussionThreads.get(key) || new Map();
+    const current = new Map();
+    for (const { comment, line } of located) {
+      const range = new vscode.Range(line, 0, line, 0);
+      const comments = comment.thread.replies.map(reply => toThreadComment(reply, doc.uri, comment.id));
+      let thread = previous.get(comment.id);
+      if (thread) {
+        thread.range = range;
+        thread.comments = comments;
+      } else {
+        thread = discussionController.createCommentThread(doc.uri, range, comments);
+        thread.collapsibleState = vscode.CommentThreadCollapsibleState.Collapsed;
+        threadRecordIds.set(thread, comment.id);
+      }
+      const resolved = comment.thread.resolved === true;
+      thread.label = `VCM: ${getCommentText(comment).split("\n").map(l => l.trim()).find(Boolean) || "comment"}`;
+      thread.contextValue = resolved ? "vcmResolved" : "vcmUnresolved";
+      thread.state = resolved ? vscode.CommentThreadState.Resolved : vscode.CommentThreadState.Unresolved;
+      current.set(comment.id, thread);
+    }
+    for (const [id, thread] of previous) {
+      if (!current.has(id)) thread.dispose();
+    }
+    discussionThreads.set(key, current);
+  }
+
+  // Read-modify-write of one shared record, then redraw that document's threads
+  async function updateDiscussion(uri, id, update) {
+    const doc = await vscode.workspace.openTextDocument(uri);
+    const relativePath = vscode.workspace.asRelativePath(doc.uri);
+    const sharedComments = await readSharedVCM(relativePath, vcmDir);
+    const record = sharedComments.find(c => c.id === id);
+    if (!record) {
+      vscode.window.showWarningMessage("VCM: That comment is no longer in the shared mirror.");
+      return false;
+    }
+    update(record);
+    await writeSharedVCM(relativePath, sharedComments, vcmDir);
+    await refreshDiscussions(doc);
+    return true;
+  }
+
+  const replyToComment = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.replyToComment",
+    async ({ thread, text } = {}) => {
+      if (!thread || !text?.trim()) return;
+      try {
+        // A thread started from the "+" has no record yet: use the shared comment on its line
+        let id = threadRecordIds.get(thread);
+        if (!id) {
+          const doc = await vscode.workspace.openTextDocument(thread.uri);
+          id = (await locateSharedComments(doc)).find(l => l.line === thread.range.start.line)?.comment.id;
+          if (!id) {
+            vscode.window.showWarningMessage("VCM: Discussions attach to shared comments, and this line has none.");
+            return;
+          }
+        }
+        const saved = await updateDiscussion(thread.uri, id, (record) => addReply(record, { text, author: gitAuthor }));
+        if (saved && !threadRecordIds.has(thread)) thread.dispose(); // replaced by the record's own thread
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error saving reply: " + (err?.message || String(err)));
+      }
+    }
+  );
+  context.subscriptions.push(replyToComment);
+
+  const setDiscussionResolved = (resolved) => async (thread) => {
+    const id = thread && threadRecordIds.get(thread);
+    if (!id) return;
+    try {
+      await updateDiscussion(thread.uri, id, (record) => setThreadResolved(record, resolved));
+    } catch (err) {
+      vscode.window.showErrorMessage("VCM: Error updating discussion: " + (err?.message || String(err)));
+    }
+  };
+  const resolveDiscussion = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.resolveDiscussion",
+    setDiscussionResolved(true)
+  );
+  const reopenDiscussion = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.reopenDiscussion",
+    setDiscussionResolved(false)
+  );
+  context.subscriptions.push(resolveDiscussion, reopenDiscussion);
+
+  const deleteReplyCommand = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.deleteReply",
+    async (comment) => {
+      const target = comment?.vcmReply;
+      if (!target) return;
+      try {
+        await updateDiscussion(vscode.Uri.parse(target.uri), target.id, (record) => deleteReply(record, target.replyId));
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error deleting reply: " + (err?.message || String(err)));
+      }
+    }
+  );
+  context.subscriptions.push(deleteReplyCommand);
+
+  // ---------------------------------------------------------------------------
+  // INDICATORS: gutter icons / CodeLens on lines with hidden comments
+  // ---------------------------------------------------------------------------
+  // Setting hiddenCommentIndicators: "gutter" | "codeLens" | "both" | "off".
+  // Gutter icons can't be clicked in VS Code; the CodeLens (and Reveal Hidden
+  // Comments on Line) previews the comments with setInlinePreviews instead.
+  const getIndicatorSetting = () =>
+    vscode.workspace.getConfiguration("vcm-view-comments-mirror").get("hiddenCommentIndicators", "gutter");
+
+  const gutterDecorations = {
+    shared: vscode.window.createTextEditorDecorationType({ gutterIconPath: context.asAbsolutePath("media/hidden-shared.svg"), gutterIconSize: "contain" }),
+    private: vscode.window.createTextEditorDecorationType({ gutterIconPath: context.asAbsolutePath("media/hidden-private.svg"), gutterIconSize: "contain" }),
+    mixed: vscode.window.createTextEditorDecorationType({ gutterIconPath: context.asAbsolutePath("media/hidden-mixed.svg"), gutterIconSize: "contain" }),
+  };
+  context.subscriptions.push(...Object.values(gutterDecorations));
+
+  // Hidden comments by line for a document, or null when it has no mirror
+  async function getHiddenCommentMap(doc) {
+    if (doc.uri.scheme !== "file" || doc.uri.path.includes("/.vcm/")) return null;
+    const relativePath = vscode.workspace.asRelativePath(doc.uri);
+    if (!(await hasAnyMirror(relativePath))) return null;
+    return mapHiddenComments(doc.getText(), doc.uri.path, await getHiddenComments(doc), getInjectOptions());
+  }
+
+  async function refreshGutterIndicators(editor) {
+    const ranges = { shared: [], private: [], mixed: [] };
+    const setting = getIndicatorSetting();
+    if (setting === "gutter" || setting === "both") {
+      try {
+        const byLine = await getHiddenCommentMap(editor.document);
+        for (const [line, found] of byLine || []) {
+          // Named layers get the private icon
+          const kinds = new Set(found.map(f => f.layer !== SHARED_LAYER));
+          const kind = kinds.size > 1 ? "mixed" : kinds.has(true) ? "private" : "shared";
+          ranges[kind].push(new vscode.Range(line, 0, line, 0));
+        }
+      } catch (err) {
+        console.warn("VCM: Hidden comment indicators failed", err);
+      }
+    }
+    for (const kind of Object.keys(gutterDecorations)) editor.setDecorations(gutterDecorations[kind], ranges[kind]);
+  }
+
+  const codeLensChanged = new vscode.EventEmitter();
+  context.subscriptions.push(codeLensChanged);
+
+  function refreshHiddenIndicators() {
+    for (const editor of vscode.window.visibleTextEditors) {
+      refreshGutterIndicators(editor);
+      renderVirtualComments(editor);
+      refreshDiscussions(editor.document);
+    }
+    codeLensChanged.fire();
+  }
+
+  let indicatorTimeout;
+  context.subscriptions.push(
+    vscode.window.onDidChangeVisibleTextEditors(() => refreshHiddenIndicators()),
+    vscode.workspace.onDidSaveTextDocument(() => refreshHiddenIndicators()),
+    vscode.workspace.onDidChangeTextDocument((e) => {
+      if (e.document.uri.scheme !== "file") return;
+      clearTimeout(indicatorTimeout);
+      indicatorTimeout = setTimeout(refreshHiddenIndicators, 500);
+    }),
+    vscode.workspace.onDidChangeConfiguration((e) => {
+      if (e.affectsConfiguration("vcm-view-comments-mirror")) refreshHiddenIndicators();
+    })
+  );
+  refreshHiddenIndicators();
+
+  const hiddenCommentLens = vscode.languages.registerCodeLensProvider({ scheme: "file" }, {
+    onDidChangeCodeLenses: codeLensChanged.event,
+    async provideCodeLenses(doc) {
+      const setting = getIndicatorSetting();
+      if (setting !== "codeLens" && setting !== "both") return [];
+      let byLine;
+      try {
+        byLine = await getHiddenCommentMap(doc);
+      } catch (err) {
+        console.warn("VCM: Hidden comment CodeLens failed", err);
+        return [];
+      }
+      const lenses = [];
+      for (const [line, found] of byLine || []) {
+        const counts = new Map(); // non-shared layer -> count
+        for (const { layer } of found) {
+          if (layer !== SHARED_LAYER) counts.set(layer, (counts.get(layer) || 0) + 1);
+        }
+        const title = `${found.length} hidden comment${found.length === 1 ? "" : "s"}` +
+          (counts.size > 0 ? ` (${[...counts].map(([layer, n]) => `${n} ${hiddenLayerLabel(layer)}`).join(", ")})` : "");
+        lenses.push(new vscode.CodeLens(new vscode.Range(line, 0, line, 0), {
+          title,
+          command: "vcm-view-comments-mirror.revealHiddenComments",
+          arguments: [doc.uri, line],
+        }));
+      }
+      return lenses;
+    },
+  });
+  context.subscriptions.push(hiddenCommentLens);
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Reveal Hidden Comments on Line (CodeLens click / palette: cursor line)
+  // ---------------------------------------------------------------------------
+  const revealHiddenComments = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.revealHiddenComments",
+    async (uri, line) => {
+      let doc;
+      if (uri) {
+        doc = await vscode.workspace.openTextDocument(uri);
+      } else {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) return;
+        doc = editor.document;
+        line = editor.selection.active.line;
+      }
+
+      try {
+        const found = (await getHiddenCommentMap(doc))?.get(line) || [];
+        if (found.length === 0) {
+          vscode.window.showInformationMessage("VCM: No hidden comments on this line.");
+          return;
+        }
+        // Clicking again hides them
+        setInlinePreviews(doc, line, found.map(f => f.comment), { toggle: true });
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error revealing hidden comments: " + (err?.message || String(err)));
+      }
+    }
+  );
+  context.subscriptions.push(revealHiddenComments);
+
+  // ---------------------------------------------------------------------------
+  // VIEW: "VCM Comments" tree (Activity Bar) - every mirrored comment by file
+  // ---------------------------------------------------------------------------
+  const commentsTree = new VCMCommentsTreeProvider(workspaceRoot, (filter) =>
+    listWorkspaceComments(vcmDir, vcmPrivateDir, filter, layerDirs())
+  );
+  const commentsTreeView = vscode.window.createTreeView("vcmComments", { treeDataProvider: commentsTree });
+  context.subscriptions.push(commentsTreeView);
+
+  // Any mirror written, moved or deleted (by VCM, git or by hand) refreshes the tree
+  const mirrorWatcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(workspaceRoot, ".vcm/**"));
+  let treeRefreshTimeout;
+  const scheduleTreeRefresh = () => {
+    clearTimeout(treeRefreshTimeout);
+    treeRefreshTimeout = setTimeout(() => {
+      commentsTree.refresh();
+      refreshHiddenIndicators(); // mirrors changed outside the editor (git pull, CLI): redraw threads too
+    }, 300);
+  };
+  mirrorWatcher.onDidCreate(scheduleTreeRefresh);
+  mirrorWatcher.onDidChange(scheduleTreeRefresh);
+  mirrorWatcher.onDidDelete(scheduleTreeRefresh);
+  context.subscriptions.push(mirrorWatcher);
+
+  const refreshCommentsView = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.refreshCommentsView",
+    () => commentsTree.refresh()
+  );
+  context.subscriptions.push(refreshCommentsView);
+
+  const filterCommentsView = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.filterCommentsView",
+    async () => {
+      const current = commentsTree.filter;
+      const picks = await vscode.window.showQuickPick(
+        [
+          { label: "Shared comments", key: "shared", picked: current.shared },
+          { label: "Private and layer comments", key: "private", picked: current.private },
+          { label: "Only 'Always Show'", key: "alwaysShowOnly", picked: current.alwaysShowOnly },
+          { label: "Only frozen", key: "frozenOnly", picked: current.frozenOnly },
+        ],
+        { canPickMany: true, placeHolder: "VCM: Which comments should the view list?" }
+      );
+      if (!picks) return;
+
+      const filter = { shared: false, private: false, alwaysShowOnly: false, frozenOnly: false };
+      for (const pick of picks) filter[pick.key] = true;
+      commentsTree.setFilter(filter);
+      const narrowed = [
+        !filter.shared && "no shared",
+        !filter.private && "no private",
+        filter.alwaysShowOnly && "always show",
+        filter.frozenOnly && "frozen",
+      ].filter(Boolean);
+      commentsTreeView.description = narrowed.length > 0 ? `Filtered: ${narrowed.join(", ")}` : undefined;
+    }
+  );
+  context.subscriptions.push(filterCommentsView);
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Tree click -> open the file at the comment's resolved line
+  // ---------------------------------------------------------------------------
+  const revealComment = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.revealComment",
+    async (relativePath, comment) => {
+      if (!relativePath || !comment) return;
+
+      let editor;
+      try {
+        const doc = await vscode.workspace.openTextDocument(vscode.Uri.joinPath(workspaceRoot, relativePath));
+        editor = await vscode.window.showTextDocument(doc);
+      } catch {
+        vscode.window.showWarningMessage(
+          `VCM: ${relativePath} no longer exists. Run "VCM: Relink Moved Files" or "VCM: Prune Stale Mirrors".`
+        );
+        return;
+      }
+
+      try {
+        const doc = editor.document;
+        const location = locateComment(doc.getText(), doc.uri.path, comment, getInjectOptions());
+        if (!location) {
+          vscode.window.showWarningMessage(`VCM: This comment's anchor line is gone. See "VCM: Show Orphaned Comments".`);
+          return;
+        }
+        const position = new vscode.Position(location.line, 0);
+        editor.selection = new vscode.Selection(position, position);
+        editor.revealRange(new vscode.Range(position, position), vscode.TextEditorRevealType.InCenter);
+        // Hidden right now: preview it where it belongs
+        if (!location.inDocument) setInlinePreviews(doc, location.line, [comment]);
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error revealing comment: " + (err?.message || String(err)));
+      }
+    }
+  );
+  context.subscriptions.push(revealComment);
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Search Comments (every mirror, hidden or not)
+  // ---------------------------------------------------------------------------
+  // Live QuickPick over text / block / text_cleanMode of all mirrors; the title
+  // bar buttons switch regex and case sensitivity. Picking a result goes through
+  // revealComment, which resolves the anchor in the current source.
+  const searchCommentsCommand = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.searchComments",
+    async () => {
+      let files;
+      try {
+        files = await listWorkspaceComments(vcmDir, vcmPrivateDir, DEFAULT_COMMENT_FILTER, layerDirs());
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error reading mirrors: " + (err?.message || String(err)));
+        return;
+      }
+
+      const options = { regex: false, caseSensitive: false };
+      const pick = vscode.window.createQuickPick();
+      pick.placeholder = "Search comment text in every .vcm mirror";
+      pick.matchOnDescription = false;
+      pick.matchOnDetail = false;
+
+      const updateButtons = () => {
+        pick.title = "VCM: Search Comments" +
+          (options.regex ? " · regex" : "") +
+          (options.caseSensitive ? " · match case" : "");
+        pick.buttons = [
+          { key: "regex", iconPath: new vscode.ThemeIcon("regex"), tooltip: `Use Regular Expression (${options.regex ? "on" : "off"})` },
+          { key: "caseSensitive", iconPath: new vscode.ThemeIcon("case-sensitive"), tooltip: `Match Case (${options.caseSensitive ? "on" : "off"})` },
+        ];
+      };
+
+      const runSearch = () => {
+        let results;
+        try {
+          results = searchComments(files, pick.value, options);
+        } catch (err) {
+          pick.items = [{ label: `$(error) ${err.message}`, alwaysShow: true }];
+          return;
+        }
+        // alwaysShow: the QuickPick's own fuzzy filter must not hide regex matches
+        pick.items = results.map(result => ({
+          label: `${result.isPrivate ? "$(lock)" : "$(comment)"} ${result.matchText}`,
+          description: result.relativePath,
+          detail: result.field === "text_cleanMode" ? "typed in clean mode" : undefined,
+          alwaysShow: true,
+          result,
+        }));
+      };
+
+      updateButtons();
+      pick.onDidTriggerButton((button) => {
+        options[button.key] = !options[button.key];
+        updateButtons();
+        runSearch();
+      });
+      pick.onDidChangeValue(runSearch);
+      pick.onDidAccept(async () => {
+        const result = pick.selectedItems[0]?.result;
+        if (!result) return;
+        pick.hide();
+        await vscode.commands.executeCommand("vcm-view-comments-mirror.revealComment", result.relativePath, result.comment, result.isPrivate);
+      });
+      pick.onDidHide(() => pick.dispose());
+      pick.show();
+    }
+  );
+  context.subscriptions.push(searchCommentsCommand);
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Show Unresolved Reviews (every mirror)
+  // ---------------------------------------------------------------------------
+  // Unresolved review notes first, resolved ones listed separately below them. Picking
+  // one reveals it (resolved ones are previewed where they used to be); the item
+  // buttons resolve or reopen it without leaving the list.
+  const showUnresolvedReviews = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.showUnresolvedReviews",
+    async () => {
+      const pick = vscode.window.createQuickPick();
+      pick.title = "VCM: Review Notes";
+      pick.placeholder = "Unresolved review notes in every .vcm mirror";
+      pick.matchOnDescription = true;
+
+      const toItem = (review) => {
+        const { comment, isPrivate, relativePath } = review;
+        const resolved = isResolvedReview(comment);
+        const byline = resolved
+          ? ["resolved", authorDisplayName(comment.resolvedBy), comment.resolvedAt?.slice(0, 10)].filter(Boolean).join(" ")
+          : describeAuthorship(comment);
+        return {
+          label: `${isPrivate ? "$(lock)" : resolved ? "$(pass)" : "$(comment-unresolved)"} ${summarizeComment(comment, isPrivate).firstLine}`,
+          description: relativePath,
+          detail: byline || undefined,
+          buttons: [resolved
+            ? { iconPath: new vscode.ThemeIcon("debug-restart"), tooltip: "Reopen" }
+            : { iconPath: new vscode.ThemeIcon("check"), tooltip: "Resolve" }],
+          review,
+        };
+      };
+
+      const load = async () => {
+        pick.busy = true;
+        try {
+          const { unresolved, resolved } = collectReviews(await listWorkspaceComments(vcmDir, vcmPrivateDir));
+          pick.placeholder = unresolved.length === 0
+            ? "VCM: No unresolved review notes 🎉"
+            : `${unresolved.length} unresolved review note${unresolved.length === 1 ? "" : "s"}`;
+          pick.items = [
+            { label: `Unresolved (${unresolved.length})`, kind: vscode.QuickPickItemKind.Separator },
+            ...unresolved.map(toItem),
+            { label: `Resolved (${resolved.length})`, kind: vscode.QuickPickItemKind.Separator },
+            ...resolved.map(toItem),
+          ];
+        } catch (err) {
+          pick.hide();
+          vscode.window.showErrorMessage("VCM: Error reading mirrors: " + (err?.message || String(err)));
+        } finally {
+          pick.busy = false;
+        }
+      };
+
+      pick.onDidTriggerItemButton(async ({ item }) => {
+        const { relativePath, comment } = item.review;
+        const resolve = !isResolvedReview(comment);
+        try {
+          await updateReviewNote(relativePath, comment, c => setReviewResolved(c, resolve, { author: gitAuthor }));
+          refreshHiddenIndicators();
+          await load();
+        } catch (err) {
+          vscode.window.showErrorMessage("VCM: Error updating review note: " + (err?.message || String(err)));
+        }
+      });
+      pick.onDidAccept(async () => {
+        const review = pick.selectedItems[0]?.review;
+        if (!review) return;
+        pick.hide();
+        await vscode.commands.executeCommand("vcm-view-comments-mirror.revealComment", review.relativePath, review.comment, review.isPrivate);
+      });
+      pick.onDidHide(() => pick.dispose());
+      pick.show();
+      await load();
+    }
+  );
+  context.subscriptions.push(showUnresolvedReviews);
+
+  // ---------------------------------------------------------------------------
+  // COMMAND: Show Comment History (diff / restore earlier versions of one comment)
+  // ---------------------------------------------------------------------------
+  // From the editor: the comment under the cursor (visible or hidden), else a pick of
+  // this file's comments with a history. From the VCM Comments view: the clicked one.
+  // Revisions are diffed against the current text in read-only vcm-history: documents.
+  const historyProvider = new VCMContentProvider();
+  context.subscriptions.push(
+    vscode.workspace.registerTextDocumentContentProvider("vcm-history", historyProvider)
+  );
+
+  const formatRevisionDate = (iso) => (iso ? new Date(iso).toLocaleString() : "unknown date");
+  const firstLineOf = (text) => text.split("\n").map(l => l.trim()).find(Boolean) || "(empty comment)";
+
+  const showCommentHistory = vscode.commands.registerCommand(
+    "vcm-view-comments-mirror.showCommentHistory",
+    async (target) => {
+      let doc;
+      let relativePath;
+      let id = target?.kind === "comment" ? target.comment?.id : null;
+      try {
+        if (target?.kind === "comment") {
+          relativePath = target.relativePath;
+          doc = await vscode.workspace.openTextDocument(vscode.Uri.joinPath(workspaceRoot, relativePath));
+        } else {
+          const editor = vscode.window.activeTextEditor;
+          if (!editor) return;
+          doc = editor.document;
+          relativePath = vscode.workspace.asRelativePath(doc.uri);
+        }
+      } catch {
+        vscode.window.showWarningMessage(`VCM: ${relativePath} no longer exists.`);
+        return;
+      }
+
+      try {
+        const stores = {
+          [SHARED_LAYER]: await readSharedVCM(relativePath, vcmDir),
+          [PRIVATE_LAYER]: await readPrivateVCM(relativePath, vcmPrivateDir),
+          ...(await readCommentLayers(relativePath)),
+        };
+        const records = Object.entries(stores).flatMap(([layer, comments]) =>
+          comments.map(comment => ({ comment, layer, isPrivate: layer === PRIVATE_LAYER }))
+        );
+
+        // Editor: the comment in the document under the cursor, else a hidden one on that line
+        const editor = vscode.window.activeTextEditor;
+        if (!id && editor?.document === doc) {
+          const line = editor.selection.active.line;
+          const docComments = parseDocComs(doc.getText(), doc.uri.path);
+          addPrimaryAnchors(docComments, { lines: doc.getText().split("\n") });
+          correlateCommentIds(docComments, records.map(r => r.comment));
+          id = findCommentAtCursor(docComments, line)?.id;
+          if (!id) {
+            const hidden = findHiddenCommentsAtLine(doc.getText(), doc.uri.path, await getHiddenComments(doc), line, getInjectOptions());
+            id = hidden.find(h => h.comment.history?.length)?.comment.id || hidden[0]?.comment.id;
+          }
+        }
+
+        let entry = id ? records.find(r => r.comment.id === id) : null;
+        if (!entry) {
+          const withHistory = records.filter(r => r.comment.history?.length > 0);
+          if (withHistory.length === 0) {
+            vscode.window.showInformationMessage("VCM: No comment in this file has earlier versions yet.");
+            return;
+          }
+          const picked = await vscode.window.showQuickPick(
+            withHistory.map(r => ({
+              label: `${r.isPrivate ? "$(lock)" : "$(comment)"} ${firstLineOf(revisionText(r.comment))}`,
+              description: `${r.comment.history.length} earlier version${r.comment.history.length === 1 ? "" : "s"}`,
+              entry: r,
+            })),
+            { placeHolder: "VCM: Show the history of which comment?" }
+          );
+          if (!picked) return;
+          entry = picked.entry;
+        }
+
+        const { comment, layer } = entry;
+        const history = comment.history || [];
+        if (history.length === 0) {
+          vscode.window.showInformationMessage("VCM: This comment has no earlier versions yet.");
+          return;
+        }
+
+        const revisionPick = await vscode.window.showQuickPick(
+          history.map((revision, index) => ({
+            label: `$(history) ${formatRevisionDate(revision.updatedAt)}`,
+            description: firstLineOf(revisionText(revision)),
+            index,
+          })).reverse(),
+          { placeHolder: `VCM: ${history.length} earlier version${history.length === 1 ? "" : "s"}, newest first` }
+        );
+        if (!revisionPick) return;
+        const revision = history[revisionPick.index];
+
+        const action = await vscode.window.showQuickPick(
+          [
+            { label: "$(diff) Compare with Current", action: "compare" },
+            { label: "$(discard) Restore This Version", action: "restore" },
+          ],
+          { placeHolder: `VCM: Version from ${formatRevisionDate(revision.updatedAt)}` }
+        );
+        if (!action) return;
+
+        if (action.action === "compare") {
+          const uriFor = (label) => vscode.Uri.from({ scheme: "vcm-history", path: "/" + relativePath, query: `${comment.id}:${label}` });
+          const left = uriFor(revisionPick.index);
+          const right = uriFor("current");
+          historyProvider.update(left, revisionText(revision));
+          historyProvider.update(right, revisionText(comment));
+          await vscode.commands.executeCommand(
+            "vscode.diff",
+            left,
+            right,
+            `${path.basename(relativePath)} comment: ${formatRevisionDate(revision.updatedAt)} ↔ current`
+          );
+          return;
+        }
+
+        // Restore: in the document -> edit it and save (the merge records the change);
+        // hidden -> rewrite the mirror record directly
+        const newText = replaceCommentText(doc.getText(), doc.uri.path, comment, revision);
+        if (newText !== null) {
+          const edit = new vscode.WorkspaceEdit();
+          edit.replace(doc.uri, new vscode.Range(0, 0, doc.lineCount, 0), newText);
+          await vscode.workspace.applyEdit(edit);
+          await doc.save();
+        } else {
+          const limit = vscode.workspace.getConfiguration("vcm-view-comments-mirror").get("commentHistoryLimit", DEFAULT_HISTORY_LIMIT);
+          restoreCommentRevision(comment, revisionPick.index, { limit });
+          await writeLayerStore(relativePath, layer, stores[layer]);
+          refreshHiddenIndicators();
+        }
+        vscode.window.showInformationMessage(`VCM: Restored the version from ${formatRevisionDate(revision.updatedAt)} ⏪`);
+      } catch (err) {
+        vscode.window.showErrorMessage("VCM: Error showing comment history: " + (err?.message || String(err)));
+      }
+    }
+  );
+  context.subscriptions.push(showCommentHistory);
+
   // ---------------------------------------------------------------------------
   // COMMAND: Split view with/without comments
   // ---------------------------------------------------------------------------
@@ -1354,7 +4019,7 @@ async function activate(context) {
         : stripComments(cleanSharedStripped, doc.uri.path, privateComments);
 
       // Build commented version: inject shared, conditionally inject private
-      let withComments = injectComments(clean, doc.uri.path, mergedSharedComments, true, false);
+      let withComments = injectComments(clean, doc.uri.path, mergedSharedComments, true, false, getInjectOptions());
 
       if (keepPrivate) {
         // Parse what's already in the text and build a set of existing comment keys
@@ -1365,7 +4030,7 @@ async function activate(context) {
         const missingPrivate = privateComments.filter(c => !existingKeys.has(buildContextKey(c)));
 
         if (missingPrivate.length > 0) {
-          withComments = injectComments(withComments, doc.uri.path, missingPrivate, true, true);
+          withComments = injectComments(withComments, doc.uri.path, missingPrivate, true, true, getInjectOptions());
         }
       }
 